@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isAuthSessionActive } = require('../services/redisService');
 const logger = require('../utils/logger');
 const CryptoJS = require('crypto-js');
 
@@ -43,6 +45,14 @@ const auth = async (req, res, next) => {
 
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            if (!decoded.sid || !(await isAuthSessionActive(decoded.sid))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked.'
+                });
+            }
+
             const user = await User.findById(decoded.id).select('-password');
 
             if (!user || !user.isActive) {
@@ -54,6 +64,11 @@ const auth = async (req, res, next) => {
 
             req.user = user;
             req.sessionId = sessionId;
+            req.authSessionId = decoded.sid;
+
+            Session.touch(decoded.sid).catch(error => {
+                logger.error('Session touch error:', error);
+            });
             next();
         } catch (jwtError) {
             return res.status(401).json({
@@ -87,6 +102,17 @@ const decryptMiddleware = (req, res, next) => {
     next();
 };
 
+// Use after auth; req.user is loaded there
+const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            message: 'Admin access required.'
+        });
+    }
+    next();
+};
+
 const encryptMiddleware = (req, res, next) => {
     const originalSend = res.send;
 
@@ -107,4 +133,4 @@ const encryptMiddleware = (req, res, next) => {
     next();
 };
 
-module.exports = { auth, decryptMiddleware, encryptMiddleware };
\ No newline at end of file
+module.exports = { auth, requireAdmin, decryptMiddleware, encryptMiddleware };
\ No newline at end of file
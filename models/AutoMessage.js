@@ -1,20 +1,51 @@
 const mongoose = require('mongoose');
 
+const SCHEDULED_MESSAGE_TYPES = ['text', 'image', 'file', 'video', 'audio'];
+
+// Planned by cronService for random pairs (`system`) or written by a user for later (`user`)
 const autoMessageSchema = new mongoose.Schema({
     sender: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    origin: {
+        type: String,
+        enum: ['system', 'user'],
+        default: 'system'
+    },
+    // User-scheduled messages target a conversation instead, which may be a group
     recipient: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function() {
+            return this.origin === 'system';
+        }
     },
     content: {
         type: String,
         required: true,
-        trim: true
+        trim: true,
+        maxlength: 2000
+    },
+    type: {
+        type: String,
+        enum: SCHEDULED_MESSAGE_TYPES,
+        default: 'text'
+    },
+    // Attachment claimed from a completed upload; the stored file is kept until the message goes out
+    fileData: {
+        name: String,
+        type: { type: String },
+        size: Number,
+        storageKey: String,
+        checksum: String,
+        duration: Number,
+        isVoice: Boolean
+    },
+    disableLinkPreview: {
+        type: Boolean,
+        default: undefined
     },
     sendDate: {
         type: Date,
@@ -37,6 +68,24 @@ const autoMessageSchema = new mongoose.Schema({
     conversation: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Conversation'
+    },
+    // Template the planner picked the content from (system messages only)
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AutoMessageTemplate'
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    cancelledAt: {
+        type: Date
+    },
+    failedAt: {
+        type: Date
+    },
+    failureReason: {
+        type: String
     }
 }, {
     timestamps: true
@@ -44,5 +93,51 @@ const autoMessageSchema = new mongoose.Schema({
 
 autoMessageSchema.index({ sendDate: 1, isQueued: 1 });
 autoMessageSchema.index({ isQueued: 1, isSent: 1 });
+autoMessageSchema.index({ sender: 1, origin: 1, sendDate: 1 });
+autoMessageSchema.index({ origin: 1, createdAt: -1 });
+
+// Pending user messages can still be edited or cancelled; once queued they belong to the consumer
+autoMessageSchema.statics.getEditableFilter = function(scheduledMessageId, userId) {
+    return {
+        _id: scheduledMessageId,
+        sender: userId,
+        origin: 'user',
+        isQueued: false,
+        isSent: false,
+        cancelledAt: null
+    };
+};
+
+autoMessageSchema.methods.getStatus = function() {
+    if (this.cancelledAt) return 'cancelled';
+    if (this.failedAt) return 'failed';
+    if (this.isSent) return 'sent';
+    if (this.isQueued) return 'sending';
+    return 'scheduled';
+};
+
+autoMessageSchema.methods.toScheduledMessage = function() {
+    return {
+        _id: this._id,
+        conversation: this.conversation,
+        content: this.content,
+        type: this.type,
+        fileData: this.fileData && this.fileData.storageKey ? {
+            name: this.fileData.name,
+            type: this.fileData.type,
+            size: this.fileData.size,
+            duration: this.fileData.duration,
+            isVoice: this.fileData.isVoice
+        } : undefined,
+        disableLinkPreview: this.disableLinkPreview === true,
+        sendDate: this.sendDate,
+        status: this.getStatus(),
+        message: this.message,
+        sentAt: this.sentAt,
+        failureReason: this.failureReason,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
 
 module.exports = mongoose.model('AutoMessage', autoMessageSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Locales are language tags such as `tr` or `en-US`
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+const MAX_TEMPLATE_WEIGHT = 100;
+
+const autoMessageTemplateSchema = new mongoose.Schema({
+    content: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+    },
+    locale: {
+        type: String,
+        required: true,
+        trim: true,
+        match: LOCALE_PATTERN
+    },
+    // Relative chance of being picked among the active templates of the same locale
+    weight: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: MAX_TEMPLATE_WEIGHT
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+autoMessageTemplateSchema.index({ locale: 1, isActive: 1 });
+
+autoMessageTemplateSchema.statics.isValidLocale = function(locale) {
+    return typeof locale === 'string' && LOCALE_PATTERN.test(locale);
+};
+
+autoMessageTemplateSchema.statics.getMaxWeight = function() {
+    return MAX_TEMPLATE_WEIGHT;
+};
+
+autoMessageTemplateSchema.methods.getTemplateData = function() {
+    return {
+        _id: this._id,
+        content: this.content,
+        locale: this.locale,
+        weight: this.weight,
+        isActive: this.isActive,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('AutoMessageTemplate', autoMessageTemplateSchema);
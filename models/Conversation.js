@@ -1,4 +1,122 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GROUP_MAX_PARTICIPANTS = parseInt(process.env.GROUP_MAX_PARTICIPANTS) || 256;
+const INVITE_CODE_BYTES = 12;
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES) || 3;
+// Disappearing message timers in seconds; `off` keeps messages forever
+const DISAPPEARING_MESSAGE_DURATIONS = {
+    off: null,
+    '1h': 60 * 60,
+    '1d': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '90d': 90 * 24 * 60 * 60
+};
+// Stored as mutedUntil for "mute forever", so a conversation is muted exactly when mutedUntil is in the future
+const MUTED_FOREVER = new Date('9999-12-31T23:59:59.999Z');
+
+const inviteLinkSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    maxUses: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    uses: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    requiresApproval: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const joinRequestSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    inviteCode: {
+        type: String
+    },
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const pinnedMessageSchema = new mongoose.Schema({
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    pinnedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    pinnedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const participantSettingsSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    mutedUntil: {
+        type: Date
+    },
+    archivedAt: {
+        type: Date
+    },
+    pinnedAt: {
+        type: Date
+    },
+    markedUnreadAt: {
+        type: Date
+    },
+    // Set when the user deletes the conversation; cleared by the next message
+    hiddenAt: {
+        type: Date
+    },
+    // Messages up to this time are hidden from the user's history
+    clearedAt: {
+        type: Date
+    }
+}, {
+    _id: false
+});
 
 const conversationSchema = new mongoose.Schema({
     participants: [{
@@ -23,6 +141,37 @@ const conversationSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    admins: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    inviteLinks: {
+        type: [inviteLinkSchema],
+        select: false
+    },
+    joinRequests: {
+        type: [joinRequestSchema],
+        select: false
+    },
+    // Loaded through GET /api/conversation/:id/pins; see services/pinService.js
+    pinnedMessages: {
+        type: [pinnedMessageSchema],
+        select: false
+    },
+    // One entry per participant that changed a preference; each user only ever sees their own
+    participantSettings: {
+        type: [participantSettingsSchema],
+        select: false
+    },
+    disappearingMessages: {
+        type: String,
+        enum: Object.keys(DISAPPEARING_MESSAGE_DURATIONS),
+        default: 'off'
+    },
     lastMessage: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message'
@@ -41,5 +190,300 @@ const conversationSchema = new mongoose.Schema({
 
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ lastActivity: -1 });
+conversationSchema.index({ 'inviteLinks.code': 1 });
+conversationSchema.index({ 'participantSettings.user': 1 });
+
+const toIdString = (value) => (value && value._id ? value._id : value).toString();
+
+conversationSchema.methods.isParticipant = function(userId) {
+    return this.participants.some(participant => toIdString(participant) === userId.toString());
+};
+
+conversationSchema.methods.getOwnerId = function() {
+    if (this.owner) return toIdString(this.owner);
+
+    // Groups created before roles existed have no owner; the creator is always the first participant.
+    return this.participants.length > 0 ? toIdString(this.participants[0]) : null;
+};
+
+conversationSchema.methods.getRole = function(userId) {
+    if (this.type !== 'group' || !this.isParticipant(userId)) return null;
+
+    if (this.getOwnerId() === userId.toString()) return 'owner';
+    if (this.admins.some(admin => toIdString(admin) === userId.toString())) return 'admin';
+    return 'member';
+};
+
+conversationSchema.methods.isGroupAdmin = function(userId) {
+    return ['owner', 'admin'].includes(this.getRole(userId));
+};
+
+conversationSchema.methods.getRoles = function() {
+    return this.participants.map(participant => ({
+        user: toIdString(participant),
+        role: this.getRole(toIdString(participant))
+    }));
+};
+
+conversationSchema.methods.addParticipants = function(userIds) {
+    const added = [];
+
+    userIds.forEach(userId => {
+        if (!this.isParticipant(userId)) {
+            this.participants.push(userId);
+            added.push(userId.toString());
+        }
+    });
+
+    return added;
+};
+
+conversationSchema.methods.setAdmin = function(userId, isAdmin) {
+    this.admins = this.admins.filter(admin => toIdString(admin) !== userId.toString());
+    if (isAdmin) {
+        this.admins.push(userId);
+    }
+};
+
+conversationSchema.methods.transferOwnership = function(newOwnerId) {
+    const previousOwnerId = this.getOwnerId();
+
+    this.owner = newOwnerId;
+    this.setAdmin(newOwnerId, false);
+    if (previousOwnerId && previousOwnerId !== newOwnerId.toString() && this.isParticipant(previousOwnerId)) {
+        this.setAdmin(previousOwnerId, true);
+    }
+};
+
+conversationSchema.methods.removeParticipant = function(userId) {
+    const wasOwner = this.type === 'group' && this.getOwnerId() === userId.toString();
+
+    this.participants = this.participants.filter(participant => toIdString(participant) !== userId.toString());
+    this.setAdmin(userId, false);
+
+    let newOwnerId = null;
+    if (this.participants.length === 0) {
+        this.isActive = false;
+    } else if (wasOwner) {
+        newOwnerId = this.admins.length > 0 ? toIdString(this.admins[0]) : toIdString(this.participants[0]);
+        this.owner = newOwnerId;
+        this.setAdmin(newOwnerId, false);
+    }
+
+    return newOwnerId;
+};
+
+conversationSchema.methods.createInviteLink = function(createdBy, { expiresAt, maxUses = null, requiresApproval = false }) {
+    this.inviteLinks.push({
+        code: crypto.randomBytes(INVITE_CODE_BYTES).toString('base64url'),
+        createdBy,
+        expiresAt,
+        maxUses,
+        requiresApproval
+    });
+
+    return this.inviteLinks[this.inviteLinks.length - 1];
+};
+
+conversationSchema.methods.findInviteLink = function(code) {
+    return this.inviteLinks.find(invite => invite.code === code) || null;
+};
+
+conversationSchema.methods.getInviteError = function(invite) {
+    if (!invite || invite.revokedAt) {
+        return 'Invite link has been revoked';
+    }
+
+    if (invite.expiresAt <= new Date()) {
+        return 'Invite link has expired';
+    }
+
+    if (invite.maxUses && invite.uses >= invite.maxUses) {
+        return 'Invite link has reached its usage limit';
+    }
+
+    return null;
+};
+
+conversationSchema.methods.getActiveInviteLinks = function() {
+    return this.inviteLinks.filter(invite => !this.getInviteError(invite));
+};
+
+conversationSchema.methods.hasJoinRequest = function(userId) {
+    return this.joinRequests.some(request => toIdString(request.user) === userId.toString());
+};
+
+conversationSchema.methods.addJoinRequest = function(userId, inviteCode) {
+    if (!this.hasJoinRequest(userId)) {
+        this.joinRequests.push({ user: userId, inviteCode });
+    }
+};
+
+conversationSchema.methods.removeJoinRequest = function(userId) {
+    const request = this.joinRequests.find(entry => toIdString(entry.user) === userId.toString()) || null;
+    this.joinRequests = this.joinRequests.filter(entry => toIdString(entry.user) !== userId.toString());
+    return request;
+};
+
+// Anyone in a private chat may pin; in groups pins are an admin tool
+conversationSchema.methods.canManagePins = function(userId) {
+    return this.type === 'group' ? this.isGroupAdmin(userId) : this.isParticipant(userId);
+};
+
+conversationSchema.methods.canChangeDisappearingMessages = function(userId) {
+    return this.type === 'group' ? this.isGroupAdmin(userId) : this.isParticipant(userId);
+};
+
+// Whether a message sent at `sentAt` falls in history the user cleared
+conversationSchema.methods.isClearedForUser = function(userId, sentAt) {
+    const setting = (this.participantSettings || []).find(entry => toIdString(entry.user) === userId.toString());
+    return Boolean(setting && setting.clearedAt && sentAt <= setting.clearedAt);
+};
+
+// Expiry to stamp on a message sent now, or undefined when messages do not disappear
+conversationSchema.methods.getMessageExpiry = function(sentAt = new Date()) {
+    const duration = DISAPPEARING_MESSAGE_DURATIONS[this.disappearingMessages];
+    return duration ? new Date(sentAt.getTime() + duration * 1000) : undefined;
+};
+
+conversationSchema.statics.getDisappearingMessageOptions = function() {
+    return Object.keys(DISAPPEARING_MESSAGE_DURATIONS);
+};
+
+conversationSchema.statics.getMaxPinnedMessages = function() {
+    return MAX_PINNED_MESSAGES;
+};
+
+conversationSchema.statics.getMaxGroupParticipants = function() {
+    return GROUP_MAX_PARTICIPANTS;
+};
+
+conversationSchema.statics.getMutedForever = function() {
+    return MUTED_FOREVER;
+};
+
+// Shapes a raw participantSettings entry (or its absence) for API responses
+conversationSchema.statics.toParticipantSettings = function(setting) {
+    const isMuted = Boolean(setting && setting.mutedUntil && setting.mutedUntil > new Date());
+
+    return {
+        isMuted,
+        mutedUntil: isMuted && setting.mutedUntil < MUTED_FOREVER ? setting.mutedUntil : null,
+        isArchived: Boolean(setting && setting.archivedAt),
+        isPinned: Boolean(setting && setting.pinnedAt),
+        pinnedAt: (setting && setting.pinnedAt) || null,
+        isMarkedUnread: Boolean(setting && setting.markedUnreadAt),
+        isHidden: Boolean(setting && setting.hiddenAt),
+        clearedAt: (setting && setting.clearedAt) || null
+    };
+};
+
+// `values` maps setting fields to a new value, or to null to clear them
+conversationSchema.statics.updateParticipantSettings = async function(conversationId, userId, values) {
+    await this.updateOne(
+        { _id: conversationId, 'participantSettings.user': { $ne: userId } },
+        { $push: { participantSettings: { user: userId } } }
+    );
+
+    const update = {};
+    Object.entries(values).forEach(([field, value]) => {
+        const operator = value === null ? '$unset' : '$set';
+        update[operator] = { ...update[operator], [`participantSettings.$.${field}`]: value === null ? '' : value };
+    });
+
+    const conversation = await this.findOneAndUpdate(
+        { _id: conversationId, 'participantSettings.user': userId },
+        update,
+        { new: true, projection: { participantSettings: { $elemMatch: { user: userId } } } }
+    ).lean();
+
+    return this.toParticipantSettings(conversation && conversation.participantSettings[0]);
+};
+
+conversationSchema.statics.getMutedConversationIds = function(userId) {
+    return this.find({
+        participantSettings: { $elemMatch: { user: userId, mutedUntil: { $gt: new Date() } } }
+    }).distinct('_id');
+};
+
+// A new message brings a deleted conversation back for everyone, and an archived one back to
+// the list for everyone but the sender and users who muted it
+conversationSchema.statics.restoreForNewMessage = function(conversationId, senderId) {
+    return this.updateOne(
+        {
+            _id: conversationId,
+            $or: [
+                { 'participantSettings.archivedAt': { $ne: null } },
+                { 'participantSettings.hiddenAt': { $ne: null } }
+            ]
+        },
+        {
+            $unset: {
+                'participantSettings.$[archived].archivedAt': '',
+                'participantSettings.$[hidden].hiddenAt': ''
+            }
+        },
+        {
+            arrayFilters: [
+                {
+                    'archived.user': { $ne: senderId },
+                    'archived.archivedAt': { $ne: null },
+                    'archived.mutedUntil': { $not: { $gt: new Date() } }
+                },
+                { 'hidden.hiddenAt': { $ne: null } }
+            ]
+        }
+    );
+};
+
+// Brings a conversation the user deleted back to their list; its cleared history stays cleared
+conversationSchema.statics.restoreHiddenForUser = function(conversationId, userId) {
+    return this.updateOne(
+        { _id: conversationId, participantSettings: { $elemMatch: { user: userId, hiddenAt: { $ne: null } } } },
+        { $unset: { 'participantSettings.$.hiddenAt': '' } }
+    );
+};
+
+// Message filter leaving out what the user cleared from their history, for one conversation or all of them
+conversationSchema.statics.getClearedHistoryFilter = async function(userId, conversationId = null) {
+    const query = { participantSettings: { $elemMatch: { user: userId, clearedAt: { $ne: null } } } };
+    if (conversationId) {
+        query._id = conversationId;
+    }
+
+    const conversations = await this.find(query)
+        .select({ participantSettings: { $elemMatch: { user: userId } } })
+        .lean();
+
+    if (conversations.length === 0) {
+        return {};
+    }
+
+    return {
+        $nor: conversations.map(conversation => ({
+            conversation: conversation._id,
+            createdAt: { $lte: conversation.participantSettings[0].clearedAt }
+        }))
+    };
+};
+
+// Returns the updated settings, or null when the conversation was not marked as unread
+conversationSchema.statics.clearMarkedUnread = async function(conversationId, userId) {
+    const conversation = await this.findOneAndUpdate(
+        { _id: conversationId, participantSettings: { $elemMatch: { user: userId, markedUnreadAt: { $ne: null } } } },
+        { $unset: { 'participantSettings.$.markedUnreadAt': '' } },
+        { new: true, projection: { participantSettings: { $elemMatch: { user: userId } } } }
+    ).lean();
+
+    return conversation ? this.toParticipantSettings(conversation.participantSettings[0]) : null;
+};
+
+conversationSchema.statics.findByInviteCode = function(code) {
+    return this.findOne({
+        'inviteLinks.code': code,
+        type: 'group',
+        isActive: true
+    }).select('+inviteLinks +joinRequests');
+};
 
 module.exports = mongoose.model('Conversation', conversationSchema);
\ No newline at end of file
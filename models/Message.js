@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 const { fixBase64Format } = require('../utils/base64Helper');
+const { extractFirstUrl } = require('../utils/urlHelper');
+
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const REPLY_PREVIEW_FIELDS = 'sender content type fileData.name fileData.type isDeleted createdAt';
+const REACTION_EMOJI_REGEX = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\p{Emoji_Modifier}|\u200D|\uFE0F|\u20E3)+$/u;
+const MAX_REACTION_EMOJI_LENGTH = 16;
+const SYSTEM_EVENT_TEXTS = {
+    group_created: (actor) => `${actor} created the group`,
+    group_updated: (actor) => `${actor} updated the group info`,
+    members_added: (actor, targets) => `${actor} added ${targets}`,
+    member_removed: (actor, targets) => `${actor} removed ${targets}`,
+    member_left: (actor) => `${actor} left the group`,
+    member_joined: (actor) => `${actor} joined via invite link`,
+    admin_promoted: (actor, targets) => `${actor} made ${targets} an admin`,
+    admin_demoted: (actor, targets) => `${actor} removed ${targets} as admin`,
+    ownership_transferred: (actor, targets) => `${actor} transferred group ownership to ${targets}`,
+    message_pinned: (actor, targets, detail) => `${actor} pinned "${detail}"`,
+    disappearing_messages_updated: (actor, targets, detail) => detail
+        ? `${actor} set disappearing messages to ${detail}`
+        : `${actor} turned off disappearing messages`
+};
+const SYSTEM_EVENT_DETAIL_LENGTH = 50;
 
 const messageSchema = new mongoose.Schema({
     sender: {
@@ -47,7 +69,17 @@ const messageSchema = new mongoose.Schema({
             min: 0,
             default: undefined
         },
+        // Inline base64 payloads of messages sent before blob storage; see scripts/migrateFilePayloads.js
         data: {
+            type: String,
+            default: undefined,
+            select: false
+        },
+        storageKey: {
+            type: String,
+            default: undefined
+        },
+        checksum: {
             type: String,
             default: undefined
         },
@@ -56,15 +88,144 @@ const messageSchema = new mongoose.Schema({
             default: undefined
         },
         thumbnail: {
+            type: String,
+            default: undefined,
+            select: false
+        },
+        thumbnailKey: {
+            type: String,
+            default: undefined
+        },
+        thumbnailType: {
+            type: String,
+            default: undefined
+        },
+        posterKey: {
             type: String,
             default: undefined
         },
+        width: {
+            type: Number,
+            min: 0,
+            default: undefined
+        },
+        height: {
+            type: Number,
+            min: 0,
+            default: undefined
+        },
+        blurhash: {
+            type: String,
+            default: undefined
+        },
+        // Set while the media queue builds thumbnails; see services/mediaService.js
+        previewStatus: {
+            type: String,
+            enum: ['pending', 'ready', 'failed'],
+            default: undefined
+        },
+        // Attachments stay locked until the malware scan clears them; see services/scanService.js
+        scanStatus: {
+            type: String,
+            enum: ['pending', 'clean', 'infected', 'failed'],
+            default: undefined
+        },
+        scanSignature: {
+            type: String,
+            default: undefined
+        },
+        scanAttempts: {
+            type: Number,
+            default: undefined
+        },
+        scannedAt: {
+            type: Date,
+            default: undefined
+        },
         duration: {
             type: Number,
             min: 0,
             default: undefined
+        },
+        // Voice notes recorded in the browser, as opposed to attached audio files
+        isVoice: {
+            type: Boolean,
+            default: undefined
+        },
+        // Peak amplitude per bar (0-100), computed by the media queue for audio messages
+        waveform: {
+            type: [Number],
+            default: undefined
         }
     },
+    // @username and @all mentions in group messages, parsed on the server; see utils/mentionHelper.js
+    mentions: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: ['user', 'all'],
+            required: true
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Position of the "@" mark and length of the mention in `content`
+        offset: {
+            type: Number,
+            min: 0
+        },
+        length: {
+            type: Number,
+            min: 0
+        }
+    }],
+    // Open Graph card of the first link in a text message; see services/linkPreviewService.js
+    linkPreview: {
+        url: {
+            type: String,
+            default: undefined
+        },
+        title: {
+            type: String,
+            default: undefined
+        },
+        description: {
+            type: String,
+            default: undefined
+        },
+        image: {
+            type: String,
+            default: undefined
+        },
+        siteName: {
+            type: String,
+            default: undefined
+        },
+        fetchedAt: {
+            type: Date,
+            default: undefined
+        }
+    },
+    linkPreviewDisabled: {
+        type: Boolean,
+        default: undefined
+    },
+    // Set from the conversation's disappearing messages timer when the message is sent
+    expiresAt: {
+        type: Date,
+        default: undefined
+    },
+    playedBy: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        playedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     readBy: [{
         user: {
             type: mongoose.Schema.Types.ObjectId,
@@ -107,10 +268,55 @@ const messageSchema = new mongoose.Schema({
     editedAt: {
         type: Date
     },
+    editHistory: [{
+        content: {
+            type: String
+        },
+        editedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     replyTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message'
     },
+    systemEvent: {
+        action: {
+            type: String,
+            enum: Object.keys(SYSTEM_EVENT_TEXTS),
+            default: undefined
+        },
+        targets: {
+            type: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }],
+            default: undefined
+        },
+        // Message the event is about, e.g. the one that was pinned
+        message: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            default: undefined
+        }
+    },
+    reactions: [{
+        emoji: {
+            type: String,
+            required: true,
+            maxlength: MAX_REACTION_EMOJI_LENGTH
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        reactedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     metadata: {
         encrypted: {
             type: Boolean,
@@ -145,7 +351,7 @@ const messageSchema = new mongoose.Schema({
     timestamps: true
 });
 
-messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ messageId: 1 }, { unique: true, sparse: true });
 messageSchema.index({ sessionId: 1 });
@@ -153,6 +359,17 @@ messageSchema.index({ 'readBy.user': 1 });
 messageSchema.index({ 'deletedFor.user': 1 });
 messageSchema.index({ isDeleted: 1, createdAt: -1 });
 messageSchema.index({ type: 1 });
+messageSchema.index({ replyTo: 1, createdAt: 1 });
+messageSchema.index({ 'mentions.user': 1, createdAt: -1 });
+messageSchema.index({ expiresAt: 1 }, { sparse: true });
+messageSchema.index(
+    { content: 'text', 'fileData.name': 'text' },
+    {
+        name: 'message_text_search',
+        weights: { content: 10, 'fileData.name': 5 },
+        default_language: 'none'
+    }
+);
 
 
 messageSchema.virtual('isReadByUser').get(function() {
@@ -174,7 +391,7 @@ messageSchema.pre('save', function(next) {
         if (!this.messageId) {
             this.messageId = require('crypto').randomUUID();
         }
-        if (this.fileData && (this.fileData.name || this.fileData.type || this.fileData.data)) {
+        if (this.fileData && (this.fileData.name || this.fileData.type || this.fileData.data || this.fileData.storageKey)) {
 
             if (this.fileData.name !== undefined && this.fileData.name !== null) {
                 this.fileData.name = String(this.fileData.name);
@@ -287,6 +504,223 @@ messageSchema.methods.deleteForUser = function(userId, deleteType = 'forMe') {
     return this.save();
 };
 
+messageSchema.methods.getEditError = function(userId) {
+    const senderId = this.sender._id || this.sender;
+
+    if (senderId.toString() !== userId.toString()) {
+        return 'Only sender can edit message';
+    }
+
+    if (this.isDeleted) {
+        return 'Deleted messages cannot be edited';
+    }
+
+    if (this.type !== 'text') {
+        return 'Only text messages can be edited';
+    }
+
+    const messageAge = Date.now() - new Date(this.createdAt).getTime();
+    if (messageAge > MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000) {
+        return `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes`;
+    }
+
+    return null;
+};
+
+messageSchema.methods.editContent = function(userId, newContent) {
+    const editError = this.getEditError(userId);
+    if (editError) {
+        throw new Error(editError);
+    }
+
+    const editedAt = new Date();
+    this.editHistory.push({
+        content: this.content,
+        editedAt: editedAt
+    });
+    this.content = newContent;
+    this.editedAt = editedAt;
+
+    if (this.linkPreview && this.linkPreview.url && this.linkPreview.url !== this.getLinkPreviewUrl()) {
+        this.linkPreview = undefined;
+    }
+
+    return this.save();
+};
+
+messageSchema.statics.getEditWindowMinutes = function() {
+    return MESSAGE_EDIT_WINDOW_MINUTES;
+};
+
+messageSchema.statics.getReplyPreviewPopulate = function() {
+    return {
+        path: 'replyTo',
+        select: REPLY_PREVIEW_FIELDS,
+        populate: {
+            path: 'sender',
+            select: 'username firstName lastName'
+        }
+    };
+};
+
+messageSchema.statics.toReplyPreview = function(replyTo) {
+    if (!replyTo || !replyTo._id) return replyTo;
+
+    if (replyTo.isDeleted) {
+        return {
+            _id: replyTo._id,
+            sender: replyTo.sender,
+            type: replyTo.type,
+            isDeleted: true,
+            createdAt: replyTo.createdAt
+        };
+    }
+
+    return replyTo;
+};
+
+// Disappearing messages stop being readable at expiry, before the cleanup job gets to them
+messageSchema.statics.getUnexpiredFilter = function() {
+    return { expiresAt: { $not: { $lte: new Date() } } };
+};
+
+messageSchema.methods.hasExpired = function() {
+    return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+// `clearedFilter` is the user's Conversation.getClearedHistoryFilter, so counts match the visible thread
+messageSchema.statics.getReplyCounts = async function(messageIds, userId = null, clearedFilter = {}) {
+    if (!messageIds || messageIds.length === 0) return {};
+
+    const match = {
+        replyTo: { $in: messageIds.map(id => new mongoose.Types.ObjectId(id)) },
+        isDeleted: false,
+        ...this.getUnexpiredFilter(),
+        ...clearedFilter
+    };
+
+    if (userId) {
+        match['deletedFor.user'] = { $ne: new mongoose.Types.ObjectId(userId) };
+    }
+
+    const counts = await this.aggregate([
+        { $match: match },
+        { $group: { _id: '$replyTo', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((acc, item) => {
+        acc[item._id.toString()] = item.count;
+        return acc;
+    }, {});
+};
+
+const describeMessage = (message) => {
+    if (message.type !== 'text') {
+        return (message.fileData && message.fileData.name) || message.type;
+    }
+
+    return message.content.length > SYSTEM_EVENT_DETAIL_LENGTH
+        ? `${message.content.slice(0, SYSTEM_EVENT_DETAIL_LENGTH - 1)}…`
+        : message.content;
+};
+
+messageSchema.statics.createSystemMessage = async function(conversationId, actor, action, targets = [], { message: subject, detail = '' } = {}) {
+    const getName = (user) => `${user.firstName} ${user.lastName}`.trim() || user.username;
+    const eventDetail = subject ? describeMessage(subject) : detail;
+
+    const message = await this.create({
+        sender: actor._id,
+        conversation: conversationId,
+        type: 'system',
+        content: SYSTEM_EVENT_TEXTS[action](getName(actor), targets.map(getName).join(', '), eventDetail),
+        systemEvent: {
+            action,
+            targets: targets.map(target => target._id),
+            message: subject ? subject._id : undefined
+        },
+        metadata: {
+            deliveryStatus: 'sent',
+            sentAt: new Date()
+        }
+    });
+
+    await message.populate([
+        { path: 'sender', select: 'username firstName lastName avatar' },
+        { path: 'systemEvent.targets', select: 'username firstName lastName' }
+    ]);
+
+    return message;
+};
+
+messageSchema.statics.isValidReactionEmoji = function(emoji) {
+    if (typeof emoji !== 'string' || emoji.length === 0 || emoji.length > MAX_REACTION_EMOJI_LENGTH) {
+        return false;
+    }
+
+    return REACTION_EMOJI_REGEX.test(emoji) && /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(emoji);
+};
+
+messageSchema.methods.hasReaction = function(userId, emoji) {
+    return this.reactions.some(reaction =>
+        reaction.emoji === emoji && (reaction.user._id || reaction.user).toString() === userId.toString()
+    );
+};
+
+// Reactions are changed with single-document updates so concurrent reactions from different users are not lost;
+// the fresh array is copied back for getReactionSummary. Resolves to whether anything changed.
+messageSchema.methods.applyReactionUpdate = async function(filter, update) {
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, ...filter },
+        update,
+        { new: true, projection: { reactions: 1 } }
+    );
+    const current = updated || await this.constructor.findById(this._id).select('reactions');
+
+    if (current) {
+        this.reactions = current.reactions;
+    }
+    return Boolean(updated);
+};
+
+messageSchema.methods.addReaction = function(userId, emoji) {
+    return this.applyReactionUpdate(
+        { reactions: { $not: { $elemMatch: { user: userId, emoji: emoji } } } },
+        { $push: { reactions: { emoji: emoji, user: userId, reactedAt: new Date() } } }
+    );
+};
+
+messageSchema.methods.removeReaction = function(userId, emoji) {
+    return this.applyReactionUpdate(
+        { reactions: { $elemMatch: { user: userId, emoji: emoji } } },
+        { $pull: { reactions: { user: userId, emoji: emoji } } }
+    );
+};
+
+messageSchema.methods.toggleReaction = async function(userId, emoji) {
+    if (this.hasReaction(userId, emoji)) {
+        await this.removeReaction(userId, emoji);
+        return 'removed';
+    }
+
+    await this.addReaction(userId, emoji);
+    return 'added';
+};
+
+messageSchema.methods.getReactionSummary = function() {
+    const summary = new Map();
+
+    for (const reaction of this.reactions || []) {
+        if (!summary.has(reaction.emoji)) {
+            summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+        }
+        const entry = summary.get(reaction.emoji);
+        entry.count++;
+        entry.users.push(reaction.user);
+    }
+
+    return Array.from(summary.values());
+};
+
 messageSchema.methods.getReadStatus = function(userId) {
     const readEntry = this.readBy.find(read =>
         read.user.toString() === userId.toString()
@@ -361,10 +795,32 @@ messageSchema.methods.getFileDuration = function() {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 };
 
-messageSchema.methods.generateThumbnail = function() {
-    if (['image', 'video'].includes(this.type) && this.fileData && this.fileData.data) {
-        this.fileData.thumbnail = fixBase64Format(this.fileData.data);
-    }
+messageSchema.methods.needsMediaPreview = function() {
+    return ['image', 'video', 'audio'].includes(this.type) && Boolean(this.fileData && this.fileData.storageKey);
+};
+
+messageSchema.methods.needsAttachmentScan = function() {
+    return Boolean(this.fileData && this.fileData.storageKey);
+};
+
+// Files sent before scanning existed have no status and count as released
+messageSchema.methods.isAttachmentReleased = function() {
+    return !this.fileData || !this.fileData.scanStatus || this.fileData.scanStatus === 'clean';
+};
+
+messageSchema.methods.getLinkPreviewUrl = function() {
+    return this.type === 'text' ? extractFirstUrl(this.content) : null;
+};
+
+messageSchema.methods.getLinkPreview = function() {
+    return this.linkPreview && this.linkPreview.url ? this.toObject().linkPreview : null;
+};
+
+messageSchema.methods.needsLinkPreview = function() {
+    if (this.linkPreviewDisabled || this.isDeleted) return false;
+
+    const url = this.getLinkPreviewUrl();
+    return Boolean(url) && !(this.linkPreview && this.linkPreview.url === url);
 };
 
 messageSchema.methods.isMedia = function() {
@@ -379,7 +835,12 @@ messageSchema.methods.getMediaInfo = function() {
         name: this.fileData?.name,
         size: this.getFileSize(),
         duration: this.getFileDuration(),
-        thumbnail: this.fileData?.thumbnail
+        width: this.fileData?.width,
+        height: this.fileData?.height,
+        blurhash: this.fileData?.blurhash,
+        waveform: this.fileData?.waveform,
+        isVoice: Boolean(this.fileData?.isVoice),
+        hasThumbnail: Boolean(this.fileData?.thumbnailKey)
     };
 };
 
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+const BROWSER_PATTERNS = [
+    { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+    { name: 'Opera', pattern: /OPR\/|Opera/ },
+    { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+    { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+    { name: 'Safari', pattern: /Safari\// }
+];
+
+const OS_PATTERNS = [
+    { name: 'Windows', pattern: /Windows/ },
+    { name: 'Android', pattern: /Android/ },
+    { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+    { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+    { name: 'Linux', pattern: /Linux/ }
+];
+
+const sessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceName: {
+        type: String,
+        default: 'Unknown device'
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    lastActiveAt: {
+        type: Date,
+        default: Date.now
+    },
+    socketIds: [{
+        type: String
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, isActive: 1, lastActiveAt: -1 });
+
+sessionSchema.statics.parseDeviceName = function(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = BROWSER_PATTERNS.find(entry => entry.pattern.test(userAgent));
+    const os = OS_PATTERNS.find(entry => entry.pattern.test(userAgent));
+
+    if (browser && os) return `${browser.name} on ${os.name}`;
+    if (browser) return browser.name;
+    if (os) return os.name;
+    return 'Unknown device';
+};
+
+sessionSchema.statics.createForRequest = function(sessionId, userId, req) {
+    const userAgent = req.get('User-Agent') || null;
+
+    return this.create({
+        sessionId,
+        user: userId,
+        deviceName: this.parseDeviceName(userAgent),
+        userAgent,
+        ipAddress: req.ip || null
+    });
+};
+
+sessionSchema.statics.touch = function(sessionId) {
+    const now = new Date();
+
+    return this.updateOne(
+        {
+            sessionId,
+            isActive: true,
+            lastActiveAt: { $lt: new Date(now.getTime() - SESSION_TOUCH_INTERVAL_MS) }
+        },
+        { $set: { lastActiveAt: now } }
+    );
+};
+
+sessionSchema.statics.addSocket = function(sessionId, socketId) {
+    return this.updateOne(
+        { sessionId },
+        {
+            $addToSet: { socketIds: socketId },
+            $set: { lastActiveAt: new Date() }
+        }
+    );
+};
+
+sessionSchema.statics.removeSocket = function(sessionId, socketId) {
+    return this.updateOne(
+        { sessionId },
+        {
+            $pull: { socketIds: socketId },
+            $set: { lastActiveAt: new Date() }
+        }
+    );
+};
+
+sessionSchema.statics.revoke = function(sessionId) {
+    return this.updateOne(
+        { sessionId, isActive: true },
+        { $set: { isActive: false, revokedAt: new Date(), socketIds: [] } }
+    );
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId) {
+    return this.updateMany(
+        { user: userId, isActive: true },
+        { $set: { isActive: false, revokedAt: new Date(), socketIds: [] } }
+    );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 1024 * 1024;
+const UPLOAD_EXPIRY_HOURS = parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24;
+const UPLOAD_SIZE_LIMITS = {
+    image: 10 * 1024 * 1024,
+    video: 50 * 1024 * 1024,
+    audio: 20 * 1024 * 1024,
+    file: 20 * 1024 * 1024
+};
+
+const uploadSchema = new mongoose.Schema({
+    uploadId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    fileName: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 255
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ['image', 'video', 'audio', 'file'],
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    receivedBytes: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['uploading', 'completing', 'completed', 'attached', 'aborted'],
+        default: 'uploading'
+    },
+    storageKey: {
+        type: String
+    },
+    checksum: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+uploadSchema.index({ user: 1, status: 1 });
+uploadSchema.index({ expiresAt: 1 });
+
+uploadSchema.statics.getCategory = function(mimeType) {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    return 'file';
+};
+
+uploadSchema.statics.getMaxSize = function(category) {
+    return UPLOAD_SIZE_LIMITS[category] || UPLOAD_SIZE_LIMITS.file;
+};
+
+uploadSchema.statics.getChunkSize = function() {
+    return UPLOAD_CHUNK_SIZE;
+};
+
+uploadSchema.statics.getExpiryDate = function() {
+    return new Date(Date.now() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+};
+
+uploadSchema.methods.isExpired = function() {
+    return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('Upload', uploadSchema);
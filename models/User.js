@@ -39,10 +39,38 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
+    // Automatic message planner preferences; users are only paired after opting in
+    autoMessages: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        locale: {
+            type: String,
+            trim: true,
+            default: undefined
+        }
+    },
     lastSeen: {
         type: Date,
         default: Date.now
-    }
+    },
+    blockedUsers: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        blockedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, {
     timestamps: true
 });
@@ -74,6 +102,8 @@ userSchema.methods.getPublicData = function() {
         avatar: this.avatar ? fixBase64Format(this.avatar) : this.avatar,
         lastSeen: this.lastSeen,
         isActive: this.isActive,
+        role: this.role,
+        autoMessages: this.getAutoMessagePreferences(),
         createdAt: this.createdAt,
         updatedAt: this.updatedAt
     };
@@ -91,6 +121,55 @@ userSchema.methods.getSafeData = function() {
     };
 };
 
+userSchema.methods.getAutoMessagePreferences = function() {
+    return {
+        enabled: Boolean(this.autoMessages && this.autoMessages.enabled),
+        locale: (this.autoMessages && this.autoMessages.locale) || null
+    };
+};
+
+userSchema.methods.hasBlocked = function(userId) {
+    return (this.blockedUsers || []).some(blocked =>
+        (blocked.user._id || blocked.user).toString() === userId.toString()
+    );
+};
+
+userSchema.methods.getBlockedUserIds = function() {
+    return (this.blockedUsers || []).map(blocked => (blocked.user._id || blocked.user).toString());
+};
+
+userSchema.methods.blockUser = function(userId) {
+    if (!this.hasBlocked(userId)) {
+        this.blockedUsers.push({
+            user: userId,
+            blockedAt: new Date()
+        });
+    }
+    return this.save();
+};
+
+userSchema.methods.unblockUser = function(userId) {
+    this.blockedUsers = this.blockedUsers.filter(blocked =>
+        (blocked.user._id || blocked.user).toString() !== userId.toString()
+    );
+    return this.save();
+};
+
+userSchema.statics.getBlockedByUserIds = async function(userId) {
+    const blockers = await this.find({ 'blockedUsers.user': userId }).select('_id');
+    return blockers.map(blocker => blocker._id.toString());
+};
+
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+    const block = await this.exists({
+        $or: [
+            { _id: userId, 'blockedUsers.user': otherUserId },
+            { _id: otherUserId, 'blockedUsers.user': userId }
+        ]
+    });
+    return !!block;
+};
+
 userSchema.methods.updateAvatar = function(avatarData) {
     if (!avatarData) {
         this.avatar = null;
@@ -187,6 +266,7 @@ userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ isActive: 1 });
 userSchema.index({ lastSeen: -1 });
 userSchema.index({ firstName: 1, lastName: 1 });
+userSchema.index({ 'blockedUsers.user': 1 });
 
 userSchema.set('toJSON', {
     virtuals: true,
@@ -4,21 +4,64 @@ class ChatApp {
         this.currentUser = null;
         this.accessToken = null;
         this.refreshToken = null;
+        this.refreshPromise = null;
         this.users = [];
         this.filteredUsers = [];
         this.selectedUser = null;
         this.currentConversation = null;
         this.messages = [];
+        this.messagePagination = null;
+        this.isLoadingMessagePage = false;
         this.socket = null;
         this.typingTimer = null;
         this.typingTimeoutId = null;
         this.sessionId = this.generateUUID();
         this.isMobile = window.innerWidth < 768;
         this.selectedFile = null;
+        this.selectedFileMeta = null;
+        this.voiceRecording = null;
+        this.voiceRecordingMaxMs = 15 * 60 * 1000;
+        this.voicePlaybackRates = [1, 1.5, 2];
+        this.voicePlaybackRate = parseFloat(localStorage.getItem('voicePlaybackRate')) || 1;
+        this.activeVoiceAudio = null;
         this.selectedMessages = new Set();
         this.isSelectionMode = false;
         this.pendingMessages = new Map();
         this.messageDeduplication = new Set();
+        // Replaced by the server's window once messages are loaded
+        this.messageEditWindowMs = 15 * 60 * 1000;
+        this.replyingTo = null;
+        this.messageInfoId = null;
+        this.mentionSuggestions = null;
+        this.pinnedMessages = [];
+        this.pinnedMessageIndex = 0;
+        this.canManagePins = false;
+        this.conversationSettings = new Map();
+        this.scheduledMessages = [];
+        this.muteDurations = [
+            { label: '8 saat', ms: 8 * 60 * 60 * 1000 },
+            { label: '1 hafta', ms: 7 * 24 * 60 * 60 * 1000 },
+            { label: 'Her zaman', ms: null }
+        ];
+        this.disappearingDurations = [
+            { value: 'off', label: 'Kapalı' },
+            { value: '1h', label: '1 saat' },
+            { value: '1d', label: '1 gün' },
+            { value: '7d', label: '7 gün' },
+            { value: '90d', label: '90 gün' }
+        ];
+        this.quickReactions = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+        this.mediaObjectUrls = new Map();
+        this.uploadSizeLimits = {
+            image: 10 * 1024 * 1024,
+            video: 50 * 1024 * 1024,
+            audio: 20 * 1024 * 1024,
+            file: 20 * 1024 * 1024
+        };
+        this.uploadMaxRetries = 5;
+        this.searchResults = [];
+        this.searchNextCursor = null;
+        this.searchDebounceId = null;
 
 
         this.settings = {
@@ -99,14 +142,36 @@ class ChatApp {
         document.getElementById('userSearch').addEventListener('input', () => this.filterUsers());
 
         document.getElementById('messageForm').addEventListener('submit', (e) => this.handleSendMessage(e));
-        document.getElementById('messageText').addEventListener('input', () => this.handleTyping());
+        document.getElementById('messageText').addEventListener('input', () => {
+            this.handleTyping();
+            this.updateMentionSuggestions();
+        });
+        document.getElementById('messageText').addEventListener('keydown', (e) => this.handleMentionKeydown(e));
+        document.getElementById('messageText').addEventListener('blur', () => this.hideMentionSuggestions());
+        document.getElementById('mentionSuggestions').addEventListener('mousedown', (e) => {
+            // mousedown fires before the input's blur, which would close the list first
+            const item = e.target.closest('[data-mention-index]');
+            if (!item) return;
+
+            e.preventDefault();
+            this.insertMention(parseInt(item.dataset.mentionIndex));
+        });
+        document.getElementById('messagesArea').addEventListener('scroll', () => this.handleMessagesScroll());
 
         document.getElementById('fileInput').addEventListener('change', (e) => this.handleFileSelect(e));
         document.getElementById('removeFile').addEventListener('click', () => this.removeSelectedFile());
+        document.getElementById('voiceRecordBtn').addEventListener('click', () => this.startVoiceRecording());
+        document.getElementById('scheduleMessageBtn').addEventListener('click', (e) => this.toggleScheduleMenu(e));
+        document.getElementById('pauseVoiceRecording').addEventListener('click', () => this.toggleVoiceRecordingPause());
+        document.getElementById('cancelVoiceRecording').addEventListener('click', () => this.cancelVoiceRecording());
+        document.getElementById('sendVoiceRecording').addEventListener('click', () => this.finishVoiceRecording());
+        document.getElementById('cancelReply').addEventListener('click', () => this.cancelReply());
 
         document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+        document.getElementById('logoutAllBtn').addEventListener('click', () => this.logoutAll());
         document.getElementById('profileBtn').addEventListener('click', () => this.openProfileModal());
         document.getElementById('settingsBtn').addEventListener('click', () => this.openSettingsModal());
+        document.getElementById('messageSearchBtn').addEventListener('click', () => this.openSearchModal());
         document.getElementById('darkModeToggle').addEventListener('click', () => this.toggleDarkMode());
 
         document.getElementById('userMenuBtn').addEventListener('click', (e) => {
@@ -122,6 +187,21 @@ class ChatApp {
         document.getElementById('avatarInput').addEventListener('change', (e) => this.handleAvatarUpload(e));
 
         document.getElementById('closeSettingsModal').addEventListener('click', () => this.closeSettingsModal());
+
+        document.getElementById('messageSearchInput').addEventListener('input', () => {
+            clearTimeout(this.searchDebounceId);
+            this.searchDebounceId = setTimeout(() => this.runMessageSearch(true), 400);
+        });
+        document.querySelectorAll('.search-filter').forEach(filter => {
+            filter.addEventListener('change', () => this.runMessageSearch(true));
+        });
+        document.getElementById('messageSearchMore').addEventListener('click', () => this.runMessageSearch(false));
+        document.getElementById('messageSearchResults').addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-search-index]');
+            if (entry) {
+                this.openSearchResult(this.searchResults[parseInt(entry.dataset.searchIndex)]);
+            }
+        });
         document.querySelectorAll('input[name="theme"]').forEach(radio => {
             radio.addEventListener('change', (e) => this.changeTheme(e.target.value));
         });
@@ -130,11 +210,22 @@ class ChatApp {
         });
 
         document.getElementById('backgroundImageInput').addEventListener('change', (e) => this.handleBackgroundImageUpload(e));
+        document.getElementById('autoMessagesToggle').addEventListener('change', (e) => this.updateAutoMessagePreferences(e.target.checked));
 
         document.getElementById('selectAllMessages').addEventListener('click', () => this.selectAllMessages());
         document.getElementById('deleteSelectedMessages').addEventListener('click', () => this.deleteSelectedMessages());
         document.getElementById('cancelSelection').addEventListener('click', () => this.exitSelectionMode());
         document.getElementById('toggleSelectionMode').addEventListener('click', () => this.enterSelectionMode());
+        document.getElementById('blockUserBtn').addEventListener('click', () => this.blockSelectedUser());
+        document.getElementById('muteConversationBtn').addEventListener('click', (e) => this.toggleMuteMenu(e));
+        document.getElementById('disappearingMessagesBtn').addEventListener('click', (e) => this.toggleDisappearingMessagesMenu(e));
+        document.getElementById('clearHistoryBtn').addEventListener('click', () => this.clearConversationHistory());
+        document.getElementById('pinnedMessageBar').addEventListener('click', () => this.showNextPinnedMessage());
+        document.getElementById('unpinMessageBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const pin = this.pinnedMessages[this.pinnedMessageIndex];
+            if (pin) this.togglePinMessage(pin.message._id);
+        });
 
         document.addEventListener('click', (e) => {
             if (!e.target.closest('#userMenuBtn')) {
@@ -156,8 +247,12 @@ class ChatApp {
                 const modalId = closeAction.dataset.modal;
                 if (modalId === 'messageInfoModal') {
                     this.closeMessageInfoModal();
+                } else if (modalId === 'threadModal') {
+                    this.closeThreadModal();
                 } else if (modalId === 'imageViewerModal') {
                     this.closeImageViewer();
+                } else if (modalId === 'searchModal') {
+                    this.closeSearchModal();
                 }
             }
         });
@@ -184,6 +279,15 @@ class ChatApp {
                 if (!document.getElementById('messageInfoModal').classList.contains('hidden')) {
                     this.closeMessageInfoModal();
                 }
+                if (!document.getElementById('threadModal').classList.contains('hidden')) {
+                    this.closeThreadModal();
+                }
+                if (!document.getElementById('searchModal').classList.contains('hidden')) {
+                    this.closeSearchModal();
+                }
+                if (this.replyingTo) {
+                    this.cancelReply();
+                }
                 if (!document.getElementById('imageViewerModal').classList.contains('hidden')) {
                     this.closeImageViewer();
                 }
@@ -483,6 +587,10 @@ class ChatApp {
             selectedOption.classList.add('border-primary-500');
         }
 
+        this.loadAutoMessagePreferences();
+        this.loadBlockedUsers();
+        this.loadSessions();
+
         modal.classList.remove('hidden');
         document.getElementById('userDropdown').classList.add('hidden');
     }
@@ -712,6 +820,7 @@ class ChatApp {
 
         this.updateUserInfo();
         await this.loadUsers();
+        await this.loadConversationSettings();
         this.initializeSocket();
         await this.updateOnlineCount();
         this.applyChatBackground();
@@ -870,6 +979,7 @@ class ChatApp {
                     this.selectedUser = null;
                     this.currentConversation = null;
                     this.messages = [];
+                    this.messagePagination = null;
                     this.showWelcomeScreen();
                 }
 
@@ -883,8 +993,181 @@ class ChatApp {
         }
     }
 
+    async blockSelectedUser() {
+        const user = this.selectedUser;
+        if (!user) return;
+
+        if (!confirm(`${user.firstName} ${user.lastName} kullanıcısını engellemek istediğinizden emin misiniz?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/user/block/${user._id}`, {
+                method: 'POST',
+                body: JSON.stringify({ action: 'block' })
+            });
+
+            if (response.success) {
+                this.showToast('Kullanıcı engellendi', 'success');
+                this.removeBlockedUserFromList(user._id);
+            } else {
+                this.showToast(response.message || 'Kullanıcı engellenemedi', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    removeBlockedUserFromList(userId) {
+        this.users = this.users.filter(u => u._id !== userId);
+        this.filteredUsers = this.filteredUsers.filter(u => u._id !== userId);
+        this.renderUsers();
+        document.getElementById('userCount').textContent = this.users.length;
+
+        if (this.selectedUser && this.selectedUser._id === userId) {
+            this.selectedUser = null;
+            this.currentConversation = null;
+            this.messages = [];
+            this.messagePagination = null;
+            this.showWelcomeScreen();
+        }
+    }
+
+    async loadBlockedUsers() {
+        const container = document.getElementById('blockedUsersList');
+
+        try {
+            const response = await this.apiCall('/api/user/blocked');
+            if (!response.success) return;
+
+            const blockedUsers = response.data.users;
+            if (blockedUsers.length === 0) {
+                container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Engellenen kullanıcı yok</p>';
+                return;
+            }
+
+            container.innerHTML = blockedUsers.map(user => `
+                <div class="flex items-center justify-between p-2 rounded-xl bg-gray-100 dark:bg-gray-700">
+                    <span class="text-sm text-gray-900 dark:text-gray-100">${this.escapeHtml(`${user.firstName} ${user.lastName}`)}</span>
+                    <button class="text-sm text-primary-600 dark:text-primary-400 hover:underline" data-unblock-user-id="${user._id}">Engeli Kaldır</button>
+                </div>
+            `).join('');
+
+            container.querySelectorAll('[data-unblock-user-id]').forEach(button => {
+                button.addEventListener('click', () => this.unblockUser(button.dataset.unblockUserId));
+            });
+        } catch (error) {
+            container.innerHTML = '<p class="text-sm text-red-500">Engellenen kullanıcılar yüklenemedi</p>';
+        }
+    }
+
+    async unblockUser(userId) {
+        try {
+            const response = await this.apiCall(`/api/user/block/${userId}`, {
+                method: 'POST',
+                body: JSON.stringify({ action: 'unblock' })
+            });
+
+            if (response.success) {
+                this.showToast('Engel kaldırıldı', 'success');
+                await this.loadBlockedUsers();
+                await this.loadUsers();
+            } else {
+                this.showToast(response.message || 'Engel kaldırılamadı', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    async loadAutoMessagePreferences() {
+        const toggle = document.getElementById('autoMessagesToggle');
+
+        try {
+            const response = await this.apiCall('/api/user/auto-messages');
+            if (response.success) {
+                toggle.checked = response.data.autoMessages.enabled;
+            }
+        } catch (error) {
+            console.error('Auto message preferences error:', error);
+        }
+    }
+
+    async updateAutoMessagePreferences(enabled) {
+        const toggle = document.getElementById('autoMessagesToggle');
+
+        try {
+            const response = await this.apiCall('/api/user/auto-messages', {
+                method: 'PUT',
+                body: JSON.stringify({ enabled })
+            });
+
+            if (response.success) {
+                this.showToast(enabled ? 'Otomatik mesajlar açıldı' : 'Otomatik mesajlar kapatıldı', 'success');
+            } else {
+                toggle.checked = !enabled;
+                this.showToast(response.message || 'Tercih kaydedilemedi', 'error');
+            }
+        } catch (error) {
+            toggle.checked = !enabled;
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    async loadSessions() {
+        const container = document.getElementById('sessionsList');
+
+        try {
+            const response = await this.apiCall('/api/auth/sessions');
+            if (!response.success) return;
+
+            container.innerHTML = response.data.sessions.map(session => `
+                <div class="flex items-center justify-between p-2 rounded-xl bg-gray-100 dark:bg-gray-700">
+                    <div class="min-w-0">
+                        <p class="text-sm text-gray-900 dark:text-gray-100 truncate">
+                            ${this.escapeHtml(session.deviceName)}
+                            ${session.isCurrent ? '<span class="text-xs text-primary-600 dark:text-primary-400 ml-1">(Bu cihaz)</span>' : ''}
+                        </p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400 truncate">
+                            ${this.escapeHtml(session.ipAddress || 'Bilinmeyen IP')} · ${session.activeConnections > 0 ? 'Çevrimiçi' : `Son etkinlik: ${this.formatFullTime(session.lastActiveAt)}`}
+                        </p>
+                    </div>
+                    ${session.isCurrent ? '' : `<button class="text-sm text-red-500 hover:underline ml-2 flex-shrink-0" data-revoke-session-id="${session.sessionId}">Oturumu Kapat</button>`}
+                </div>
+            `).join('');
+
+            container.querySelectorAll('[data-revoke-session-id]').forEach(button => {
+                button.addEventListener('click', () => this.revokeSession(button.dataset.revokeSessionId));
+            });
+        } catch (error) {
+            container.innerHTML = '<p class="text-sm text-red-500">Cihazlar yüklenemedi</p>';
+        }
+    }
+
+    async revokeSession(sessionId) {
+        if (!confirm('Bu cihazdaki oturum kapatılacak. Devam etmek istiyor musunuz?')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/auth/sessions/${sessionId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.showToast('Oturum kapatıldı', 'success');
+                await this.loadSessions();
+            } else {
+                this.showToast(response.message || 'Oturum kapatılamadı', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
     showWelcomeScreen() {
         document.getElementById('chatHeader').classList.add('hidden');
+        document.getElementById('pinnedMessageBar').classList.add('hidden');
         document.getElementById('messagesArea').classList.add('hidden');
         document.getElementById('messageInput').classList.add('hidden');
         document.getElementById('welcomeScreen').classList.remove('hidden');
@@ -932,8 +1215,14 @@ class ChatApp {
         this.renderUsers();
     }
 
-    async selectUser(user) {
+    async selectUser(user, options = {}) {
         this.selectedUser = user;
+        this.cancelReply();
+        this.cancelVoiceRecording();
+        this.hideMentionSuggestions();
+        this.pinnedMessages = [];
+        this.pinnedMessageIndex = 0;
+        this.canManagePins = false;
         this.renderUsers();
         this.updateChatHeader();
         this.showChatArea();
@@ -950,6 +1239,8 @@ class ChatApp {
             if (response.success) {
                 this.currentConversation = response.data.conversation;
                 this.currentConversation.sessionId = this.generateUUID();
+                this.renderMuteButton();
+                this.renderDisappearingMessagesButton();
 
                 if (this.socket) {
                     this.socket.emit('join_room', {
@@ -958,7 +1249,10 @@ class ChatApp {
                     });
                 }
 
-                await this.loadMessages();
+                await this.loadMessages(options.aroundMessageId);
+                await this.loadPinnedMessages();
+            } else {
+                this.showToast(response.message || 'Konuşma başlatılamadı', 'error');
             }
         } catch (error) {
             this.showToast('Konuşma başlatılırken hata oluştu', 'error');
@@ -1001,129 +1295,573 @@ class ChatApp {
         }
 
         chatHeader.classList.remove('hidden');
+        this.renderMuteButton();
+        this.renderDisappearingMessagesButton();
+        this.renderPinnedMessageBar();
     }
 
-    showChatArea() {
-        document.getElementById('welcomeScreen').classList.add('hidden');
-        document.getElementById('messagesArea').classList.remove('hidden');
-        document.getElementById('messageInput').classList.remove('hidden');
+    async loadConversationSettings() {
+        try {
+            const response = await this.apiCall('/api/conversation/settings');
+            if (response.success) {
+                this.conversationSettings = new Map(
+                    response.data.settings.map(({ conversationId, ...settings }) => [conversationId, settings])
+                );
+            }
+        } catch (error) {
+            console.error('Sohbet ayarları yüklenemedi:', error);
+        }
     }
 
-    showMessagesLoading() {
-        document.getElementById('messagesLoading').classList.remove('hidden');
+    isConversationMuted(conversationId) {
+        const settings = this.conversationSettings.get(conversationId);
+        if (!settings || !settings.isMuted) return false;
+
+        return !settings.mutedUntil || new Date(settings.mutedUntil) > new Date();
     }
 
-    hideMessagesLoading() {
-        document.getElementById('messagesLoading').classList.add('hidden');
+    renderMuteButton() {
+        const isMuted = this.currentConversation && this.isConversationMuted(this.currentConversation._id);
+        const settings = isMuted && this.conversationSettings.get(this.currentConversation._id);
+
+        document.getElementById('muteConversationBtn').title = !isMuted
+            ? 'Sessize Al'
+            : settings.mutedUntil
+                ? `${new Date(settings.mutedUntil).toLocaleString('tr-TR', { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })} tarihine kadar sessiz · Sesi aç`
+                : 'Sessiz · Sesi aç';
+        document.getElementById('muteConversationIcon').classList.toggle('text-gray-600', !isMuted);
+        document.getElementById('muteConversationIcon').classList.toggle('dark:text-gray-400', !isMuted);
+        document.getElementById('muteConversationIcon').classList.toggle('text-red-500', Boolean(isMuted));
     }
 
-    async loadMessages() {
+    toggleMuteMenu(event) {
         if (!this.currentConversation) return;
 
-        this.showMessagesLoading();
+        document.querySelectorAll('.mute-menu').forEach(menu => menu.remove());
 
-        try {
-            const response = await this.apiCall(`/api/message/conversation/${this.currentConversation._id}`);
-            if (response.success) {
-                this.messages = response.data.messages;
-                this.renderMessages();
+        if (this.isConversationMuted(this.currentConversation._id)) {
+            this.updateConversationSettings({ muted: false });
+            return;
+        }
 
-                if (this.messages.length > 0) {
-                    const unreadMessageIds = this.messages
-                        .filter(msg => msg.sender._id !== this.currentUser.id && !this.isMessageReadByUser(msg))
-                        .map(msg => msg._id);
+        const rect = event.currentTarget.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'mute-menu fixed bg-white dark:bg-gray-800 rounded-lg shadow-lg py-2 min-w-[150px] z-50';
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.right = `${window.innerWidth - rect.right}px`;
+        menu.innerHTML = `
+            <p class="px-4 py-1 text-xs text-gray-500 dark:text-gray-400">Sessize al</p>
+            ${this.muteDurations.map((duration, index) => `
+                <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-mute-index="${index}">
+                    ${duration.label}
+                </button>
+            `).join('')}
+        `;
 
-                    if (unreadMessageIds.length > 0) {
-                        await this.markMessagesAsRead(unreadMessageIds);
-                    }
-                }
+        menu.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mute-index]');
+            if (!button) return;
+
+            const duration = this.muteDurations[button.dataset.muteIndex];
+            this.updateConversationSettings(duration.ms
+                ? { muted: true, mutedUntil: new Date(Date.now() + duration.ms).toISOString() }
+                : { muted: true });
+            menu.remove();
+        });
+
+        document.body.appendChild(menu);
+
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
             }
-        } catch (error) {
-            this.showToast('Mesajlar yüklenirken hata oluştu', 'error');
-        } finally {
-            this.hideMessagesLoading();
-        }
+        };
+
+        setTimeout(() => {
+            document.addEventListener('click', closeMenu);
+        }, 0);
     }
 
-    isMessageReadByUser(message) {
-        return message.readBy && message.readBy.some(read => read.user === this.currentUser._id);
+    renderDisappearingMessagesButton() {
+        const value = (this.currentConversation && this.currentConversation.disappearingMessages) || 'off';
+        const duration = this.disappearingDurations.find(option => option.value === value);
+        const isOn = value !== 'off';
+
+        document.getElementById('disappearingMessagesBtn').title = `Süreli Mesajlar: ${duration ? duration.label : 'Kapalı'}`;
+        document.getElementById('disappearingMessagesIcon').classList.toggle('text-gray-600', !isOn);
+        document.getElementById('disappearingMessagesIcon').classList.toggle('dark:text-gray-400', !isOn);
+        document.getElementById('disappearingMessagesIcon').classList.toggle('text-primary-600', isOn);
     }
 
-    async markMessagesAsRead(messageIds) {
+    toggleDisappearingMessagesMenu(event) {
+        if (!this.currentConversation) return;
+
+        const existingMenu = document.querySelector('.disappearing-menu');
+        if (existingMenu) {
+            existingMenu.remove();
+            return;
+        }
+
+        const current = this.currentConversation.disappearingMessages || 'off';
+        const rect = event.currentTarget.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'disappearing-menu fixed bg-white dark:bg-gray-800 rounded-lg shadow-lg py-2 min-w-[150px] z-50';
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.right = `${window.innerWidth - rect.right}px`;
+        menu.innerHTML = `
+            <p class="px-4 py-1 text-xs text-gray-500 dark:text-gray-400">Süreli mesajlar</p>
+            ${this.disappearingDurations.map(duration => `
+                <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm ${duration.value === current ? 'font-semibold text-primary-600 dark:text-primary-400' : ''}" data-disappearing-value="${duration.value}">
+                    ${duration.label}
+                </button>
+            `).join('')}
+        `;
+
+        menu.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-disappearing-value]');
+            if (!button) return;
+
+            this.updateDisappearingMessages(button.dataset.disappearingValue);
+            menu.remove();
+        });
+
+        document.body.appendChild(menu);
+
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+
+        setTimeout(() => {
+            document.addEventListener('click', closeMenu);
+        }, 0);
+    }
+
+    async updateDisappearingMessages(duration) {
+        if (!this.currentConversation || this.currentConversation.disappearingMessages === duration) return;
+
+        const conversationId = this.currentConversation._id;
+
         try {
-            await this.apiCall('/api/message/read', {
+            const response = await this.apiCall(`/api/conversation/${conversationId}/disappearing-messages`, {
                 method: 'PUT',
-                body: JSON.stringify({ messageIds })
+                body: JSON.stringify({ duration })
             });
 
-            if (this.socket && this.currentConversation) {
-                this.socket.emit('mark_messages_read', {
-                    messageIds,
-                    conversationId: this.currentConversation._id,
-                    sessionId: this.currentConversation.sessionId
+            if (response.success) {
+                this.applyDisappearingMessagesUpdate({
+                    conversationId,
+                    disappearingMessages: response.data.disappearingMessages
                 });
+            } else {
+                this.showToast(response.message || 'Süreli mesaj ayarı değiştirilemedi', 'error');
             }
         } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
         }
     }
 
-    renderMessages() {
-        const messagesList = document.getElementById('messagesList');
-        const noMessagesMessage = document.getElementById('noMessagesMessage');
-
-        messagesList.innerHTML = '';
-
-        if (this.messages.length === 0) {
-            noMessagesMessage.classList.remove('hidden');
-            return;
-        } else {
-            noMessagesMessage.classList.add('hidden');
-        }
-
-        this.messages.forEach(message => {
-            const messageElement = this.createMessageElement(message);
-            messagesList.appendChild(messageElement);
-        });
+    applyDisappearingMessagesUpdate(data) {
+        if (!this.currentConversation || this.currentConversation._id !== data.conversationId) return;
 
-        this.scrollToBottom();
+        this.currentConversation.disappearingMessages = data.disappearingMessages;
+        this.renderDisappearingMessagesButton();
     }
 
-    addNewMessage(message) {
-        const messagesList = document.getElementById('messagesList');
-        const noMessagesMessage = document.getElementById('noMessagesMessage');
-
-        if (!noMessagesMessage.classList.contains('hidden')) {
-            noMessagesMessage.classList.add('hidden');
-        }
+    removeExpiredMessages(data) {
+        if (!this.currentConversation || this.currentConversation._id !== data.conversationId) return;
 
-        const messageElement = this.createMessageElement(message);
-        messageElement.classList.add('animate-slide-up');
-        messagesList.appendChild(messageElement);
+        const expiredIds = new Set(data.messageIds.map(id => id.toString()));
 
-        this.messages.push(message);
+        expiredIds.forEach(messageId => {
+            const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
+            if (messageElement) {
+                messageElement.remove();
+            }
+        });
 
-        this.scrollToBottom();
+        this.messages = this.messages.filter(msg => !expiredIds.has(msg._id));
     }
 
-    updatePendingMessage(messageId, updatedMessage) {
-        const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
-        if (messageElement) {
-            messageElement.classList.remove('opacity-75');
+    async updateConversationSettings(changes) {
+        if (!this.currentConversation) return;
 
-            const messageIndex = this.messages.findIndex(m =>
-                m.messageId === messageId || m._id === messageId
-            );
+        const conversationId = this.currentConversation._id;
 
-            if (messageIndex !== -1) {
-                this.messages[messageIndex] = updatedMessage;
+        try {
+            const response = await this.apiCall(`/api/conversation/${conversationId}/settings`, {
+                method: 'PUT',
+                body: JSON.stringify(changes)
+            });
 
-                const newMessageElement = this.createMessageElement(updatedMessage);
-                messageElement.replaceWith(newMessageElement);
+            if (response.success) {
+                this.applyConversationSettings(conversationId, response.data.settings);
+            } else {
+                this.showToast(response.message || 'Sohbet ayarları güncellenemedi', 'error');
             }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
         }
     }
 
-    createMessageElement(message) {
+    async clearConversationHistory() {
+        if (!this.currentConversation) return;
+
+        if (!confirm('Sohbet geçmişini temizlemek istediğinizden emin misiniz? Mesajlar yalnızca sizin için silinir.')) {
+            return;
+        }
+
+        const conversationId = this.currentConversation._id;
+
+        try {
+            const response = await this.apiCall(`/api/conversation/${conversationId}/clear`, {
+                method: 'POST'
+            });
+
+            if (response.success) {
+                this.applyConversationSettings(conversationId, response.data.settings);
+                this.showToast('Sohbet geçmişi temizlendi', 'success');
+            } else {
+                this.showToast(response.message || 'Sohbet geçmişi temizlenemedi', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    applyConversationSettings(conversationId, settings) {
+        this.conversationSettings.set(conversationId, settings);
+
+        if (!this.currentConversation || this.currentConversation._id !== conversationId) return;
+
+        this.renderMuteButton();
+
+        // Another session may have cleared the history while this one shows it
+        if (settings.clearedAt) {
+            const clearedAt = new Date(settings.clearedAt);
+            const isVisible = (createdAt) => new Date(createdAt) > clearedAt;
+
+            if (this.messages.some(message => !isVisible(message.createdAt))) {
+                this.messages = this.messages.filter(message => isVisible(message.createdAt));
+                this.renderMessages();
+            }
+            this.pinnedMessages = this.pinnedMessages.filter(pin => isVisible(pin.message.createdAt));
+            this.renderPinnedMessageBar();
+        }
+    }
+
+    async loadPinnedMessages() {
+        if (!this.currentConversation) return;
+
+        const conversationId = this.currentConversation._id;
+
+        try {
+            const response = await this.apiCall(`/api/conversation/${conversationId}/pins`);
+
+            // The user may have switched conversations while the pins loaded
+            if (response.success && this.currentConversation && this.currentConversation._id === conversationId) {
+                this.pinnedMessages = response.data.pins;
+                this.pinnedMessageIndex = 0;
+                this.canManagePins = response.data.canManagePins;
+                this.renderPinnedMessageBar();
+            }
+        } catch (error) {
+            console.error('Sabitlenmiş mesajlar yüklenemedi:', error);
+        }
+    }
+
+    renderPinnedMessageBar() {
+        const bar = document.getElementById('pinnedMessageBar');
+
+        if (!this.selectedUser || this.pinnedMessages.length === 0) {
+            bar.classList.add('hidden');
+            return;
+        }
+
+        if (this.pinnedMessageIndex >= this.pinnedMessages.length) {
+            this.pinnedMessageIndex = 0;
+        }
+
+        const pin = this.pinnedMessages[this.pinnedMessageIndex];
+        const total = this.pinnedMessages.length;
+
+        document.getElementById('pinnedMessageTitle').textContent = total > 1
+            ? `Sabitlenmiş mesaj ${this.pinnedMessageIndex + 1}/${total}`
+            : 'Sabitlenmiş mesaj';
+        document.getElementById('pinnedMessageText').textContent = this.getReplyPreviewText(pin.message);
+        document.getElementById('unpinMessageBtn').classList.toggle('hidden', !this.canManagePins);
+        bar.classList.remove('hidden');
+    }
+
+    // Jumps to the pin on show, then moves the bar on to the next one
+    async showNextPinnedMessage() {
+        const pin = this.pinnedMessages[this.pinnedMessageIndex];
+        if (!pin) return;
+
+        if (document.querySelector(`#messagesList > [data-message-id="${pin.message._id}"]`)) {
+            this.jumpToMessage(pin.message._id);
+        } else {
+            await this.loadMessages(pin.message._id);
+        }
+
+        this.pinnedMessageIndex = (this.pinnedMessageIndex + 1) % this.pinnedMessages.length;
+        this.renderPinnedMessageBar();
+    }
+
+    isMessagePinned(messageId) {
+        return this.pinnedMessages.some(pin => pin.message._id === messageId);
+    }
+
+    canPinMessage(message) {
+        return this.canManagePins && !message.isPending && !message.isDeleted && message.type !== 'system';
+    }
+
+    async togglePinMessage(messageId) {
+        if (!this.currentConversation) return;
+
+        const isPinned = this.isMessagePinned(messageId);
+        const url = isPinned
+            ? `/api/conversation/${this.currentConversation._id}/pins/${messageId}`
+            : `/api/conversation/${this.currentConversation._id}/pins`;
+
+        try {
+            const response = await this.apiCall(url, isPinned
+                ? { method: 'DELETE' }
+                : { method: 'POST', body: JSON.stringify({ messageId }) });
+
+            if (!response.success) {
+                const message = response.code === 'PIN_LIMIT_REACHED'
+                    ? `En fazla ${response.details.maxPins} mesaj sabitlenebilir`
+                    : response.message;
+                this.showToast(message || 'İşlem gerçekleştirilemedi', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    applyPinnedMessageUpdate(data) {
+        if (!this.currentConversation || this.currentConversation._id !== data.conversationId) return;
+
+        if (data.pin) {
+            this.pinnedMessages = [data.pin, ...this.pinnedMessages.filter(pin => pin.message._id !== data.pin.message._id)];
+            this.pinnedMessageIndex = 0;
+        } else {
+            this.pinnedMessages = this.pinnedMessages.filter(pin => pin.message._id !== data.messageId);
+        }
+
+        this.renderPinnedMessageBar();
+    }
+
+    showChatArea() {
+        document.getElementById('welcomeScreen').classList.add('hidden');
+        document.getElementById('messagesArea').classList.remove('hidden');
+        document.getElementById('messageInput').classList.remove('hidden');
+    }
+
+    showMessagesLoading() {
+        document.getElementById('messagesLoading').classList.remove('hidden');
+    }
+
+    hideMessagesLoading() {
+        document.getElementById('messagesLoading').classList.add('hidden');
+    }
+
+    async loadMessages(aroundMessageId = null) {
+        if (!this.currentConversation) return;
+
+        this.showMessagesLoading();
+
+        try {
+            const query = aroundMessageId ? `?around=${aroundMessageId}` : '';
+            const response = await this.apiCall(`/api/message/conversation/${this.currentConversation._id}${query}`);
+            if (response.success) {
+                this.messages = response.data.messages;
+                this.messagePagination = response.data.pagination;
+                if (response.data.editWindowMinutes) {
+                    this.messageEditWindowMs = response.data.editWindowMinutes * 60 * 1000;
+                }
+                this.renderMessages();
+
+                if (aroundMessageId) {
+                    this.jumpToMessage(aroundMessageId);
+                }
+
+                if (this.messages.length > 0) {
+                    const unreadMessageIds = this.messages
+                        .filter(msg => msg.sender._id !== this.currentUser.id && !this.isMessageReadByUser(msg))
+                        .map(msg => msg._id);
+
+                    if (unreadMessageIds.length > 0) {
+                        await this.markMessagesAsRead(unreadMessageIds);
+                    }
+                }
+            }
+        } catch (error) {
+            this.showToast('Mesajlar yüklenirken hata oluştu', 'error');
+        } finally {
+            this.hideMessagesLoading();
+        }
+    }
+
+    isViewingLatestMessages() {
+        return !this.messagePagination || !this.messagePagination.hasNewer;
+    }
+
+    handleMessagesScroll() {
+        if (!this.currentConversation || !this.messagePagination || this.isLoadingMessagePage) return;
+
+        const messagesArea = document.getElementById('messagesArea');
+        const distanceFromBottom = messagesArea.scrollHeight - messagesArea.scrollTop - messagesArea.clientHeight;
+
+        if (messagesArea.scrollTop < 150 && this.messagePagination.hasOlder) {
+            this.loadMessagePage('older');
+        } else if (distanceFromBottom < 150 && this.messagePagination.hasNewer) {
+            this.loadMessagePage('newer');
+        }
+    }
+
+    async loadMessagePage(direction) {
+        const conversationId = this.currentConversation._id;
+        const query = direction === 'older'
+            ? `before=${encodeURIComponent(this.messagePagination.olderCursor)}`
+            : `after=${encodeURIComponent(this.messagePagination.newerCursor)}`;
+
+        this.isLoadingMessagePage = true;
+        this.showMessagesLoading();
+
+        try {
+            const response = await this.apiCall(`/api/message/conversation/${conversationId}?${query}&limit=30`);
+
+            // The user may have switched conversations while the page was loading
+            if (!response.success || !this.currentConversation || this.currentConversation._id !== conversationId) return;
+
+            const { pagination } = response.data;
+            const knownIds = new Set(this.messages.map(message => message._id));
+            const pageMessages = response.data.messages.filter(message => !knownIds.has(message._id));
+            const messagesList = document.getElementById('messagesList');
+
+            if (direction === 'older') {
+                const messagesArea = document.getElementById('messagesArea');
+                const previousHeight = messagesArea.scrollHeight;
+                const fragment = document.createDocumentFragment();
+
+                pageMessages.forEach(message => fragment.appendChild(this.createMessageElement(message)));
+                messagesList.insertBefore(fragment, messagesList.firstChild);
+                messagesArea.scrollTop += messagesArea.scrollHeight - previousHeight;
+
+                this.messages = pageMessages.concat(this.messages);
+                this.messagePagination.hasOlder = pagination.hasOlder;
+                this.messagePagination.olderCursor = pagination.olderCursor || this.messagePagination.olderCursor;
+            } else {
+                pageMessages.forEach(message => messagesList.appendChild(this.createMessageElement(message)));
+
+                this.messages = this.messages.concat(pageMessages);
+                this.messagePagination.hasNewer = pagination.hasNewer;
+                this.messagePagination.newerCursor = pagination.newerCursor || this.messagePagination.newerCursor;
+
+                const unreadMessageIds = pageMessages
+                    .filter(msg => msg.sender._id !== this.currentUser.id && !this.isMessageReadByUser(msg))
+                    .map(msg => msg._id);
+
+                if (unreadMessageIds.length > 0) {
+                    await this.markMessagesAsRead(unreadMessageIds);
+                }
+            }
+        } catch (error) {
+            this.showToast('Mesajlar yüklenirken hata oluştu', 'error');
+        } finally {
+            this.isLoadingMessagePage = false;
+            this.hideMessagesLoading();
+        }
+    }
+
+    isMessageReadByUser(message) {
+        return message.readBy && message.readBy.some(read => read.user === this.currentUser._id);
+    }
+
+    async markMessagesAsRead(messageIds) {
+        try {
+            await this.apiCall('/api/message/read', {
+                method: 'PUT',
+                body: JSON.stringify({ messageIds })
+            });
+
+            if (this.socket && this.currentConversation) {
+                this.socket.emit('mark_messages_read', {
+                    messageIds,
+                    conversationId: this.currentConversation._id,
+                    sessionId: this.currentConversation.sessionId
+                });
+            }
+        } catch (error) {
+        }
+    }
+
+    renderMessages() {
+        const messagesList = document.getElementById('messagesList');
+        const noMessagesMessage = document.getElementById('noMessagesMessage');
+
+        messagesList.innerHTML = '';
+
+        if (this.messages.length === 0) {
+            noMessagesMessage.classList.remove('hidden');
+            return;
+        } else {
+            noMessagesMessage.classList.add('hidden');
+        }
+
+        this.messages.forEach(message => {
+            const messageElement = this.createMessageElement(message);
+            messagesList.appendChild(messageElement);
+        });
+
+        this.scrollToBottom();
+    }
+
+    addNewMessage(message) {
+        const messagesList = document.getElementById('messagesList');
+        const noMessagesMessage = document.getElementById('noMessagesMessage');
+
+        if (!noMessagesMessage.classList.contains('hidden')) {
+            noMessagesMessage.classList.add('hidden');
+        }
+
+        const messageElement = this.createMessageElement(message);
+        messageElement.classList.add('animate-slide-up');
+        messagesList.appendChild(messageElement);
+
+        this.messages.push(message);
+
+        this.scrollToBottom();
+    }
+
+    updatePendingMessage(messageId, updatedMessage) {
+        const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
+        if (messageElement) {
+            messageElement.classList.remove('opacity-75');
+
+            const messageIndex = this.messages.findIndex(m =>
+                m.messageId === messageId || m._id === messageId
+            );
+
+            if (messageIndex !== -1) {
+                this.messages[messageIndex] = updatedMessage;
+
+                const newMessageElement = this.createMessageElement(updatedMessage);
+                messageElement.replaceWith(newMessageElement);
+            }
+        }
+    }
+
+    createMessageElement(message) {
+        if (message.type === 'system') {
+            return this.createSystemMessageElement(message);
+        }
+
         const div = document.createElement('div');
         const isOwn = message.sender._id === this.currentUser.id;
         const isSelected = this.selectedMessages.has(message._id);
@@ -1137,18 +1875,19 @@ class ChatApp {
         let messageContent = '';
         if (message.type === 'file' || message.type === 'image' || message.type === 'video' || message.type === 'audio') {
             if (message.fileData) {
-                if (message.type === 'image') {
-                    const imageSrc = this.fixBase64Format(message.fileData.data);
+                if (this.isAttachmentLocked(message)) {
+                    messageContent = this.renderAttachmentScanState(message);
+                } else if (message.type === 'image') {
+                    const imageSrc = this.getMediaSourceAttribute(message);
                     const imageName = this.escapeHtml(message.fileData.name || 'Image');
 
                     messageContent = `
                         <div class="mb-3 relative group">
-                            <img src="${imageSrc}" 
+                            <img ${imageSrc} ${this.getMediaDimensionAttributes(message)}
                                  alt="${imageName}" 
                                  class="max-w-full h-auto rounded-xl shadow-soft cursor-pointer hover:opacity-90 transition-opacity" 
                                  style="max-height: 300px; max-width: 250px;"
                                  data-action="view-image"
-                                 data-image-src="${imageSrc}"
                                  data-image-name="${imageName}"
                                  loading="lazy"
                                  onerror="this.style.display='none'; this.parentNode.innerHTML='<div class=\\'text-red-500 text-sm\\'>Resim yüklenemedi</div>'">
@@ -1163,18 +1902,18 @@ class ChatApp {
                         <p class="text-sm">${imageName}</p>
                     `;
                 } else if (message.type === 'video') {
-                    const videoSrc = this.fixBase64Format(message.fileData.data);
+                    const videoSrc = this.getMediaSourceAttribute(message);
                     const videoName = this.escapeHtml(message.fileData.name || 'Video');
 
                     messageContent = `
                         <div class="mb-3 relative group">
-                            <video 
+                            <video ${message.fileData.posterKey ? `data-media-poster-id="${message._id}"` : ''}
                                 class="max-w-full h-auto rounded-xl shadow-soft" 
                                 style="max-height: 300px; max-width: 250px;"
                                 controls
                                 preload="metadata"
                                 onerror="this.style.display='none'; this.parentNode.innerHTML='<div class=\\'text-red-500 text-sm\\'>Video yüklenemedi</div>'">
-                                <source src="${videoSrc}" type="${message.fileData.type}">
+                                <source ${videoSrc} type="${message.fileData.type}">
                                 Tarayıcınız video oynatmayı desteklemiyor.
                             </video>
                             <div class="absolute top-2 right-2 bg-black bg-opacity-50 text-white p-1 rounded opacity-0 group-hover:opacity-100 transition-opacity">
@@ -1187,8 +1926,10 @@ class ChatApp {
                         </div>
                         <p class="text-sm">${videoName}</p>
                     `;
+                } else if (message.type === 'audio' && message.fileData.isVoice) {
+                    messageContent = this.renderVoicePlayer(message, isOwn);
                 } else if (message.type === 'audio') {
-                    const audioSrc = this.fixBase64Format(message.fileData.data);
+                    const audioSrc = this.getMediaSourceAttribute(message);
                     const audioName = this.escapeHtml(message.fileData.name || 'Audio');
 
                     messageContent = `
@@ -1199,7 +1940,7 @@ class ChatApp {
                                     controls
                                     preload="metadata"
                                     onerror="this.style.display='none'; this.parentNode.innerHTML='<div class=\\'text-red-500 text-sm\\'>Ses dosyası yüklenemedi</div>'">
-                                    <source src="${audioSrc}" type="${message.fileData.type}">
+                                    <source ${audioSrc} type="${message.fileData.type}">
                                     Tarayıcınız ses oynatmayı desteklemiyor.
                                 </audio>
                             </div>
@@ -1242,9 +1983,18 @@ class ChatApp {
         } else if (message.isDeleted) {
             messageContent = `<p class="text-sm italic opacity-60">Bu mesaj silindi</p>`;
         } else {
-            messageContent = `<p class="break-words">${this.escapeHtml(message.content)}</p>`;
+            messageContent = `<p class="break-words">${this.renderMessageText(message, isOwn)}</p>`;
+            messageContent += this.renderLinkPreview(message, isOwn);
+        }
+
+        if (message.isPending && message.fileData && message.fileData.localUrl) {
+            messageContent += this.renderUploadProgress(message.uploadProgress || 0);
         }
 
+        const replyQuote = message.replyTo && typeof message.replyTo === 'object'
+            ? this.renderReplyQuote(message.replyTo, isOwn)
+            : '';
+
         const timeText = this.formatTime(message.createdAt);
         const deliveryInfo = this.getDeliveryInfo(message);
 
@@ -1272,9 +2022,25 @@ class ChatApp {
                                 </svg>
                             </button>
                             <div id="messageMenu-${message._id}" class="message-menu hidden absolute top-8 right-0 bg-white dark:bg-gray-800 rounded-lg shadow-lg py-2 min-w-[150px] z-50">
+                                ${!message.isPending && !message.isDeleted ? this.renderQuickReactions(message._id) : ''}
                                 <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="show-info" data-message-id="${message._id}">
                                     Mesaj Bilgisi
                                 </button>
+                                ${!message.isPending && !message.isDeleted ? `
+                                    <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="reply-message" data-message-id="${message._id}">
+                                        Yanıtla
+                                    </button>
+                                ` : ''}
+                                ${this.canEditMessage(message) ? `
+                                    <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="edit-message" data-message-id="${message._id}">
+                                        Düzenle
+                                    </button>
+                                ` : ''}
+                                ${this.canPinMessage(message) ? `
+                                    <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="toggle-pin" data-message-id="${message._id}">
+                                        ${this.isMessagePinned(message._id) ? 'Sabitlemeyi Kaldır' : 'Sabitle'}
+                                    </button>
+                                ` : ''}
                                 <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="delete-for-me" data-message-id="${message._id}">
                                     Benim İçin Sil
                                 </button>
@@ -1286,11 +2052,21 @@ class ChatApp {
                             </div>
                         </div>
                     ` : ''}
+                    ${replyQuote}
                     ${messageContent}
+                    ${this.renderReactions(message, isOwn)}
+                    ${message.replyCount > 0 && !message.isDeleted ? `
+                        <button class="mt-2 text-xs font-medium ${isOwn ? 'text-white text-opacity-90' : 'text-primary-600 dark:text-primary-400'} hover:underline" data-action="show-replies" data-message-id="${message._id}">
+                            ${message.replyCount} yanıt
+                        </button>
+                    ` : ''}
                     <div class="flex items-center justify-between mt-3">
                         <p class="text-xs ${isOwn ? 'text-white text-opacity-70' : 'text-gray-500 dark:text-gray-400'}" 
                            title="${deliveryInfo}">
                             ${timeText}
+                            ${message.editedAt && !message.isDeleted ? `
+                                <span class="italic cursor-pointer hover:underline" data-action="show-info" data-message-id="${message._id}" title="Önceki sürümleri görüntüle">· düzenlendi</span>
+                            ` : ''}
                         </p>
                         ${statusIcon}
                     </div>
@@ -1299,21 +2075,445 @@ class ChatApp {
         `;
 
         this.setupMessageEventListeners(div, message);
+        this.hydrateMessageMedia(div);
 
         return div;
     }
 
-    getFileIcon(fileType) {
-        if (!fileType) {
-            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/></svg>';
+    createSystemMessageElement(message) {
+        const div = document.createElement('div');
+        const subjectId = message.systemEvent && message.systemEvent.message;
+
+        div.className = 'flex justify-center animate-slide-up';
+        div.dataset.messageId = message._id;
+        div.innerHTML = `
+            <div class="px-3 py-1 rounded-full bg-gray-200 dark:bg-gray-700 text-xs text-gray-600 dark:text-gray-300 max-w-md truncate ${subjectId ? 'cursor-pointer hover:underline' : ''}"
+                 ${subjectId ? `data-action="jump-to-message" data-target-message-id="${subjectId}"` : ''}
+                 title="${this.formatTime(message.createdAt)}">
+                ${this.escapeHtml(message.content)}
+            </div>
+        `;
+
+        this.setupMessageEventListeners(div, message);
+
+        return div;
+    }
+
+    renderLinkPreview(message, isOwn) {
+        const preview = message.linkPreview;
+        if (!preview || !preview.url || message.linkPreviewDisabled || message.isDeleted || !/^https?:\/\//i.test(preview.url)) {
+            return '';
         }
 
-        if (fileType.includes('pdf')) {
-            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/></svg>';
-        } else if (fileType.includes('video')) {
-            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.828 14.828a4 4 0 01-5.656 0M9 10h1.586a1 1 0 01.707.293l2.414 2.414a1 1 0 00.707.293H15M9 10V9a2 2 0 012-2h2a2 2 0 012 2v1M9 10v5a2 2 0 002 2h2a2 2 0 002-2v-5"/></svg>';
-        } else if (fileType.includes('audio')) {
-            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19V6l12-3v13M9 19c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zm12-3c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zM9 10l12-3"/></svg>';
+        const mutedText = isOwn ? 'text-white text-opacity-80' : 'text-gray-500 dark:text-gray-400';
+
+        return `
+            <div class="relative mt-2 rounded-lg overflow-hidden border-l-4 ${isOwn ? 'border-white border-opacity-60 bg-white bg-opacity-10' : 'border-primary-500 bg-gray-100 dark:bg-gray-700'}">
+                <a href="${this.escapeHtml(preview.url)}" target="_blank" rel="noopener noreferrer nofollow" class="block hover:opacity-90">
+                    ${preview.image ? `
+                        <img src="${this.escapeHtml(preview.image)}" alt="" loading="lazy" referrerpolicy="no-referrer" class="w-full max-h-40 object-cover">
+                    ` : ''}
+                    <div class="px-3 py-2">
+                        ${preview.siteName ? `<p class="text-xs font-semibold ${mutedText} truncate">${this.escapeHtml(preview.siteName)}</p>` : ''}
+                        ${preview.title ? `<p class="text-sm font-medium break-words">${this.escapeHtml(preview.title)}</p>` : ''}
+                        ${preview.description ? `<p class="text-xs ${mutedText} break-words overflow-hidden max-h-12">${this.escapeHtml(preview.description)}</p>` : ''}
+                    </div>
+                </a>
+                ${isOwn && !message.isPending ? `
+                    <button class="absolute top-1 right-1 p-1 rounded-full bg-black bg-opacity-40 text-white hover:bg-opacity-60" data-action="remove-link-preview" data-message-id="${message._id}" title="Önizlemeyi kaldır">
+                        <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async removeLinkPreview(messageId) {
+        try {
+            const response = await this.apiCall(`/api/message/${messageId}/link-preview`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.applyLinkPreviewUpdate({ messageId, linkPreview: null, linkPreviewDisabled: true });
+            } else {
+                this.showToast(response.message || 'Önizleme kaldırılamadı', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    applyLinkPreviewUpdate(data) {
+        const message = this.messages.find(msg => msg._id === data.messageId);
+        if (!message) return;
+
+        message.linkPreview = data.linkPreview;
+        if (data.linkPreviewDisabled) {
+            message.linkPreviewDisabled = true;
+        }
+
+        const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+        if (messageElement) {
+            messageElement.replaceWith(this.createMessageElement(message));
+        }
+    }
+
+    isAttachmentLocked(message) {
+        const { scanStatus, localUrl } = message.fileData;
+        return !localUrl && Boolean(scanStatus) && scanStatus !== 'clean';
+    }
+
+    renderAttachmentScanState(message) {
+        const fileName = this.escapeHtml(message.fileData.name || 'Dosya');
+        const isInfected = message.fileData.scanStatus === 'infected';
+
+        const icon = isInfected
+            ? `<svg class="w-5 h-5 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/>
+               </svg>`
+            : `<svg class="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
+                   <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+                   <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
+               </svg>`;
+
+        return `
+            <div class="flex items-center space-x-3 p-3 bg-black bg-opacity-10 rounded-xl">
+                <div class="w-10 h-10 bg-white bg-opacity-20 rounded-xl flex items-center justify-center">
+                    ${icon}
+                </div>
+                <div class="flex-1">
+                    <p class="text-sm font-medium truncate max-w-[150px]">${fileName}</p>
+                    <p class="text-xs opacity-75">${isInfected ? 'Zararlı içerik bulundu, dosya karantinaya alındı' : 'Virüs taraması yapılıyor...'}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    applyFileDataUpdate(data) {
+        const message = this.messages.find(msg => msg._id === data.messageId);
+        if (!message || !message.fileData) return;
+
+        Object.assign(message.fileData, data.fileData);
+
+        const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+        if (messageElement) {
+            messageElement.replaceWith(this.createMessageElement(message));
+        }
+    }
+
+    formatVoiceDuration(seconds) {
+        const totalSeconds = Math.max(0, Math.floor(seconds || 0));
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+
+    renderVoicePlayedIndicator(message, isOwn) {
+        const playedBy = message.playedBy || [];
+
+        if (isOwn) {
+            const playedCount = playedBy.filter(played => (played.user._id || played.user) !== this.currentUser.id).length;
+            return `
+                <svg class="w-4 h-4 ${playedCount > 0 ? 'text-blue-300' : 'opacity-60'}" data-voice-played fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <title>${playedCount > 0 ? `${playedCount} kişi dinledi` : 'Henüz dinlenmedi'}</title>
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z"/>
+                </svg>
+            `;
+        }
+
+        const hasPlayed = playedBy.some(played => (played.user._id || played.user) === this.currentUser.id);
+        return `<span class="w-2 h-2 rounded-full ${hasPlayed ? 'hidden' : 'bg-blue-400'}" data-voice-played title="Dinlenmedi"></span>`;
+    }
+
+    renderVoicePlayer(message, isOwn) {
+        const waveform = message.fileData.waveform && message.fileData.waveform.length > 0
+            ? message.fileData.waveform
+            : new Array(40).fill(15);
+
+        const bars = waveform.map(peak => `
+            <span class="flex-1 rounded-full bg-current opacity-40 transition-opacity" data-voice-bar style="height: ${Math.max(10, peak)}%"></span>
+        `).join('');
+
+        return `
+            <div class="flex items-center space-x-3 min-w-[220px]" data-voice-player>
+                <button type="button" class="w-9 h-9 flex-shrink-0 rounded-full bg-white bg-opacity-20 hover:bg-opacity-30 flex items-center justify-center transition-colors"
+                        data-action="toggle-voice-playback" data-voice-toggle title="Oynat">
+                    <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                </button>
+                <div class="flex-1 min-w-0">
+                    <div class="flex items-center h-8 space-x-px cursor-pointer" data-action="seek-voice">
+                        ${bars}
+                    </div>
+                    <div class="flex items-center justify-between mt-1 text-xs opacity-75">
+                        <span class="tabular-nums" data-voice-time>${this.formatVoiceDuration(message.fileData.duration)}</span>
+                        <span class="flex items-center space-x-2">
+                            <button type="button" class="px-1.5 rounded bg-white bg-opacity-20 font-medium" data-action="cycle-voice-speed" data-voice-speed>${this.voicePlaybackRate}x</button>
+                            ${this.renderVoicePlayedIndicator(message, isOwn)}
+                        </span>
+                    </div>
+                </div>
+                <audio class="hidden" preload="none" data-voice-audio></audio>
+            </div>
+        `;
+    }
+
+    getVoicePlayer(messageId) {
+        return document.querySelector(`[data-message-id="${messageId}"] [data-voice-player]`);
+    }
+
+    async loadVoiceAudio(messageId, player) {
+        const audio = player.querySelector('[data-voice-audio]');
+        if (audio.dataset.ready) return audio;
+
+        const message = this.messages.find(msg => msg._id === messageId);
+        const url = message && message.fileData.localUrl
+            ? message.fileData.localUrl
+            : await this.getMediaObjectUrl(messageId);
+        if (!url) return null;
+
+        audio.src = url;
+        audio.dataset.ready = 'true';
+
+        audio.addEventListener('timeupdate', () => this.updateVoiceProgress(messageId, player, audio));
+        audio.addEventListener('play', () => this.setVoiceToggleState(player, true));
+        audio.addEventListener('pause', () => this.setVoiceToggleState(player, false));
+        audio.addEventListener('ended', () => {
+            audio.currentTime = 0;
+            this.updateVoiceProgress(messageId, player, audio);
+        });
+
+        return audio;
+    }
+
+    async toggleVoicePlayback(messageId) {
+        const player = this.getVoicePlayer(messageId);
+        if (!player) return;
+
+        const audio = await this.loadVoiceAudio(messageId, player);
+        if (!audio) {
+            this.showToast('Ses dosyası yüklenemedi', 'error');
+            return;
+        }
+
+        if (!audio.paused) {
+            audio.pause();
+            return;
+        }
+
+        if (this.activeVoiceAudio && this.activeVoiceAudio !== audio) {
+            this.activeVoiceAudio.pause();
+        }
+        this.activeVoiceAudio = audio;
+
+        audio.playbackRate = this.voicePlaybackRate;
+        try {
+            await audio.play();
+        } catch (error) {
+            console.error('Voice playback failed:', error);
+            this.showToast('Ses dosyası oynatılamadı', 'error');
+            return;
+        }
+        this.markVoicePlayed(messageId);
+    }
+
+    getVoiceDuration(messageId, audio) {
+        // Browser recordings are often written without a duration header, so fall back to the server's value
+        if (Number.isFinite(audio.duration) && audio.duration > 0) return audio.duration;
+
+        const message = this.messages.find(msg => msg._id === messageId);
+        return message && message.fileData.duration ? message.fileData.duration : 0;
+    }
+
+    async seekVoicePlayback(messageId, event) {
+        const player = this.getVoicePlayer(messageId);
+        if (!player) return;
+
+        const audio = await this.loadVoiceAudio(messageId, player);
+        const duration = audio ? this.getVoiceDuration(messageId, audio) : 0;
+        if (!duration) return;
+
+        const rect = event.target.closest('[data-action="seek-voice"]').getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+
+        audio.currentTime = ratio * duration;
+        this.updateVoiceProgress(messageId, player, audio);
+    }
+
+    updateVoiceProgress(messageId, player, audio) {
+        const duration = this.getVoiceDuration(messageId, audio);
+        const progress = duration ? Math.min(1, audio.currentTime / duration) : 0;
+        const bars = player.querySelectorAll('[data-voice-bar]');
+        const playedBars = Math.round(progress * bars.length);
+
+        bars.forEach((bar, index) => {
+            bar.classList.toggle('opacity-40', index >= playedBars);
+        });
+
+        player.querySelector('[data-voice-time]').textContent = this.formatVoiceDuration(
+            audio.currentTime > 0 ? audio.currentTime : duration
+        );
+    }
+
+    setVoiceToggleState(player, isPlaying) {
+        const toggle = player.querySelector('[data-voice-toggle]');
+        toggle.title = isPlaying ? 'Duraklat' : 'Oynat';
+        toggle.innerHTML = isPlaying
+            ? '<svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M6 5h4v14H6zM14 5h4v14h-4z"/></svg>'
+            : '<svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>';
+    }
+
+    cycleVoicePlaybackRate() {
+        const currentIndex = this.voicePlaybackRates.indexOf(this.voicePlaybackRate);
+        this.voicePlaybackRate = this.voicePlaybackRates[(currentIndex + 1) % this.voicePlaybackRates.length];
+        localStorage.setItem('voicePlaybackRate', String(this.voicePlaybackRate));
+
+        document.querySelectorAll('[data-voice-speed]').forEach(button => {
+            button.textContent = `${this.voicePlaybackRate}x`;
+        });
+
+        if (this.activeVoiceAudio) {
+            this.activeVoiceAudio.playbackRate = this.voicePlaybackRate;
+        }
+    }
+
+    async markVoicePlayed(messageId) {
+        const message = this.messages.find(msg => msg._id === messageId);
+        if (!message || message.isPending || message.sender._id === this.currentUser.id) return;
+
+        message.playedBy = message.playedBy || [];
+        if (message.playedBy.some(played => (played.user._id || played.user) === this.currentUser.id)) return;
+
+        message.playedBy.push({ user: this.currentUser.id, playedAt: new Date() });
+        this.updateVoicePlayedIndicator(message);
+
+        try {
+            await this.apiCall(`/api/message/${messageId}/played`, { method: 'POST' });
+        } catch (error) {
+            console.error('Mark as played error:', error);
+        }
+    }
+
+    updateVoicePlayedIndicator(message) {
+        const indicator = document.querySelector(`[data-message-id="${message._id}"] [data-voice-played]`);
+        if (!indicator) return;
+
+        const isOwn = message.sender._id === this.currentUser.id;
+        indicator.outerHTML = this.renderVoicePlayedIndicator(message, isOwn);
+    }
+
+    getMediaSourceAttribute(message) {
+        // Pending messages show the local file while it uploads; stored ones are fetched with auth headers
+        if (message.fileData.localUrl) {
+            return `src="${message.fileData.localUrl}"`;
+        }
+        return `data-media-message-id="${message._id}"`;
+    }
+
+    renderUploadProgress(progress) {
+        return `
+            <div class="mt-2 h-1 w-full bg-black bg-opacity-20 rounded-full overflow-hidden">
+                <div class="h-full bg-white rounded-full transition-all" data-upload-progress style="width: ${Math.round(progress * 100)}%"></div>
+            </div>
+        `;
+    }
+
+    updateUploadProgress(messageId, progress) {
+        const message = this.messages.find(m => m._id === messageId);
+        if (message) {
+            message.uploadProgress = progress;
+        }
+
+        const progressBar = document.querySelector(`[data-message-id="${messageId}"] [data-upload-progress]`);
+        if (progressBar) {
+            progressBar.style.width = `${Math.round(progress * 100)}%`;
+        }
+    }
+
+    getMediaDimensionAttributes(message) {
+        // Lets the browser reserve the right space before the image arrives
+        if (!message.fileData.width || !message.fileData.height) return '';
+        return `width="${message.fileData.width}" height="${message.fileData.height}"`;
+    }
+
+    hydrateMessageMedia(element) {
+        element.querySelectorAll('[data-media-message-id]').forEach(async (mediaElement) => {
+            const url = await this.getMediaObjectUrl(mediaElement.dataset.mediaMessageId);
+            if (!url) return;
+
+            mediaElement.src = url;
+            if (mediaElement.tagName === 'SOURCE') {
+                mediaElement.parentElement.load();
+            }
+        });
+
+        element.querySelectorAll('[data-media-poster-id]').forEach(async (videoElement) => {
+            const url = await this.getMediaObjectUrl(videoElement.dataset.mediaPosterId, 'poster');
+            if (url) {
+                videoElement.poster = url;
+            }
+        });
+    }
+
+    getMediaObjectUrl(messageId, variant = 'file') {
+        const cacheKey = variant === 'file' ? messageId : `${variant}:${messageId}`;
+
+        if (!this.mediaObjectUrls.has(cacheKey)) {
+            const url = variant === 'poster'
+                ? `/api/message/thumbnail/${messageId}?variant=poster`
+                : `/api/message/file/${messageId}`;
+
+            const request = this.fetchWithAuth(url)
+                .then(response => response.ok ? response.blob() : null)
+                .then(blob => blob ? URL.createObjectURL(blob) : null)
+                .catch(() => null)
+                .then(objectUrl => {
+                    if (!objectUrl) this.mediaObjectUrls.delete(cacheKey);
+                    return objectUrl;
+                });
+
+            this.mediaObjectUrls.set(cacheKey, request);
+        }
+
+        return this.mediaObjectUrls.get(cacheKey);
+    }
+
+    async fetchWithAuth(url, options = {}) {
+        const request = () => fetch(`${this.apiUrl}${url}`, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${this.accessToken}`,
+                'X-Session-ID': this.sessionId
+            }
+        });
+
+        const response = await request();
+        if (response.status === 401 && this.refreshToken && await this.refreshAccessToken()) {
+            return request();
+        }
+
+        return response;
+    }
+
+    revokeMediaObjectUrls() {
+        this.mediaObjectUrls.forEach(request => {
+            request.then(url => url && URL.revokeObjectURL(url));
+        });
+        this.mediaObjectUrls.clear();
+    }
+
+    getFileIcon(fileType) {
+        if (!fileType) {
+            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/></svg>';
+        }
+
+        if (fileType.includes('pdf')) {
+            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/></svg>';
+        } else if (fileType.includes('video')) {
+            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.828 14.828a4 4 0 01-5.656 0M9 10h1.586a1 1 0 01.707.293l2.414 2.414a1 1 0 00.707.293H15M9 10V9a2 2 0 012-2h2a2 2 0 012 2v1M9 10v5a2 2 0 002 2h2a2 2 0 002-2v-5"/></svg>';
+        } else if (fileType.includes('audio')) {
+            return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19V6l12-3v13M9 19c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zm12-3c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zM9 10l12-3"/></svg>';
         } else if (fileType.includes('word') || fileType.includes('doc')) {
             return '<svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/></svg>';
         } else if (fileType.includes('excel') || fileType.includes('sheet')) {
@@ -1332,15 +2532,33 @@ class ChatApp {
 
             switch (action) {
                 case 'view-image':
-                    const imageSrc = e.target.dataset.imageSrc;
+                    const imageSrc = e.target.src;
                     const imageName = e.target.dataset.imageName;
-                    this.openImageViewer(imageSrc, imageName);
+                    if (imageSrc) {
+                        this.openImageViewer(imageSrc, imageName);
+                    }
                     break;
 
                 case 'download-file':
                     this.downloadFile(messageId);
                     break;
 
+                case 'toggle-voice-playback':
+                    this.toggleVoicePlayback(messageId);
+                    break;
+
+                case 'seek-voice':
+                    this.seekVoicePlayback(messageId, e);
+                    break;
+
+                case 'cycle-voice-speed':
+                    this.cycleVoicePlaybackRate();
+                    break;
+
+                case 'remove-link-preview':
+                    this.removeLinkPreview(messageId);
+                    break;
+
                 case 'toggle-selection':
                     this.toggleMessageSelection(messageId);
                     break;
@@ -1353,6 +2571,30 @@ class ChatApp {
                     this.showMessageInfo(messageId);
                     break;
 
+                case 'edit-message':
+                    this.editMessage(messageId);
+                    break;
+
+                case 'toggle-pin':
+                    this.togglePinMessage(messageId);
+                    break;
+
+                case 'reply-message':
+                    this.startReply(messageId);
+                    break;
+
+                case 'show-replies':
+                    this.showReplies(messageId);
+                    break;
+
+                case 'react':
+                    this.toggleReaction(messageId, e.target.closest('[data-emoji]').dataset.emoji);
+                    break;
+
+                case 'jump-to-message':
+                    this.jumpToMessage(e.target.closest('[data-target-message-id]').dataset.targetMessageId);
+                    break;
+
                 case 'delete-for-me':
                     this.deleteMessageForMe(messageId);
                     break;
@@ -1380,6 +2622,7 @@ class ChatApp {
 
         const isOwn = message.sender._id === this.currentUser.id;
         const canDeleteForEveryone = this.canDeleteForEveryone(message);
+        const canEdit = this.canEditMessage(message);
 
         const contextMenu = document.createElement('div');
         contextMenu.className = 'message-context-menu fixed bg-white dark:bg-gray-800 rounded-lg shadow-lg py-2 min-w-[150px] z-50';
@@ -1387,9 +2630,25 @@ class ChatApp {
         contextMenu.style.top = event.pageY + 'px';
 
         contextMenu.innerHTML = `
+            ${!message.isPending && !message.isDeleted ? this.renderQuickReactions(messageId) : ''}
             <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="show-info" data-message-id="${messageId}">
                 Mesaj Bilgisi
             </button>
+            ${!message.isPending && !message.isDeleted ? `
+                <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="reply-message" data-message-id="${messageId}">
+                    Yanıtla
+                </button>
+            ` : ''}
+            ${canEdit ? `
+                <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="edit-message" data-message-id="${messageId}">
+                    Düzenle
+                </button>
+            ` : ''}
+            ${this.canPinMessage(message) ? `
+                <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="toggle-pin" data-message-id="${messageId}">
+                    ${this.isMessagePinned(messageId) ? 'Sabitlemeyi Kaldır' : 'Sabitle'}
+                </button>
+            ` : ''}
             <button class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm" data-action="delete-for-me" data-message-id="${messageId}">
                 Benim İçin Sil
             </button>
@@ -1419,9 +2678,21 @@ class ChatApp {
 
             if (action) {
                 switch (action) {
+                    case 'react':
+                        this.toggleReaction(messageId, e.target.dataset.emoji);
+                        break;
                     case 'show-info':
                         this.showMessageInfo(messageId);
                         break;
+                    case 'edit-message':
+                        this.editMessage(messageId);
+                        break;
+                    case 'reply-message':
+                        this.startReply(messageId);
+                        break;
+                    case 'toggle-pin':
+                        this.togglePinMessage(messageId);
+                        break;
                     case 'delete-for-me':
                         this.deleteMessageForMe(messageId);
                         break;
@@ -1431,61 +2702,407 @@ class ChatApp {
                 }
                 contextMenu.remove();
             }
-        });
+        });
+    }
+
+    getMessageDeliveryStatus(message) {
+        if (!message.metadata) return 'sent';
+
+        const isRead = this.isMessageReadByOthers(message);
+        if (isRead) return 'read';
+
+        return message.metadata.deliveryStatus || 'sent';
+    }
+
+    isMessageReadByOthers(message) {
+        if (!message.readBy) return false;
+        return message.readBy.some(read => read.user !== this.currentUser.id);
+    }
+
+    getDeliveryStatusIcon(status, isOwn) {
+        if (!isOwn) return '';
+
+        switch (status) {
+            case 'sent':
+                return `<div class="text-white text-opacity-70"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg></div>`;
+            case 'delivered':
+                return `<div class="text-white text-opacity-70"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7M5 13l4 4L19 7"/></svg></div>`;
+            case 'read':
+                return `<div class="text-success text-opacity-90"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7M5 13l4 4L19 7"/></svg></div>`;
+            default:
+                return '';
+        }
+    }
+
+    getDeliveryInfo(message) {
+        if (!message.metadata) return this.formatTime(message.createdAt);
+
+        let info = `Gönderildi: ${this.formatTime(message.metadata.sentAt || message.createdAt)}`;
+
+        if (message.metadata.deliveredAt) {
+            info += `\nTeslim edildi: ${this.formatTime(message.metadata.deliveredAt)}`;
+        }
+
+        if (message.metadata.readAt) {
+            info += `\nOkundu: ${this.formatTime(message.metadata.readAt)}`;
+        }
+
+        return info;
+    }
+
+    canDeleteForEveryone(message) {
+        if (message.sender._id !== this.currentUser.id) return false;
+
+        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        const messageTime = new Date(message.createdAt);
+
+        return messageTime > oneHourAgo;
+    }
+
+    canEditMessage(message) {
+        if (message.sender._id !== this.currentUser.id) return false;
+        if (message.type !== 'text' || message.isDeleted || message.isPending) return false;
+
+        const messageTime = new Date(message.createdAt);
+
+        return Date.now() - messageTime.getTime() < this.messageEditWindowMs;
+    }
+
+    editMessage(messageId) {
+        const message = this.messages.find(m => m._id === messageId);
+        if (!message || !this.canEditMessage(message)) {
+            this.showToast('Bu mesaj artık düzenlenemez', 'error');
+            return;
+        }
+
+        const newContent = prompt('Mesajı düzenle:', message.content);
+        if (newContent === null) {
+            return;
+        }
+
+        const trimmedContent = newContent.trim();
+        if (!trimmedContent || trimmedContent === message.content) {
+            return;
+        }
+
+        if (trimmedContent.length > 2000) {
+            this.showToast('Mesaj en fazla 2000 karakter olabilir', 'error');
+            return;
+        }
+
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('edit_message', {
+                messageId: messageId,
+                content: trimmedContent,
+                sessionId: this.sessionId
+            });
+        }
+    }
+
+    renderQuickReactions(messageId) {
+        return `
+            <div class="flex items-center justify-between px-3 pb-2 mb-1 border-b border-gray-100 dark:border-gray-700">
+                ${this.quickReactions.map(emoji => `
+                    <button class="text-lg hover:scale-125 transition-transform" data-action="react" data-emoji="${emoji}" data-message-id="${messageId}">${emoji}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderReactions(message, isOwn) {
+        if (!message.reactions || message.reactions.length === 0 || message.isDeleted) {
+            return '';
+        }
+
+        return `
+            <div class="flex flex-wrap gap-1 mt-2">
+                ${message.reactions.map(reaction => {
+                    const reactedByMe = reaction.users.some(user => (user._id || user) === this.currentUser.id);
+                    return `
+                        <button class="px-2 py-0.5 rounded-full text-xs flex items-center space-x-1 border ${reactedByMe
+                            ? 'border-primary-500 bg-primary-100 dark:bg-primary-900 text-primary-700 dark:text-primary-200'
+                            : isOwn ? 'border-white border-opacity-40 bg-white bg-opacity-20' : 'border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700'}"
+                                data-action="react" data-emoji="${reaction.emoji}" data-message-id="${message._id}"
+                                title="${reactedByMe ? 'Tepkini kaldır' : 'Tepki ver'}">
+                            <span>${reaction.emoji}</span>
+                            <span>${reaction.count}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    toggleReaction(messageId, emoji) {
+        if (!emoji) return;
+
+        document.querySelectorAll('.message-menu').forEach(menu => menu.classList.add('hidden'));
+
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('react_message', {
+                messageId: messageId,
+                emoji: emoji
+            });
+        }
+    }
+
+    getReplyPreviewText(message) {
+        if (message.isDeleted) return 'Bu mesaj silindi';
+
+        switch (message.type) {
+            case 'image':
+                return '📷 ' + (message.fileData?.name || 'Fotoğraf');
+            case 'video':
+                return '🎥 ' + (message.fileData?.name || 'Video');
+            case 'audio':
+                return '🎵 ' + (message.fileData?.name || 'Ses');
+            case 'file':
+                return '📎 ' + (message.fileData?.name || 'Dosya');
+            default:
+                return message.content || '';
+        }
+    }
+
+    renderReplyQuote(replyTo, isOwn) {
+        const senderName = replyTo.sender && replyTo.sender.firstName
+            ? `${replyTo.sender.firstName} ${replyTo.sender.lastName}`
+            : 'Mesaj';
+
+        return `
+            <div class="mb-2 px-3 py-2 rounded-lg border-l-4 cursor-pointer ${isOwn ? 'bg-white bg-opacity-20 border-white' : 'bg-gray-100 dark:bg-gray-700 border-primary-500'}"
+                 data-action="jump-to-message" data-target-message-id="${replyTo._id}">
+                <p class="text-xs font-semibold">${this.escapeHtml(senderName)}</p>
+                <p class="text-xs truncate opacity-80 ${replyTo.isDeleted ? 'italic' : ''}">${this.escapeHtml(this.getReplyPreviewText(replyTo))}</p>
+            </div>
+        `;
+    }
+
+    startReply(messageId) {
+        const message = this.messages.find(m => m._id === messageId);
+        if (!message || message.isPending || message.isDeleted) return;
+
+        this.replyingTo = message;
+
+        const senderName = message.sender._id === this.currentUser.id
+            ? 'Kendinize yanıt veriyorsunuz'
+            : `${message.sender.firstName} ${message.sender.lastName} kişisine yanıt`;
+
+        document.getElementById('replyPreviewName').textContent = senderName;
+        document.getElementById('replyPreviewText').textContent = this.getReplyPreviewText(message);
+        document.getElementById('replyPreview').classList.remove('hidden');
+        document.getElementById('messageText').focus();
+    }
+
+    cancelReply() {
+        this.replyingTo = null;
+        document.getElementById('replyPreview').classList.add('hidden');
+        document.getElementById('replyPreviewName').textContent = '';
+        document.getElementById('replyPreviewText').textContent = '';
+    }
+
+    jumpToMessage(messageId) {
+        const messageElement = document.querySelector(`#messagesList > [data-message-id="${messageId}"]`);
+        if (!messageElement) {
+            this.showToast('Orijinal mesaj henüz yüklenmedi', 'info');
+            return;
+        }
+
+        this.closeThreadModal();
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageElement.classList.add('ring-2', 'ring-primary-500', 'rounded-2xl');
+        setTimeout(() => {
+            messageElement.classList.remove('ring-2', 'ring-primary-500', 'rounded-2xl');
+        }, 2000);
+    }
+
+    async showReplies(messageId) {
+        try {
+            const response = await this.apiCall(`/api/message/${messageId}/replies`);
+            if (response.success) {
+                this.openThreadModal(response.data.parent, response.data.replies);
+            }
+        } catch (error) {
+            this.showToast('Yanıtlar yüklenirken hata oluştu', 'error');
+        }
+    }
+
+    openThreadModal(parent, replies) {
+        const modal = document.getElementById('threadModal');
+        const content = document.getElementById('threadContent');
+
+        const renderEntry = (message, isParent) => `
+            <div class="p-3 rounded-xl cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 ${isParent ? 'bg-gray-100 dark:bg-gray-700 mb-3' : ''}"
+                 data-target-message-id="${message._id}">
+                <div class="flex justify-between">
+                    <span class="text-sm font-medium text-gray-900 dark:text-gray-100">${this.escapeHtml(`${message.sender.firstName} ${message.sender.lastName}`)}</span>
+                    <span class="text-xs text-gray-500 dark:text-gray-400">${this.formatFullTime(message.createdAt)}</span>
+                </div>
+                <p class="text-sm text-gray-600 dark:text-gray-400 mt-1 break-words">${this.escapeHtml(this.getReplyPreviewText(message))}</p>
+                ${!isParent && message.replyCount > 0 ? `
+                    <span class="text-xs text-primary-600 dark:text-primary-400">${message.replyCount} yanıt</span>
+                ` : ''}
+            </div>
+        `;
+
+        content.innerHTML = `
+            ${renderEntry(parent, true)}
+            <div class="space-y-1">
+                ${replies.length > 0
+                    ? replies.map(reply => renderEntry(reply, false)).join('')
+                    : '<p class="text-sm text-gray-500 dark:text-gray-400 text-center py-4">Henüz yanıt yok</p>'}
+            </div>
+        `;
+
+        content.querySelectorAll('[data-target-message-id]').forEach(entry => {
+            entry.addEventListener('click', () => this.jumpToMessage(entry.dataset.targetMessageId));
+        });
+
+        modal.classList.remove('hidden');
+    }
+
+    closeThreadModal() {
+        document.getElementById('threadModal').classList.add('hidden');
+    }
+
+    openSearchModal() {
+        const currentOnly = document.getElementById('messageSearchCurrentOnly');
+        currentOnly.disabled = !this.currentConversation;
+        if (!this.currentConversation) {
+            currentOnly.checked = false;
+        }
+
+        document.getElementById('searchModal').classList.remove('hidden');
+        document.getElementById('userDropdown').classList.add('hidden');
+        document.getElementById('messageSearchInput').focus();
+    }
+
+    closeSearchModal() {
+        clearTimeout(this.searchDebounceId);
+        document.getElementById('searchModal').classList.add('hidden');
+    }
+
+    async runMessageSearch(reset) {
+        const q = document.getElementById('messageSearchInput').value.trim();
+
+        if (reset) {
+            this.searchResults = [];
+            this.searchNextCursor = null;
+        }
+
+        if (q.length < 2) {
+            this.renderSearchResults();
+            return;
+        }
+
+        const params = new URLSearchParams({ q, limit: 20 });
+        const type = document.getElementById('messageSearchType').value;
+        const from = document.getElementById('messageSearchFrom').value;
+        const to = document.getElementById('messageSearchTo').value;
+
+        if (type) params.set('type', type);
+        if (document.getElementById('messageSearchHasAttachment').checked) params.set('hasAttachment', 'true');
+        if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+        if (document.getElementById('messageSearchCurrentOnly').checked && this.currentConversation) {
+            params.set('conversationId', this.currentConversation._id);
+        }
+        if (!reset && this.searchNextCursor) params.set('cursor', this.searchNextCursor);
+
+        try {
+            const response = await this.apiCall(`/api/message/search?${params.toString()}`);
+
+            // Drop responses for a query the user has already typed past
+            if (document.getElementById('messageSearchInput').value.trim() !== q) return;
+
+            if (response.success) {
+                this.searchResults = reset ? response.data.results : this.searchResults.concat(response.data.results);
+                this.searchNextCursor = response.data.pagination.nextCursor;
+                this.renderSearchResults();
+            } else {
+                this.showToast(response.message || 'Arama yapılamadı', 'error');
+            }
+        } catch (error) {
+            this.showToast('Arama sırasında hata oluştu', 'error');
+        }
     }
 
-    getMessageDeliveryStatus(message) {
-        if (!message.metadata) return 'sent';
+    renderSearchResults() {
+        const container = document.getElementById('messageSearchResults');
+        const moreButton = document.getElementById('messageSearchMore');
+        const q = document.getElementById('messageSearchInput').value.trim();
 
-        const isRead = this.isMessageReadByOthers(message);
-        if (isRead) return 'read';
+        moreButton.classList.toggle('hidden', !this.searchNextCursor);
 
-        return message.metadata.deliveryStatus || 'sent';
-    }
+        if (this.searchResults.length === 0) {
+            container.innerHTML = q.length < 2
+                ? ''
+                : '<p class="text-sm text-gray-500 dark:text-gray-400 text-center py-4">Sonuç bulunamadı</p>';
+            return;
+        }
 
-    isMessageReadByOthers(message) {
-        if (!message.readBy) return false;
-        return message.readBy.some(read => read.user !== this.currentUser.id);
+        container.innerHTML = this.searchResults.map((result, index) => {
+            const { message, conversation } = result;
+            const title = conversation.type === 'group'
+                ? conversation.name
+                : conversation.otherParticipant
+                    ? `${conversation.otherParticipant.firstName} ${conversation.otherParticipant.lastName}`
+                    : 'Bilinmeyen sohbet';
+            const senderName = message.sender ? `${message.sender.firstName} ${message.sender.lastName}` : '';
+
+            return `
+                <div class="p-3 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer transition-colors" data-search-index="${index}">
+                    <div class="flex items-center justify-between">
+                        <span class="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">${this.escapeHtml(title)}</span>
+                        <span class="text-xs text-gray-500 dark:text-gray-400 ml-2 flex-shrink-0">${this.formatFullTime(message.createdAt)}</span>
+                    </div>
+                    <p class="text-xs text-gray-500 dark:text-gray-400">${this.escapeHtml(senderName)}</p>
+                    <p class="text-sm text-gray-600 dark:text-gray-400 mt-1 break-words">${this.renderSnippet(result.snippet)}</p>
+                </div>
+            `;
+        }).join('');
     }
 
-    getDeliveryStatusIcon(status, isOwn) {
-        if (!isOwn) return '';
+    renderSnippet(snippet) {
+        if (!snippet || !snippet.text) return '';
 
-        switch (status) {
-            case 'sent':
-                return `<div class="text-white text-opacity-70"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg></div>`;
-            case 'delivered':
-                return `<div class="text-white text-opacity-70"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7M5 13l4 4L19 7"/></svg></div>`;
-            case 'read':
-                return `<div class="text-success text-opacity-90"><svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7M5 13l4 4L19 7"/></svg></div>`;
-            default:
-                return '';
-        }
-    }
+        let html = '';
+        let position = 0;
 
-    getDeliveryInfo(message) {
-        if (!message.metadata) return this.formatTime(message.createdAt);
+        snippet.highlights.forEach(({ start, length }) => {
+            if (start < position) return;
+            html += this.escapeHtml(snippet.text.slice(position, start));
+            html += `<mark class="bg-yellow-200 dark:bg-yellow-600 rounded px-0.5">${this.escapeHtml(snippet.text.slice(start, start + length))}</mark>`;
+            position = start + length;
+        });
 
-        let info = `Gönderildi: ${this.formatTime(message.metadata.sentAt || message.createdAt)}`;
+        return html + this.escapeHtml(snippet.text.slice(position));
+    }
 
-        if (message.metadata.deliveredAt) {
-            info += `\nTeslim edildi: ${this.formatTime(message.metadata.deliveredAt)}`;
-        }
+    async openSearchResult(result) {
+        if (!result) return;
 
-        if (message.metadata.readAt) {
-            info += `\nOkundu: ${this.formatTime(message.metadata.readAt)}`;
+        const { message, conversation } = result;
+
+        if (conversation.type !== 'private' || !conversation.otherParticipant) {
+            this.showToast('Grup sohbetleri bu arayüzde açılamıyor', 'info');
+            return;
         }
 
-        return info;
-    }
+        this.closeSearchModal();
 
-    canDeleteForEveryone(message) {
-        if (message.sender._id !== this.currentUser.id) return false;
+        if (this.currentConversation && this.currentConversation._id === conversation._id &&
+            document.querySelector(`#messagesList > [data-message-id="${message._id}"]`)) {
+            this.jumpToMessage(message._id);
+            return;
+        }
 
-        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-        const messageTime = new Date(message.createdAt);
+        const user = this.users.find(u => u._id === conversation.otherParticipant._id);
+        if (!user) {
+            this.showToast('Kullanıcı bulunamadı', 'error');
+            return;
+        }
 
-        return messageTime > oneHourAgo;
+        await this.selectUser(user, { aroundMessageId: message._id });
     }
 
     toggleMessageMenu(messageId) {
@@ -1525,6 +3142,19 @@ class ChatApp {
                     <h4 class="font-medium text-gray-900 dark:text-gray-100">Mesaj İçeriği</h4>
                     <p class="text-sm text-gray-600 dark:text-gray-400 mt-1 break-words">${this.escapeHtml(message.content)}</p>
                 </div>
+                ${message.editHistory && message.editHistory.length > 0 ? `
+                    <div>
+                        <h4 class="font-medium text-gray-900 dark:text-gray-100">Düzenleme Geçmişi</h4>
+                        <div class="space-y-2 mt-2 max-h-48 overflow-y-auto">
+                            ${message.editHistory.slice().reverse().map(version => `
+                                <div class="border-l-2 border-gray-300 dark:border-gray-600 pl-3">
+                                    <p class="text-sm text-gray-600 dark:text-gray-400 break-words">${this.escapeHtml(version.content)}</p>
+                                    <span class="text-xs text-gray-500 dark:text-gray-500">${this.formatFullTime(version.editedAt)} tarihine kadar</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
                 <div>
                     <h4 class="font-medium text-gray-900 dark:text-gray-100">Durum Bilgileri</h4>
                     <div class="space-y-2 mt-2">
@@ -1542,6 +3172,19 @@ class ChatApp {
                         </div>
                     </div>
                 </div>
+                ${message.reactions && message.reactions.length > 0 ? `
+                    <div>
+                        <h4 class="font-medium text-gray-900 dark:text-gray-100">Tepkiler</h4>
+                        <div class="space-y-1 mt-2">
+                            ${message.reactions.map(reaction => `
+                                <div class="flex justify-between">
+                                    <span class="text-sm">${reaction.emoji} ${reaction.count}</span>
+                                    <span class="text-sm text-gray-600 dark:text-gray-400 text-right">${reaction.users.map(user => this.escapeHtml(`${user.firstName} ${user.lastName}`)).join(', ')}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
                 ${message.readBy && message.readBy.length > 0 ? `
                     <div>
                         <h4 class="font-medium text-gray-900 dark:text-gray-100">Okuyan Kişiler</h4>
@@ -1577,10 +3220,12 @@ class ChatApp {
             </div>
         `;
 
+        this.messageInfoId = message._id;
         modal.classList.remove('hidden');
     }
 
     closeMessageInfoModal() {
+        this.messageInfoId = null;
         document.getElementById('messageInfoModal').classList.add('hidden');
     }
 
@@ -1833,10 +3478,9 @@ class ChatApp {
         const file = e.target.files[0];
         if (!file) return;
 
-        const maxSize = file.type.startsWith('video/') ? 25 * 1024 * 1024 : 10 * 1024 * 1024;
+        const maxSize = this.getUploadSizeLimit(file.type);
         if (file.size > maxSize) {
-            const limit = file.type.startsWith('video/') ? '25MB' : '10MB';
-            this.showToast(`Dosya boyutu ${limit}\'dan küçük olmalı`, 'error');
+            this.showToast(`Dosya boyutu ${Math.round(maxSize / (1024 * 1024))}MB\'dan küçük olmalı`, 'error');
             e.target.value = '';
             return;
         }
@@ -1956,6 +3600,7 @@ class ChatApp {
 
     removeSelectedFile() {
         this.selectedFile = null;
+        this.selectedFileMeta = null;
         document.getElementById('filePreview').classList.add('hidden');
         document.getElementById('fileInput').value = '';
 
@@ -1968,11 +3613,403 @@ class ChatApp {
         `;
     }
 
+    getVoiceRecordingMimeType() {
+        const candidates = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    async startVoiceRecording() {
+        if (this.voiceRecording) return;
+
+        if (!this.currentConversation) {
+            this.showToast('Sohbet seçilmedi', 'error');
+            return;
+        }
+
+        if (this.selectedFile) {
+            this.showToast('Önce seçili dosyayı gönderin veya kaldırın', 'error');
+            return;
+        }
+
+        if (!navigator.mediaDevices || !window.MediaRecorder) {
+            this.showToast('Tarayıcınız ses kaydını desteklemiyor', 'error');
+            return;
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            console.error('Microphone access failed:', error);
+            this.showToast('Mikrofona erişilemedi', 'error');
+            return;
+        }
+
+        const mimeType = this.getVoiceRecordingMimeType();
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const recording = {
+            recorder,
+            stream,
+            chunks: [],
+            elapsedMs: 0,
+            resumedAt: Date.now(),
+            timerId: null,
+            stopped: new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }))
+        };
+
+        recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) {
+                recording.chunks.push(event.data);
+            }
+        });
+
+        recorder.start(1000);
+        recording.timerId = setInterval(() => this.updateVoiceRecordingTime(), 250);
+        this.voiceRecording = recording;
+
+        this.setVoiceRecorderVisible(true);
+        this.updateVoiceRecordingTime();
+    }
+
+    getVoiceRecordingElapsed() {
+        const recording = this.voiceRecording;
+        if (!recording) return 0;
+
+        return recording.elapsedMs + (recording.resumedAt ? Date.now() - recording.resumedAt : 0);
+    }
+
+    updateVoiceRecordingTime() {
+        const elapsed = this.getVoiceRecordingElapsed();
+        document.getElementById('voiceRecordingTime').textContent = this.formatVoiceDuration(elapsed / 1000);
+
+        if (elapsed >= this.voiceRecordingMaxMs) {
+            this.finishVoiceRecording();
+        }
+    }
+
+    toggleVoiceRecordingPause() {
+        const recording = this.voiceRecording;
+        if (!recording) return;
+
+        const pauseButton = document.getElementById('pauseVoiceRecording');
+        const indicator = document.getElementById('voiceRecordingIndicator');
+
+        if (recording.recorder.state === 'recording') {
+            recording.recorder.pause();
+            recording.elapsedMs += Date.now() - recording.resumedAt;
+            recording.resumedAt = null;
+            pauseButton.title = 'Devam et';
+            pauseButton.innerHTML = '<svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>';
+            indicator.classList.replace('bg-red-500', 'bg-gray-400');
+            indicator.classList.remove('animate-pulse');
+        } else if (recording.recorder.state === 'paused') {
+            recording.recorder.resume();
+            recording.resumedAt = Date.now();
+            pauseButton.title = 'Duraklat';
+            pauseButton.innerHTML = '<svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M6 5h4v14H6zM14 5h4v14h-4z"/></svg>';
+            indicator.classList.replace('bg-gray-400', 'bg-red-500');
+            indicator.classList.add('animate-pulse');
+        }
+    }
+
+    async stopVoiceRecording() {
+        const recording = this.voiceRecording;
+        if (!recording) return null;
+
+        this.voiceRecording = null;
+        clearInterval(recording.timerId);
+
+        if (recording.resumedAt) {
+            recording.elapsedMs += Date.now() - recording.resumedAt;
+        }
+
+        if (recording.recorder.state !== 'inactive') {
+            recording.recorder.stop();
+            await recording.stopped;
+        }
+        recording.stream.getTracks().forEach(track => track.stop());
+
+        this.setVoiceRecorderVisible(false);
+        return recording;
+    }
+
+    async cancelVoiceRecording() {
+        await this.stopVoiceRecording();
+    }
+
+    async finishVoiceRecording() {
+        const recording = await this.stopVoiceRecording();
+        if (!recording) return;
+
+        if (recording.elapsedMs < 1000 || recording.chunks.length === 0) {
+            this.showToast('Kayıt çok kısa', 'error');
+            return;
+        }
+
+        const type = (recording.recorder.mimeType || recording.chunks[0].type || 'audio/webm').split(';')[0];
+        const extension = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' }[type] || 'webm';
+        const file = new File(recording.chunks, `sesli-mesaj-${Date.now()}.${extension}`, { type });
+
+        this.selectedFile = file;
+        this.selectedFileMeta = {
+            isVoice: true,
+            duration: Math.round(recording.elapsedMs / 100) / 10
+        };
+
+        await this.handleSendMessage({ preventDefault: () => {} });
+
+        // A failed send must not leave the recording attached to the next text message
+        if (this.selectedFile === file) {
+            this.removeSelectedFile();
+        }
+    }
+
+    setVoiceRecorderVisible(isVisible) {
+        document.getElementById('voiceRecorder').classList.toggle('hidden', !isVisible);
+        document.getElementById('messageTextContainer').classList.toggle('hidden', isVisible);
+        document.getElementById('voiceRecordBtn').classList.toggle('hidden', isVisible);
+        document.getElementById('scheduleMessageBtn').classList.toggle('hidden', isVisible);
+        document.getElementById('sendMessageBtn').classList.toggle('hidden', isVisible);
+    }
+
+    toDateTimeInputValue(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    async toggleScheduleMenu(event) {
+        if (!this.currentConversation) return;
+
+        const existingMenu = document.querySelector('.schedule-menu');
+        if (existingMenu) {
+            existingMenu.remove();
+            return;
+        }
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'schedule-menu fixed bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 w-80 z-50';
+        menu.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+        menu.style.right = `${window.innerWidth - rect.right}px`;
+        menu.innerHTML = `
+            <p class="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">Mesajı zamanla</p>
+            <div class="flex items-center space-x-2">
+                <input type="datetime-local" class="schedule-date-input flex-1 px-3 py-2 text-sm bg-gray-100 dark:bg-gray-700 dark:text-gray-100 rounded-lg border-none focus:ring-2 focus:ring-primary-500 focus:outline-none"
+                       value="${this.toDateTimeInputValue(new Date(Date.now() + 60 * 60 * 1000))}"
+                       min="${this.toDateTimeInputValue(new Date())}">
+                <button type="button" class="schedule-submit px-3 py-2 text-sm bg-primary-500 hover:bg-primary-600 text-white rounded-lg transition-colors">Zamanla</button>
+            </div>
+            <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">Yazdığınız mesaj ve seçtiğiniz dosya bu zamanda gönderilir.</p>
+            <div class="scheduled-message-list mt-3 max-h-60 overflow-y-auto scrollbar-thin"></div>
+        `;
+
+        menu.addEventListener('click', (e) => {
+            if (e.target.closest('.schedule-submit')) {
+                const value = menu.querySelector('.schedule-date-input').value;
+                if (!value) {
+                    this.showToast('Gönderim zamanı seçin', 'error');
+                    return;
+                }
+                this.scheduleMessage(new Date(value));
+                return;
+            }
+
+            const editButton = e.target.closest('[data-edit-scheduled-id]');
+            if (editButton) {
+                this.editScheduledMessage(editButton.dataset.editScheduledId);
+                return;
+            }
+
+            const cancelButton = e.target.closest('[data-cancel-scheduled-id]');
+            if (cancelButton) {
+                this.cancelScheduledMessage(cancelButton.dataset.cancelScheduledId);
+            }
+        });
+
+        document.body.appendChild(menu);
+
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+
+        setTimeout(() => {
+            document.addEventListener('click', closeMenu);
+        }, 0);
+
+        await this.loadScheduledMessages();
+    }
+
+    async loadScheduledMessages() {
+        if (!this.currentConversation) return;
+
+        try {
+            const response = await this.apiCall(`/api/message/scheduled?conversationId=${this.currentConversation._id}`);
+            if (response.success) {
+                this.scheduledMessages = response.data.scheduledMessages;
+                this.renderScheduledMessages();
+            }
+        } catch (error) {
+            console.error('Zamanlanmış mesajlar yüklenemedi:', error);
+        }
+    }
+
+    renderScheduledMessages() {
+        const list = document.querySelector('.schedule-menu .scheduled-message-list');
+        if (!list) return;
+
+        if (this.scheduledMessages.length === 0) {
+            list.innerHTML = '<p class="text-xs text-gray-500 dark:text-gray-400">Bu sohbette zamanlanmış mesaj yok.</p>';
+            return;
+        }
+
+        list.innerHTML = `
+            <p class="text-xs text-gray-500 dark:text-gray-400 mb-1">Zamanlanmış mesajlar</p>
+            ${this.scheduledMessages.map(scheduled => `
+                <div class="py-2 border-t border-gray-100 dark:border-gray-700">
+                    <p class="text-sm text-gray-900 dark:text-gray-100 truncate">${scheduled.fileData ? '📎 ' : ''}${this.escapeHtml(scheduled.content)}</p>
+                    <div class="flex items-center justify-between mt-1">
+                        <span class="text-xs text-gray-500 dark:text-gray-400">${this.formatFullTime(scheduled.sendDate)}</span>
+                        ${scheduled.status === 'scheduled' ? `
+                            <span class="space-x-2">
+                                <button type="button" class="text-xs text-primary-600 dark:text-primary-400 hover:underline" data-edit-scheduled-id="${scheduled._id}">Düzenle</button>
+                                <button type="button" class="text-xs text-red-500 hover:underline" data-cancel-scheduled-id="${scheduled._id}">İptal</button>
+                            </span>
+                        ` : '<span class="text-xs text-gray-500 dark:text-gray-400">Gönderiliyor...</span>'}
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    async scheduleMessage(sendDate) {
+        if (!this.currentConversation) return;
+
+        if (sendDate <= new Date()) {
+            this.showToast('Gönderim zamanı gelecekte olmalı', 'error');
+            return;
+        }
+
+        const messageText = document.getElementById('messageText');
+        const content = messageText.value.trim();
+        const file = this.selectedFile;
+
+        if (!content && !file) {
+            this.showToast('Mesaj içeriği veya dosya gerekli', 'error');
+            return;
+        }
+
+        const conversationId = this.currentConversation._id;
+
+        try {
+            const scheduleData = {
+                conversationId,
+                content,
+                sendDate: sendDate.toISOString()
+            };
+
+            if (file) {
+                const maxSize = this.getUploadSizeLimit(file.type);
+                if (file.size > maxSize) {
+                    this.showToast(`Dosya boyutu ${Math.round(maxSize / (1024 * 1024))}MB'dan küçük olmalı`, 'error');
+                    return;
+                }
+
+                const upload = await this.uploadFile(file, conversationId, () => {});
+                scheduleData.uploadId = upload.uploadId;
+            }
+
+            const response = await this.apiCall('/api/message/schedule', {
+                method: 'POST',
+                body: JSON.stringify(scheduleData)
+            });
+
+            if (response.success) {
+                messageText.value = '';
+                if (this.selectedFile === file) {
+                    this.removeSelectedFile();
+                }
+                this.scheduledMessages = [...this.scheduledMessages, response.data.scheduledMessage]
+                    .sort((a, b) => new Date(a.sendDate) - new Date(b.sendDate));
+                this.renderScheduledMessages();
+                this.showToast(`Mesaj ${this.formatFullTime(response.data.scheduledMessage.sendDate)} için zamanlandı`, 'success');
+            } else {
+                this.showToast(response.message || 'Mesaj zamanlanamadı', 'error');
+            }
+        } catch (error) {
+            this.showToast('Mesaj zamanlanamadı: ' + error.message, 'error');
+        }
+    }
+
+    async editScheduledMessage(scheduledMessageId) {
+        const scheduled = this.scheduledMessages.find(item => item._id === scheduledMessageId);
+        if (!scheduled) return;
+
+        const newContent = prompt('Zamanlanmış mesajı düzenle:', scheduled.content);
+        if (newContent === null || newContent.trim() === scheduled.content) return;
+
+        try {
+            const response = await this.apiCall(`/api/message/scheduled/${scheduledMessageId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ content: newContent })
+            });
+
+            if (response.success) {
+                this.scheduledMessages = this.scheduledMessages.map(item =>
+                    item._id === scheduledMessageId ? response.data.scheduledMessage : item
+                );
+                this.renderScheduledMessages();
+                this.showToast('Zamanlanmış mesaj güncellendi', 'success');
+            } else {
+                this.showToast(response.message || 'Zamanlanmış mesaj güncellenemedi', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    async cancelScheduledMessage(scheduledMessageId) {
+        if (!confirm('Bu zamanlanmış mesajı iptal etmek istediğinizden emin misiniz?')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/message/scheduled/${scheduledMessageId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.scheduledMessages = this.scheduledMessages.filter(item => item._id !== scheduledMessageId);
+                this.renderScheduledMessages();
+                this.showToast('Zamanlanmış mesaj iptal edildi', 'success');
+            } else {
+                this.showToast(response.message || 'Zamanlanmış mesaj iptal edilemedi', 'error');
+            }
+        } catch (error) {
+            this.showToast('Sunucu hatası', 'error');
+        }
+    }
+
+    getScheduledMessageFailureText(reason) {
+        const reasons = {
+            CONVERSATION_NOT_FOUND: 'sohbet artık mevcut değil',
+            NOT_A_PARTICIPANT: 'artık bu sohbetin üyesi değilsiniz',
+            BLOCKED: 'kullanıcılardan biri diğerini engellemiş',
+            DELIVERY_ERROR: 'sunucu hatası'
+        };
+
+        return reasons[reason] || 'bilinmeyen hata';
+    }
+
     async handleSendMessage(e) {
         e.preventDefault();
 
         const messageText = document.getElementById('messageText');
-        const content = messageText.value.trim();
+        const isVoiceMessage = Boolean(this.selectedFileMeta && this.selectedFileMeta.isVoice);
+        this.hideMentionSuggestions();
+        // Voice notes go out on their own and leave whatever is typed in the input alone
+        const content = isVoiceMessage ? '' : messageText.value.trim();
 
         if (!content && !this.selectedFile) {
             this.showToast('Mesaj içeriği veya dosya gerekli', 'error');
@@ -2004,48 +4041,49 @@ class ChatApp {
                 content: content || (this.selectedFile ? this.selectedFile.name : ''),
                 type: 'text',
                 messageId: messageId,
-                sessionId: this.currentConversation.sessionId
-            };
-
-            if (this.selectedFile) {
-                try {
-                    this.showToast('Dosya yükleniyor...', 'info');
-
-                    const maxSize = this.selectedFile.type.startsWith('video/') ? 25 * 1024 * 1024 : 10 * 1024 * 1024;
-                    if (this.selectedFile.size > maxSize) {
-                        const limit = this.selectedFile.type.startsWith('video/') ? '25MB' : '10MB';
-                        this.showToast(`Dosya boyutu ${limit}'dan küçük olmalı`, 'error');
-                        this.pendingMessages.delete(messageId);
-                        return;
-                    }
-
-                    const fileData = await this.processFile(this.selectedFile);
-
-                    if (this.selectedFile.type.startsWith('image/')) {
-                        messageData.type = 'image';
-                    } else if (this.selectedFile.type.startsWith('video/')) {
-                        messageData.type = 'video';
-                    } else if (this.selectedFile.type.startsWith('audio/')) {
-                        messageData.type = 'audio';
-                    } else {
-                        messageData.type = 'file';
-                    }
+                sessionId: this.currentConversation.sessionId
+            };
 
-                    messageData.fileData = fileData;
-                    messageData.content = content || this.selectedFile.name; // Use text content if provided, otherwise filename
+            const replyingTo = this.replyingTo;
+            if (replyingTo) {
+                messageData.replyTo = replyingTo._id;
+            }
 
+            const file = this.selectedFile;
+            let localFileData = null;
 
-                } catch (error) {
-                    console.error('File processing error:', error);
-                    this.showToast('Dosya işlenirken hata oluştu: ' + error.message, 'error');
+            if (file) {
+                const maxSize = this.getUploadSizeLimit(file.type);
+                if (file.size > maxSize) {
+                    this.showToast(`Dosya boyutu ${Math.round(maxSize / (1024 * 1024))}MB'dan küçük olmalı`, 'error');
                     this.pendingMessages.delete(messageId);
                     return;
                 }
+
+                messageData.type = this.getUploadCategory(file.type);
+                messageData.content = content || file.name;
+                localFileData = {
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    localUrl: URL.createObjectURL(file)
+                };
+
+                if (isVoiceMessage) {
+                    messageData.fileData = {
+                        isVoice: true,
+                        duration: this.selectedFileMeta.duration
+                    };
+                    Object.assign(localFileData, messageData.fileData);
+                }
             }
 
             if (!this.socket || !this.socket.connected) {
                 this.showToast('Bağlantı kesildi. Lütfen tekrar deneyin.', 'error');
                 this.pendingMessages.delete(messageId);
+                if (localFileData) {
+                    URL.revokeObjectURL(localFileData.localUrl);
+                }
                 return;
             }
 
@@ -2060,7 +4098,14 @@ class ChatApp {
                 },
                 content: messageData.content,
                 type: messageData.type,
-                fileData: messageData.fileData,
+                fileData: localFileData,
+                replyTo: replyingTo ? {
+                    _id: replyingTo._id,
+                    sender: replyingTo.sender,
+                    content: replyingTo.content,
+                    type: replyingTo.type,
+                    fileData: replyingTo.fileData ? { name: replyingTo.fileData.name } : undefined
+                } : undefined,
                 createdAt: new Date(),
                 metadata: {
                     deliveryStatus: 'sending',
@@ -2069,8 +4114,29 @@ class ChatApp {
                 isPending: true
             };
 
+            // Sending from an older window jumps back to the latest messages first
+            if (!this.isViewingLatestMessages()) {
+                await this.loadMessages();
+            }
+
             this.addNewMessage(tempMessage);
 
+            if (file) {
+                try {
+                    const upload = await this.uploadFile(file, messageData.conversationId, (progress) => {
+                        this.updateUploadProgress(messageId, progress);
+                    });
+                    messageData.uploadId = upload.uploadId;
+                } catch (uploadError) {
+                    console.error('File upload failed:', uploadError);
+                    this.discardPendingMessage(messageId);
+                    URL.revokeObjectURL(localFileData.localUrl);
+                    this.showToast('Dosya yüklenemedi: ' + uploadError.message, 'error');
+                    this.pendingMessages.delete(messageId);
+                    return;
+                }
+            }
+
 
             const sendPromise = new Promise((resolve, reject) => {
                 const timeout = setTimeout(() => {
@@ -2090,7 +4156,7 @@ class ChatApp {
                     clearTimeout(timeout);
                     this.socket.off('message_sent', onMessageSent);
                     this.socket.off('error', onError);
-                    reject(new Error(error.message || 'Socket error'));
+                    reject(new Error(this.getFilePolicyMessage(error.code) || error.message || 'Socket error'));
                 };
 
                 this.socket.on('message_sent', onMessageSent);
@@ -2102,24 +4168,28 @@ class ChatApp {
             try {
                 await sendPromise;
 
-                messageText.value = '';
+                if (!isVoiceMessage) {
+                    messageText.value = '';
+                }
                 this.removeSelectedFile();
+                if (this.replyingTo === replyingTo) {
+                    this.cancelReply();
+                }
                 this.stopTyping();
                 this.showToast('Mesaj gönderildi', 'success');
 
             } catch (sendError) {
                 console.error('Message send failed:', sendError);
 
-                const failedMessageElement = document.querySelector(`[data-message-id="${messageId}"]`);
-                if (failedMessageElement) {
-                    failedMessageElement.remove();
-                }
-
-                this.messages = this.messages.filter(msg => msg._id !== messageId);
+                this.discardPendingMessage(messageId);
 
                 this.showToast('Mesaj gönderilemedi: ' + sendError.message, 'error');
             }
 
+            if (localFileData) {
+                URL.revokeObjectURL(localFileData.localUrl);
+            }
+
             setTimeout(() => {
                 this.pendingMessages.delete(messageId);
             }, 60000);
@@ -2131,181 +4201,162 @@ class ChatApp {
         }
     }
 
-    async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+    discardPendingMessage(messageId) {
+        const failedMessageElement = document.querySelector(`[data-message-id="${messageId}"]`);
+        if (failedMessageElement) {
+            failedMessageElement.remove();
+        }
 
-            reader.onload = (e) => {
-                try {
-                    const result = this.fixBase64Format(e.target.result);
+        this.messages = this.messages.filter(msg => msg._id !== messageId);
+    }
 
+    getUploadCategory(mimeType) {
+        if (mimeType.startsWith('image/')) return 'image';
+        if (mimeType.startsWith('video/')) return 'video';
+        if (mimeType.startsWith('audio/')) return 'audio';
+        return 'file';
+    }
 
-                    const fileData = {};
+    getUploadSizeLimit(mimeType) {
+        return this.uploadSizeLimits[this.getUploadCategory(mimeType)];
+    }
 
-                    if (file.name != null) {
-                        fileData.name = String(file.name);
-                    }
+    getFilePolicyMessage(code) {
+        const messages = {
+            FILE_TYPE_MISMATCH: 'Dosyanın içeriği uzantısıyla uyuşmuyor',
+            FILE_TYPE_BLOCKED: 'Bu dosya türü güvenlik nedeniyle engellendi',
+            FILE_TYPE_NOT_ALLOWED: 'Bu dosya türüne izin verilmiyor',
+            FILE_TYPE_UNKNOWN: 'Dosya türü tanınamadı',
+            FILE_EXTENSION_BLOCKED: 'Bu uzantıya sahip dosyalar gönderilemez',
+            FILE_SCRIPT_CONTENT: 'Komut dosyası içeren HTML veya SVG dosyaları gönderilemez'
+        };
 
-                    if (file.type != null) {
-                        fileData.type = String(file.type);
-                    }
+        return messages[code] || null;
+    }
 
-                    if (result != null) {
-                        fileData.data = String(result);
-                    }
+    async uploadFile(file, conversationId, onProgress) {
+        const initResponse = await this.apiCall('/api/upload', {
+            method: 'POST',
+            body: JSON.stringify({
+                conversationId,
+                fileName: file.name,
+                mimeType: file.type || 'application/octet-stream',
+                size: file.size
+            })
+        });
 
-                    if (file.size != null && !isNaN(Number(file.size))) {
-                        fileData.size = Number(file.size);
-                    }
+        if (!initResponse.success) {
+            throw new Error(this.getFilePolicyMessage(initResponse.code) || initResponse.message || 'Yükleme başlatılamadı');
+        }
 
-                    if (file.type && file.type.startsWith('image/')) {
-                        this.generateImageThumbnail(file, result).then(thumbnail => {
-                            if (thumbnail != null) {
-                                fileData.thumbnail = String(thumbnail);
-                            }
-                            resolve(fileData);
-                        }).catch(() => {
-
-                            if (result != null) {
-                                fileData.thumbnail = String(result);
-                            }
-                            resolve(fileData);
-                        });
-                    } else if (file.type && file.type.startsWith('video/') && file.size < 5 * 1024 * 1024) {
-
-                        this.generateVideoThumbnail(file).then(thumbnail => {
-                            if (thumbnail != null) {
-                                fileData.thumbnail = String(thumbnail);
-                            }
-                            resolve(fileData);
-                        }).catch(() => {
-                            resolve(fileData);
-                        });
-                    } else {
-                        resolve(fileData);
-                    }
-                } catch (error) {
-                    console.error('Error processing file data:', error);
-                    reject(new Error('Dosya işlenirken hata oluştu: ' + error.message));
+        const { uploadId, chunkSize } = initResponse.data.upload;
+        let offset = 0;
+        let failures = 0;
+        let needsResync = false;
+
+        onProgress(0);
+
+        while (true) {
+            try {
+                // After a failure the server decides where to continue; a chunk may have landed before the connection dropped
+                if (needsResync) {
+                    offset = await this.getUploadOffset(uploadId);
+                    needsResync = false;
                 }
-            };
 
-            reader.onerror = () => {
-                reject(new Error('Dosya okunamadı'));
-            };
+                if (offset >= file.size) break;
 
-            reader.readAsDataURL(file);
-        });
-    }
+                offset = await this.uploadChunk(uploadId, file.slice(offset, offset + chunkSize), offset);
+                failures = 0;
+                onProgress(offset / file.size);
+            } catch (error) {
+                if (error.fatal || ++failures > this.uploadMaxRetries) {
+                    this.fetchWithAuth(`/api/upload/${uploadId}`, { method: 'DELETE' }).catch(() => {});
+                    throw error;
+                }
 
-    async generateVideoThumbnail(file) {
-        return new Promise((resolve) => {
-            try {
-                const video = document.createElement('video');
-                video.preload = 'metadata';
-                video.muted = true;
+                await this.waitForUploadRetry(failures);
+                needsResync = true;
+            }
+        }
 
-                video.onloadedmetadata = () => {
-                    video.currentTime = Math.min(1, video.duration / 2);
-                };
+        const completeResponse = await this.apiCall(`/api/upload/${uploadId}/complete`, {
+            method: 'POST'
+        });
 
-                video.onseeked = () => {
-                    try {
-                        const canvas = document.createElement('canvas');
-                        canvas.width = 200;
-                        canvas.height = 200;
-                        const ctx = canvas.getContext('2d');
-
-                        const aspectRatio = video.videoWidth / video.videoHeight;
-                        let drawWidth = 200;
-                        let drawHeight = 200;
-
-                        if (aspectRatio > 1) {
-                            drawHeight = 200 / aspectRatio;
-                        } else {
-                            drawWidth = 200 * aspectRatio;
-                        }
+        if (!completeResponse.success) {
+            throw new Error(this.getFilePolicyMessage(completeResponse.code) || completeResponse.message || 'Yükleme tamamlanamadı');
+        }
 
-                        const x = (200 - drawWidth) / 2;
-                        const y = (200 - drawHeight) / 2;
+        return completeResponse.data.upload;
+    }
 
-                        ctx.drawImage(video, x, y, drawWidth, drawHeight);
-                        const thumbnail = this.fixBase64Format(canvas.toDataURL('image/jpeg', 0.7));
+    async uploadChunk(uploadId, chunk, offset) {
+        const response = await this.fetchWithAuth(`/api/upload/${uploadId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Upload-Offset': String(offset)
+            },
+            body: chunk
+        });
 
-                        URL.revokeObjectURL(video.src);
+        const result = await response.json().catch(() => ({}));
 
-                        resolve(thumbnail);
-                    } catch (error) {
-                        console.error('Error generating video thumbnail:', error);
-                        resolve(null);
-                    }
-                };
+        if (response.ok) {
+            return result.data.offset;
+        }
 
-                video.onerror = () => {
-                    console.error('Video load error for thumbnail generation');
-                    resolve(null);
-                };
+        if (response.status === 409 && result.data && result.data.status === 'uploading') {
+            return result.data.offset;
+        }
 
-                video.src = URL.createObjectURL(file);
-            } catch (error) {
-                console.error('Error in generateVideoThumbnail:', error);
-                resolve(null);
-            }
-        });
+        const error = new Error(result.message || 'Yükleme hatası');
+        // Rate limits and server errors are worth retrying; anything else will fail the same way again
+        error.fatal = response.status !== 429 && response.status < 500;
+        throw error;
     }
 
-    async generateImageThumbnail(file, originalData, maxWidth = 200, maxHeight = 200) {
-        return new Promise((resolve) => {
-            try {
-                const img = new Image();
-
-                img.onload = () => {
-                    try {
-                        const canvas = document.createElement('canvas');
-                        const ctx = canvas.getContext('2d');
-
-                        let { width, height } = img;
-
-                        if (width > height) {
-                            if (width > maxWidth) {
-                                height = (height * maxWidth) / width;
-                                width = maxWidth;
-                            }
-                        } else {
-                            if (height > maxHeight) {
-                                width = (width * maxHeight) / height;
-                                height = maxHeight;
-                            }
-                        }
+    async getUploadOffset(uploadId) {
+        const response = await this.fetchWithAuth(`/api/upload/${uploadId}`);
+        const result = await response.json().catch(() => ({}));
 
-                        canvas.width = width;
-                        canvas.height = height;
+        if (!response.ok) {
+            const error = new Error(result.message || 'Yükleme durumu alınamadı');
+            error.fatal = response.status !== 429 && response.status < 500;
+            throw error;
+        }
 
-                        ctx.drawImage(img, 0, 0, width, height);
-                        const thumbnailData = this.fixBase64Format(canvas.toDataURL(file.type, 0.7)); // 70% quality
+        if (result.data.upload.status !== 'uploading') {
+            const error = new Error('Yükleme artık devam ettirilemiyor');
+            error.fatal = true;
+            throw error;
+        }
 
-                        resolve(thumbnailData);
-                    } catch (error) {
-                        console.error('Error generating image thumbnail:', error);
-                        const fixedOriginal = this.fixBase64Format(originalData);
-                        resolve(fixedOriginal);
-                    }
-                };
+        return result.data.upload.offset;
+    }
 
-                img.onerror = () => {
-                    console.error('Image load error for thumbnail generation');
-                    const fixedOriginal = this.fixBase64Format(originalData);
-                    resolve(fixedOriginal);
-                };
+    waitForUploadRetry(attempt) {
+        // While the socket is down, resume as soon as it reconnects instead of sleeping out the backoff
+        const isOffline = !this.socket || !this.socket.connected;
+        const delay = isOffline ? 60000 : Math.min(1000 * 2 ** (attempt - 1), 15000);
 
-                img.src = originalData;
-            } catch (error) {
-                console.error('Error in generateImageThumbnail:', error);
-                const fixedOriginal = this.fixBase64Format(originalData);
-                resolve(fixedOriginal);
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                if (this.socket) {
+                    this.socket.off('connect', done);
+                }
+                resolve();
+            };
+
+            const timer = setTimeout(done, delay);
+            if (isOffline && this.socket) {
+                this.socket.on('connect', done);
             }
         });
     }
+
     handleTyping() {
         if (!this.currentConversation || !this.socket) return;
 
@@ -2320,6 +4371,145 @@ class ChatApp {
         }, 1000);
     }
 
+    getMentionCandidates() {
+        const conversation = this.currentConversation;
+        if (!conversation || conversation.type !== 'group' || !Array.isArray(conversation.participants)) {
+            return [];
+        }
+
+        const members = conversation.participants
+            .filter(participant => participant && participant.username && participant._id !== this.currentUser.id)
+            .map(participant => ({
+                username: participant.username,
+                label: `${participant.firstName || ''} ${participant.lastName || ''}`.trim() || participant.username
+            }));
+
+        return [{ username: 'all', label: 'Gruptaki herkes' }, ...members];
+    }
+
+    updateMentionSuggestions() {
+        const input = document.getElementById('messageText');
+        const candidates = this.getMentionCandidates();
+        const beforeCaret = input.value.slice(0, input.selectionStart);
+        const match = beforeCaret.match(/(^|[^\w@])@(\w{0,30})$/);
+
+        if (candidates.length === 0 || !match) {
+            this.hideMentionSuggestions();
+            return;
+        }
+
+        const query = match[2].toLocaleLowerCase('tr-TR');
+        const items = candidates.filter(candidate =>
+            candidate.username.toLocaleLowerCase('tr-TR').startsWith(query) ||
+            candidate.label.toLocaleLowerCase('tr-TR').split(/\s+/).some(word => word.startsWith(query))
+        ).slice(0, 8);
+
+        if (items.length === 0) {
+            this.hideMentionSuggestions();
+            return;
+        }
+
+        this.mentionSuggestions = {
+            items,
+            activeIndex: 0,
+            start: beforeCaret.length - match[2].length - 1,
+            end: input.selectionStart
+        };
+        this.renderMentionSuggestions();
+    }
+
+    renderMentionSuggestions() {
+        const container = document.getElementById('mentionSuggestions');
+        const { items, activeIndex } = this.mentionSuggestions;
+
+        container.innerHTML = items.map((item, index) => `
+            <button type="button" class="w-full text-left px-4 py-2 text-sm flex items-center justify-between ${index === activeIndex ? 'bg-primary-50 dark:bg-gray-700' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}" data-mention-index="${index}">
+                <span class="font-medium text-gray-900 dark:text-gray-100 truncate">${this.escapeHtml(item.label)}</span>
+                <span class="ml-3 text-xs text-gray-500 dark:text-gray-400">@${this.escapeHtml(item.username)}</span>
+            </button>
+        `).join('');
+        container.classList.remove('hidden');
+    }
+
+    hideMentionSuggestions() {
+        this.mentionSuggestions = null;
+        const container = document.getElementById('mentionSuggestions');
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+
+    handleMentionKeydown(e) {
+        if (!this.mentionSuggestions) return;
+
+        const { items } = this.mentionSuggestions;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.mentionSuggestions.activeIndex = (this.mentionSuggestions.activeIndex + step + items.length) % items.length;
+                this.renderMentionSuggestions();
+                break;
+            }
+
+            case 'Enter':
+            case 'Tab':
+                // Keeps Enter from submitting the message while a member is being picked
+                e.preventDefault();
+                this.insertMention(this.mentionSuggestions.activeIndex);
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                this.hideMentionSuggestions();
+                break;
+        }
+    }
+
+    insertMention(index) {
+        if (!this.mentionSuggestions) return;
+
+        const { items, start, end } = this.mentionSuggestions;
+        const item = items[index];
+        if (!item) return;
+
+        const input = document.getElementById('messageText');
+        const mention = `@${item.username} `;
+        input.value = input.value.slice(0, start) + mention + input.value.slice(end);
+
+        const caret = start + mention.length;
+        input.setSelectionRange(caret, caret);
+        input.focus();
+
+        this.hideMentionSuggestions();
+    }
+
+    renderMessageText(message, isOwn) {
+        const content = message.content || '';
+        const mentions = (message.mentions || [])
+            .filter(mention => mention.offset >= 0 && mention.offset + mention.length <= content.length)
+            .sort((a, b) => a.offset - b.offset);
+
+        let html = '';
+        let position = 0;
+
+        mentions.forEach(mention => {
+            if (mention.offset < position) return;
+
+            const isMe = mention.type === 'all' || (mention.user && (mention.user._id || mention.user) === this.currentUser.id);
+            const style = isOwn
+                ? 'font-semibold underline'
+                : `font-semibold text-primary-600 dark:text-primary-400 ${isMe ? 'bg-primary-100 dark:bg-primary-900 rounded px-0.5' : ''}`;
+
+            html += this.escapeHtml(content.slice(position, mention.offset));
+            html += `<span class="${style}">${this.escapeHtml(content.slice(mention.offset, mention.offset + mention.length))}</span>`;
+            position = mention.offset + mention.length;
+        });
+
+        return html + this.escapeHtml(content.slice(position));
+    }
+
     stopTyping() {
         if (this.socket && this.currentConversation) {
             this.socket.emit('typing_stop', {
@@ -2378,7 +4568,18 @@ class ChatApp {
             this.showToast('Bağlantı kuruldu', 'success');
         });
 
-        this.socket.on('disconnect', () => {
+        this.socket.on('session_revoked', () => {
+            this.clearAuth();
+            this.showToast('Oturumunuz başka bir cihazdan sonlandırıldı', 'error');
+        });
+
+        this.socket.on('disconnect', (reason) => {
+            if (reason === 'io server disconnect' && this.isAuthenticated) {
+                this.clearAuth();
+                this.showToast('Oturumunuz sonlandırıldı', 'error');
+                return;
+            }
+
             this.showToast('Bağlantı kesildi', 'error');
         });
 
@@ -2390,11 +4591,16 @@ class ChatApp {
             this.messageDeduplication.add(messageKey);
             if (data.message.sender._id !== this.currentUser.id) {
                 if (this.currentConversation && data.conversation._id === this.currentConversation._id) {
-                    this.addNewMessage(data.message);
+                    // While an older window is open the message is picked up by scrolling down
+                    if (this.isViewingLatestMessages()) {
+                        this.addNewMessage(data.message);
 
-                    this.markMessagesAsRead([data.message._id]);
+                        this.markMessagesAsRead([data.message._id]);
+                    }
 
-                    this.playNotificationSound();
+                    if (!this.isConversationMuted(data.conversation._id)) {
+                        this.playNotificationSound();
+                    }
                 } else {
                     this.updateUnreadCount(data.message.sender._id);
                 }
@@ -2456,6 +4662,14 @@ class ChatApp {
             this.updateOnlineCount();
         });
 
+        this.socket.on('block_list_updated', (data) => {
+            if (data.isBlocked) {
+                this.removeBlockedUserFromList(data.userId);
+            } else {
+                this.loadUsers();
+            }
+        });
+
         this.socket.on('new_user_joined', (data) => {
             const existingUser = this.users.find(u => u._id === data.user._id);
             if (!existingUser) {
@@ -2504,6 +4718,146 @@ class ChatApp {
             }
         });
 
+        this.socket.on('message_reaction_updated', (data) => {
+            const messageIndex = this.messages.findIndex(msg => msg._id === data.messageId);
+            if (messageIndex === -1) return;
+
+            const message = this.messages[messageIndex];
+            message.reactions = data.reactions;
+
+            const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+            if (messageElement) {
+                messageElement.replaceWith(this.createMessageElement(message));
+            }
+        });
+
+        this.socket.on('reply_count_updated', (data) => {
+            const messageIndex = this.messages.findIndex(msg => msg._id === data.messageId);
+            if (messageIndex === -1) return;
+
+            const message = this.messages[messageIndex];
+            message.replyCount = data.replyCount;
+
+            const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+            if (messageElement) {
+                messageElement.replaceWith(this.createMessageElement(message));
+            }
+        });
+
+        this.socket.on('message_edited', (data) => {
+            const messageIndex = this.messages.findIndex(msg => msg._id === data.messageId);
+            if (messageIndex === -1) return;
+
+            const message = this.messages[messageIndex];
+            message.content = data.content;
+            message.editedAt = data.editedAt;
+            if (data.linkPreview !== undefined) {
+                message.linkPreview = data.linkPreview;
+            }
+            if (data.mentions !== undefined) {
+                message.mentions = data.mentions;
+            }
+            if (data.editHistory !== undefined) {
+                message.editHistory = data.editHistory;
+            }
+
+            const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+            if (messageElement) {
+                messageElement.replaceWith(this.createMessageElement(message));
+            }
+
+            // The info modal shows the edit history, so reload it if it is open on this message
+            if (this.messageInfoId === data.messageId) {
+                this.showMessageInfo(data.messageId);
+            }
+        });
+
+        this.socket.on('mentioned', (data) => {
+            const isOpen = this.currentConversation && this.currentConversation._id === data.conversationId;
+            if (isOpen && document.hasFocus()) return;
+
+            const senderName = `${data.sender.firstName} ${data.sender.lastName}`.trim() || data.sender.username;
+            const where = data.conversationName ? ` (${data.conversationName})` : '';
+            const text = data.mentionType === 'all'
+                ? `${senderName} herkesi etiketledi${where}: ${data.content}`
+                : `${senderName} sizi etiketledi${where}: ${data.content}`;
+
+            this.showToast(text, 'info');
+            this.playNotificationSound();
+        });
+
+        this.socket.on('conversation_settings_updated', (data) => {
+            this.applyConversationSettings(data.conversationId, data.settings);
+        });
+
+        this.socket.on('conversation_deleted', (data) => {
+            if (!this.currentConversation || this.currentConversation._id !== data.conversationId) return;
+
+            this.selectedUser = null;
+            this.currentConversation = null;
+            this.messages = [];
+            this.messagePagination = null;
+            this.showWelcomeScreen();
+            this.renderUsers();
+        });
+
+        this.socket.on('disappearing_messages_updated', (data) => {
+            this.applyDisappearingMessagesUpdate(data);
+        });
+
+        this.socket.on('message_expired', (data) => {
+            this.removeExpiredMessages(data);
+        });
+
+        this.socket.on('scheduled_message_sent', (data) => {
+            this.scheduledMessages = this.scheduledMessages.filter(item => item._id !== data.scheduledMessageId);
+            this.renderScheduledMessages();
+            this.showToast('Zamanlanmış mesajınız gönderildi', 'success');
+        });
+
+        this.socket.on('scheduled_message_failed', (data) => {
+            this.scheduledMessages = this.scheduledMessages.filter(item => item._id !== data.scheduledMessageId);
+            this.renderScheduledMessages();
+            this.showToast(`Zamanlanmış mesaj gönderilemedi: ${this.getScheduledMessageFailureText(data.reason)}`, 'error');
+        });
+
+        this.socket.on('message_pinned', (data) => {
+            this.applyPinnedMessageUpdate(data);
+        });
+
+        this.socket.on('message_unpinned', (data) => {
+            this.applyPinnedMessageUpdate(data);
+        });
+
+        this.socket.on('message_updated', (data) => {
+            if (data.linkPreview !== undefined) {
+                this.applyLinkPreviewUpdate(data);
+            }
+        });
+
+        this.socket.on('message_media_ready', (data) => {
+            this.applyFileDataUpdate(data);
+        });
+
+        this.socket.on('message_scan_completed', (data) => {
+            this.applyFileDataUpdate(data);
+        });
+
+        this.socket.on('message_played', (data) => {
+            const message = this.messages.find(msg => msg._id === data.messageId);
+            if (!message) return;
+
+            message.playedBy = message.playedBy || [];
+            if (!message.playedBy.some(played => (played.user._id || played.user) === data.userId)) {
+                message.playedBy.push({ user: data.userId, playedAt: data.playedAt });
+            }
+            this.updateVoicePlayedIndicator(message);
+        });
+
+        this.socket.on('message_quarantined', (data) => {
+            this.showToast(`"${data.fileName || 'Dosya'}" zararlı içerik barındırdığı için karantinaya alındı`, 'error');
+        });
+
         this.socket.on('message_deleted_for_me', (data) => {
             const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
             if (messageElement) {
@@ -2511,6 +4865,9 @@ class ChatApp {
             }
 
             this.messages = this.messages.filter(msg => msg._id !== data.messageId);
+            if (this.currentConversation) {
+                this.applyPinnedMessageUpdate({ conversationId: this.currentConversation._id, messageId: data.messageId });
+            }
         });
 
         this.socket.on('multiple_messages_deleted', (data) => {
@@ -2645,6 +5002,26 @@ class ChatApp {
         }
     }
 
+    async logoutAll() {
+        if (!confirm('Tüm cihazlardaki oturumlarınız kapatılacak. Devam etmek istiyor musunuz?')) {
+            return;
+        }
+
+        try {
+            if (this.socket) {
+                this.socket.disconnect();
+            }
+
+            await this.apiCall('/api/auth/logout-all', {
+                method: 'POST'
+            });
+        } catch (error) {
+        } finally {
+            this.clearAuth();
+            this.showToast('Tüm cihazlardan çıkış yapıldı', 'success');
+        }
+    }
+
     clearAuth() {
         localStorage.removeItem('accessToken');
         localStorage.removeItem('refreshToken');
@@ -2656,9 +5033,12 @@ class ChatApp {
         this.users = [];
         this.selectedUser = null;
         this.messages = [];
+        this.messagePagination = null;
         this.currentConversation = null;
+        this.cancelVoiceRecording();
         this.pendingMessages.clear();
         this.messageDeduplication.clear();
+        this.revokeMediaObjectUrls();
 
         document.getElementById('chatContainer').classList.add('hidden');
         document.getElementById('authContainer').classList.remove('hidden');
@@ -2677,29 +5057,9 @@ class ChatApp {
         const response = await fetch(`${this.apiUrl}${url}`, config);
 
         if (response.status === 401) {
-            if (this.refreshToken) {
-                try {
-                    const refreshResponse = await fetch(`${this.apiUrl}/api/auth/refresh`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-Session-ID': this.sessionId
-                        },
-                        body: JSON.stringify({ refreshToken: this.refreshToken })
-                    });
-
-                    const refreshData = await refreshResponse.json();
-                    if (refreshData.success) {
-                        this.accessToken = refreshData.data.tokens.accessToken;
-                        this.refreshToken = refreshData.data.tokens.refreshToken;
-                        localStorage.setItem('accessToken', this.accessToken);
-                        localStorage.setItem('refreshToken', this.refreshToken);
-
-                        config.headers.Authorization = `Bearer ${this.accessToken}`;
-                        return fetch(`${this.apiUrl}${url}`, config).then(res => res.json());
-                    }
-                } catch (refreshError) {
-                }
+            if (this.refreshToken && await this.refreshAccessToken()) {
+                config.headers.Authorization = `Bearer ${this.accessToken}`;
+                return fetch(`${this.apiUrl}${url}`, config).then(res => res.json());
             }
 
             this.clearAuth();
@@ -2709,6 +5069,44 @@ class ChatApp {
         return response.json();
     }
 
+    refreshAccessToken() {
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== this.refreshToken) {
+            this.accessToken = localStorage.getItem('accessToken');
+            this.refreshToken = storedRefreshToken;
+            return Promise.resolve(true);
+        }
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.apiUrl}/api/auth/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-ID': this.sessionId
+                },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            })
+                .then(res => res.json())
+                .then(refreshData => {
+                    if (!refreshData.success) {
+                        return false;
+                    }
+
+                    this.accessToken = refreshData.data.tokens.accessToken;
+                    this.refreshToken = refreshData.data.tokens.refreshToken;
+                    localStorage.setItem('accessToken', this.accessToken);
+                    localStorage.setItem('refreshToken', this.refreshToken);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
     setLoading(buttonId, isLoading) {
         const button = document.getElementById(buttonId);
 
@@ -0,0 +1,522 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const AutoMessageTemplate = require('../models/AutoMessageTemplate');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { buildAutoMessagePlan } = require('../services/autoMessagePlannerService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const adminRateLimit = rateLimit({
+    windowMs: 1 * 60 * 1000,
+    max: 60,
+    message: { success: false, message: 'Too many admin requests. Please slow down.' }
+});
+
+const DRY_RUN_PREVIEW_LIMIT = 100;
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+const templateValidators = (isUpdate) => {
+    const optionalOnUpdate = (chain) => isUpdate ? chain.optional() : chain;
+
+    return [
+        optionalOnUpdate(body('content'))
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 2000 })
+            .withMessage('Content must be between 1 and 2000 characters'),
+        optionalOnUpdate(body('locale'))
+            .custom(value => AutoMessageTemplate.isValidLocale(value))
+            .withMessage('locale must be a language tag such as tr or en-US'),
+        body('weight')
+            .optional()
+            .isInt({ min: 1, max: AutoMessageTemplate.getMaxWeight() })
+            .withMessage(`weight must be between 1 and ${AutoMessageTemplate.getMaxWeight()}`),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+    ];
+};
+
+const findTemplate = async (req, res) => {
+    const { templateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid template ID'
+        });
+        return null;
+    }
+
+    const template = await AutoMessageTemplate.findById(templateId);
+    if (!template) {
+        res.status(404).json({
+            success: false,
+            message: 'Template not found'
+        });
+        return null;
+    }
+
+    return template;
+};
+
+/**
+ * @swagger
+ * /api/admin/auto-messages/templates:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List automatic message templates
+ *     description: Templates the planner picks automatic messages from, grouped by locale. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - name: locale
+ *         in: query
+ *         description: Only list templates of this locale
+ *         schema:
+ *           type: string
+ *           example: 'tr'
+ *       - name: active
+ *         in: query
+ *         description: Only list active (true) or inactive (false) templates
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         templates:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AutoMessageTemplate'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/auto-messages/templates', auth, requireAdmin, adminRateLimit, [
+    query('locale')
+        .optional()
+        .custom(value => AutoMessageTemplate.isValidLocale(value))
+        .withMessage('Invalid locale'),
+    query('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be a boolean')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const filter = {};
+        if (req.query.locale) {
+            filter.locale = req.query.locale;
+        }
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+
+        const templates = await AutoMessageTemplate.find(filter).sort({ locale: 1, createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                templates: templates.map(template => template.getTemplateData())
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get auto message templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/auto-messages/templates:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create an automatic message template
+ *     description: Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *               - locale
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: 'Merhaba! Nasılsın?'
+ *               locale:
+ *                 type: string
+ *                 example: 'tr'
+ *               weight:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 1
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         template:
+ *                           $ref: '#/components/schemas/AutoMessageTemplate'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/auto-messages/templates', auth, requireAdmin, adminRateLimit, templateValidators(false), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { content, locale, weight, isActive } = req.body;
+
+        const template = await AutoMessageTemplate.create({
+            content,
+            locale,
+            weight: weight !== undefined ? parseInt(weight) : undefined,
+            isActive: isActive === undefined ? true : isActive === true || isActive === 'true',
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        logger.info(`Auto message template ${template._id} created by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Template created',
+            data: {
+                template: template.getTemplateData()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Create auto message template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/auto-messages/templates/{templateId}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update an automatic message template
+ *     description: Only the fields sent are changed. Messages already planned keep their content. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - name: templateId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *               locale:
+ *                 type: string
+ *               weight:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         template:
+ *                           $ref: '#/components/schemas/AutoMessageTemplate'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/auto-messages/templates/:templateId', auth, requireAdmin, adminRateLimit, templateValidators(true), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        const { content, locale, weight, isActive } = req.body;
+
+        if ([content, locale, weight, isActive].every(value => value === undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'No changes to save'
+            });
+        }
+
+        if (content !== undefined) template.content = content;
+        if (locale !== undefined) template.locale = locale;
+        if (weight !== undefined) template.weight = parseInt(weight);
+        if (isActive !== undefined) template.isActive = isActive === true || isActive === 'true';
+        template.updatedBy = req.user._id;
+
+        await template.save();
+
+        res.json({
+            success: true,
+            message: 'Template updated',
+            data: {
+                template: template.getTemplateData()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update auto message template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/auto-messages/templates/{templateId}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete an automatic message template
+ *     description: Messages already planned from the template are still sent. Set `isActive` to false instead to keep it for later. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - name: templateId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/auto-messages/templates/:templateId', auth, requireAdmin, adminRateLimit, async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        await template.deleteOne();
+
+        logger.info(`Auto message template ${template._id} deleted by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+
+    } catch (error) {
+        logger.error('Delete auto message template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/auto-messages/dry-run:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Preview the automatic message plan
+ *     description: |
+ *       Run the planner without saving anything and show which pairs would get which message. Pairing is random,
+ *       so every call gives a different plan. The query parameters override the configured rules for this preview
+ *       only. At most 100 entries are returned; `stats.planned` has the full count. Admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - name: maxMessages
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: repeatPairDays
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: sharedConversationOnly
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Plan preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AutoMessagePlan'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/auto-messages/dry-run', auth, requireAdmin, adminRateLimit, [
+    query('maxMessages')
+        .optional()
+        .isInt({ min: 1, max: 100000 })
+        .withMessage('maxMessages must be a positive integer'),
+    query('repeatPairDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('repeatPairDays must be between 0 and 365'),
+    query('sharedConversationOnly')
+        .optional()
+        .isBoolean()
+        .withMessage('sharedConversationOnly must be a boolean')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const options = {};
+        if (req.query.maxMessages !== undefined) {
+            options.maxMessages = parseInt(req.query.maxMessages);
+        }
+        if (req.query.repeatPairDays !== undefined) {
+            options.repeatPairDays = parseInt(req.query.repeatPairDays);
+        }
+        if (req.query.sharedConversationOnly !== undefined) {
+            options.sharedConversationOnly = req.query.sharedConversationOnly === 'true';
+        }
+
+        const { config, stats, plan } = await buildAutoMessagePlan(options);
+
+        res.json({
+            success: true,
+            data: {
+                config,
+                stats,
+                plan: plan.slice(0, DRY_RUN_PREVIEW_LIMIT)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Auto message dry run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
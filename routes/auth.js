@@ -1,9 +1,13 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth, decryptMiddleware } = require('../middleware/auth');
+const { createAuthSession, rotateRefreshToken, isAuthSessionActive, revokeAuthSession, revokeAllAuthSessions } = require('../services/redisService');
+const { disconnectAuthSessions } = require('../services/socketService');
 const { fixBase64Format } = require('../utils/base64Helper');
 const logger = require('../utils/logger');
 
@@ -15,22 +19,61 @@ const authLimiter = rateLimit({
     message: { success: false, message: 'Too many authentication attempts' }
 });
 
-const generateTokens = (userId) => {
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateTokens = (userId, authSessionId) => {
     const accessToken = jwt.sign(
-        { id: userId },
+        { id: userId, sid: authSessionId },
         process.env.JWT_SECRET,
         { expiresIn: '1h' }
     );
 
     const refreshToken = jwt.sign(
-        { id: userId },
+        { id: userId, sid: authSessionId, jti: crypto.randomUUID() },
         process.env.JWT_REFRESH_SECRET,
-        { expiresIn: '7d' }
+        { expiresIn: REFRESH_TOKEN_TTL_SECONDS }
     );
 
     return { accessToken, refreshToken };
 };
 
+const startAuthSession = async (userId, req) => {
+    const authSessionId = crypto.randomUUID();
+    const tokens = generateTokens(userId, authSessionId);
+
+    const created = await createAuthSession(authSessionId, userId, hashToken(tokens.refreshToken), REFRESH_TOKEN_TTL_SECONDS);
+    if (!created) {
+        throw new Error('Auth session could not be created');
+    }
+
+    await Session.createForRequest(authSessionId, userId, req);
+
+    return tokens;
+};
+
+const endAuthSession = async (authSessionId) => {
+    await revokeAuthSession(authSessionId);
+    await Session.revoke(authSessionId);
+    disconnectAuthSessions([authSessionId]);
+};
+
+const prepareSessionData = (session, currentAuthSessionId) => {
+    return {
+        sessionId: session.sessionId,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+        activeConnections: session.socketIds.length,
+        isCurrent: session.sessionId === currentAuthSessionId
+    };
+};
+
 const prepareUserData = (user) => {
     return {
         id: user._id,
@@ -167,7 +210,7 @@ router.post('/register', authLimiter, [
 
         await user.save();
 
-        const { accessToken, refreshToken } = generateTokens(user._id);
+        const { accessToken, refreshToken } = await startAuthSession(user._id, req);
 
         res.status(201).json({
             success: true,
@@ -329,7 +372,7 @@ router.post('/login', authLimiter, [
         user.lastSeen = new Date();
         await user.save();
 
-        const { accessToken, refreshToken } = generateTokens(user._id);
+        const { accessToken, refreshToken } = await startAuthSession(user._id, req);
         res.json({
             success: true,
             message: 'Giriş başarılı',
@@ -357,7 +400,10 @@ router.post('/login', authLimiter, [
  *   post:
  *     tags: [Authentication]
  *     summary: Refresh access token
- *     description: Get new access and refresh tokens using a valid refresh token
+ *     description: |
+ *       Get new access and refresh tokens using a valid refresh token. Refresh tokens are single-use:
+ *       the presented token is replaced by the returned one. Presenting an already used refresh token
+ *       is treated as token theft and revokes the whole session.
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
  *     requestBody:
@@ -393,14 +439,27 @@ router.post('/login', authLimiter, [
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, reused or revoked refresh token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *             example:
- *               success: false
- *               message: "Invalid refresh token"
+ *             examples:
+ *               invalid:
+ *                 summary: Invalid refresh token
+ *                 value:
+ *                   success: false
+ *                   message: "Invalid refresh token"
+ *               reused:
+ *                 summary: Refresh token already used
+ *                 value:
+ *                   success: false
+ *                   message: "Refresh token reuse detected"
+ *               revoked:
+ *                 summary: Session revoked or expired
+ *                 value:
+ *                   success: false
+ *                   message: "Session expired or revoked"
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -427,16 +486,53 @@ router.post('/refresh', [
         }
 
         const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+        if (!decoded.sid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid refresh token'
+            });
+        }
+
         const user = await User.findById(decoded.id).select('-password');
 
         if (!user || !user.isActive) {
+            await endAuthSession(decoded.sid);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid refresh token'
             });
         }
 
-        const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id);
+        const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id, decoded.sid);
+
+        const rotation = await rotateRefreshToken(
+            decoded.sid,
+            user._id,
+            hashToken(refreshToken),
+            hashToken(newRefreshToken),
+            REFRESH_TOKEN_TTL_SECONDS
+        );
+
+        if (rotation === 'reused') {
+            await endAuthSession(decoded.sid);
+            logger.warn(`Refresh token reuse detected for user ${user._id}, session ${decoded.sid} revoked`);
+
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token reuse detected'
+            });
+        }
+
+        if (rotation !== 'rotated') {
+            await Session.revoke(decoded.sid);
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired or revoked'
+            });
+        }
+
+        await Session.touch(decoded.sid);
 
         res.json({
             success: true,
@@ -523,7 +619,7 @@ router.get('/me', auth, async (req, res) => {
  *   post:
  *     tags: [Authentication]
  *     summary: Logout from user account
- *     description: Logout the current user (client should discard tokens)
+ *     description: Revoke the current session. Its refresh token stops working, its access tokens are rejected and its socket connections are closed.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -545,6 +641,8 @@ router.get('/me', auth, async (req, res) => {
  */
 router.post('/logout', auth, async (req, res) => {
     try {
+        await endAuthSession(req.authSessionId);
+
         res.json({
             success: true,
             message: 'Logout successful'
@@ -558,4 +656,231 @@ router.post('/logout', auth, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Logout from all devices
+ *     description: Revoke every session of the current user, including the current one. All refresh tokens stop working and all socket connections are closed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         revokedSessions:
+ *                           type: integer
+ *                           example: 3
+ *             example:
+ *               success: true
+ *               message: "Logged out from all sessions"
+ *               data:
+ *                 revokedSessions: 3
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revokedSessionIds = await revokeAllAuthSessions(req.user._id);
+        await Session.revokeAllForUser(req.user._id);
+        disconnectAuthSessions(revokedSessionIds);
+
+        logger.info(`User ${req.user._id} logged out from ${revokedSessionIds.length} sessions`);
+
+        res.json({
+            success: true,
+            message: 'Logged out from all sessions',
+            data: {
+                revokedSessions: revokedSessionIds.length
+            }
+        });
+    } catch (error) {
+        logger.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List active sessions
+ *     description: List the current user's active login sessions (devices), most recently active first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         sessions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AuthSession'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            isActive: true
+        }).sort({ lastActiveAt: -1 });
+
+        const activeSessions = [];
+        const expiredSessionIds = [];
+
+        for (const session of sessions) {
+            if (await isAuthSessionActive(session.sessionId)) {
+                activeSessions.push(session);
+            } else {
+                expiredSessionIds.push(session.sessionId);
+            }
+        }
+
+        if (expiredSessionIds.length > 0) {
+            await Session.updateMany(
+                { sessionId: { $in: expiredSessionIds } },
+                { $set: { isActive: false, revokedAt: new Date(), socketIds: [] } }
+            );
+        }
+
+        res.json({
+            success: true,
+            data: {
+                sessions: activeSessions.map(session => prepareSessionData(session, req.authSessionId))
+            }
+        });
+    } catch (error) {
+        logger.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Revoke a session
+ *     description: Revoke one of the current user's sessions. Its tokens stop working and its socket connections are closed immediately. Revoking the current session is equivalent to logging out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Login session identifier from GET /api/auth/sessions
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         sessionId:
+ *                           type: string
+ *                           format: uuid
+ *                         isCurrent:
+ *                           type: boolean
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/sessions/:sessionId', auth, [
+    param('sessionId').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid session ID'
+            });
+        }
+
+        const { sessionId } = req.params;
+
+        const session = await Session.findOne({
+            sessionId,
+            user: req.user._id,
+            isActive: true
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await endAuthSession(sessionId);
+
+        logger.info(`User ${req.user._id} revoked session ${sessionId}`);
+
+        res.json({
+            success: true,
+            message: 'Session revoked',
+            data: {
+                sessionId,
+                isCurrent: sessionId === req.authSessionId
+            }
+        });
+    } catch (error) {
+        logger.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
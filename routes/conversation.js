@@ -6,7 +6,8 @@ const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
-const { cacheConversation, getCachedConversation } = require('../services/redisService');
+const { cacheConversation, getCachedConversation, invalidateCachedConversation } = require('../services/redisService');
+const { toPinData, getPinnedMessages, emitMessagePinned, emitMessageUnpinned } = require('../services/pinService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -23,19 +24,207 @@ const createConversationRateLimit = rateLimit({
     message: { success: false, message: 'Too many conversation creation attempts' }
 });
 
+const PARTICIPANT_FIELDS = 'username firstName lastName avatar lastSeen';
+
+const findGroupForUser = (conversationId, userId) => {
+    return Conversation.findOne({
+        _id: conversationId,
+        participants: userId,
+        type: 'group',
+        isActive: true
+    });
+};
+
+const prepareGroupData = (conversation) => {
+    const { inviteLinks, joinRequests, ...groupData } = conversation.toObject();
+
+    return {
+        ...groupData,
+        roles: conversation.getRoles()
+    };
+};
+
+const findBlockedMember = async (userId, memberIds) => {
+    for (const memberId of memberIds) {
+        if (await User.isBlockedBetween(userId, memberId)) {
+            return memberId;
+        }
+    }
+    return null;
+};
+
+const syncGroupRooms = (conversationId, joinedUserIds = [], leftUserIds = []) => {
+    if (!global.io) return;
+
+    joinedUserIds.forEach(userId => {
+        global.io.in(`user_${userId}`).socketsJoin(`conversation_${conversationId}`);
+    });
+    leftUserIds.forEach(userId => {
+        global.io.in(`user_${userId}`).socketsLeave(`conversation_${conversationId}`);
+    });
+};
+
+const emitGroupEvent = (conversation, event, payload, extraUserIds = []) => {
+    if (!global.io) return;
+
+    const rooms = [
+        `conversation_${conversation._id}`,
+        ...extraUserIds.map(userId => `user_${userId}`)
+    ];
+
+    global.io.to(rooms).emit(event, {
+        conversationId: conversation._id,
+        ...payload
+    });
+};
+
+// Settings are private, so they only go to the user's own sessions
+const emitConversationSettings = (userId, conversationId, settings) => {
+    if (!global.io) return;
+
+    global.io.to(`user_${userId}`).emit('conversation_settings_updated', {
+        conversationId,
+        settings
+    });
+};
+
+const postSystemMessage = async (conversation, actor, action, targets = [], options = {}) => {
+    const message = await Message.createSystemMessage(conversation._id, actor, action, targets, options);
+
+    await Conversation.updateOne(
+        { _id: conversation._id },
+        { lastMessage: message._id, lastActivity: new Date() }
+    );
+
+    if (global.io) {
+        global.io.to(`conversation_${conversation._id}`).emit('message_received', {
+            message: message.toObject(),
+            conversation: {
+                _id: conversation._id,
+                type: conversation.type,
+                name: conversation.name
+            }
+        });
+    }
+
+    return message;
+};
+
+const DISAPPEARING_MESSAGE_LABELS = {
+    '1h': '1 hour',
+    '1d': '1 day',
+    '7d': '7 days',
+    '90d': '90 days'
+};
+
+const INVITE_DEFAULT_TTL_HOURS = 7 * 24;
+const INVITE_MAX_TTL_HOURS = 30 * 24;
+const INVITE_CODE_PATTERN = /^[A-Za-z0-9_-]{16}$/;
+
+const prepareInviteData = (invite) => {
+    return {
+        code: invite.code,
+        createdBy: invite.createdBy,
+        expiresAt: invite.expiresAt,
+        maxUses: invite.maxUses,
+        uses: invite.uses,
+        requiresApproval: invite.requiresApproval,
+        createdAt: invite.createdAt
+    };
+};
+
+const getGroupAdminIds = (conversation) => {
+    return conversation.getRoles()
+        .filter(entry => entry.role === 'owner' || entry.role === 'admin')
+        .map(entry => entry.user);
+};
+
+// The usage limit is part of the filter so concurrent joins cannot overshoot it
+const claimInviteUse = async (conversationId, invite) => {
+    const inviteFilter = { code: invite.code };
+    if (invite.maxUses) {
+        inviteFilter.uses = { $lt: invite.maxUses };
+    }
+
+    const result = await Conversation.updateOne(
+        { _id: conversationId, inviteLinks: { $elemMatch: inviteFilter } },
+        { $inc: { 'inviteLinks.$.uses': 1 } }
+    );
+
+    return result.modifiedCount > 0;
+};
+
+// Returns false when the invite ran out of uses before this join could claim one
+const joinGroupViaInvite = async (conversation, user, invite) => {
+    if (invite && !await claimInviteUse(conversation._id, invite)) {
+        return false;
+    }
+
+    conversation.addParticipants([user._id]);
+    conversation.removeJoinRequest(user._id);
+    await conversation.save();
+    await invalidateCachedConversation(conversation._id);
+
+    syncGroupRooms(conversation._id, [user._id]);
+    emitGroupEvent(conversation, 'group_member_joined', {
+        userId: user._id,
+        inviteCode: invite ? invite.code : null,
+        roles: conversation.getRoles()
+    });
+    await postSystemMessage(conversation, user, 'member_joined');
+
+    logger.info(`User ${user._id} joined group ${conversation._id} via invite link`);
+    return true;
+};
+
+const leaveGroup = async (conversation, user) => {
+    const newOwnerId = conversation.removeParticipant(user._id);
+    await conversation.save();
+    await invalidateCachedConversation(conversation._id);
+
+    syncGroupRooms(conversation._id, [], [user._id]);
+    emitGroupEvent(conversation, 'group_member_left', {
+        userId: user._id,
+        newOwnerId,
+        roles: conversation.getRoles()
+    }, [user._id]);
+
+    if (conversation.isActive) {
+        await postSystemMessage(conversation, user, 'member_left');
+
+        if (newOwnerId) {
+            const newOwner = await User.findById(newOwnerId).select('username firstName lastName');
+            await postSystemMessage(conversation, user, 'ownership_transferred', [newOwner]);
+        }
+    }
+
+    logger.info(`User ${user._id} left group conversation ${conversation._id}`);
+
+    return newOwnerId;
+};
+
 /**
  * @swagger
  * /api/conversation/list:
  *   get:
  *     tags: [Conversations]
  *     summary: Get user's conversations
- *     description: Retrieve a paginated list of conversations for the authenticated user with unread counts
+ *     description: |
+ *       Retrieve a paginated list of conversations for the authenticated user with unread counts and the user's own
+ *       conversation settings. Conversations pinned to the top come first (most recently pinned first), then the rest
+ *       by last activity. Archived conversations are left out unless `archived=true`, which lists only them.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
  *       - $ref: '#/components/parameters/Page'
  *       - $ref: '#/components/parameters/Limit'
+ *       - name: archived
+ *         in: query
+ *         description: List archived conversations instead of the main list
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: Conversations retrieved successfully
@@ -69,6 +258,13 @@ const createConversationRateLimit = rateLimit({
  *                     type: "private"
  *                     lastActivity: "2025-01-15T10:30:00.000Z"
  *                     unreadCount: 3
+ *                     settings:
+ *                       isMuted: false
+ *                       mutedUntil: null
+ *                       isArchived: false
+ *                       isPinned: true
+ *                       pinnedAt: "2025-01-14T08:00:00.000Z"
+ *                       isMarkedUnread: false
  *                 pagination:
  *                   page: 1
  *                   limit: 20
@@ -85,7 +281,7 @@ const createConversationRateLimit = rateLimit({
  */
 router.get('/list', auth, conversationRateLimit, async (req, res) => {
     try {
-        const { page = 1, limit = 20 } = req.query;
+        const { page = 1, limit = 20, archived } = req.query;
         const skip = (page - 1) * limit;
 
         if (parseInt(limit) > 50) {
@@ -95,34 +291,58 @@ router.get('/list', auth, conversationRateLimit, async (req, res) => {
             });
         }
 
-        const conversations = await Conversation.find({
+        // Conversations the user deleted never show up, whether archived or not
+        const query = {
             participants: req.user._id,
-            isActive: true
-        })
-            .populate('participants', 'username firstName lastName avatar lastSeen')
-            .populate({
+            isActive: true,
+            participantSettings: archived === 'true'
+                ? { $elemMatch: { user: req.user._id, archivedAt: { $ne: null }, hiddenAt: null } }
+                : { $not: { $elemMatch: { user: req.user._id, $or: [{ archivedAt: { $ne: null } }, { hiddenAt: { $ne: null } }] } } }
+        };
+
+        // Aggregated so the current user's pin can drive the sort; hidden fields are projected away by hand
+        const conversations = await Conversation.aggregate([
+            { $match: query },
+            {
+                $addFields: {
+                    settings: {
+                        $arrayElemAt: [{
+                            $filter: {
+                                input: { $ifNull: ['$participantSettings', []] },
+                                cond: { $eq: ['$$this.user', req.user._id] }
+                            }
+                        }, 0]
+                    }
+                }
+            },
+            { $sort: { 'settings.pinnedAt': -1, lastActivity: -1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            { $project: { participantSettings: 0, pinnedMessages: 0, inviteLinks: 0, joinRequests: 0 } }
+        ]);
+
+        await Conversation.populate(conversations, [
+            { path: 'participants', select: 'username firstName lastName avatar lastSeen' },
+            {
                 path: 'lastMessage',
                 populate: {
                     path: 'sender',
                     select: 'username firstName lastName'
                 }
-            })
-            .sort({ lastActivity: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+            }
+        ]);
 
-        const total = await Conversation.countDocuments({
-            participants: req.user._id,
-            isActive: true
-        });
+        const total = await Conversation.countDocuments(query);
+        const clearedHistory = await Conversation.getClearedHistoryFilter(req.user._id);
 
         const conversationsWithUnread = await Promise.all(
-            conversations.map(async (conv) => {
+            conversations.map(async ({ settings, ...conv }) => {
                 const unreadCount = await Message.countDocuments({
                     conversation: conv._id,
                     sender: { $ne: req.user._id },
                     'readBy.user': { $ne: req.user._id },
-                    isDeleted: false
+                    isDeleted: false,
+                    ...clearedHistory
                 });
 
                 let otherParticipant = null;
@@ -132,9 +352,10 @@ router.get('/list', auth, conversationRateLimit, async (req, res) => {
                     );
                 }
                 return {
-                    ...conv.toObject(),
+                    ...conv,
                     unreadCount,
-                    otherParticipant
+                    otherParticipant,
+                    settings: Conversation.toParticipantSettings(settings)
                 };
             })
         );
@@ -161,13 +382,89 @@ router.get('/list', auth, conversationRateLimit, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/conversation/settings:
+ *   get:
+ *     tags: [Conversations]
+ *     summary: Get conversation settings
+ *     description: |
+ *       List the current user's settings for every conversation where they changed one (muted, archived, pinned to
+ *       top or marked as unread). Conversations that are not listed use the defaults. Clients use this to know which
+ *       conversations are muted without paging through the conversation list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         settings:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - type: object
+ *                                 properties:
+ *                                   conversationId:
+ *                                     type: string
+ *                                     example: '507f1f77bcf86cd799439012'
+ *                               - $ref: '#/components/schemas/ConversationSettings'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/settings', auth, conversationRateLimit, async (req, res) => {
+    try {
+        const conversations = await Conversation.find({
+            participants: req.user._id,
+            isActive: true,
+            'participantSettings.user': req.user._id
+        })
+            .select({ participantSettings: { $elemMatch: { user: req.user._id } } })
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                settings: conversations.map(conversation => ({
+                    conversationId: conversation._id,
+                    ...Conversation.toParticipantSettings(conversation.participantSettings[0])
+                }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get conversation settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/conversation/create:
  *   post:
  *     tags: [Conversations]
  *     summary: Create a new conversation
- *     description: Start a new private conversation with another user or create a group conversation
+ *     description: |
+ *       Start a new private conversation with another user, or create a group conversation with a name,
+ *       optional avatar and several members. The creator becomes the group owner and a `group_created`
+ *       system message is posted to the group.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -187,7 +484,7 @@ router.get('/list', auth, conversationRateLimit, async (req, res) => {
  *             groupConversation:
  *               summary: Create group conversation
  *               value:
- *                 participantId: "507f1f77bcf86cd799439013"
+ *                 participantIds: ["507f1f77bcf86cd799439013", "507f1f77bcf86cd799439014"]
  *                 type: "group"
  *                 name: "Project Team"
  *                 description: "Discussion about the new project"
@@ -223,6 +520,23 @@ router.get('/list', auth, conversationRateLimit, async (req, res) => {
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: One of the users has blocked the other
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               private:
+ *                 summary: Private conversation with a blocked user
+ *                 value:
+ *                   success: false
+ *                   message: "You cannot start a conversation with this user"
+ *               group:
+ *                 summary: Group with a blocked user
+ *                 value:
+ *                   success: false
+ *                   message: "You cannot add this user to a group"
  *       404:
  *         description: Participant not found
  *         content:
@@ -239,12 +553,34 @@ router.get('/list', auth, conversationRateLimit, async (req, res) => {
  */
 router.post('/create', auth, createConversationRateLimit, [
     body('participantId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid participant ID'),
+    body('participantIds')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('participantIds must be a non-empty array'),
+    body('participantIds.*')
         .isMongoId()
         .withMessage('Invalid participant ID'),
     body('type')
         .optional()
         .isIn(['private', 'group'])
-        .withMessage('Invalid conversation type')
+        .withMessage('Invalid conversation type'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be 1-100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters'),
+    body('avatar')
+        .optional()
+        .isString()
+        .withMessage('Avatar must be a string')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -256,7 +592,7 @@ router.post('/create', auth, createConversationRateLimit, [
             });
         }
 
-        const { participantId, type = 'private' } = req.body;
+        const { participantId, participantIds, type = 'private', name, description, avatar } = req.body;
         const sessionId = req.header('X-Session-ID');
 
         if (!sessionId) {
@@ -266,6 +602,85 @@ router.post('/create', auth, createConversationRateLimit, [
             });
         }
 
+        if (type === 'group') {
+            const maxParticipants = Conversation.getMaxGroupParticipants();
+            const memberIds = [...new Set([...(participantIds || []), ...(participantId ? [participantId] : [])])]
+                .filter(memberId => memberId !== req.user._id.toString());
+
+            if (!name) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Group name is required'
+                });
+            }
+
+            if (memberIds.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least one other participant is required'
+                });
+            }
+
+            if (memberIds.length + 1 > maxParticipants) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Groups cannot have more than ${maxParticipants} participants`
+                });
+            }
+
+            const members = await User.find({ _id: { $in: memberIds }, isActive: true }).select('_id');
+            if (members.length !== memberIds.length) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Participant not found'
+                });
+            }
+
+            if (await findBlockedMember(req.user._id, memberIds)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot add this user to a group'
+                });
+            }
+
+            const group = new Conversation({
+                participants: [req.user._id, ...memberIds],
+                type: 'group',
+                name,
+                description,
+                avatar,
+                owner: req.user._id
+            });
+            await group.save();
+            await group.populate('participants', PARTICIPANT_FIELDS);
+
+            syncGroupRooms(group._id, [req.user._id, ...memberIds]);
+            emitGroupEvent(group, 'group_created', {
+                createdBy: req.user._id,
+                conversation: prepareGroupData(group)
+            });
+            await postSystemMessage(group, req.user, 'group_created');
+
+            logger.info(`Group conversation ${group._id} created by ${req.user._id} with ${memberIds.length} members`);
+
+            return res.json({
+                success: true,
+                data: {
+                    conversation: {
+                        ...prepareGroupData(group),
+                        unreadCount: 0
+                    }
+                }
+            });
+        }
+
+        if (!participantId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Participant ID is required'
+            });
+        }
+
         const participant = await User.findById(participantId);
         if (!participant || !participant.isActive) {
             return res.status(404).json({
@@ -281,6 +696,13 @@ router.post('/create', auth, createConversationRateLimit, [
             });
         }
 
+        if (await User.isBlockedBetween(req.user._id, participantId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot start a conversation with this user'
+            });
+        }
+
         let conversation = null;
         if (type === 'private') {
             conversation = await Conversation.findOne({
@@ -288,6 +710,10 @@ router.post('/create', auth, createConversationRateLimit, [
                 type: 'private',
                 isActive: true
             }).populate('participants', 'username firstName lastName avatar lastSeen');
+
+            if (conversation) {
+                await Conversation.restoreHiddenForUser(conversation._id, req.user._id);
+            }
         }
 
         if (!conversation) {
@@ -306,7 +732,8 @@ router.post('/create', auth, createConversationRateLimit, [
             conversation: conversation._id,
             sender: { $ne: req.user._id },
             'readBy.user': { $ne: req.user._id },
-            isDeleted: false
+            isDeleted: false,
+            ...await Conversation.getClearedHistoryFilter(req.user._id, conversation._id)
         });
 
         res.json({
@@ -330,19 +757,19 @@ router.post('/create', auth, createConversationRateLimit, [
 
 /**
  * @swagger
- * /api/conversation/{id}:
+ * /api/conversation/invite/{code}:
  *   get:
  *     tags: [Conversations]
- *     summary: Get conversation details
- *     description: Retrieve detailed information about a specific conversation
+ *     summary: Preview a group invite link
+ *     description: Resolve an invite code to a preview of the group so the user can decide whether to join
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
- *       - $ref: '#/components/parameters/ConversationId'
+ *       - $ref: '#/components/parameters/InviteCode'
  *     responses:
  *       200:
- *         description: Conversation details retrieved successfully
+ *         description: Invite preview retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -351,101 +778,76 @@ router.post('/create', auth, createConversationRateLimit, [
  *                 - type: object
  *                   properties:
  *                     data:
- *                       type: object
- *                       properties:
- *                         conversation:
- *                           allOf:
- *                             - $ref: '#/components/schemas/Conversation'
- *                             - type: object
- *                               properties:
- *                                 totalMessages:
- *                                   type: integer
- *                                   example: 150
- *             example:
- *               success: true
- *               data:
- *                 conversation:
- *                   _id: "507f1f77bcf86cd799439012"
- *                   participants:
- *                     - _id: "507f1f77bcf86cd799439011"
- *                       username: "john_doe"
- *                       firstName: "John"
- *                       lastName: "Doe"
- *                   type: "private"
- *                   lastActivity: "2025-01-15T10:30:00.000Z"
- *                   unreadCount: 3
- *                   totalMessages: 150
+ *                       $ref: '#/components/schemas/GroupInvitePreview'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       410:
+ *         description: Invite link revoked, expired or used up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invite link has expired"
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/invite/:code', auth, conversationRateLimit, async (req, res) => {
     try {
-        const { id } = req.params;
+        const { code } = req.params;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
+        if (!INVITE_CODE_PATTERN.test(code)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid conversation ID'
+                message: 'Invalid invite code'
             });
         }
 
-        let conversation = await getCachedConversation(id);
+        const conversation = await Conversation.findByInviteCode(code);
 
         if (!conversation) {
-            conversation = await Conversation.findOne({
-                _id: id,
-                participants: req.user._id,
-                isActive: true
-            }).populate('participants', 'username firstName lastName avatar lastSeen')
-                .populate({
-                    path: 'lastMessage',
-                    populate: {
-                        path: 'sender',
-                        select: 'username firstName lastName'
-                    }
-                });
-
-            if (!conversation) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Conversation not found'
-                });
-            }
-
-            await cacheConversation(id, conversation);
+            return res.status(404).json({
+                success: false,
+                message: 'Invite link not found'
+            });
         }
 
-        const unreadCount = await Message.countDocuments({
-            conversation: id,
-            sender: { $ne: req.user._id },
-            'readBy.user': { $ne: req.user._id },
-            isDeleted: false
-        });
+        const invite = conversation.findInviteLink(code);
+        const inviteError = conversation.getInviteError(invite);
 
-        const totalMessages = await Message.countDocuments({
-            conversation: id,
-            isDeleted: false
-        });
+        if (inviteError) {
+            return res.status(410).json({
+                success: false,
+                message: inviteError
+            });
+        }
 
         res.json({
             success: true,
             data: {
                 conversation: {
-                    ...conversation,
-                    unreadCount,
-                    totalMessages
-                }
+                    _id: conversation._id,
+                    name: conversation.name,
+                    description: conversation.description,
+                    avatar: conversation.avatar,
+                    participantCount: conversation.participants.length
+                },
+                requiresApproval: invite.requiresApproval,
+                expiresAt: invite.expiresAt,
+                isMember: conversation.isParticipant(req.user._id),
+                hasPendingRequest: conversation.hasJoinRequest(req.user._id)
             }
         });
 
     } catch (error) {
-        logger.error('Get conversation error:', error);
+        logger.error('Get invite preview error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -455,29 +857,21 @@ router.get('/:id', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/conversation/{id}:
- *   put:
+ * /api/conversation/invite/{code}/join:
+ *   post:
  *     tags: [Conversations]
- *     summary: Update conversation details
- *     description: Update group conversation name, description, or avatar (only for group conversations)
+ *     summary: Join a group via invite link
+ *     description: |
+ *       Join the group behind an invite code. Links in approval mode create a join request instead,
+ *       which group admins approve or reject through /api/conversation/{id}/join-requests.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
- *       - $ref: '#/components/parameters/ConversationId'
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/ConversationUpdate'
- *           example:
- *             name: "Updated Project Team"
- *             description: "Updated description for the project team"
- *             avatar: "data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD..."
+ *       - $ref: '#/components/parameters/InviteCode'
  *     responses:
  *       200:
- *         description: Conversation updated successfully
+ *         description: Joined the group
  *         content:
  *           application/json:
  *             schema:
@@ -488,17 +882,340 @@ router.get('/:id', auth, async (req, res) => {
  *                     data:
  *                       type: object
  *                       properties:
+ *                         status:
+ *                           type: string
+ *                           enum: [joined]
  *                         conversation:
  *                           $ref: '#/components/schemas/Conversation'
- *       400:
- *         $ref: '#/components/responses/ValidationError'
- *       401:
- *         $ref: '#/components/responses/Unauthorized'
- *       404:
- *         $ref: '#/components/responses/NotFound'
- *       500:
- *         $ref: '#/components/responses/ServerError'
- */
+ *       202:
+ *         description: Join request created and waiting for admin approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         status:
+ *                           type: string
+ *                           enum: [pending]
+ *                         conversationId:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       410:
+ *         description: Invite link revoked, expired or used up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/invite/:code/join', auth, conversationRateLimit, async (req, res) => {
+    try {
+        const { code } = req.params;
+
+        if (!INVITE_CODE_PATTERN.test(code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invite code'
+            });
+        }
+
+        const conversation = await Conversation.findByInviteCode(code);
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invite link not found'
+            });
+        }
+
+        const invite = conversation.findInviteLink(code);
+        const inviteError = conversation.getInviteError(invite);
+
+        if (inviteError) {
+            return res.status(410).json({
+                success: false,
+                message: inviteError
+            });
+        }
+
+        if (conversation.isParticipant(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already a member of this group'
+            });
+        }
+
+        const ownerId = conversation.getOwnerId();
+        if (ownerId && await User.isBlockedBetween(req.user._id, ownerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot join this group'
+            });
+        }
+
+        if (conversation.participants.length >= Conversation.getMaxGroupParticipants()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Group is full'
+            });
+        }
+
+        if (invite.requiresApproval) {
+            if (!conversation.hasJoinRequest(req.user._id)) {
+                conversation.addJoinRequest(req.user._id, code);
+                await conversation.save();
+
+                if (global.io) {
+                    global.io.to(getGroupAdminIds(conversation).map(userId => `user_${userId}`)).emit('group_join_requested', {
+                        conversationId: conversation._id,
+                        user: {
+                            _id: req.user._id,
+                            username: req.user.username,
+                            firstName: req.user.firstName,
+                            lastName: req.user.lastName
+                        }
+                    });
+                }
+            }
+
+            return res.status(202).json({
+                success: true,
+                message: 'Join request sent to group admins',
+                data: {
+                    status: 'pending',
+                    conversationId: conversation._id
+                }
+            });
+        }
+
+        if (!await joinGroupViaInvite(conversation, req.user, invite)) {
+            return res.status(410).json({
+                success: false,
+                message: 'Invite link has reached its usage limit'
+            });
+        }
+        await conversation.populate('participants', PARTICIPANT_FIELDS);
+
+        res.json({
+            success: true,
+            message: 'Joined the group successfully',
+            data: {
+                status: 'joined',
+                conversation: prepareGroupData(conversation)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Join via invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}:
+ *   get:
+ *     tags: [Conversations]
+ *     summary: Get conversation details
+ *     description: Retrieve detailed information about a specific conversation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     responses:
+ *       200:
+ *         description: Conversation details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         conversation:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Conversation'
+ *                             - type: object
+ *                               properties:
+ *                                 totalMessages:
+ *                                   type: integer
+ *                                   example: 150
+ *             example:
+ *               success: true
+ *               data:
+ *                 conversation:
+ *                   _id: "507f1f77bcf86cd799439012"
+ *                   participants:
+ *                     - _id: "507f1f77bcf86cd799439011"
+ *                       username: "john_doe"
+ *                       firstName: "John"
+ *                       lastName: "Doe"
+ *                   type: "private"
+ *                   lastActivity: "2025-01-15T10:30:00.000Z"
+ *                   unreadCount: 3
+ *                   totalMessages: 150
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        let conversation = await getCachedConversation(id);
+
+        if (conversation && !conversation.participants.some(p => p._id.toString() === req.user._id.toString())) {
+            conversation = null;
+        }
+
+        if (!conversation) {
+            const conversationDoc = await Conversation.findOne({
+                _id: id,
+                participants: req.user._id,
+                isActive: true
+            }).populate('participants', 'username firstName lastName avatar lastSeen')
+                .populate({
+                    path: 'lastMessage',
+                    populate: {
+                        path: 'sender',
+                        select: 'username firstName lastName'
+                    }
+                });
+
+            if (!conversationDoc) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conversation not found'
+                });
+            }
+
+            conversation = conversationDoc.type === 'group' ? prepareGroupData(conversationDoc) : conversationDoc.toObject();
+            await cacheConversation(id, conversation);
+        }
+
+        const clearedHistory = await Conversation.getClearedHistoryFilter(req.user._id, id);
+
+        const unreadCount = await Message.countDocuments({
+            conversation: id,
+            sender: { $ne: req.user._id },
+            'readBy.user': { $ne: req.user._id },
+            isDeleted: false,
+            ...clearedHistory
+        });
+
+        const totalMessages = await Message.countDocuments({
+            conversation: id,
+            isDeleted: false,
+            ...clearedHistory
+        });
+
+        const myRole = conversation.roles
+            ? (conversation.roles.find(entry => entry.user === req.user._id.toString()) || {}).role || null
+            : null;
+
+        res.json({
+            success: true,
+            data: {
+                conversation: {
+                    ...conversation,
+                    unreadCount,
+                    totalMessages,
+                    myRole
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get conversation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}:
+ *   put:
+ *     tags: [Conversations]
+ *     summary: Update conversation details
+ *     description: Update group conversation name, description, or avatar. Only group owners and admins can update a group; a `group_updated` system message is posted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConversationUpdate'
+ *           example:
+ *             name: "Updated Project Team"
+ *             description: "Updated description for the project team"
+ *             avatar: "data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD..."
+ *     responses:
+ *       200:
+ *         description: Conversation updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         conversation:
+ *                           $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
 router.put('/:id', auth, [
     body('name')
         .optional()
@@ -507,13 +1224,1657 @@ router.put('/:id', auth, [
         .withMessage('Name must be 1-100 characters'),
     body('description')
         .optional()
-        .trim()
-        .isLength({ max: 500 })
-        .withMessage('Description cannot exceed 500 characters'),
-    body('avatar')
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters'),
+    body('avatar')
+        .optional()
+        .isString()
+        .withMessage('Avatar must be a string')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, description, avatar } = req.body;
+        const sessionId = req.header('X-Session-ID');
+
+        if (!sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session ID required'
+            });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: id,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        if (conversation.type !== 'group') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot update private conversation'
+            });
+        }
+
+        if (!conversation.isGroupAdmin(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can update group info'
+            });
+        }
+
+        const updateData = {};
+        if (name !== undefined) updateData.name = name.trim();
+        if (description !== undefined) updateData.description = description.trim();
+        if (avatar !== undefined) updateData.avatar = avatar;
+
+        const updatedConversation = await Conversation.findByIdAndUpdate(
+            id,
+            updateData,
+            { new: true, runValidators: true }
+        ).populate('participants', 'username firstName lastName avatar lastSeen');
+
+        await invalidateCachedConversation(id);
+
+        emitGroupEvent(updatedConversation, 'group_updated', {
+            updatedBy: req.user._id,
+            name: updatedConversation.name,
+            description: updatedConversation.description,
+            avatar: updatedConversation.avatar
+        });
+        await postSystemMessage(updatedConversation, req.user, 'group_updated');
+
+        res.json({
+            success: true,
+            message: 'Conversation updated successfully',
+            data: { conversation: prepareGroupData(updatedConversation) }
+        });
+
+    } catch (error) {
+        logger.error('Update conversation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/mark-read:
+ *   put:
+ *     tags: [Conversations]
+ *     summary: Mark all messages as read
+ *     description: Mark all unread messages in a conversation as read for the current user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     responses:
+ *       200:
+ *         description: Messages marked as read successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         markedCount:
+ *                           type: integer
+ *                           example: 5
+ *             example:
+ *               success: true
+ *               message: "All messages marked as read"
+ *               data:
+ *                 markedCount: 5
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/mark-read', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const sessionId = req.header('X-Session-ID');
+
+        if (!sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session ID required'
+            });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: id,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const result = await Message.updateMany(
+            {
+                conversation: id,
+                sender: { $ne: req.user._id },
+                'readBy.user': { $ne: req.user._id },
+                isDeleted: false
+            },
+            {
+                $push: {
+                    readBy: {
+                        user: req.user._id,
+                        readAt: new Date(),
+                        sessionId: sessionId
+                    }
+                },
+                $set: {
+                    'metadata.deliveryStatus': 'read'
+                }
+            }
+        );
+
+        const settings = await Conversation.clearMarkedUnread(conversation._id, req.user._id);
+        if (settings) {
+            emitConversationSettings(req.user._id, conversation._id, settings);
+        }
+
+        res.json({
+            success: true,
+            message: 'All messages marked as read',
+            data: {
+                markedCount: result.modifiedCount
+            }
+        });
+
+    } catch (error) {
+        logger.error('Mark conversation as read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/settings:
+ *   put:
+ *     tags: [Conversations]
+ *     summary: Update conversation settings
+ *     description: |
+ *       Change the current user's own settings for a conversation; other participants are not affected. Only the
+ *       fields sent are changed.
+ *       - `muted` silences the conversation until `mutedUntil`, or forever when `mutedUntil` is omitted. Muted
+ *         conversations stay archived when new messages arrive and can be left out of unread badges.
+ *       - `archived` moves the conversation out of the main list; it comes back with the next message unless muted.
+ *       - `pinned` keeps the conversation at the top of the list.
+ *       - `unread` flags the conversation as unread; reading it clears the flag.
+ *
+ *       The user's other sessions are notified with the `conversation_settings_updated` socket event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               muted:
+ *                 type: boolean
+ *                 example: true
+ *               mutedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the mute (must be in the future); omit to mute forever
+ *                 example: '2025-01-15T18:30:00.000Z'
+ *               archived:
+ *                 type: boolean
+ *               pinned:
+ *                 type: boolean
+ *               unread:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         settings:
+ *                           $ref: '#/components/schemas/ConversationSettings'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/settings', auth, conversationRateLimit, [
+    body('muted')
+        .optional()
+        .isBoolean()
+        .withMessage('muted must be a boolean'),
+    body('mutedUntil')
+        .optional()
+        .isISO8601()
+        .withMessage('mutedUntil must be an ISO 8601 date')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('mutedUntil must be in the future'),
+    body('archived')
+        .optional()
+        .isBoolean()
+        .withMessage('archived must be a boolean'),
+    body('pinned')
+        .optional()
+        .isBoolean()
+        .withMessage('pinned must be a boolean'),
+    body('unread')
+        .optional()
+        .isBoolean()
+        .withMessage('unread must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { muted, mutedUntil, archived, pinned, unread } = req.body;
+        const isTrue = (value) => value === true || value === 'true';
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: id,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const now = new Date();
+        const values = {};
+
+        if (muted !== undefined || mutedUntil !== undefined) {
+            values.mutedUntil = muted !== undefined && !isTrue(muted)
+                ? null
+                : (mutedUntil ? new Date(mutedUntil) : Conversation.getMutedForever());
+        }
+        if (archived !== undefined) {
+            values.archivedAt = isTrue(archived) ? now : null;
+        }
+        if (pinned !== undefined) {
+            values.pinnedAt = isTrue(pinned) ? now : null;
+        }
+        if (unread !== undefined) {
+            values.markedUnreadAt = isTrue(unread) ? now : null;
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No settings to update'
+            });
+        }
+
+        const settings = await Conversation.updateParticipantSettings(conversation._id, req.user._id, values);
+
+        emitConversationSettings(req.user._id, conversation._id, settings);
+
+        res.json({
+            success: true,
+            message: 'Conversation settings updated',
+            data: { settings }
+        });
+
+    } catch (error) {
+        logger.error('Update conversation settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/disappearing-messages:
+ *   put:
+ *     tags: [Conversations]
+ *     summary: Set disappearing messages
+ *     description: |
+ *       Set how long new messages in the conversation are kept. Any participant of a private conversation, or an
+ *       admin of a group, can change it. Messages sent afterwards get an `expiresAt` and are deleted, together with
+ *       their files, shortly after it passes; clients are told with the `message_expired` socket event. Messages sent
+ *       before the change are not affected.
+ *
+ *       The change is announced with a system message and the `disappearing_messages_updated` socket event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duration
+ *             properties:
+ *               duration:
+ *                 type: string
+ *                 enum: ['off', '1h', '1d', '7d', '90d']
+ *                 example: '1d'
+ *     responses:
+ *       200:
+ *         description: Disappearing messages setting updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         disappearingMessages:
+ *                           type: string
+ *                           enum: ['off', '1h', '1d', '7d', '90d']
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/disappearing-messages', auth, conversationRateLimit, [
+    body('duration')
+        .isIn(Conversation.getDisappearingMessageOptions())
+        .withMessage(`duration must be one of: ${Conversation.getDisappearingMessageOptions().join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { duration } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: id,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        if (!conversation.canChangeDisappearingMessages(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can change disappearing messages'
+            });
+        }
+
+        if (conversation.disappearingMessages === duration) {
+            return res.json({
+                success: true,
+                message: 'Disappearing messages setting unchanged',
+                data: { disappearingMessages: duration }
+            });
+        }
+
+        conversation.disappearingMessages = duration;
+        await conversation.save();
+        await invalidateCachedConversation(conversation._id);
+
+        await postSystemMessage(conversation, req.user, 'disappearing_messages_updated', [], {
+            detail: DISAPPEARING_MESSAGE_LABELS[duration] || ''
+        });
+
+        emitGroupEvent(conversation, 'disappearing_messages_updated', {
+            disappearingMessages: duration,
+            updatedBy: req.user._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Disappearing messages setting updated',
+            data: { disappearingMessages: duration }
+        });
+
+    } catch (error) {
+        logger.error('Update disappearing messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/stats:
+ *   get:
+ *     tags: [Conversations]
+ *     summary: Get conversation statistics
+ *     description: Retrieve statistics about a conversation including message counts and activity dates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     responses:
+ *       200:
+ *         description: Conversation statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         stats:
+ *                           type: object
+ *                           properties:
+ *                             totalMessages:
+ *                               type: integer
+ *                               example: 150
+ *                             textMessages:
+ *                               type: integer
+ *                               example: 120
+ *                             fileMessages:
+ *                               type: integer
+ *                               example: 30
+ *                             firstMessage:
+ *                               type: string
+ *                               format: date-time
+ *                               example: "2025-01-01T00:00:00.000Z"
+ *                             lastMessage:
+ *                               type: string
+ *                               format: date-time
+ *                               example: "2025-01-15T10:30:00.000Z"
+ *                         unreadCount:
+ *                           type: integer
+ *                           example: 3
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/stats', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: id,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const clearedHistory = await Conversation.getClearedHistoryFilter(req.user._id, conversation._id);
+
+        const stats = await Message.aggregate([
+            {
+                $match: {
+                    conversation: new mongoose.Types.ObjectId(id),
+                    isDeleted: false,
+                    ...clearedHistory
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    totalMessages: { $sum: 1 },
+                    messagesByType: {
+                        $push: '$type'
+                    },
+                    firstMessage: { $min: '$createdAt' },
+                    lastMessage: { $max: '$createdAt' }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    totalMessages: 1,
+                    firstMessage: 1,
+                    lastMessage: 1,
+                    textMessages: {
+                        $size: {
+                            $filter: {
+                                input: '$messagesByType',
+                                cond: { $eq: ['$$this', 'text'] }
+                            }
+                        }
+                    },
+                    fileMessages: {
+                        $size: {
+                            $filter: {
+                                input: '$messagesByType',
+                                cond: { $in: ['$$this', ['file', 'image']] }
+                            }
+                        }
+                    }
+                }
+            }
+        ]);
+
+        const unreadCount = await Message.countDocuments({
+            conversation: id,
+            sender: { $ne: req.user._id },
+            'readBy.user': { $ne: req.user._id },
+            isDeleted: false,
+            ...clearedHistory
+        });
+
+        res.json({
+            success: true,
+            data: {
+                stats: stats[0] || {
+                    totalMessages: 0,
+                    textMessages: 0,
+                    fileMessages: 0,
+                    firstMessage: null,
+                    lastMessage: null
+                },
+                unreadCount
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get conversation stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}:
+ *   delete:
+ *     tags: [Conversations]
+ *     summary: Delete conversation
+ *     description: |
+ *       Delete a private conversation for the current user only, or leave a group conversation (same as
+ *       POST /api/conversation/{id}/leave). A deleted private conversation is hidden from the user's list and its
+ *       history is cleared for them; the other participant keeps it unchanged. It comes back, without the cleared
+ *       history, when a new message arrives.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     responses:
+ *       200:
+ *         description: Conversation deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Conversation deleted successfully"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const sessionId = req.header('X-Session-ID');
+
+        if (!sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session ID required'
+            });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: id,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        if (conversation.type === 'private') {
+            // Only hidden for this user; the other participant keeps the conversation and its history
+            const now = new Date();
+            const settings = await Conversation.updateParticipantSettings(conversation._id, req.user._id, {
+                hiddenAt: now,
+                clearedAt: now,
+                markedUnreadAt: null
+            });
+
+            logger.info(`Private conversation ${id} deleted by user ${req.user._id}`);
+
+            emitConversationSettings(req.user._id, conversation._id, settings);
+            if (global.io) {
+                global.io.to(`user_${req.user._id}`).emit('conversation_deleted', {
+                    conversationId: id,
+                    deletedBy: req.user._id,
+                    type: conversation.type
+                });
+            }
+        } else {
+            await leaveGroup(conversation, req.user);
+        }
+
+        res.json({
+            success: true,
+            message: 'Conversation deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Delete conversation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/clear:
+ *   post:
+ *     tags: [Conversations]
+ *     summary: Clear conversation history
+ *     description: |
+ *       Hide every message sent so far from the current user's history. Other participants are not affected and the
+ *       conversation stays in the list. Cleared messages no longer count in message lists, search, unread counts or
+ *       statistics for the user.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     responses:
+ *       200:
+ *         description: History cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         settings:
+ *                           $ref: '#/components/schemas/ConversationSettings'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/clear', auth, conversationRateLimit, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: id,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const settings = await Conversation.updateParticipantSettings(conversation._id, req.user._id, {
+            clearedAt: new Date(),
+            markedUnreadAt: null
+        });
+
+        logger.info(`Conversation ${id} history cleared by user ${req.user._id}`);
+
+        emitConversationSettings(req.user._id, conversation._id, settings);
+
+        res.json({
+            success: true,
+            message: 'Conversation history cleared',
+            data: { settings }
+        });
+
+    } catch (error) {
+        logger.error('Clear conversation history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/participants:
+ *   post:
+ *     tags: [Conversations]
+ *     summary: Add participants to group conversation
+ *     description: Add one or more members to a group conversation. Only group owners and admins can add members; a `members_added` system message is posted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               participantId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *                 example: "507f1f77bcf86cd799439013"
+ *               participantIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   pattern: '^[0-9a-fA-F]{24}$'
+ *                 example: ["507f1f77bcf86cd799439013", "507f1f77bcf86cd799439014"]
+ *           example:
+ *             participantIds: ["507f1f77bcf86cd799439013", "507f1f77bcf86cd799439014"]
+ *     responses:
+ *       200:
+ *         description: Participants added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         conversation:
+ *                           $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/participants', auth, [
+    body('participantId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid participant ID'),
+    body('participantIds')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('participantIds must be a non-empty array'),
+    body('participantIds.*')
+        .isMongoId()
+        .withMessage('Invalid participant ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { participantId, participantIds } = req.body;
+        const memberIds = [...new Set([...(participantIds || []), ...(participantId ? [participantId] : [])])];
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        if (memberIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Participant ID is required'
+            });
+        }
+
+        const conversation = await findGroupForUser(id, req.user._id);
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group conversation not found'
+            });
+        }
+
+        if (!conversation.isGroupAdmin(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can add members'
+            });
+        }
+
+        const newMemberIds = memberIds.filter(memberId => !conversation.isParticipant(memberId));
+        if (newMemberIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already a participant'
+            });
+        }
+
+        const maxParticipants = Conversation.getMaxGroupParticipants();
+        if (conversation.participants.length + newMemberIds.length > maxParticipants) {
+            return res.status(400).json({
+                success: false,
+                message: `Groups cannot have more than ${maxParticipants} participants`
+            });
+        }
+
+        const newMembers = await User.find({
+            _id: { $in: newMemberIds },
+            isActive: true
+        }).select('username firstName lastName');
+
+        if (newMembers.length !== newMemberIds.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found'
+            });
+        }
+
+        if (await findBlockedMember(req.user._id, newMemberIds)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot add this user to a group'
+            });
+        }
+
+        conversation.addParticipants(newMemberIds);
+        await conversation.save();
+        await conversation.populate('participants', PARTICIPANT_FIELDS);
+        await invalidateCachedConversation(id);
+
+        syncGroupRooms(id, newMemberIds);
+        emitGroupEvent(conversation, 'group_members_added', {
+            addedBy: req.user._id,
+            userIds: newMemberIds,
+            conversation: prepareGroupData(conversation)
+        });
+        await postSystemMessage(conversation, req.user, 'members_added', newMembers);
+
+        res.json({
+            success: true,
+            message: 'Participant added successfully',
+            data: { conversation: prepareGroupData(conversation) }
+        });
+
+    } catch (error) {
+        logger.error('Add participant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/participants/{participantId}:
+ *   delete:
+ *     tags: [Conversations]
+ *     summary: Remove participant from group conversation
+ *     description: |
+ *       Remove a member from a group conversation. Owners and admins can remove members; only the owner can
+ *       remove admins and the owner cannot be removed. To remove yourself use POST /api/conversation/{id}/leave.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *       - name: participantId
+ *         in: path
+ *         required: true
+ *         description: ID of the participant to remove
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Participant removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         conversation:
+ *                           $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id/participants/:participantId', auth, async (req, res) => {
+    try {
+        const { id, participantId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(participantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation or participant ID'
+            });
+        }
+
+        const conversation = await findGroupForUser(id, req.user._id);
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group conversation not found'
+            });
+        }
+
+        if (!conversation.isParticipant(participantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not a participant in this conversation'
+            });
+        }
+
+        if (participantId === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use leave to exit the group'
+            });
+        }
+
+        const actorRole = conversation.getRole(req.user._id);
+        const targetRole = conversation.getRole(participantId);
+
+        if (actorRole === 'member') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can remove members'
+            });
+        }
+
+        if (targetRole === 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'The group owner cannot be removed'
+            });
+        }
+
+        if (targetRole === 'admin' && actorRole !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can remove admins'
+            });
+        }
+
+        const removedUser = await User.findById(participantId).select('username firstName lastName');
+
+        conversation.removeParticipant(participantId);
+        await conversation.save();
+        await conversation.populate('participants', PARTICIPANT_FIELDS);
+        await invalidateCachedConversation(id);
+
+        syncGroupRooms(id, [], [participantId]);
+        emitGroupEvent(conversation, 'group_member_removed', {
+            userId: participantId,
+            removedBy: req.user._id,
+            roles: conversation.getRoles()
+        }, [participantId]);
+        if (removedUser) {
+            await postSystemMessage(conversation, req.user, 'member_removed', [removedUser]);
+        }
+
+        res.json({
+            success: true,
+            message: 'Participant removed successfully',
+            data: { conversation: prepareGroupData(conversation) }
+        });
+
+    } catch (error) {
+        logger.error('Remove participant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/participants/{participantId}/role:
+ *   put:
+ *     tags: [Conversations]
+ *     summary: Promote or demote a group member
+ *     description: |
+ *       Change a member's role between `admin` and `member`. Owners and admins can promote members;
+ *       only the owner can demote admins. Use transfer-ownership to change the owner.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *       - name: participantId
+ *         in: path
+ *         required: true
+ *         description: ID of the member whose role changes
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *           example:
+ *             role: "admin"
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         roles:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ConversationRole'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/participants/:participantId/role', auth, [
+    body('role')
+        .isIn(['admin', 'member'])
+        .withMessage('Role must be admin or member')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id, participantId } = req.params;
+        const { role } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(participantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation or participant ID'
+            });
+        }
+
+        const conversation = await findGroupForUser(id, req.user._id);
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group conversation not found'
+            });
+        }
+
+        if (!conversation.isParticipant(participantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not a participant in this conversation'
+            });
+        }
+
+        const actorRole = conversation.getRole(req.user._id);
+        const targetRole = conversation.getRole(participantId);
+
+        if (actorRole === 'member') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can change roles'
+            });
+        }
+
+        if (targetRole === 'owner') {
+            return res.status(400).json({
+                success: false,
+                message: 'Use ownership transfer to change the owner'
+            });
+        }
+
+        if (targetRole === role) {
+            return res.status(400).json({
+                success: false,
+                message: `User is already ${role === 'admin' ? 'an admin' : 'a member'}`
+            });
+        }
+
+        if (role === 'member' && actorRole !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can demote admins'
+            });
+        }
+
+        const targetUser = await User.findById(participantId).select('username firstName lastName');
+
+        conversation.setAdmin(participantId, role === 'admin');
+        await conversation.save();
+        await invalidateCachedConversation(id);
+
+        emitGroupEvent(conversation, 'group_roles_updated', {
+            userId: participantId,
+            role,
+            changedBy: req.user._id,
+            roles: conversation.getRoles()
+        });
+        if (targetUser) {
+            await postSystemMessage(conversation, req.user, role === 'admin' ? 'admin_promoted' : 'admin_demoted', [targetUser]);
+        }
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            data: { roles: conversation.getRoles() }
+        });
+
+    } catch (error) {
+        logger.error('Update participant role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/transfer-ownership:
+ *   post:
+ *     tags: [Conversations]
+ *     summary: Transfer group ownership
+ *     description: Make another member the group owner. Only the current owner can do this; the previous owner stays in the group as an admin.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newOwnerId]
+ *             properties:
+ *               newOwnerId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *           example:
+ *             newOwnerId: "507f1f77bcf86cd799439013"
+ *     responses:
+ *       200:
+ *         description: Ownership transferred successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         roles:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ConversationRole'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/transfer-ownership', auth, [
+    body('newOwnerId')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { newOwnerId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await findGroupForUser(id, req.user._id);
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group conversation not found'
+            });
+        }
+
+        if (conversation.getRole(req.user._id) !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can transfer ownership'
+            });
+        }
+
+        if (newOwnerId === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already own this group'
+            });
+        }
+
+        if (!conversation.isParticipant(newOwnerId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not a participant in this conversation'
+            });
+        }
+
+        const newOwner = await User.findById(newOwnerId).select('username firstName lastName');
+
+        conversation.transferOwnership(newOwnerId);
+        await conversation.save();
+        await invalidateCachedConversation(id);
+
+        emitGroupEvent(conversation, 'group_roles_updated', {
+            ownerId: newOwnerId,
+            previousOwnerId: req.user._id,
+            changedBy: req.user._id,
+            roles: conversation.getRoles()
+        });
+        if (newOwner) {
+            await postSystemMessage(conversation, req.user, 'ownership_transferred', [newOwner]);
+        }
+
+        logger.info(`Ownership of group ${id} transferred from ${req.user._id} to ${newOwnerId}`);
+
+        res.json({
+            success: true,
+            message: 'Ownership transferred successfully',
+            data: { roles: conversation.getRoles() }
+        });
+
+    } catch (error) {
+        logger.error('Transfer ownership error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/leave:
+ *   post:
+ *     tags: [Conversations]
+ *     summary: Leave a group conversation
+ *     description: |
+ *       Leave a group. If the owner leaves, ownership passes to the longest-serving admin, or to the
+ *       earliest remaining member when there are no admins. The group is deactivated when its last member leaves.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     responses:
+ *       200:
+ *         description: Left the group successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         newOwnerId:
+ *                           type: string
+ *                           nullable: true
+ *                           description: New owner when the leaving user owned the group
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/leave', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await findGroupForUser(id, req.user._id);
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group conversation not found'
+            });
+        }
+
+        const newOwnerId = await leaveGroup(conversation, req.user);
+
+        res.json({
+            success: true,
+            message: 'Left the group successfully',
+            data: { newOwnerId }
+        });
+
+    } catch (error) {
+        logger.error('Leave group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/invites:
+ *   post:
+ *     tags: [Conversations]
+ *     summary: Create a group invite link
+ *     description: Create an expiring invite link for a group. Only group owners and admins can create invite links.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 720
+ *                 default: 168
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 description: Number of joins allowed (unlimited when omitted)
+ *               requiresApproval:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Joining creates a join request that an admin must approve
+ *           example:
+ *             expiresInHours: 24
+ *             maxUses: 10
+ *             requiresApproval: false
+ *     responses:
+ *       201:
+ *         description: Invite link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         invite:
+ *                           $ref: '#/components/schemas/GroupInvite'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/invites', auth, [
+    body('expiresInHours')
+        .optional()
+        .isInt({ min: 1, max: INVITE_MAX_TTL_HOURS })
+        .withMessage(`expiresInHours must be between 1 and ${INVITE_MAX_TTL_HOURS}`),
+    body('maxUses')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('maxUses must be between 1 and 1000'),
+    body('requiresApproval')
         .optional()
-        .isString()
-        .withMessage('Avatar must be a string')
+        .isBoolean()
+        .withMessage('requiresApproval must be a boolean')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -526,15 +2887,7 @@ router.put('/:id', auth, [
         }
 
         const { id } = req.params;
-        const { name, description, avatar } = req.body;
-        const sessionId = req.header('X-Session-ID');
-
-        if (!sessionId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Session ID required'
-            });
-        }
+        const { expiresInHours = INVITE_DEFAULT_TTL_HOURS, maxUses = null, requiresApproval = false } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({
@@ -543,45 +2896,39 @@ router.put('/:id', auth, [
             });
         }
 
-        const conversation = await Conversation.findOne({
-            _id: id,
-            participants: req.user._id,
-            isActive: true
-        });
+        const conversation = await findGroupForUser(id, req.user._id).select('+inviteLinks');
 
         if (!conversation) {
             return res.status(404).json({
                 success: false,
-                message: 'Conversation not found'
+                message: 'Group conversation not found'
             });
         }
 
-        if (conversation.type !== 'group') {
-            return res.status(400).json({
+        if (!conversation.isGroupAdmin(req.user._id)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Cannot update private conversation'
+                message: 'Only group admins can manage invite links'
             });
         }
 
-        const updateData = {};
-        if (name !== undefined) updateData.name = name.trim();
-        if (description !== undefined) updateData.description = description.trim();
-        if (avatar !== undefined) updateData.avatar = avatar;
+        const invite = conversation.createInviteLink(req.user._id, {
+            expiresAt: new Date(Date.now() + parseInt(expiresInHours) * 60 * 60 * 1000),
+            maxUses: maxUses ? parseInt(maxUses) : null,
+            requiresApproval: requiresApproval === true || requiresApproval === 'true'
+        });
+        await conversation.save();
 
-        const updatedConversation = await Conversation.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('participants', 'username firstName lastName avatar lastSeen');
+        logger.info(`Invite link created for group ${id} by ${req.user._id}`);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Conversation updated successfully',
-            data: { conversation: updatedConversation }
+            message: 'Invite link created',
+            data: { invite: prepareInviteData(invite) }
         });
 
     } catch (error) {
-        logger.error('Update conversation error:', error);
+        logger.error('Create invite link error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -591,11 +2938,11 @@ router.put('/:id', auth, [
 
 /**
  * @swagger
- * /api/conversation/{id}/mark-read:
- *   put:
+ * /api/conversation/{id}/invites:
+ *   get:
  *     tags: [Conversations]
- *     summary: Mark all messages as read
- *     description: Mark all unread messages in a conversation as read for the current user
+ *     summary: List active group invite links
+ *     description: List the group's invite links that are not revoked, expired or used up. Only for group owners and admins.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -603,7 +2950,7 @@ router.put('/:id', auth, [
  *       - $ref: '#/components/parameters/ConversationId'
  *     responses:
  *       200:
- *         description: Messages marked as read successfully
+ *         description: Invite links retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -614,86 +2961,145 @@ router.put('/:id', auth, [
  *                     data:
  *                       type: object
  *                       properties:
- *                         markedCount:
- *                           type: integer
- *                           example: 5
- *             example:
- *               success: true
- *               message: "All messages marked as read"
- *               data:
- *                 markedCount: 5
+ *                         invites:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/GroupInvite'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.put('/:id/mark-read', auth, async (req, res) => {
+router.get('/:id/invites', auth, async (req, res) => {
     try {
         const { id } = req.params;
-        const sessionId = req.header('X-Session-ID');
 
-        if (!sessionId) {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Session ID required'
+                message: 'Invalid conversation ID'
             });
         }
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
+        const conversation = await findGroupForUser(id, req.user._id).select('+inviteLinks');
+
+        if (!conversation) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid conversation ID'
+                message: 'Group conversation not found'
             });
         }
 
-        const conversation = await Conversation.findOne({
-            _id: id,
-            participants: req.user._id,
-            isActive: true
+        if (!conversation.isGroupAdmin(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can manage invite links'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                invites: conversation.getActiveInviteLinks().map(prepareInviteData)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get invite links error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
         });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/invites/{code}:
+ *   delete:
+ *     tags: [Conversations]
+ *     summary: Revoke a group invite link
+ *     description: Revoke an invite link so it can no longer be used. Pending join requests made through it are kept. Only for group owners and admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *       - $ref: '#/components/parameters/InviteCode'
+ *     responses:
+ *       200:
+ *         description: Invite link revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Invite link revoked"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id/invites/:code', auth, async (req, res) => {
+    try {
+        const { id, code } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !INVITE_CODE_PATTERN.test(code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID or invite code'
+            });
+        }
+
+        const conversation = await findGroupForUser(id, req.user._id).select('+inviteLinks');
 
         if (!conversation) {
             return res.status(404).json({
                 success: false,
-                message: 'Conversation not found'
+                message: 'Group conversation not found'
             });
         }
 
-        const result = await Message.updateMany(
-            {
-                conversation: id,
-                sender: { $ne: req.user._id },
-                'readBy.user': { $ne: req.user._id },
-                isDeleted: false
-            },
-            {
-                $push: {
-                    readBy: {
-                        user: req.user._id,
-                        readAt: new Date(),
-                        sessionId: sessionId
-                    }
-                },
-                $set: {
-                    'metadata.deliveryStatus': 'read'
-                }
-            }
-        );
+        if (!conversation.isGroupAdmin(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can manage invite links'
+            });
+        }
+
+        const invite = conversation.findInviteLink(code);
+        if (!invite || invite.revokedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invite link not found'
+            });
+        }
+
+        invite.revokedAt = new Date();
+        await conversation.save();
+
+        logger.info(`Invite link for group ${id} revoked by ${req.user._id}`);
 
         res.json({
             success: true,
-            message: 'All messages marked as read',
-            data: {
-                markedCount: result.modifiedCount
-            }
+            message: 'Invite link revoked'
         });
 
     } catch (error) {
-        logger.error('Mark conversation as read error:', error);
+        logger.error('Revoke invite link error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -703,11 +3109,11 @@ router.put('/:id/mark-read', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/conversation/{id}/stats:
+ * /api/conversation/{id}/join-requests:
  *   get:
  *     tags: [Conversations]
- *     summary: Get conversation statistics
- *     description: Retrieve statistics about a conversation including message counts and activity dates
+ *     summary: List pending join requests
+ *     description: List users waiting for approval after using an approval-mode invite link. Only for group owners and admins.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -715,7 +3121,7 @@ router.put('/:id/mark-read', auth, async (req, res) => {
  *       - $ref: '#/components/parameters/ConversationId'
  *     responses:
  *       200:
- *         description: Conversation statistics retrieved successfully
+ *         description: Join requests retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -726,129 +3132,235 @@ router.put('/:id/mark-read', auth, async (req, res) => {
  *                     data:
  *                       type: object
  *                       properties:
- *                         stats:
- *                           type: object
- *                           properties:
- *                             totalMessages:
- *                               type: integer
- *                               example: 150
- *                             textMessages:
- *                               type: integer
- *                               example: 120
- *                             fileMessages:
- *                               type: integer
- *                               example: 30
- *                             firstMessage:
- *                               type: string
- *                               format: date-time
- *                               example: "2025-01-01T00:00:00.000Z"
- *                             lastMessage:
- *                               type: string
- *                               format: date-time
- *                               example: "2025-01-15T10:30:00.000Z"
- *                         unreadCount:
- *                           type: integer
- *                           example: 3
+ *                         requests:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               user:
+ *                                 $ref: '#/components/schemas/User'
+ *                               requestedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id/join-requests', auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid conversation ID'
+            });
+        }
+
+        const conversation = await findGroupForUser(id, req.user._id)
+            .select('+joinRequests')
+            .populate('joinRequests.user', 'username firstName lastName avatar');
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group conversation not found'
+            });
+        }
+
+        if (!conversation.isGroupAdmin(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can manage join requests'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                requests: conversation.joinRequests
+                    .filter(request => request.user)
+                    .map(request => ({
+                        user: request.user,
+                        requestedAt: request.requestedAt
+                    }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get join requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{id}/join-requests/{userId}:
+ *   put:
+ *     tags: [Conversations]
+ *     summary: Approve or reject a join request
+ *     description: Approving adds the user to the group and posts a `member_joined` system message. Only for group owners and admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ConversationId'
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         description: ID of the user who requested to join
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *           example:
+ *             action: "approve"
+ *     responses:
+ *       200:
+ *         description: Join request resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         userId:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           enum: [approved, rejected]
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       410:
+ *         description: The invite link the request came through has reached its usage limit
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/:id/stats', auth, async (req, res) => {
+router.put('/:id/join-requests/:userId', auth, [
+    body('action')
+        .isIn(['approve', 'reject'])
+        .withMessage('Action must be approve or reject')
+], async (req, res) => {
     try {
-        const { id } = req.params;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
+        const { id, userId } = req.params;
+        const { action } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(userId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid conversation ID'
+                message: 'Invalid conversation or user ID'
             });
         }
 
-        const conversation = await Conversation.findOne({
-            _id: id,
-            participants: req.user._id,
-            isActive: true
-        });
+        const conversation = await findGroupForUser(id, req.user._id).select('+inviteLinks +joinRequests');
 
         if (!conversation) {
             return res.status(404).json({
                 success: false,
-                message: 'Conversation not found'
+                message: 'Group conversation not found'
             });
         }
 
-        const stats = await Message.aggregate([
-            {
-                $match: {
-                    conversation: new mongoose.Types.ObjectId(id),
-                    isDeleted: false
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    totalMessages: { $sum: 1 },
-                    messagesByType: {
-                        $push: '$type'
-                    },
-                    firstMessage: { $min: '$createdAt' },
-                    lastMessage: { $max: '$createdAt' }
-                }
-            },
-            {
-                $project: {
-                    _id: 0,
-                    totalMessages: 1,
-                    firstMessage: 1,
-                    lastMessage: 1,
-                    textMessages: {
-                        $size: {
-                            $filter: {
-                                input: '$messagesByType',
-                                cond: { $eq: ['$$this', 'text'] }
-                            }
-                        }
-                    },
-                    fileMessages: {
-                        $size: {
-                            $filter: {
-                                input: '$messagesByType',
-                                cond: { $in: ['$$this', ['file', 'image']] }
-                            }
-                        }
-                    }
-                }
+        if (!conversation.isGroupAdmin(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can manage join requests'
+            });
+        }
+
+        if (!conversation.hasJoinRequest(userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Join request not found'
+            });
+        }
+
+        const requester = await User.findById(userId).select('username firstName lastName isActive');
+
+        if (action === 'approve') {
+            if (!requester || !requester.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
             }
-        ]);
 
-        const unreadCount = await Message.countDocuments({
-            conversation: id,
-            sender: { $ne: req.user._id },
-            'readBy.user': { $ne: req.user._id },
-            isDeleted: false
-        });
+            if (conversation.participants.length >= Conversation.getMaxGroupParticipants()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Group is full'
+                });
+            }
+
+            const request = conversation.joinRequests.find(entry => entry.user.toString() === userId);
+            if (!await joinGroupViaInvite(conversation, requester, conversation.findInviteLink(request.inviteCode))) {
+                return res.status(410).json({
+                    success: false,
+                    message: 'Invite link has reached its usage limit'
+                });
+            }
+        } else {
+            conversation.removeJoinRequest(userId);
+            await conversation.save();
+        }
+
+        if (global.io) {
+            global.io.to(`user_${userId}`).emit('group_join_request_resolved', {
+                conversationId: conversation._id,
+                status: action === 'approve' ? 'approved' : 'rejected'
+            });
+        }
 
         res.json({
             success: true,
+            message: action === 'approve' ? 'Join request approved' : 'Join request rejected',
             data: {
-                stats: stats[0] || {
-                    totalMessages: 0,
-                    textMessages: 0,
-                    fileMessages: 0,
-                    firstMessage: null,
-                    lastMessage: null
-                },
-                unreadCount
+                userId,
+                status: action === 'approve' ? 'approved' : 'rejected'
             }
         });
 
     } catch (error) {
-        logger.error('Get conversation stats error:', error);
+        logger.error('Resolve join request error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -858,11 +3370,11 @@ router.get('/:id/stats', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/conversation/{id}:
- *   delete:
+ * /api/conversation/{id}/pins:
+ *   get:
  *     tags: [Conversations]
- *     summary: Delete conversation
- *     description: Delete a conversation (private) or leave a group conversation
+ *     summary: List pinned messages
+ *     description: List the conversation's pinned messages, newest pin first. Pins of messages the user has deleted are left out.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -870,14 +3382,27 @@ router.get('/:id/stats', auth, async (req, res) => {
  *       - $ref: '#/components/parameters/ConversationId'
  *     responses:
  *       200:
- *         description: Conversation deleted successfully
+ *         description: Pinned messages retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
- *             example:
- *               success: true
- *               message: "Conversation deleted successfully"
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         pins:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/PinnedMessage'
+ *                         maxPins:
+ *                           type: integer
+ *                           example: 3
+ *                         canManagePins:
+ *                           type: boolean
+ *                           description: Whether the current user may pin and unpin messages here
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -887,17 +3412,9 @@ router.get('/:id/stats', auth, async (req, res) => {
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/:id', auth, async (req, res) => {
+router.get('/:id/pins', auth, async (req, res) => {
     try {
         const { id } = req.params;
-        const sessionId = req.header('X-Session-ID');
-
-        if (!sessionId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Session ID required'
-            });
-        }
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({
@@ -919,53 +3436,19 @@ router.delete('/:id', auth, async (req, res) => {
             });
         }
 
-        if (conversation.type === 'private') {
-            conversation.isActive = false;
-            await conversation.save();
-
-            await Message.updateMany(
-                {
-                    conversation: id,
-                    $or: [
-                        { sender: req.user._id },
-                        { 'readBy.user': req.user._id }
-                    ]
-                },
-                {
-                    $set: { isDeleted: true, editedAt: new Date() }
-                }
-            );
-
-            logger.info(`Private conversation ${id} deleted by user ${req.user._id}`);
-        } else {
-            conversation.participants = conversation.participants.filter(
-                participant => participant.toString() !== req.user._id.toString()
-            );
-
-            if (conversation.participants.length === 0) {
-                conversation.isActive = false;
-            }
-
-            await conversation.save();
-
-            logger.info(`User ${req.user._id} left group conversation ${id}`);
-        }
-
-        if (global.io) {
-            global.io.to(`conversation_${id}`).emit('conversation_deleted', {
-                conversationId: id,
-                deletedBy: req.user._id,
-                type: conversation.type
-            });
-        }
+        const pins = await getPinnedMessages(conversation._id, req.user._id);
 
         res.json({
             success: true,
-            message: 'Conversation deleted successfully'
+            data: {
+                pins,
+                maxPins: Conversation.getMaxPinnedMessages(),
+                canManagePins: conversation.canManagePins(req.user._id)
+            }
         });
 
     } catch (error) {
-        logger.error('Delete conversation error:', error);
+        logger.error('Get pinned messages error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -975,11 +3458,14 @@ router.delete('/:id', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/conversation/{id}/participants:
+ * /api/conversation/{id}/pins:
  *   post:
  *     tags: [Conversations]
- *     summary: Add participant to group conversation
- *     description: Add a new participant to an existing group conversation
+ *     summary: Pin a message
+ *     description: |
+ *       Pin a message of the conversation. Any participant can pin in a private chat; in groups only owners and admins can.
+ *       At most MAX_PINNED_MESSAGES (default 3) messages can be pinned at once. A system message records the pin and
+ *       participants are notified with the `message_pinned` socket event.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -991,17 +3477,14 @@ router.delete('/:id', auth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [participantId]
+ *             required: [messageId]
  *             properties:
- *               participantId:
+ *               messageId:
  *                 type: string
- *                 pattern: '^[0-9a-fA-F]{24}$'
- *                 example: "507f1f77bcf86cd799439013"
- *           example:
- *             participantId: "507f1f77bcf86cd799439013"
+ *                 example: '507f1f77bcf86cd799439011'
  *     responses:
- *       200:
- *         description: Participant added successfully
+ *       201:
+ *         description: Message pinned
  *         content:
  *           application/json:
  *             schema:
@@ -1012,21 +3495,35 @@ router.delete('/:id', auth, async (req, res) => {
  *                     data:
  *                       type: object
  *                       properties:
- *                         conversation:
- *                           $ref: '#/components/schemas/Conversation'
+ *                         pin:
+ *                           $ref: '#/components/schemas/PinnedMessage'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The message is already pinned, or the pin limit is reached (`code` is `PIN_LIMIT_REACHED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Only 3 messages can be pinned"
+ *               code: "PIN_LIMIT_REACHED"
+ *               details:
+ *                 maxPins: 3
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/:id/participants', auth, [
-    body('participantId')
+router.post('/:id/pins', auth, conversationRateLimit, [
+    body('messageId')
         .isMongoId()
-        .withMessage('Invalid participant ID')
+        .withMessage('Invalid message ID')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -1039,7 +3536,7 @@ router.post('/:id/participants', auth, [
         }
 
         const { id } = req.params;
-        const { participantId } = req.body;
+        const { messageId } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({
@@ -1051,44 +3548,82 @@ router.post('/:id/participants', auth, [
         const conversation = await Conversation.findOne({
             _id: id,
             participants: req.user._id,
-            type: 'group',
             isActive: true
         });
 
         if (!conversation) {
             return res.status(404).json({
                 success: false,
-                message: 'Group conversation not found'
+                message: 'Conversation not found'
             });
         }
 
-        const participant = await User.findById(participantId);
-        if (!participant || !participant.isActive) {
-            return res.status(404).json({
+        if (!conversation.canManagePins(req.user._id)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Participant not found'
+                message: 'Only group admins can pin messages'
             });
         }
 
-        if (conversation.participants.includes(participantId)) {
-            return res.status(400).json({
+        const message = await Message.findOne({
+            _id: messageId,
+            conversation: conversation._id,
+            type: { $ne: 'system' },
+            isDeleted: false,
+            'deletedFor.user': { $ne: req.user._id }
+        })
+            .select('sender content type fileData.name fileData.type isDeleted createdAt')
+            .populate('sender', 'username firstName lastName');
+
+        if (!message) {
+            return res.status(404).json({
                 success: false,
-                message: 'User is already a participant'
+                message: 'Message not found'
             });
         }
 
-        conversation.participants.push(participantId);
-        await conversation.save();
-        await conversation.populate('participants', 'username firstName lastName avatar lastSeen');
+        const maxPins = Conversation.getMaxPinnedMessages();
+        const pin = { message: message._id, pinnedBy: req.user._id, pinnedAt: new Date() };
 
-        res.json({
+        // The limit is part of the filter so concurrent pins cannot overshoot it
+        const result = await Conversation.updateOne(
+            {
+                _id: conversation._id,
+                'pinnedMessages.message': { $ne: message._id },
+                [`pinnedMessages.${maxPins - 1}`]: { $exists: false }
+            },
+            { $push: { pinnedMessages: pin } }
+        );
+
+        if (result.modifiedCount === 0) {
+            const alreadyPinned = await Conversation.exists({ _id: conversation._id, 'pinnedMessages.message': message._id });
+
+            return res.status(409).json(alreadyPinned
+                ? { success: false, message: 'Message is already pinned' }
+                : {
+                    success: false,
+                    message: `Only ${maxPins} messages can be pinned`,
+                    code: 'PIN_LIMIT_REACHED',
+                    details: { maxPins }
+                });
+        }
+
+        await invalidateCachedConversation(conversation._id);
+
+        const pinData = toPinData(pin, message.toObject(), req.user);
+        emitMessagePinned(conversation._id, pinData);
+        await postSystemMessage(conversation, req.user, 'message_pinned', [], { message });
+
+        logger.info(`Message ${message._id} pinned in conversation ${id} by ${req.user._id}`);
+
+        res.status(201).json({
             success: true,
-            message: 'Participant added successfully',
-            data: { conversation }
+            message: 'Message pinned',
+            data: { pin: pinData }
         });
 
     } catch (error) {
-        logger.error('Add participant error:', error);
+        logger.error('Pin message error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -1098,98 +3633,90 @@ router.post('/:id/participants', auth, [
 
 /**
  * @swagger
- * /api/conversation/{id}/participants/{participantId}:
+ * /api/conversation/{id}/pins/{messageId}:
  *   delete:
  *     tags: [Conversations]
- *     summary: Remove participant from group conversation
- *     description: Remove a participant from an existing group conversation
+ *     summary: Unpin a message
+ *     description: Unpin a message. The same users who can pin may unpin. Participants are notified with the `message_unpinned` socket event.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
  *       - $ref: '#/components/parameters/ConversationId'
- *       - name: participantId
- *         in: path
- *         required: true
- *         description: ID of the participant to remove
- *         schema:
- *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - $ref: '#/components/parameters/MessageId'
  *     responses:
  *       200:
- *         description: Participant removed successfully
+ *         description: Message unpinned
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       type: object
- *                       properties:
- *                         conversation:
- *                           $ref: '#/components/schemas/Conversation'
+ *               $ref: '#/components/schemas/ApiResponse'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/:id/participants/:participantId', auth, async (req, res) => {
+router.delete('/:id/pins/:messageId', auth, conversationRateLimit, async (req, res) => {
     try {
-        const { id, participantId } = req.params;
+        const { id, messageId } = req.params;
 
-        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(participantId)) {
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(messageId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid conversation or participant ID'
+                message: 'Invalid conversation or message ID'
             });
         }
 
         const conversation = await Conversation.findOne({
             _id: id,
             participants: req.user._id,
-            type: 'group',
             isActive: true
         });
 
         if (!conversation) {
             return res.status(404).json({
                 success: false,
-                message: 'Group conversation not found'
+                message: 'Conversation not found'
             });
         }
 
-        if (!conversation.participants.includes(participantId)) {
-            return res.status(400).json({
+        if (!conversation.canManagePins(req.user._id)) {
+            return res.status(403).json({
                 success: false,
-                message: 'User is not a participant in this conversation'
+                message: 'Only group admins can unpin messages'
             });
         }
 
-        conversation.participants = conversation.participants.filter(
-            p => p.toString() !== participantId
+        const result = await Conversation.updateOne(
+            { _id: conversation._id },
+            { $pull: { pinnedMessages: { message: new mongoose.Types.ObjectId(messageId) } } }
         );
 
-        if (conversation.participants.length === 0) {
-            conversation.isActive = false;
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message is not pinned'
+            });
         }
 
-        await conversation.save();
-        await conversation.populate('participants', 'username firstName lastName avatar lastSeen');
+        await invalidateCachedConversation(conversation._id);
+        emitMessageUnpinned(conversation._id, messageId, req.user._id);
+
+        logger.info(`Message ${messageId} unpinned in conversation ${id} by ${req.user._id}`);
 
         res.json({
             success: true,
-            message: 'Participant removed successfully',
-            data: { conversation }
+            message: 'Message unpinned'
         });
 
     } catch (error) {
-        logger.error('Remove participant error:', error);
+        logger.error('Unpin message error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -1,11 +1,23 @@
 const express = require('express');
+const { Readable } = require('stream');
 const mongoose = require('mongoose');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
+const AutoMessage = require('../models/AutoMessage');
+const Upload = require('../models/Upload');
+const User = require('../models/User');
 const { auth } = require('../middleware/auth');
 const { fixBase64Format, extractBase64Data } = require('../utils/base64Helper');
+const { encodeCursor, decodeCursor, getCursorQuery, getCursorSort } = require('../utils/cursorHelper');
+const { parseSearchTerms, buildSnippet } = require('../utils/searchHelper');
+const { pipeObjectStream, sendRangedContent } = require('../utils/rangeHelper');
+const { getObjectStream, statObject, deleteObject, createChecksum } = require('../services/storageService');
+const { queueLinkPreview } = require('../services/queueService');
+const { removeMessageLinkPreview } = require('../services/linkPreviewService');
+const { resolveMentions, notifyMentions } = require('../services/mentionService');
+const { releaseDeletedMessagePins } = require('../services/pinService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -24,6 +36,45 @@ const readRateLimit = rateLimit({
     message: { success: false, message: 'Too many read requests. Please slow down.' }
 });
 
+const reactionRateLimit = rateLimit({
+    windowMs: 1 * 60 * 1000,
+    max: 60,
+    message: { success: false, message: 'Too many reactions. Please slow down.' }
+});
+
+const searchRateLimit = rateLimit({
+    windowMs: 1 * 60 * 1000,
+    max: 30,
+    message: { success: false, message: 'Too many search requests. Please slow down.' }
+});
+
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'file', 'video', 'audio'];
+const SEARCHABLE_MESSAGE_TYPES = ['text', ...ATTACHMENT_MESSAGE_TYPES];
+// Thumbnails migrated from inline payloads carry whatever type the client once claimed
+const THUMBNAIL_CONTENT_TYPES = ['image/webp', 'image/jpeg', 'image/png', 'image/gif'];
+const SCHEDULED_MESSAGE_MAX_DAYS = parseInt(process.env.SCHEDULED_MESSAGE_MAX_DAYS) || 365;
+const MAX_SCHEDULED_MESSAGES = parseInt(process.env.MAX_SCHEDULED_MESSAGES) || 100;
+
+// Answers for attachments the malware scanner has not released; returns true when a response was sent
+const sendUnreleasedAttachment = (res, message) => {
+    if (message.isAttachmentReleased()) return false;
+
+    if (message.fileData.scanStatus === 'infected') {
+        res.status(403).json({
+            success: false,
+            message: 'File has been quarantined',
+            code: 'FILE_QUARANTINED'
+        });
+    } else {
+        res.status(409).json({
+            success: false,
+            message: 'File is still being scanned',
+            code: 'FILE_SCAN_PENDING'
+        });
+    }
+    return true;
+};
+
 const fixMessageFileData = (message) => {
     if (message.fileData && message.fileData.data) {
         message.fileData.data = fixBase64Format(message.fileData.data);
@@ -40,7 +91,12 @@ const fixMessageFileData = (message) => {
  *   get:
  *     tags: [Messages]
  *     summary: Get messages in a conversation
- *     description: Retrieve paginated messages from a specific conversation with read status information
+ *     description: |
+ *       Retrieve a window of messages from a specific conversation with read status information, oldest first.
+ *       Without parameters the latest messages are returned. Pass `olderCursor` as `before` or `newerCursor` as `after`
+ *       to scroll through history, or `around` to centre the window on a message (search hit, reply, notification).
+ *       At most one of `before`, `after` and `around` may be given. The legacy `page` parameter still works and
+ *       returns the offset-based `Pagination` object.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -52,7 +108,13 @@ const fixMessageFileData = (message) => {
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
- *       - $ref: '#/components/parameters/Page'
+ *       - name: page
+ *         in: query
+ *         deprecated: true
+ *         description: Offset page number. Prefer the cursor parameters.
+ *         schema:
+ *           type: integer
+ *           minimum: 1
  *       - name: limit
  *         in: query
  *         description: Number of messages per page (max 50)
@@ -61,6 +123,22 @@ const fixMessageFileData = (message) => {
  *           minimum: 1
  *           maximum: 50
  *           default: 50
+ *       - name: before
+ *         in: query
+ *         description: Cursor; return messages older than this position
+ *         schema:
+ *           type: string
+ *       - name: after
+ *         in: query
+ *         description: Cursor; return messages newer than this position
+ *         schema:
+ *           type: string
+ *       - name: around
+ *         in: query
+ *         description: Message ID; return the messages surrounding it, the message included
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
  *     responses:
  *       200:
  *         description: Messages retrieved successfully
@@ -79,7 +157,13 @@ const fixMessageFileData = (message) => {
  *                           items:
  *                             $ref: '#/components/schemas/Message'
  *                         pagination:
- *                           $ref: '#/components/schemas/Pagination'
+ *                           oneOf:
+ *                             - $ref: '#/components/schemas/MessageWindowPagination'
+ *                             - $ref: '#/components/schemas/Pagination'
+ *                         editWindowMinutes:
+ *                           type: integer
+ *                           description: How long after sending a message its sender can still edit it
+ *                           example: 15
  *             example:
  *               success: true
  *               data:
@@ -98,10 +182,11 @@ const fixMessageFileData = (message) => {
  *                       isRead: true
  *                       readAt: "2025-01-15T10:31:00.000Z"
  *                 pagination:
- *                   page: 1
  *                   limit: 50
- *                   total: 150
- *                   pages: 3
+ *                   hasOlder: true
+ *                   hasNewer: false
+ *                   olderCursor: "eyJ0IjoxNzM2OTM3MDAwMDAwLCJpZCI6IjUwN2YxZjc3YmNmODZjZDc5OTQzOTAxNSJ9"
+ *                   newerCursor: "eyJ0IjoxNzM2OTM3MDAwMDAwLCJpZCI6IjUwN2YxZjc3YmNmODZjZDc5OTQzOTAxNSJ9"
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -114,8 +199,8 @@ const fixMessageFileData = (message) => {
 router.get('/conversation/:conversationId', auth, async (req, res) => {
     try {
         const { conversationId } = req.params;
-        const { page = 1, limit = 50 } = req.query;
-        const skip = (page - 1) * limit;
+        const { page, before, after, around } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 50);
 
         if (!mongoose.Types.ObjectId.isValid(conversationId)) {
             return res.status(400).json({
@@ -124,6 +209,28 @@ router.get('/conversation/:conversationId', auth, async (req, res) => {
             });
         }
 
+        if ([before, after, around].filter(Boolean).length > 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only one of before, after or around can be used'
+            });
+        }
+
+        if (around && !mongoose.Types.ObjectId.isValid(around)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid message ID'
+            });
+        }
+
+        const position = before || after ? decodeCursor(before || after) : null;
+        if ((before || after) && !position) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
         const conversation = await Conversation.findOne({
             _id: conversationId,
             participants: req.user._id
@@ -136,22 +243,103 @@ router.get('/conversation/:conversationId', auth, async (req, res) => {
             });
         }
 
-        const messages = await Message.find({
+        const clearedFilter = await Conversation.getClearedHistoryFilter(req.user._id, conversation._id);
+        const visibleFilter = {
             conversation: conversationId,
             isDeleted: false,
-            'deletedFor.user': { $ne: req.user._id }
-        })
+            'deletedFor.user': { $ne: req.user._id },
+            ...Message.getUnexpiredFilter(),
+            ...clearedFilter
+        };
+
+        const findMessages = (filter, sort, count) => Message.find(filter)
             .populate('sender', 'username firstName lastName avatar')
-            .populate('replyTo')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+            .populate(Message.getReplyPreviewPopulate())
+            .sort(sort)
+            .limit(count);
+
+        // Every branch below yields messages newest first; the response reverses them.
+        let messages;
+        let pagination;
+
+        if (page !== undefined && !before && !after && !around) {
+            // Legacy offset pagination, kept for older clients
+            const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+            messages = await findMessages(visibleFilter, { createdAt: -1 }, limit).skip((pageNumber - 1) * limit);
+
+            const total = await Message.countDocuments(visibleFilter);
+            pagination = {
+                page: pageNumber,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            };
+        } else {
+            let hasOlder;
+            let hasNewer;
+
+            if (around) {
+                const target = await Message.findOne({ _id: around, ...visibleFilter }).select('createdAt');
+
+                if (!target) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Message not found'
+                    });
+                }
 
-        const total = await Message.countDocuments({
-            conversation: conversationId,
-            isDeleted: false,
-            'deletedFor.user': { $ne: req.user._id }
-        });
+                // The target itself is the first entry of the older half.
+                const olderCount = Math.ceil(limit / 2);
+                const newerCount = limit - olderCount;
+                const targetPosition = { createdAt: target.createdAt, id: target._id };
+
+                const [older, newer] = await Promise.all([
+                    findMessages({ ...visibleFilter, ...getCursorQuery(targetPosition, 'older', true) }, getCursorSort('older'), olderCount + 1),
+                    findMessages({ ...visibleFilter, ...getCursorQuery(targetPosition, 'newer') }, getCursorSort('newer'), newerCount + 1)
+                ]);
+
+                messages = [
+                    ...newer.slice(0, newerCount).reverse(),
+                    ...older.slice(0, olderCount)
+                ];
+                hasOlder = older.length > olderCount;
+                hasNewer = newer.length > newerCount;
+            } else if (after) {
+                const [newer, olderExists] = await Promise.all([
+                    findMessages({ ...visibleFilter, ...getCursorQuery(position, 'newer') }, getCursorSort('newer'), limit + 1),
+                    Message.exists({ ...visibleFilter, ...getCursorQuery(position, 'older', true) })
+                ]);
+
+                messages = newer.slice(0, limit).reverse();
+                hasOlder = Boolean(olderExists);
+                hasNewer = newer.length > limit;
+            } else {
+                const olderFilter = position ? { ...visibleFilter, ...getCursorQuery(position, 'older') } : visibleFilter;
+                const [older, newerExists] = await Promise.all([
+                    findMessages(olderFilter, getCursorSort('older'), limit + 1),
+                    position ? Message.exists({ ...visibleFilter, ...getCursorQuery(position, 'newer', true) }) : null
+                ]);
+
+                messages = older.slice(0, limit);
+                hasOlder = older.length > limit;
+                hasNewer = Boolean(newerExists);
+            }
+
+            pagination = {
+                limit,
+                hasOlder,
+                hasNewer,
+                olderCursor: messages.length > 0 ? encodeCursor(messages[messages.length - 1]) : null,
+                newerCursor: messages.length > 0 ? encodeCursor(messages[0]) : null
+            };
+
+            if (around) {
+                pagination.around = around;
+            }
+        }
+
+        const replyCounts = await Message.getReplyCounts(messages.map(message => message._id), req.user._id, clearedFilter);
 
         const messagesWithStatus = messages.map(message => {
             let messageObj = message.toObject();
@@ -164,6 +352,9 @@ router.get('/conversation/:conversationId', auth, async (req, res) => {
 
             messageObj.readStatus = message.getReadStatus(req.user._id);
             messageObj.isDeletedForMe = message.isDeletedForUser(req.user._id);
+            messageObj.replyTo = Message.toReplyPreview(messageObj.replyTo);
+            messageObj.replyCount = replyCounts[message._id.toString()] || 0;
+            messageObj.reactions = message.getReactionSummary();
 
             if (message.isMedia()) {
                 messageObj.mediaInfo = message.getMediaInfo();
@@ -176,12 +367,8 @@ router.get('/conversation/:conversationId', auth, async (req, res) => {
             success: true,
             data: {
                 messages: messagesWithStatus.reverse(),
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total,
-                    pages: Math.ceil(total / limit)
-                }
+                pagination,
+                editWindowMinutes: Message.getEditWindowMinutes()
             }
         });
 
@@ -196,148 +383,269 @@ router.get('/conversation/:conversationId', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/message/file/{messageId}:
+ * /api/message/search:
  *   get:
  *     tags: [Messages]
- *     summary: Download message file
- *     description: Download the file attached to a specific message
+ *     summary: Search messages
+ *     description: |
+ *       Full-text search over message content and attachment names in every conversation the user belongs to.
+ *       Messages deleted for everyone or for the current user are never returned. Results are ordered newest
+ *       first and paginated with an opaque cursor; each hit carries a snippet with highlight ranges.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
- *       - $ref: '#/components/parameters/MessageId'
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         description: Search terms. Wrap phrases in double quotes; prefix a word with - to exclude it.
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *       - name: conversationId
+ *         in: query
+ *         description: Only search this conversation
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - name: senderId
+ *         in: query
+ *         description: Only messages sent by this user
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [text, image, file, video, audio]
+ *       - name: from
+ *         in: query
+ *         description: Only messages sent at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         description: Only messages sent at or before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: hasAttachment
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: cursor
+ *         in: query
+ *         description: nextCursor value from the previous page
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
  *     responses:
  *       200:
- *         description: File downloaded successfully
+ *         description: Search results retrieved successfully
  *         content:
- *           application/octet-stream:
- *             schema:
- *               type: string
- *               format: binary
- *         headers:
- *           Content-Type:
- *             description: Original file MIME type
- *             schema:
- *               type: string
- *           Content-Disposition:
- *             description: Attachment with original filename
- *             schema:
- *               type: string
- *           Content-Length:
- *             description: File size in bytes
+ *           application/json:
  *             schema:
- *               type: integer
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         results:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/MessageSearchResult'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/CursorPagination'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
- *       403:
- *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: File not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *             examples:
- *               messageNotFound:
- *                 summary: Message not found
- *                 value:
- *                   success: false
- *                   message: "Message not found"
- *               fileNotFound:
- *                 summary: File not found
- *                 value:
- *                   success: false
- *                   message: "File not found"
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/file/:messageId', auth, async (req, res) => {
+router.get('/search', auth, searchRateLimit, [
+    query('q')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Search query must be 2-100 characters'),
+    query('conversationId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid conversation ID'),
+    query('senderId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid sender ID'),
+    query('type')
+        .optional()
+        .isIn(SEARCHABLE_MESSAGE_TYPES)
+        .withMessage('Invalid message type'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date'),
+    query('hasAttachment')
+        .optional()
+        .isBoolean()
+        .withMessage('hasAttachment must be a boolean'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
     try {
-        const { messageId } = req.params;
-
-        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid message ID'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        const message = await Message.findById(messageId)
-            .populate('conversation');
+        const { q, conversationId, senderId, type, from, to, hasAttachment, cursor } = req.query;
+        const limit = parseInt(req.query.limit) || 20;
 
-        if (!message) {
-            return res.status(404).json({
-                success: false,
-                message: 'Message not found'
-            });
+        let position = null;
+        if (cursor) {
+            position = decodeCursor(cursor);
+            if (!position) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
         }
 
-        const hasAccess = message.conversation.participants.includes(req.user._id);
-        if (!hasAccess) {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied'
-            });
+        const memberConversationIds = await Conversation.find({
+            participants: req.user._id,
+            isActive: true
+        }).distinct('_id');
+
+        let conversationIds = memberConversationIds;
+        if (conversationId) {
+            if (!memberConversationIds.some(id => id.toString() === conversationId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conversation not found'
+                });
+            }
+            conversationIds = [new mongoose.Types.ObjectId(conversationId)];
         }
 
-        if (message.isDeletedForUser(req.user._id)) {
-            return res.status(404).json({
-                success: false,
-                message: 'Message not found'
-            });
+        const conditions = [
+            { $text: { $search: q } },
+            { conversation: { $in: conversationIds } },
+            { isDeleted: false },
+            { 'deletedFor.user': { $ne: req.user._id } },
+            { type: type || { $ne: 'system' } },
+            Message.getUnexpiredFilter(),
+            await Conversation.getClearedHistoryFilter(req.user._id, conversationId || null)
+        ];
+
+        if (senderId) {
+            conditions.push({ sender: new mongoose.Types.ObjectId(senderId) });
         }
 
-        if (!message.fileData || !message.fileData.data) {
-            return res.status(404).json({
-                success: false,
-                message: 'File not found'
-            });
+        if (hasAttachment !== undefined) {
+            const wantsAttachment = hasAttachment === 'true' || hasAttachment === '1';
+            conditions.push({ type: wantsAttachment ? { $in: ATTACHMENT_MESSAGE_TYPES } : 'text' });
         }
 
-        try {
-            const fixedFileData = fixBase64Format(message.fileData.data);
+        if (from || to) {
+            const createdAt = {};
+            if (from) createdAt.$gte = new Date(from);
+            if (to) createdAt.$lte = new Date(to);
+            conditions.push({ createdAt });
+        }
 
-            let fileBuffer;
+        if (position) {
+            conditions.push(getCursorQuery(position, 'older'));
+        }
 
-            const base64Data = extractBase64Data(fixedFileData);
-            if (!base64Data) {
-                throw new Error('Invalid base64 data format');
-            }
+        const messages = await Message.find({ $and: conditions })
+            .select('-fileData.data -fileData.thumbnail -editHistory -readBy -reactions')
+            .populate('sender', 'username firstName lastName avatar')
+            .populate({
+                path: 'conversation',
+                select: 'type name participants',
+                populate: {
+                    path: 'participants',
+                    select: 'username firstName lastName avatar'
+                }
+            })
+            .sort(getCursorSort('older'))
+            .limit(limit + 1);
 
-            fileBuffer = Buffer.from(base64Data, 'base64');
+        const hasMore = messages.length > limit;
+        const page = hasMore ? messages.slice(0, limit) : messages;
+        const terms = parseSearchTerms(q);
 
-            const contentType = message.fileData.type || 'application/octet-stream';
-            const fileName = message.fileData.name || 'download';
+        const results = page.map(message => {
+            const messageObj = message.toObject();
+            const conversation = messageObj.conversation;
 
-            const safeFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+            if (messageObj.sender && messageObj.sender.avatar) {
+                messageObj.sender.avatar = fixBase64Format(messageObj.sender.avatar);
+            }
 
-            logger.info(`Serving file: ${fileName}, type: ${contentType}, size: ${fileBuffer.length} bytes`);
+            const otherParticipant = conversation.type === 'private'
+                ? conversation.participants.find(participant => participant._id.toString() !== req.user._id.toString()) || null
+                : null;
 
-            res.setHeader('Content-Type', contentType);
-            res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
-            res.setHeader('Content-Length', fileBuffer.length);
-            res.setHeader('Cache-Control', 'private, no-cache, no-store, must-revalidate');
-            res.setHeader('Expires', '-1');
-            res.setHeader('Pragma', 'no-cache');
+            return {
+                message: {
+                    ...messageObj,
+                    conversation: conversation._id
+                },
+                conversation: {
+                    _id: conversation._id,
+                    type: conversation.type,
+                    name: conversation.name,
+                    otherParticipant: otherParticipant ? {
+                        _id: otherParticipant._id,
+                        username: otherParticipant.username,
+                        firstName: otherParticipant.firstName,
+                        lastName: otherParticipant.lastName
+                    } : null
+                },
+                snippet: buildSnippet(messageObj.content || (messageObj.fileData && messageObj.fileData.name), terms)
+            };
+        });
 
-            if (message.type === 'video' || message.type === 'audio') {
-                res.setHeader('Accept-Ranges', 'bytes');
+        res.json({
+            success: true,
+            data: {
+                results,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+                }
             }
-
-            res.send(fileBuffer);
-
-        } catch (decodeError) {
-            logger.error('File decode error:', decodeError);
-            return res.status(500).json({
-                success: false,
-                message: 'Error processing file data'
-            });
-        }
+        });
 
     } catch (error) {
-        logger.error('Download file error:', error);
+        logger.error('Search messages error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -347,27 +655,1029 @@ router.get('/file/:messageId', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/message/thumbnail/{messageId}:
+ * /api/message/mentions:
  *   get:
  *     tags: [Messages]
- *     summary: Get message thumbnail
- *     description: Get thumbnail image for image or video messages
+ *     summary: List unread mentions
+ *     description: |
+ *       Messages in the user's group conversations that mention them by `@username` or through `@all` and that they
+ *       have not read yet. Results are ordered newest first and paginated with an opaque cursor; reading a message
+ *       removes it from this list.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
- *       - $ref: '#/components/parameters/MessageId'
- *     responses:
- *       200:
- *         description: Thumbnail retrieved successfully
- *         content:
- *           image/jpeg:
- *             schema:
- *               type: string
- *               format: binary
- *           image/png:
- *             schema:
- *               type: string
+ *       - name: conversationId
+ *         in: query
+ *         description: Only mentions in this conversation
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - name: cursor
+ *         in: query
+ *         description: nextCursor value from the previous page
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Unread mentions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         mentions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/MentionResult'
+ *                         unreadCount:
+ *                           type: integer
+ *                           description: Total unread mentions matching the filter
+ *                           example: 3
+ *                         pagination:
+ *                           $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/mentions', auth, readRateLimit, [
+    query('conversationId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid conversation ID'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { conversationId, cursor } = req.query;
+        const limit = parseInt(req.query.limit) || 20;
+
+        let position = null;
+        if (cursor) {
+            position = decodeCursor(cursor);
+            if (!position) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
+        }
+
+        const groupConversationIds = await Conversation.find({
+            participants: req.user._id,
+            type: 'group',
+            isActive: true
+        }).distinct('_id');
+
+        let conversationIds = groupConversationIds;
+        if (conversationId) {
+            if (!groupConversationIds.some(id => id.toString() === conversationId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conversation not found'
+                });
+            }
+            conversationIds = [new mongoose.Types.ObjectId(conversationId)];
+        }
+
+        const filter = {
+            conversation: { $in: conversationIds },
+            sender: { $ne: req.user._id },
+            isDeleted: false,
+            'deletedFor.user': { $ne: req.user._id },
+            'readBy.user': { $ne: req.user._id },
+            $or: [
+                { 'mentions.user': req.user._id },
+                { 'mentions.type': 'all' }
+            ],
+            ...Message.getUnexpiredFilter(),
+            ...await Conversation.getClearedHistoryFilter(req.user._id, conversationId || null)
+        };
+
+        const [messages, unreadCount] = await Promise.all([
+            Message.find(position ? { $and: [filter, getCursorQuery(position, 'older')] } : filter)
+                .select('-fileData.data -fileData.thumbnail -editHistory -readBy -reactions')
+                .populate('sender', 'username firstName lastName avatar')
+                .populate('conversation', 'type name avatar')
+                .sort(getCursorSort('older'))
+                .limit(limit + 1),
+            Message.countDocuments(filter)
+        ]);
+
+        const hasMore = messages.length > limit;
+        const page = hasMore ? messages.slice(0, limit) : messages;
+        const userId = req.user._id.toString();
+
+        const mentions = page.map(message => {
+            const messageObj = message.toObject();
+            const conversation = messageObj.conversation;
+
+            if (messageObj.sender && messageObj.sender.avatar) {
+                messageObj.sender.avatar = fixBase64Format(messageObj.sender.avatar);
+            }
+
+            const isDirect = messageObj.mentions.some(mention =>
+                mention.type === 'user' && mention.user.toString() === userId
+            );
+
+            return {
+                message: {
+                    ...messageObj,
+                    conversation: conversation._id
+                },
+                conversation: {
+                    _id: conversation._id,
+                    type: conversation.type,
+                    name: conversation.name,
+                    avatar: conversation.avatar
+                },
+                mentionType: isDirect ? 'user' : 'all'
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                mentions,
+                unreadCount,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get mentions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+const findScheduledMessage = (scheduledMessageId, userId) => {
+    return AutoMessage.findOne({
+        _id: scheduledMessageId,
+        sender: userId,
+        origin: 'user'
+    });
+};
+
+const sendDateValidator = (field) => body(field)
+    .isISO8601()
+    .withMessage('sendDate must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('sendDate must be in the future')
+    .custom(value => new Date(value) <= new Date(Date.now() + SCHEDULED_MESSAGE_MAX_DAYS * 24 * 60 * 60 * 1000))
+    .withMessage(`sendDate cannot be more than ${SCHEDULED_MESSAGE_MAX_DAYS} days ahead`);
+
+const scheduledMessageLockedResponse = (res, scheduledMessage) => {
+    return res.status(409).json({
+        success: false,
+        message: 'Scheduled message can no longer be changed',
+        code: 'SCHEDULED_MESSAGE_LOCKED',
+        details: { status: scheduledMessage.getStatus() }
+    });
+};
+
+/**
+ * @swagger
+ * /api/message/schedule:
+ *   post:
+ *     tags: [Messages]
+ *     summary: Schedule a message
+ *     description: |
+ *       Write a message now and have it sent to a private conversation or group at `sendDate`. Attachments are
+ *       uploaded first through the chunked upload API and referenced with `uploadId`, exactly as when sending
+ *       right away.
+ *
+ *       Blocks and group membership are checked again when the message goes out; the author is told the outcome
+ *       with the `scheduled_message_sent` or `scheduled_message_failed` socket event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - conversationId
+ *               - sendDate
+ *             properties:
+ *               conversationId:
+ *                 type: string
+ *                 example: '507f1f77bcf86cd799439012'
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Required unless an attachment is sent
+ *                 example: 'Doğum günün kutlu olsun!'
+ *               sendDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When to send the message; must be in the future and at most `SCHEDULED_MESSAGE_MAX_DAYS` ahead
+ *                 example: '2025-01-16T09:00:00.000Z'
+ *               uploadId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Completed upload to send as the attachment
+ *               disableLinkPreview:
+ *                 type: boolean
+ *                 description: Send without a link preview
+ *     responses:
+ *       201:
+ *         description: Message scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         scheduledMessage:
+ *                           $ref: '#/components/schemas/ScheduledMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: One of the users has blocked the other
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation or upload not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Too many pending scheduled messages (`code` is `SCHEDULED_MESSAGE_LIMIT_REACHED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/schedule', auth, messageRateLimit, [
+    body('conversationId')
+        .isMongoId()
+        .withMessage('Invalid conversation ID'),
+    body('content')
+        .optional()
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('Content cannot exceed 2000 characters'),
+    sendDateValidator('sendDate'),
+    body('uploadId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid upload ID'),
+    body('disableLinkPreview')
+        .optional()
+        .isBoolean()
+        .withMessage('disableLinkPreview must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { conversationId, sendDate, uploadId, disableLinkPreview } = req.body;
+        const content = (req.body.content || '').trim();
+
+        if (!content && !uploadId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message content or file required'
+            });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            participants: req.user._id,
+            isActive: true
+        });
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        if (conversation.type === 'private') {
+            const otherParticipant = conversation.participants.find(participant => !participant.equals(req.user._id));
+
+            if (otherParticipant && await User.isBlockedBetween(req.user._id, otherParticipant)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot send messages to this user'
+                });
+            }
+        }
+
+        const pendingCount = await AutoMessage.countDocuments({
+            sender: req.user._id,
+            origin: 'user',
+            isSent: false,
+            cancelledAt: null,
+            failedAt: null
+        });
+
+        if (pendingCount >= MAX_SCHEDULED_MESSAGES) {
+            return res.status(409).json({
+                success: false,
+                message: `Only ${MAX_SCHEDULED_MESSAGES} messages can be scheduled at a time`,
+                code: 'SCHEDULED_MESSAGE_LIMIT_REACHED',
+                details: { maxScheduledMessages: MAX_SCHEDULED_MESSAGES }
+            });
+        }
+
+        let claimedUpload = null;
+        if (uploadId) {
+            // The stored file now belongs to the scheduled message, so upload cleanup leaves it alone
+            claimedUpload = await Upload.findOneAndUpdate(
+                {
+                    uploadId,
+                    user: req.user._id,
+                    conversation: conversation._id,
+                    status: 'completed',
+                    expiresAt: { $gt: new Date() }
+                },
+                { $set: { status: 'attached' } },
+                { new: true }
+            );
+
+            if (!claimedUpload) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Upload not found or not completed'
+                });
+            }
+        }
+
+        const scheduledMessage = new AutoMessage({
+            sender: req.user._id,
+            origin: 'user',
+            conversation: conversation._id,
+            content: content || claimedUpload.fileName,
+            type: claimedUpload ? claimedUpload.category : 'text',
+            fileData: claimedUpload ? {
+                name: claimedUpload.fileName,
+                type: claimedUpload.mimeType,
+                size: claimedUpload.size,
+                storageKey: claimedUpload.storageKey,
+                checksum: claimedUpload.checksum
+            } : undefined,
+            disableLinkPreview: !claimedUpload && (disableLinkPreview === true || disableLinkPreview === 'true') ? true : undefined,
+            sendDate: new Date(sendDate)
+        });
+
+        try {
+            await scheduledMessage.save();
+        } catch (saveError) {
+            if (claimedUpload) {
+                // Hand the upload back so the client can retry
+                await Upload.updateOne({ _id: claimedUpload._id }, { $set: { status: 'completed' } });
+            }
+            throw saveError;
+        }
+
+        logger.info(`Message scheduled by ${req.user._id} for conversation ${conversation._id} at ${scheduledMessage.sendDate.toISOString()}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Message scheduled',
+            data: {
+                scheduledMessage: scheduledMessage.toScheduledMessage()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Schedule message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/scheduled:
+ *   get:
+ *     tags: [Messages]
+ *     summary: List pending scheduled messages
+ *     description: Messages the current user has scheduled that have not been sent yet, soonest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - name: conversationId
+ *         in: query
+ *         description: Only list messages scheduled for this conversation
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Scheduled messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         scheduledMessages:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ScheduledMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/scheduled', auth, readRateLimit, [
+    query('conversationId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid conversation ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = {
+            sender: req.user._id,
+            origin: 'user',
+            isSent: false,
+            cancelledAt: null,
+            failedAt: null
+        };
+
+        if (req.query.conversationId) {
+            filter.conversation = req.query.conversationId;
+        }
+
+        const scheduledMessages = await AutoMessage.find(filter).sort({ sendDate: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                scheduledMessages: scheduledMessages.map(scheduledMessage => scheduledMessage.toScheduledMessage())
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get scheduled messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/scheduled/{scheduledMessageId}:
+ *   put:
+ *     tags: [Messages]
+ *     summary: Edit a scheduled message
+ *     description: Change the text, send time or link preview choice of a message that has not started sending yet. The attachment cannot be changed; cancel and schedule again instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ScheduledMessageId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *               sendDate:
+ *                 type: string
+ *                 format: date-time
+ *               disableLinkPreview:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Scheduled message updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         scheduledMessage:
+ *                           $ref: '#/components/schemas/ScheduledMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The message is already being sent, sent, failed or cancelled (`code` is `SCHEDULED_MESSAGE_LOCKED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/scheduled/:scheduledMessageId', auth, messageRateLimit, [
+    body('content')
+        .optional()
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('Content cannot exceed 2000 characters'),
+    sendDateValidator('sendDate').optional(),
+    body('disableLinkPreview')
+        .optional()
+        .isBoolean()
+        .withMessage('disableLinkPreview must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { scheduledMessageId } = req.params;
+        const { content, sendDate, disableLinkPreview } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(scheduledMessageId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid scheduled message ID'
+            });
+        }
+
+        const scheduledMessage = await findScheduledMessage(scheduledMessageId, req.user._id);
+
+        if (!scheduledMessage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Scheduled message not found'
+            });
+        }
+
+        if (scheduledMessage.getStatus() !== 'scheduled') {
+            return scheduledMessageLockedResponse(res, scheduledMessage);
+        }
+
+        const changes = {};
+        const hasAttachment = Boolean(scheduledMessage.fileData && scheduledMessage.fileData.storageKey);
+
+        if (content !== undefined) {
+            if (!content.trim() && !hasAttachment) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Message content cannot be empty'
+                });
+            }
+            changes.content = content.trim() || scheduledMessage.fileData.name;
+        }
+        if (sendDate !== undefined) {
+            changes.sendDate = new Date(sendDate);
+        }
+        if (disableLinkPreview !== undefined && !hasAttachment) {
+            changes.disableLinkPreview = disableLinkPreview === true || disableLinkPreview === 'true';
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No changes to save'
+            });
+        }
+
+        // The cron job may have queued the message since it was loaded
+        const updated = await AutoMessage.findOneAndUpdate(
+            AutoMessage.getEditableFilter(scheduledMessage._id, req.user._id),
+            { $set: changes },
+            { new: true, runValidators: true }
+        );
+
+        if (!updated) {
+            return scheduledMessageLockedResponse(res, await findScheduledMessage(scheduledMessageId, req.user._id));
+        }
+
+        res.json({
+            success: true,
+            message: 'Scheduled message updated',
+            data: {
+                scheduledMessage: updated.toScheduledMessage()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update scheduled message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/scheduled/{scheduledMessageId}:
+ *   delete:
+ *     tags: [Messages]
+ *     summary: Cancel a scheduled message
+ *     description: Cancel a message that has not started sending yet. Its attachment, if any, is deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ScheduledMessageId'
+ *     responses:
+ *       200:
+ *         description: Scheduled message cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         scheduledMessage:
+ *                           $ref: '#/components/schemas/ScheduledMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The message is already being sent, sent, failed or cancelled (`code` is `SCHEDULED_MESSAGE_LOCKED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/scheduled/:scheduledMessageId', auth, messageRateLimit, async (req, res) => {
+    try {
+        const { scheduledMessageId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(scheduledMessageId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid scheduled message ID'
+            });
+        }
+
+        const cancelled = await AutoMessage.findOneAndUpdate(
+            AutoMessage.getEditableFilter(scheduledMessageId, req.user._id),
+            { $set: { cancelledAt: new Date() } },
+            { new: true }
+        );
+
+        if (!cancelled) {
+            const scheduledMessage = await findScheduledMessage(scheduledMessageId, req.user._id);
+
+            if (!scheduledMessage) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Scheduled message not found'
+                });
+            }
+
+            return scheduledMessageLockedResponse(res, scheduledMessage);
+        }
+
+        if (cancelled.fileData && cancelled.fileData.storageKey) {
+            await deleteObject(cancelled.fileData.storageKey).catch(error => {
+                logger.warn(`Could not delete attachment of cancelled scheduled message ${cancelled._id}:`, error);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Scheduled message cancelled',
+            data: {
+                scheduledMessage: cancelled.toScheduledMessage()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Cancel scheduled message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/file/{messageId}:
+ *   get:
+ *     tags: [Messages]
+ *     summary: Download message file
+ *     description: Download the file attached to a specific message. Attachments are only served once the malware scan has cleared them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
+ *     responses:
+ *       200:
+ *         description: File downloaded successfully
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *         headers:
+ *           Content-Type:
+ *             description: Original file MIME type
+ *             schema:
+ *               type: string
+ *           Content-Disposition:
+ *             description: Attachment with original filename
+ *             schema:
+ *               type: string
+ *           Content-Length:
+ *             description: File size in bytes
+ *             schema:
+ *               type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Access denied, or the attachment has been quarantined (`code` is `FILE_QUARANTINED`)
+ *       404:
+ *         description: File not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               messageNotFound:
+ *                 summary: Message not found
+ *                 value:
+ *                   success: false
+ *                   message: "Message not found"
+ *               fileNotFound:
+ *                 summary: File not found
+ *                 value:
+ *                   success: false
+ *                   message: "File not found"
+ *       409:
+ *         $ref: '#/components/responses/AttachmentScanPending'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/file/:messageId', auth, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid message ID'
+            });
+        }
+
+        const message = await Message.findById(messageId)
+            .select('+fileData.data')
+            .populate('conversation');
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const hasAccess = message.conversation.participants.includes(req.user._id);
+        if (!hasAccess) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        if (message.isDeletedForUser(req.user._id) || message.hasExpired() ||
+            message.conversation.isClearedForUser(req.user._id, message.createdAt)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        if (!message.fileData || (!message.fileData.storageKey && !message.fileData.data)) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        if (sendUnreleasedAttachment(res, message)) return;
+
+        if (message.fileData.storageKey) {
+            const { storageKey } = message.fileData;
+            const objectInfo = await statObject(storageKey);
+
+            if (!objectInfo) {
+                logger.warn(`Stored file missing for message ${messageId}: ${storageKey}`);
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            const stream = await getObjectStream(storageKey);
+            const safeFileName = (message.fileData.name || 'download').replace(/[^a-zA-Z0-9.-]/g, '_');
+
+            res.setHeader('Content-Type', message.fileData.type || 'application/octet-stream');
+            res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
+            res.setHeader('Content-Length', objectInfo.size);
+            res.setHeader('Cache-Control', 'private, no-cache, no-store, must-revalidate');
+            res.setHeader('Expires', '-1');
+            res.setHeader('Pragma', 'no-cache');
+
+            if (message.type === 'video' || message.type === 'audio') {
+                res.setHeader('Accept-Ranges', 'bytes');
+            }
+
+            return pipeObjectStream(stream, res, storageKey);
+        }
+
+        try {
+            const fixedFileData = fixBase64Format(message.fileData.data);
+
+            let fileBuffer;
+
+            const base64Data = extractBase64Data(fixedFileData);
+            if (!base64Data) {
+                throw new Error('Invalid base64 data format');
+            }
+
+            fileBuffer = Buffer.from(base64Data, 'base64');
+
+            const contentType = message.fileData.type || 'application/octet-stream';
+            const fileName = message.fileData.name || 'download';
+
+            const safeFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+
+            logger.info(`Serving file: ${fileName}, type: ${contentType}, size: ${fileBuffer.length} bytes`);
+
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
+            res.setHeader('Content-Length', fileBuffer.length);
+            res.setHeader('Cache-Control', 'private, no-cache, no-store, must-revalidate');
+            res.setHeader('Expires', '-1');
+            res.setHeader('Pragma', 'no-cache');
+
+            if (message.type === 'video' || message.type === 'audio') {
+                res.setHeader('Accept-Ranges', 'bytes');
+            }
+
+            res.send(fileBuffer);
+
+        } catch (decodeError) {
+            logger.error('File decode error:', decodeError);
+            return res.status(500).json({
+                success: false,
+                message: 'Error processing file data'
+            });
+        }
+
+    } catch (error) {
+        logger.error('Download file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/thumbnail/{messageId}:
+ *   get:
+ *     tags: [Messages]
+ *     summary: Get message thumbnail
+ *     description: |
+ *       Get the server-generated preview of an image or video message. Previews are built in the background
+ *       after the message is sent; until then the endpoint answers 404 and `fileData.previewStatus` is `pending`.
+ *       Pass `variant=poster` for the full-size poster frame of a video.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
+ *       - name: variant
+ *         in: query
+ *         description: Which preview to return
+ *         schema:
+ *           type: string
+ *           enum: [thumbnail, poster]
+ *           default: thumbnail
+ *       - name: If-None-Match
+ *         in: header
+ *         description: ETag from a previous response
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thumbnail retrieved successfully
+ *         content:
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/jpeg:
+ *             schema:
+ *               type: string
  *               format: binary
  *         headers:
  *           Content-Type:
@@ -377,25 +1687,495 @@ router.get('/file/:messageId', auth, async (req, res) => {
  *           Cache-Control:
  *             description: Cache control header
  *             schema:
- *               type: string
- *               example: "public, max-age=86400"
+ *               type: string
+ *               example: "private, max-age=604800"
+ *           ETag:
+ *             description: Identifies the generated asset
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Thumbnail not modified
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/AttachmentQuarantined'
+ *       404:
+ *         description: Thumbnail not found or not generated yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Thumbnail not ready"
+ *       409:
+ *         $ref: '#/components/responses/AttachmentScanPending'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/thumbnail/:messageId', auth, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const variant = req.query.variant || 'thumbnail';
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid message ID'
+            });
+        }
+
+        if (!['thumbnail', 'poster'].includes(variant)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid thumbnail variant'
+            });
+        }
+
+        const message = await Message.findById(messageId).populate('conversation');
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const hasAccess = message.conversation.participants.includes(req.user._id);
+        if (!hasAccess || message.isDeletedForUser(req.user._id) || message.hasExpired() ||
+            message.conversation.isClearedForUser(req.user._id, message.createdAt)) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        if (!['image', 'video'].includes(message.type) || !message.fileData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Thumbnail not found'
+            });
+        }
+
+        if (sendUnreleasedAttachment(res, message)) return;
+
+        const objectKey = variant === 'poster' ? message.fileData.posterKey : message.fileData.thumbnailKey;
+
+        if (!objectKey) {
+            return res.status(404).json({
+                success: false,
+                message: message.fileData.previewStatus === 'pending' ? 'Thumbnail not ready' : 'Thumbnail not found'
+            });
+        }
+
+        // Every generated asset gets a fresh storage key, so the key doubles as a strong validator
+        const etag = `"${createChecksum(Buffer.from(objectKey)).slice(0, 32)}"`;
+
+        res.setHeader('Cache-Control', 'private, max-age=604800');
+        res.setHeader('ETag', etag);
+
+        if (req.get('If-None-Match') === etag) {
+            return res.status(304).end();
+        }
+
+        const objectInfo = await statObject(objectKey);
+
+        if (!objectInfo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Thumbnail not found'
+            });
+        }
+
+        const stream = await getObjectStream(objectKey);
+
+        const thumbnailType = THUMBNAIL_CONTENT_TYPES.includes(message.fileData.thumbnailType)
+            ? message.fileData.thumbnailType
+            : 'image/jpeg';
+
+        res.setHeader('Content-Type', variant === 'poster' ? 'image/jpeg' : thumbnailType);
+        res.setHeader('Content-Length', objectInfo.size);
+
+        return pipeObjectStream(stream, res, objectKey);
+
+    } catch (error) {
+        logger.error('Get thumbnail error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/stream/{messageId}:
+ *   get:
+ *     tags: [Messages]
+ *     summary: Stream media file
+ *     description: |
+ *       Stream video or audio files for progressive playback. Only the requested bytes are read from storage.
+ *       Supports single, suffix (`bytes=-500`) and multiple byte ranges (answered as `multipart/byteranges`),
+ *       plus conditional requests via `If-None-Match`, `If-Modified-Since` and `If-Range`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
+ *       - name: Range
+ *         in: header
+ *         description: Byte ranges to return; malformed values are ignored and the whole file is sent
+ *         schema:
+ *           type: string
+ *           example: "bytes=0-1023"
+ *       - name: If-Range
+ *         in: header
+ *         description: ETag or Last-Modified date; the Range is only honoured while it still matches
+ *         schema:
+ *           type: string
+ *       - name: If-None-Match
+ *         in: header
+ *         description: ETag from a previous response
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Media file streamed successfully
+ *         content:
+ *           video/mp4:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           audio/mpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *         headers:
+ *           Content-Type:
+ *             description: Media MIME type
+ *             schema:
+ *               type: string
+ *           Accept-Ranges:
+ *             description: Accepts range requests
+ *             schema:
+ *               type: string
+ *               example: "bytes"
+ *           ETag:
+ *             description: SHA-256 of the file content
+ *             schema:
+ *               type: string
+ *           Last-Modified:
+ *             description: When the file was sent
+ *             schema:
+ *               type: string
+ *       206:
+ *         description: Partial content (range request)
+ *         content:
+ *           video/mp4:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           multipart/byteranges:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *         headers:
+ *           Content-Range:
+ *             description: Content range information (single range only)
+ *             schema:
+ *               type: string
+ *               example: "bytes 0-1023/2048"
+ *       304:
+ *         description: Media file not modified
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/AttachmentQuarantined'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/AttachmentScanPending'
+ *       416:
+ *         description: No requested range overlaps the file
+ *         headers:
+ *           Content-Range:
+ *             description: "Unsatisfied range marker: `bytes *` followed by a slash and the file size"
+ *             schema:
+ *               type: string
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/stream/:messageId', auth, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid message ID'
+            });
+        }
+
+        const message = await Message.findById(messageId).populate('conversation');
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const hasAccess = message.conversation.participants.includes(req.user._id);
+        if (!hasAccess || message.isDeletedForUser(req.user._id) || message.hasExpired() ||
+            message.conversation.isClearedForUser(req.user._id, message.createdAt)) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        if (!['video', 'audio'].includes(message.type) || !message.fileData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Media file not found'
+            });
+        }
+
+        if (sendUnreleasedAttachment(res, message)) return;
+
+        const contentType = message.fileData.type || 'application/octet-stream';
+        const { storageKey, checksum } = message.fileData;
+
+        if (storageKey) {
+            const objectInfo = await statObject(storageKey);
+
+            if (!objectInfo) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Media file not found'
+                });
+            }
+
+            return sendRangedContent(req, res, {
+                key: storageKey,
+                size: objectInfo.size,
+                contentType,
+                etag: `"${checksum || createChecksum(Buffer.from(storageKey))}"`,
+                lastModified: message.createdAt,
+                openStream: (range) => getObjectStream(storageKey, range)
+            });
+        }
+
+        // Unmigrated inline payloads still have to be decoded in full; `npm run migrate:files` moves them to storage
+        const legacyMessage = await Message.findById(messageId).select('+fileData.data');
+        const base64Data = legacyMessage.fileData.data
+            ? extractBase64Data(fixBase64Format(legacyMessage.fileData.data))
+            : null;
+
+        if (!base64Data) {
+            return res.status(404).json({
+                success: false,
+                message: 'Media file not found'
+            });
+        }
+
+        const fileBuffer = Buffer.from(base64Data, 'base64');
+
+        return sendRangedContent(req, res, {
+            key: `message ${messageId}`,
+            size: fileBuffer.length,
+            contentType,
+            etag: `"${createChecksum(fileBuffer)}"`,
+            lastModified: message.createdAt,
+            openStream: async (range) => Readable.from([
+                range ? fileBuffer.subarray(range.start, range.end + 1) : fileBuffer
+            ])
+        });
+
+    } catch (error) {
+        logger.error('Stream media error:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/read:
+ *   put:
+ *     tags: [Messages]
+ *     summary: Mark messages as read
+ *     description: Mark multiple messages as read by the current user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageReadRequest'
+ *           example:
+ *             messageIds: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"]
+ *     responses:
+ *       200:
+ *         description: Messages marked as read successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         markedCount:
+ *                           type: integer
+ *                           example: 2
+ *                         totalRequested:
+ *                           type: integer
+ *                           example: 2
+ *             example:
+ *               success: true
+ *               message: "Messages marked as read"
+ *               data:
+ *                 markedCount: 2
+ *                 totalRequested: 2
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       404:
- *         description: Thumbnail not found
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/read', auth, readRateLimit, [
+    body('messageIds').isArray({ min: 1 }).withMessage('Message IDs array is required'),
+    body('messageIds.*').isMongoId().withMessage('Invalid message ID format')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { messageIds } = req.body;
+
+        if (!req.sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session ID required'
+            });
+        }
+
+        const messages = await Message.find({
+            _id: { $in: messageIds }
+        }).populate('conversation');
+
+        const accessibleMessageIds = [];
+        for (const message of messages) {
+            if (message.conversation && message.conversation.participants.includes(req.user._id)) {
+                accessibleMessageIds.push(message._id);
+            }
+        }
+
+        if (accessibleMessageIds.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No accessible messages found'
+            });
+        }
+
+        const result = await Message.updateMany(
+            {
+                _id: { $in: accessibleMessageIds },
+                'readBy.user': { $ne: req.user._id }
+            },
+            {
+                $push: {
+                    readBy: {
+                        user: req.user._id,
+                        readAt: new Date(),
+                        sessionId: req.sessionId
+                    }
+                },
+                $set: {
+                    'metadata.deliveryStatus': 'read',
+                    'metadata.readAt': new Date()
+                }
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Messages marked as read',
+            data: {
+                markedCount: result.modifiedCount,
+                totalRequested: messageIds.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Mark as read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/{messageId}/for-me:
+ *   delete:
+ *     tags: [Messages]
+ *     summary: Delete message for current user
+ *     description: Delete a message only for the current user (message remains for other participants)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
+ *     responses:
+ *       200:
+ *         description: Message deleted for current user successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *               $ref: '#/components/schemas/ApiResponse'
  *             example:
- *               success: false
- *               message: "Thumbnail not found"
+ *               success: true
+ *               message: "Message deleted for you"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/thumbnail/:messageId', auth, async (req, res) => {
+router.delete('/:messageId/for-me', auth, async (req, res) => {
     try {
         const { messageId } = req.params;
 
@@ -417,55 +2197,130 @@ router.get('/thumbnail/:messageId', auth, async (req, res) => {
         }
 
         const hasAccess = message.conversation.participants.includes(req.user._id);
-        if (!hasAccess || message.isDeletedForUser(req.user._id)) {
-            return res.status(404).json({
+        if (!hasAccess) {
+            return res.status(403).json({
                 success: false,
-                message: 'File not found'
+                message: 'Access denied'
             });
         }
 
-        if (!['image', 'video'].includes(message.type) || !message.fileData) {
-            return res.status(404).json({
+        await message.deleteForUser(req.user._id, 'forMe');
+
+        res.json({
+            success: true,
+            message: 'Message deleted for you'
+        });
+
+    } catch (error) {
+        logger.error('Delete message for me error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/message/{messageId}/for-everyone:
+ *   delete:
+ *     tags: [Messages]
+ *     summary: Delete message for everyone
+ *     description: Delete a message for all participants (only sender can do this within 1 hour)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
+ *     responses:
+ *       200:
+ *         description: Message deleted for everyone successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "Message deleted for everyone"
+ *       400:
+ *         description: Validation error or time limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               invalidId:
+ *                 summary: Invalid message ID
+ *                 value:
+ *                   success: false
+ *                   message: "Invalid message ID"
+ *               timeLimit:
+ *                 summary: Time limit exceeded
+ *                 value:
+ *                   success: false
+ *                   message: "Message can only be deleted for everyone within 1 hour of sending"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only sender can delete for everyone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Only sender can delete message for everyone"
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:messageId/for-everyone', auth, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Thumbnail not found'
+                message: 'Invalid message ID'
             });
         }
 
-        const thumbnailData = message.fileData.thumbnail || message.fileData.data;
+        const message = await Message.findById(messageId)
+            .populate('conversation');
 
-        if (!thumbnailData) {
+        if (!message) {
             return res.status(404).json({
                 success: false,
-                message: 'Thumbnail not found'
+                message: 'Message not found'
             });
         }
 
-        try {
-            const fixedThumbnailData = fixBase64Format(thumbnailData);
-
-            const base64Data = extractBase64Data(fixedThumbnailData);
-            if (!base64Data) {
-                throw new Error('Invalid thumbnail base64 data');
-            }
-
-            const thumbnailBuffer = Buffer.from(base64Data, 'base64');
-
-            res.setHeader('Content-Type', message.fileData.type || 'image/jpeg');
-            res.setHeader('Cache-Control', 'public, max-age=86400');
-            res.setHeader('Content-Length', thumbnailBuffer.length);
-
-            res.send(thumbnailBuffer);
+        if (message.sender.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only sender can delete message for everyone'
+            });
+        }
 
-        } catch (decodeError) {
-            logger.error('Thumbnail decode error:', decodeError);
-            return res.status(500).json({
+        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        if (message.createdAt < oneHourAgo) {
+            return res.status(400).json({
                 success: false,
-                message: 'Error processing thumbnail data'
+                message: 'Message can only be deleted for everyone within 1 hour of sending'
             });
         }
 
+        await message.deleteForUser(req.user._id, 'forEveryone');
+        await releaseDeletedMessagePins(message.conversation._id, [message._id]);
+
+        res.json({
+            success: true,
+            message: 'Message deleted for everyone'
+        });
+
     } catch (error) {
-        logger.error('Get thumbnail error:', error);
+        logger.error('Delete message for everyone error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -475,69 +2330,92 @@ router.get('/thumbnail/:messageId', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/message/stream/{messageId}:
- *   get:
+ * /api/message/{messageId}:
+ *   put:
  *     tags: [Messages]
- *     summary: Stream media file
- *     description: Stream video or audio files with range request support for progressive playback
+ *     summary: Edit a message
+ *     description: Edit the content of a text message. Only the sender can edit, and only within the configured edit window (MESSAGE_EDIT_WINDOW_MINUTES, default 15). Previous versions are kept in the message edit history.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
  *       - $ref: '#/components/parameters/MessageId'
- *       - name: Range
- *         in: header
- *         description: Range header for partial content requests
- *         schema:
- *           type: string
- *           example: "bytes=0-1023"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageEdit'
+ *           example:
+ *             content: "Hello, how are you doing?"
  *     responses:
  *       200:
- *         description: Media file streamed successfully
+ *         description: Message edited successfully
  *         content:
- *           video/mp4:
- *             schema:
- *               type: string
- *               format: binary
- *           audio/mpeg:
- *             schema:
- *               type: string
- *               format: binary
- *         headers:
- *           Content-Type:
- *             description: Media MIME type
- *             schema:
- *               type: string
- *           Accept-Ranges:
- *             description: Accepts range requests
+ *           application/json:
  *             schema:
- *               type: string
- *               example: "bytes"
- *       206:
- *         description: Partial content (range request)
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           $ref: '#/components/schemas/Message'
+ *             example:
+ *               success: true
+ *               message: "Message edited"
+ *       400:
+ *         description: Validation error or edit window exceeded
  *         content:
- *           video/mp4:
- *             schema:
- *               type: string
- *               format: binary
- *         headers:
- *           Content-Range:
- *             description: Content range information
+ *           application/json:
  *             schema:
- *               type: string
- *               example: "bytes 0-1023/2048"
- *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               invalidId:
+ *                 summary: Invalid message ID
+ *                 value:
+ *                   success: false
+ *                   message: "Invalid message ID"
+ *               timeLimit:
+ *                 summary: Edit window exceeded
+ *                 value:
+ *                   success: false
+ *                   message: "Messages can only be edited within 15 minutes"
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Not a participant of the conversation, or not the sender of the message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Only sender can edit message"
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/stream/:messageId', auth, async (req, res) => {
+router.put('/:messageId', auth, messageRateLimit, [
+    body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Content must be between 1 and 2000 characters')
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { messageId } = req.params;
+        const { content } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(messageId)) {
             return res.status(400).json({
@@ -549,75 +2427,88 @@ router.get('/stream/:messageId', auth, async (req, res) => {
         const message = await Message.findById(messageId)
             .populate('conversation');
 
-        if (!message) {
+        if (!message || !message.conversation || !message.conversation.isActive) {
             return res.status(404).json({
                 success: false,
                 message: 'Message not found'
             });
         }
 
-        const hasAccess = message.conversation.participants.includes(req.user._id);
-        if (!hasAccess || message.isDeletedForUser(req.user._id)) {
-            return res.status(404).json({
+        // Former group members keep authorship of their messages but can no longer change them
+        if (!message.conversation.participants.includes(req.user._id)) {
+            return res.status(403).json({
                 success: false,
-                message: 'File not found'
+                message: 'Access denied'
             });
         }
 
-        if (!['video', 'audio'].includes(message.type) || !message.fileData || !message.fileData.data) {
-            return res.status(404).json({
+        if (message.sender.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
                 success: false,
-                message: 'Media file not found'
+                message: 'Only sender can edit message'
             });
         }
 
-        try {
-            const fixedFileData = fixBase64Format(message.fileData.data);
-
-            const base64Data = extractBase64Data(fixedFileData);
-            if (!base64Data) {
-                throw new Error('Invalid media base64 data');
-            }
-
-            const fileBuffer = Buffer.from(base64Data, 'base64');
-            const fileSize = fileBuffer.length;
+        const editError = message.getEditError(req.user._id);
+        if (editError) {
+            return res.status(400).json({
+                success: false,
+                message: editError
+            });
+        }
 
-            const range = req.headers.range;
-            if (range) {
-                const parts = range.replace(/bytes=/, "").split("-");
-                const start = parseInt(parts[0], 10);
-                const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+        if (message.content === content) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message content is unchanged'
+            });
+        }
 
-                const chunksize = (end - start) + 1;
-                const chunk = fileBuffer.slice(start, end + 1);
+        const previousMentions = message.toObject().mentions;
+        message.mentions = await resolveMentions(content, message.conversation);
 
-                res.writeHead(206, {
-                    'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                    'Accept-Ranges': 'bytes',
-                    'Content-Length': chunksize,
-                    'Content-Type': message.fileData.type,
-                });
+        await message.editContent(req.user._id, content);
 
-                res.end(chunk);
-            } else {
-                res.writeHead(200, {
-                    'Content-Length': fileSize,
-                    'Content-Type': message.fileData.type,
-                    'Accept-Ranges': 'bytes'
-                });
-                res.end(fileBuffer);
-            }
+        const conversationId = message.conversation._id.toString();
 
-        } catch (decodeError) {
-            logger.error('Stream decode error:', decodeError);
-            return res.status(500).json({
-                success: false,
-                message: 'Error processing media data'
+        if (global.io) {
+            global.io.to(`conversation_${conversationId}`).emit('message_edited', {
+                messageId: message._id,
+                conversationId: conversationId,
+                content: message.content,
+                editedAt: message.editedAt,
+                editCount: message.editHistory.length,
+                editHistory: message.toObject().editHistory,
+                editedBy: req.user._id,
+                linkPreview: message.getLinkPreview(),
+                mentions: message.toObject().mentions
             });
         }
 
+        if (message.needsLinkPreview()) {
+            queueLinkPreview(message._id);
+        }
+
+        await notifyMentions(message, message.conversation, req.user, previousMentions);
+
+        res.json({
+            success: true,
+            message: 'Message edited',
+            data: {
+                message: {
+                    _id: message._id,
+                    content: message.content,
+                    editedAt: message.editedAt,
+                    editCount: message.editHistory.length,
+                    editHistory: message.toObject().editHistory,
+                    linkPreview: message.getLinkPreview(),
+                    mentions: message.toObject().mentions
+                }
+            }
+        });
+
     } catch (error) {
-        logger.error('Stream media error:', error);
+        logger.error('Edit message error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -625,28 +2516,56 @@ router.get('/stream/:messageId', auth, async (req, res) => {
     }
 });
 
+const emitReactionUpdate = (message, userId, emoji, action) => {
+    if (global.io) {
+        const conversationId = (message.conversation._id || message.conversation).toString();
+        global.io.to(`conversation_${conversationId}`).emit('message_reaction_updated', {
+            messageId: message._id,
+            conversationId: conversationId,
+            emoji: emoji,
+            userId: userId,
+            action: action,
+            reactions: message.getReactionSummary()
+        });
+    }
+};
+
+const findReactableMessage = async (messageId, userId) => {
+    const message = await Message.findById(messageId)
+        .populate('conversation');
+
+    if (!message || !message.conversation || message.isDeletedForUser(userId)) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    if (!message.conversation.participants.includes(userId)) {
+        return { status: 403, error: 'Access denied' };
+    }
+
+    return { message };
+};
+
 /**
  * @swagger
- * /api/message/read:
- *   put:
+ * /api/message/{messageId}/reactions:
+ *   post:
  *     tags: [Messages]
- *     summary: Mark messages as read
- *     description: Mark multiple messages as read by the current user
+ *     summary: Add a reaction to a message
+ *     description: Add an emoji reaction from the current user. Adding a reaction the user already has is a no-op. A user may react with several different emojis.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/MessageReadRequest'
- *           example:
- *             messageIds: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"]
+ *             $ref: '#/components/schemas/MessageReaction'
  *     responses:
  *       200:
- *         description: Messages marked as read successfully
+ *         description: Reaction added
  *         content:
  *           application/json:
  *             schema:
@@ -657,22 +2576,60 @@ router.get('/stream/:messageId', auth, async (req, res) => {
  *                     data:
  *                       type: object
  *                       properties:
- *                         markedCount:
- *                           type: integer
- *                           example: 2
- *                         totalRequested:
- *                           type: integer
- *                           example: 2
- *             example:
- *               success: true
- *               message: "Messages marked as read"
- *               data:
- *                 markedCount: 2
- *                 totalRequested: 2
+ *                         reactions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ReactionSummary'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     tags: [Messages]
+ *     summary: Remove a reaction from a message
+ *     description: Remove one of the current user's emoji reactions. Removing a reaction the user does not have is a no-op.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageReaction'
+ *     responses:
+ *       200:
+ *         description: Reaction removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         reactions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ReactionSummary'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       429:
@@ -680,9 +2637,58 @@ router.get('/stream/:messageId', auth, async (req, res) => {
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.put('/read', auth, readRateLimit, [
-    body('messageIds').isArray({ min: 1 }).withMessage('Message IDs array is required'),
-    body('messageIds.*').isMongoId().withMessage('Invalid message ID format')
+router.post('/:messageId/reactions', auth, reactionRateLimit, [
+    body('emoji').custom(value => Message.isValidReactionEmoji(value)).withMessage('Invalid emoji')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { messageId } = req.params;
+        const { emoji } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid message ID'
+            });
+        }
+
+        const { message, status, error } = await findReactableMessage(messageId, req.user._id);
+        if (!message) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (await message.addReaction(req.user._id, emoji)) {
+            emitReactionUpdate(message, req.user._id, emoji, 'added');
+        }
+
+        res.json({
+            success: true,
+            message: 'Reaction added',
+            data: { reactions: message.getReactionSummary() }
+        });
+
+    } catch (error) {
+        logger.error('Add reaction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+router.delete('/:messageId/reactions', auth, reactionRateLimit, [
+    body('emoji').custom(value => Message.isValidReactionEmoji(value)).withMessage('Invalid emoji')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -694,64 +2700,36 @@ router.put('/read', auth, readRateLimit, [
             });
         }
 
-        const { messageIds } = req.body;
+        const { messageId } = req.params;
+        const { emoji } = req.body;
 
-        if (!req.sessionId) {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Session ID required'
+                message: 'Invalid message ID'
             });
         }
 
-        const messages = await Message.find({
-            _id: { $in: messageIds }
-        }).populate('conversation');
-
-        const accessibleMessageIds = [];
-        for (const message of messages) {
-            if (message.conversation && message.conversation.participants.includes(req.user._id)) {
-                accessibleMessageIds.push(message._id);
-            }
-        }
-
-        if (accessibleMessageIds.length === 0) {
-            return res.status(404).json({
+        const { message, status, error } = await findReactableMessage(messageId, req.user._id);
+        if (!message) {
+            return res.status(status).json({
                 success: false,
-                message: 'No accessible messages found'
+                message: error
             });
         }
 
-        const result = await Message.updateMany(
-            {
-                _id: { $in: accessibleMessageIds },
-                'readBy.user': { $ne: req.user._id }
-            },
-            {
-                $push: {
-                    readBy: {
-                        user: req.user._id,
-                        readAt: new Date(),
-                        sessionId: req.sessionId
-                    }
-                },
-                $set: {
-                    'metadata.deliveryStatus': 'read',
-                    'metadata.readAt': new Date()
-                }
-            }
-        );
+        if (await message.removeReaction(req.user._id, emoji)) {
+            emitReactionUpdate(message, req.user._id, emoji, 'removed');
+        }
 
         res.json({
             success: true,
-            message: 'Messages marked as read',
-            data: {
-                markedCount: result.modifiedCount,
-                totalRequested: messageIds.length
-            }
+            message: 'Reaction removed',
+            data: { reactions: message.getReactionSummary() }
         });
 
     } catch (error) {
-        logger.error('Mark as read error:', error);
+        logger.error('Remove reaction error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -761,11 +2739,13 @@ router.put('/read', auth, readRateLimit, [
 
 /**
  * @swagger
- * /api/message/{messageId}/for-me:
- *   delete:
+ * /api/message/{messageId}/played:
+ *   post:
  *     tags: [Messages]
- *     summary: Delete message for current user
- *     description: Delete a message only for the current user (message remains for other participants)
+ *     summary: Mark an audio message as played
+ *     description: |
+ *       Record that the current user has listened to an audio or voice message. Marking a message that was already
+ *       played is a no-op. Other participants are notified with the `message_played` socket event.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -773,26 +2753,38 @@ router.put('/read', auth, readRateLimit, [
  *       - $ref: '#/components/parameters/MessageId'
  *     responses:
  *       200:
- *         description: Message deleted for current user successfully
+ *         description: Message marked as played
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
- *             example:
- *               success: true
- *               message: "Message deleted for you"
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         playedAt:
+ *                           type: string
+ *                           format: date-time
  *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *         description: Invalid message ID, not an audio message, or the sender's own message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/:messageId/for-me', auth, async (req, res) => {
+router.post('/:messageId/played', auth, readRateLimit, async (req, res) => {
     try {
         const { messageId } = req.params;
 
@@ -803,33 +2795,61 @@ router.delete('/:messageId/for-me', auth, async (req, res) => {
             });
         }
 
-        const message = await Message.findById(messageId)
-            .populate('conversation');
-
+        const { message, status, error } = await findReactableMessage(messageId, req.user._id);
         if (!message) {
-            return res.status(404).json({
+            return res.status(status).json({
                 success: false,
-                message: 'Message not found'
+                message: error
             });
         }
 
-        const hasAccess = message.conversation.participants.includes(req.user._id);
-        if (!hasAccess) {
-            return res.status(403).json({
+        if (message.type !== 'audio') {
+            return res.status(400).json({
                 success: false,
-                message: 'Access denied'
+                message: 'Only audio messages can be marked as played'
             });
         }
 
-        await message.deleteForUser(req.user._id, 'forMe');
+        if (message.sender.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot mark your own message as played'
+            });
+        }
+
+        const existing = message.playedBy.find(played => played.user.toString() === req.user._id.toString());
+        if (existing) {
+            return res.json({
+                success: true,
+                message: 'Message already played',
+                data: { playedAt: existing.playedAt }
+            });
+        }
+
+        const playedAt = new Date();
+        const result = await Message.updateOne(
+            { _id: message._id, 'playedBy.user': { $ne: req.user._id } },
+            { $push: { playedBy: { user: req.user._id, playedAt } } }
+        );
+
+        if (result.modifiedCount > 0 && global.io) {
+            const conversationId = message.conversation._id.toString();
+            global.io.to(`conversation_${conversationId}`).emit('message_played', {
+                messageId: message._id,
+                conversationId: conversationId,
+                userId: req.user._id,
+                playedAt: playedAt
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Message deleted for you'
+            message: 'Message marked as played',
+            data: { playedAt }
         });
 
     } catch (error) {
-        logger.error('Delete message for me error:', error);
+        logger.error('Mark as played error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -839,11 +2859,13 @@ router.delete('/:messageId/for-me', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/message/{messageId}/for-everyone:
+ * /api/message/{messageId}/link-preview:
  *   delete:
  *     tags: [Messages]
- *     summary: Delete message for everyone
- *     description: Delete a message for all participants (only sender can do this within 1 hour)
+ *     summary: Remove the link preview of a message
+ *     description: |
+ *       Remove the link preview card from one of the current user's text messages. The message will not get a
+ *       preview again, even after it is edited. Participants are notified with the `message_updated` socket event.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -851,48 +2873,39 @@ router.delete('/:messageId/for-me', auth, async (req, res) => {
  *       - $ref: '#/components/parameters/MessageId'
  *     responses:
  *       200:
- *         description: Message deleted for everyone successfully
+ *         description: Link preview removed
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
  *             example:
  *               success: true
- *               message: "Message deleted for everyone"
+ *               message: "Link preview removed"
  *       400:
- *         description: Validation error or time limit exceeded
+ *         description: Invalid message ID or not a text message
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *             examples:
- *               invalidId:
- *                 summary: Invalid message ID
- *                 value:
- *                   success: false
- *                   message: "Invalid message ID"
- *               timeLimit:
- *                 summary: Time limit exceeded
- *                 value:
- *                   success: false
- *                   message: "Message can only be deleted for everyone within 1 hour of sending"
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
- *         description: Only sender can delete for everyone
+ *         description: Access denied or not the sender of the message
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *             example:
  *               success: false
- *               message: "Only sender can delete message for everyone"
+ *               message: "Only sender can remove link preview"
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/:messageId/for-everyone', auth, async (req, res) => {
+router.delete('/:messageId/link-preview', auth, messageRateLimit, async (req, res) => {
     try {
         const { messageId } = req.params;
 
@@ -903,40 +2916,39 @@ router.delete('/:messageId/for-everyone', auth, async (req, res) => {
             });
         }
 
-        const message = await Message.findById(messageId)
-            .populate('conversation');
-
+        const { message, status, error } = await findReactableMessage(messageId, req.user._id);
         if (!message) {
-            return res.status(404).json({
+            return res.status(status).json({
                 success: false,
-                message: 'Message not found'
+                message: error
             });
         }
 
         if (message.sender.toString() !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
-                message: 'Only sender can delete message for everyone'
+                message: 'Only sender can remove link preview'
             });
         }
 
-        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-        if (message.createdAt < oneHourAgo) {
+        if (message.type !== 'text') {
             return res.status(400).json({
                 success: false,
-                message: 'Message can only be deleted for everyone within 1 hour of sending'
+                message: 'Only text messages have link previews'
             });
         }
 
-        await message.deleteForUser(req.user._id, 'forEveryone');
+        if (!message.linkPreviewDisabled) {
+            await removeMessageLinkPreview(message);
+        }
 
         res.json({
             success: true,
-            message: 'Message deleted for everyone'
+            message: 'Link preview removed'
         });
 
     } catch (error) {
-        logger.error('Delete message for everyone error:', error);
+        logger.error('Remove link preview error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -992,6 +3004,20 @@ router.delete('/:messageId/for-everyone', auth, async (req, res) => {
  *                                 canDeleteForEveryone:
  *                                   type: boolean
  *                                   description: Whether current user can delete this message for everyone
+ *                                 canEdit:
+ *                                   type: boolean
+ *                                   description: Whether current user can still edit this message
+ *                                 editCount:
+ *                                   type: integer
+ *                                   description: Number of times the message has been edited
+ *                                 replyCount:
+ *                                   type: integer
+ *                                   description: Number of visible replies to this message
+ *                                 reactions:
+ *                                   type: array
+ *                                   description: Reactions grouped by emoji, with the users who reacted
+ *                                   items:
+ *                                     $ref: '#/components/schemas/ReactionSummary'
  *                                 mediaInfo:
  *                                   type: object
  *                                   description: Media information for file messages
@@ -1040,7 +3066,8 @@ router.get('/:messageId/details', auth, async (req, res) => {
         const message = await Message.findById(messageId)
             .populate('sender', 'username firstName lastName avatar')
             .populate('conversation')
-            .populate('readBy.user', 'username firstName lastName avatar');
+            .populate('readBy.user', 'username firstName lastName avatar')
+            .populate('reactions.user', 'username firstName lastName avatar');
 
         if (!message) {
             return res.status(404).json({
@@ -1057,7 +3084,8 @@ router.get('/:messageId/details', auth, async (req, res) => {
             });
         }
 
-        if (message.isDeletedForUser(req.user._id)) {
+        if (message.isDeletedForUser(req.user._id) || message.hasExpired() ||
+            message.conversation.isClearedForUser(req.user._id, message.createdAt)) {
             return res.status(404).json({
                 success: false,
                 message: 'Message not found'
@@ -1090,6 +3118,25 @@ router.get('/:messageId/details', auth, async (req, res) => {
         };
         messageDetails.canDeleteForEveryone = message.sender.toString() === req.user._id.toString() &&
             new Date(Date.now() - 60 * 60 * 1000) < message.createdAt;
+        messageDetails.canEdit = !message.getEditError(req.user._id);
+        messageDetails.editCount = message.editHistory.length;
+
+        const replyCounts = await Message.getReplyCounts(
+            [message._id],
+            req.user._id,
+            await Conversation.getClearedHistoryFilter(req.user._id, message.conversation._id)
+        );
+        messageDetails.replyCount = replyCounts[message._id.toString()] || 0;
+        messageDetails.reactions = message.getReactionSummary().map(reaction => ({
+            ...reaction,
+            users: reaction.users.map(user => {
+                const userObj = user && user.toObject ? user.toObject() : user;
+                if (userObj && userObj.avatar) {
+                    userObj.avatar = fixBase64Format(userObj.avatar);
+                }
+                return userObj;
+            })
+        }));
 
         if (message.isMedia()) {
             messageDetails.mediaInfo = message.getMediaInfo();
@@ -1109,6 +3156,166 @@ router.get('/:messageId/details', auth, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/message/{messageId}/replies:
+ *   get:
+ *     tags: [Messages]
+ *     summary: Get replies to a message
+ *     description: Retrieve the reply thread of a message, oldest reply first. Only direct replies are returned; each reply carries its own replyCount.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/MessageId'
+ *       - $ref: '#/components/parameters/Page'
+ *       - name: limit
+ *         in: query
+ *         description: Number of replies per page (max 50)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Replies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         parent:
+ *                           $ref: '#/components/schemas/Message'
+ *                         replies:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Message'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:messageId/replies', auth, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 50);
+        const skip = (page - 1) * limit;
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid message ID'
+            });
+        }
+
+        const parent = await Message.findById(messageId)
+            .populate('sender', 'username firstName lastName avatar')
+            .populate('conversation');
+
+        if (!parent || !parent.conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const hasAccess = parent.conversation.participants.includes(req.user._id);
+        if (!hasAccess) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        if (parent.isDeletedForUser(req.user._id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const clearedFilter = await Conversation.getClearedHistoryFilter(req.user._id, parent.conversation._id);
+        const repliesQuery = {
+            replyTo: parent._id,
+            isDeleted: false,
+            'deletedFor.user': { $ne: req.user._id },
+            ...Message.getUnexpiredFilter(),
+            ...clearedFilter
+        };
+
+        const [replies, total] = await Promise.all([
+            Message.find(repliesQuery)
+                .populate('sender', 'username firstName lastName avatar')
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(limit),
+            Message.countDocuments(repliesQuery)
+        ]);
+
+        const replyCounts = await Message.getReplyCounts(replies.map(reply => reply._id), req.user._id, clearedFilter);
+
+        const repliesWithStatus = replies.map(reply => {
+            let replyObj = reply.toObject();
+
+            if (replyObj.sender && replyObj.sender.avatar) {
+                replyObj.sender.avatar = fixBase64Format(replyObj.sender.avatar);
+            }
+
+            replyObj = fixMessageFileData(replyObj);
+            replyObj.readStatus = reply.getReadStatus(req.user._id);
+            replyObj.replyCount = replyCounts[reply._id.toString()] || 0;
+            replyObj.reactions = reply.getReactionSummary();
+
+            return replyObj;
+        });
+
+        let parentObj = parent.toObject();
+        parentObj.conversation = parent.conversation._id;
+        if (parentObj.sender && parentObj.sender.avatar) {
+            parentObj.sender.avatar = fixBase64Format(parentObj.sender.avatar);
+        }
+        parentObj = fixMessageFileData(parentObj);
+        parentObj.replyCount = total;
+        parentObj.reactions = parent.getReactionSummary();
+
+        res.json({
+            success: true,
+            data: {
+                parent: parentObj,
+                replies: repliesWithStatus,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get message replies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/message/unread/count:
@@ -1189,6 +3396,12 @@ router.get('/unread/count', auth, async (req, res) => {
             query.conversation = conversationId;
         }
 
+        Object.assign(
+            query,
+            Message.getUnexpiredFilter(),
+            await Conversation.getClearedHistoryFilter(req.user._id, query.conversation || null)
+        );
+
         const unreadCount = await Message.countDocuments(query);
 
         res.json({
@@ -0,0 +1,655 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const Upload = require('../models/Upload');
+const Conversation = require('../models/Conversation');
+const { auth } = require('../middleware/auth');
+const { writeChunk, finalizeUpload, discardUpload } = require('../services/uploadService');
+const { checkDeclaredFile } = require('../utils/fileTypeHelper');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const createUploadRateLimit = rateLimit({
+    windowMs: 1 * 60 * 1000,
+    max: 30,
+    message: { success: false, message: 'Too many uploads. Please slow down.' }
+});
+
+const chunkRateLimit = rateLimit({
+    windowMs: 1 * 60 * 1000,
+    max: 600,
+    message: { success: false, message: 'Too many upload requests. Please slow down.' }
+});
+
+const uploadIdValidator = param('uploadId').isUUID().withMessage('Invalid upload ID');
+
+const prepareUploadData = (upload) => ({
+    uploadId: upload.uploadId,
+    conversationId: upload.conversation,
+    fileName: upload.fileName,
+    mimeType: upload.mimeType,
+    category: upload.category,
+    size: upload.size,
+    offset: upload.receivedBytes,
+    chunkSize: Upload.getChunkSize(),
+    status: upload.status,
+    checksum: upload.checksum || null,
+    expiresAt: upload.expiresAt
+});
+
+const sendPolicyRejection = (res, inspection) => {
+    return res.status(422).json({
+        success: false,
+        message: inspection.error,
+        code: inspection.code,
+        details: {
+            declaredType: inspection.declaredType,
+            detectedType: inspection.detectedType
+        }
+    });
+};
+
+const findUserUpload = (uploadId, userId) => {
+    return Upload.findOne({ uploadId, user: userId });
+};
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+/**
+ * @swagger
+ * /api/upload:
+ *   post:
+ *     tags: [Uploads]
+ *     summary: Start a resumable upload
+ *     description: |
+ *       Reserve an upload for a file that will be attached to a message in the given conversation.
+ *       Send the bytes with `PUT /api/upload/{uploadId}` in chunks of at most `chunkSize`, then call
+ *       `POST /api/upload/{uploadId}/complete` and reference the upload ID in the `send_message` socket event.
+ *       Size limits per type: image 10MB, video 50MB, audio 20MB, other files 20MB.
+ *       Blocked extensions and MIME types are refused here; the content itself is checked on completion.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [conversationId, fileName, mimeType, size]
+ *             properties:
+ *               conversationId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439012"
+ *               fileName:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: "holiday.mp4"
+ *               mimeType:
+ *                 type: string
+ *                 example: "video/mp4"
+ *               size:
+ *                 type: integer
+ *                 description: Total file size in bytes
+ *                 example: 7340032
+ *     responses:
+ *       201:
+ *         description: Upload created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         upload:
+ *                           $ref: '#/components/schemas/Upload'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       413:
+ *         description: File exceeds the size limit for its type
+ *       422:
+ *         $ref: '#/components/responses/FilePolicyError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/', auth, createUploadRateLimit, [
+    body('conversationId')
+        .isMongoId()
+        .withMessage('Invalid conversation ID'),
+    body('fileName')
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('File name must be 1-255 characters'),
+    body('mimeType')
+        .trim()
+        .matches(/^[\w.+-]+\/[\w.+-]+$/)
+        .withMessage('Invalid MIME type'),
+    body('size')
+        .isInt({ min: 1 })
+        .withMessage('Size must be a positive integer')
+        .toInt()
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { conversationId, fileName, mimeType, size } = req.body;
+
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            participants: req.user._id,
+            isActive: true
+        }).select('_id');
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const declaredCheck = checkDeclaredFile(fileName, mimeType);
+        if (!declaredCheck.isValid) {
+            return sendPolicyRejection(res, declaredCheck);
+        }
+
+        const category = Upload.getCategory(mimeType.toLowerCase());
+        const maxSize = Upload.getMaxSize(category);
+
+        if (size > maxSize) {
+            return res.status(413).json({
+                success: false,
+                message: `File size exceeds limit of ${Math.round(maxSize / (1024 * 1024))}MB`
+            });
+        }
+
+        const upload = await Upload.create({
+            uploadId: crypto.randomUUID(),
+            user: req.user._id,
+            conversation: conversation._id,
+            fileName,
+            mimeType: mimeType.toLowerCase(),
+            category,
+            size,
+            expiresAt: Upload.getExpiryDate()
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Upload created',
+            data: {
+                upload: prepareUploadData(upload)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Create upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/upload/{uploadId}:
+ *   get:
+ *     tags: [Uploads]
+ *     summary: Get upload status
+ *     description: Returns how many bytes the server has received; resume by sending the next chunk at `offset`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/UploadId'
+ *     responses:
+ *       200:
+ *         description: Upload status retrieved successfully
+ *         headers:
+ *           Upload-Offset:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         upload:
+ *                           $ref: '#/components/schemas/Upload'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:uploadId', auth, chunkRateLimit, [uploadIdValidator], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const upload = await findUserUpload(req.params.uploadId, req.user._id);
+
+        if (!upload) {
+            return res.status(404).json({
+                success: false,
+                message: 'Upload not found'
+            });
+        }
+
+        res.setHeader('Upload-Offset', upload.receivedBytes);
+        res.json({
+            success: true,
+            data: {
+                upload: prepareUploadData(upload)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/upload/{uploadId}:
+ *   put:
+ *     tags: [Uploads]
+ *     summary: Upload a chunk
+ *     description: |
+ *       Append raw bytes at `Upload-Offset`, which must equal the server's current offset.
+ *       On 409 the response carries the current offset; continue from there.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/UploadId'
+ *       - name: Upload-Offset
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         offset:
+ *                           type: integer
+ *                           example: 1048576
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Offset mismatch or upload no longer accepts data
+ *       410:
+ *         description: Upload expired or its partial data was lost; start a new upload
+ *       413:
+ *         description: Chunk larger than `chunkSize` or past the declared file size
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:uploadId', auth, chunkRateLimit, [uploadIdValidator], express.raw({
+    type: 'application/octet-stream',
+    limit: Upload.getChunkSize()
+}), async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const offset = parseInt(req.get('Upload-Offset'), 10);
+        const chunk = req.body;
+
+        if (isNaN(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload-Offset header is required'
+            });
+        }
+
+        if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Chunk body must be non-empty application/octet-stream'
+            });
+        }
+
+        const upload = await findUserUpload(req.params.uploadId, req.user._id);
+
+        if (!upload) {
+            return res.status(404).json({
+                success: false,
+                message: 'Upload not found'
+            });
+        }
+
+        if (upload.isExpired()) {
+            return res.status(410).json({
+                success: false,
+                message: 'Upload has expired'
+            });
+        }
+
+        if (upload.status !== 'uploading') {
+            return res.status(409).json({
+                success: false,
+                message: 'Upload no longer accepts data',
+                data: { offset: upload.receivedBytes, status: upload.status }
+            });
+        }
+
+        if (offset !== upload.receivedBytes) {
+            return res.status(409).json({
+                success: false,
+                message: 'Offset mismatch',
+                data: { offset: upload.receivedBytes, status: upload.status }
+            });
+        }
+
+        if (offset + chunk.length > upload.size) {
+            return res.status(413).json({
+                success: false,
+                message: 'Chunk exceeds declared file size'
+            });
+        }
+
+        try {
+            await writeChunk(upload.uploadId, offset, chunk);
+        } catch (writeError) {
+            if (writeError.code === 'ENOENT') {
+                logger.warn(`Partial data of upload ${upload.uploadId} is missing`);
+                return res.status(410).json({
+                    success: false,
+                    message: 'Upload data is no longer available'
+                });
+            }
+            throw writeError;
+        }
+
+        // Positional writes make a retried chunk harmless; the offset only moves once
+        const result = await Upload.updateOne(
+            { _id: upload._id, status: 'uploading', receivedBytes: offset },
+            { $set: { receivedBytes: offset + chunk.length } }
+        );
+
+        if (result.modifiedCount === 0) {
+            const current = await Upload.findById(upload._id).select('receivedBytes status');
+            return res.status(409).json({
+                success: false,
+                message: 'Offset mismatch',
+                data: { offset: current.receivedBytes, status: current.status }
+            });
+        }
+
+        res.setHeader('Upload-Offset', offset + chunk.length);
+        res.json({
+            success: true,
+            data: {
+                offset: offset + chunk.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Upload chunk error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/upload/{uploadId}/complete:
+ *   post:
+ *     tags: [Uploads]
+ *     summary: Complete an upload
+ *     description: Moves the received bytes into file storage. The upload can then be attached to one message.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/UploadId'
+ *     responses:
+ *       200:
+ *         description: Upload completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         upload:
+ *                           $ref: '#/components/schemas/Upload'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Not all bytes have been received yet, or the upload is already being completed
+ *       410:
+ *         description: Upload expired
+ *       422:
+ *         $ref: '#/components/responses/FilePolicyError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:uploadId/complete', auth, chunkRateLimit, [uploadIdValidator], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const upload = await findUserUpload(req.params.uploadId, req.user._id);
+
+        if (!upload) {
+            return res.status(404).json({
+                success: false,
+                message: 'Upload not found'
+            });
+        }
+
+        if (upload.status === 'completed' || upload.status === 'attached') {
+            return res.json({
+                success: true,
+                message: 'Upload already completed',
+                data: {
+                    upload: prepareUploadData(upload)
+                }
+            });
+        }
+
+        if (upload.isExpired()) {
+            return res.status(410).json({
+                success: false,
+                message: 'Upload has expired'
+            });
+        }
+
+        if (upload.status !== 'uploading' || upload.receivedBytes !== upload.size) {
+            return res.status(409).json({
+                success: false,
+                message: upload.status === 'uploading' ? 'Upload is incomplete' : 'Upload cannot be completed',
+                data: { offset: upload.receivedBytes, status: upload.status }
+            });
+        }
+
+        const claimed = await Upload.findOneAndUpdate(
+            { _id: upload._id, status: 'uploading', receivedBytes: upload.size },
+            { $set: { status: 'completing' } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: 'Upload is already being completed'
+            });
+        }
+
+        let finalized;
+        try {
+            finalized = await finalizeUpload(claimed);
+        } catch (finalizeError) {
+            await Upload.updateOne({ _id: claimed._id }, { $set: { status: 'uploading' } });
+            throw finalizeError;
+        }
+
+        if (!finalized.stored) {
+            claimed.status = 'aborted';
+            await claimed.save();
+
+            logger.warn(`Upload ${claimed.uploadId} rejected by file policy: ${finalized.inspection.code}`);
+            return sendPolicyRejection(res, finalized.inspection);
+        }
+
+        const { stored } = finalized;
+
+        claimed.status = 'completed';
+        claimed.storageKey = stored.key;
+        claimed.checksum = stored.checksum;
+        await claimed.save();
+
+        res.json({
+            success: true,
+            message: 'Upload completed',
+            data: {
+                upload: prepareUploadData(claimed)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Complete upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/upload/{uploadId}:
+ *   delete:
+ *     tags: [Uploads]
+ *     summary: Abort an upload
+ *     description: Discards the received bytes. Uploads already attached to a message cannot be aborted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/UploadId'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Upload is already attached to a message
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:uploadId', auth, chunkRateLimit, [uploadIdValidator], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const upload = await Upload.findOneAndUpdate(
+            {
+                uploadId: req.params.uploadId,
+                user: req.user._id,
+                status: { $in: ['uploading', 'completed'] }
+            },
+            { $set: { status: 'aborted' } }
+        );
+
+        if (!upload) {
+            const existing = await findUserUpload(req.params.uploadId, req.user._id).select('status');
+            if (existing && existing.status === 'aborted') {
+                return res.json({
+                    success: true,
+                    message: 'Upload aborted'
+                });
+            }
+
+            return res.status(existing ? 409 : 404).json({
+                success: false,
+                message: existing ? 'Upload cannot be aborted' : 'Upload not found'
+            });
+        }
+
+        await discardUpload(upload);
+
+        res.json({
+            success: true,
+            message: 'Upload aborted'
+        });
+
+    } catch (error) {
+        logger.error('Abort upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
+const AutoMessageTemplate = require('../models/AutoMessageTemplate');
 const { auth } = require('../middleware/auth');
 const { getOnlineUsers, isUserOnline } = require('../services/redisService');
 const { fixBase64Format, processBase64File, isValidBase64Image } = require('../utils/base64Helper');
@@ -103,7 +104,10 @@ router.get('/list', auth, userListRateLimit, async (req, res) => {
         const { page = 1, limit = 20, search } = req.query;
         const skip = (page - 1) * limit;
 
-        let query = { isActive: true, _id: { $ne: req.user._id } };
+        let query = {
+            isActive: true,
+            _id: { $ne: req.user._id, $nin: req.user.getBlockedUserIds() }
+        };
 
         if (search) {
             const searchRegex = new RegExp(search.trim(), 'i');
@@ -121,10 +125,13 @@ router.get('/list', auth, userListRateLimit, async (req, res) => {
             .limit(parseInt(limit));
 
         const total = await User.countDocuments(query);
+        const blockedByUserIds = await User.getBlockedByUserIds(req.user._id);
+        const clearedHistory = await Conversation.getClearedHistoryFilter(req.user._id);
 
         const usersWithStatus = await Promise.all(
             users.map(async (user) => {
-                const isOnline = await isUserOnline(user._id);
+                const hidesPresence = blockedByUserIds.includes(user._id.toString());
+                const isOnline = hidesPresence ? false : await isUserOnline(user._id);
 
                 const unreadCount = await Message.aggregate([
                     {
@@ -140,7 +147,8 @@ router.get('/list', auth, userListRateLimit, async (req, res) => {
                             sender: user._id,
                             'conversationData.participants': req.user._id,
                             'readBy.user': { $ne: req.user._id },
-                            isDeleted: false
+                            isDeleted: false,
+                            ...clearedHistory
                         }
                     },
                     {
@@ -152,6 +160,9 @@ router.get('/list', auth, userListRateLimit, async (req, res) => {
                 if (userObj.avatar) {
                     userObj.avatar = fixBase64Format(userObj.avatar);
                 }
+                if (hidesPresence) {
+                    delete userObj.lastSeen;
+                }
 
                 return {
                     ...userObj,
@@ -218,7 +229,8 @@ router.get('/list', auth, userListRateLimit, async (req, res) => {
  */
 router.get('/online-count', auth, async (req, res) => {
     try {
-        const onlineUsers = await getOnlineUsers();
+        const blockedByUserIds = await User.getBlockedByUserIds(req.user._id);
+        const onlineUsers = (await getOnlineUsers()).filter(userId => !blockedByUserIds.includes(userId));
         res.json({
             success: true,
             data: {
@@ -301,7 +313,7 @@ router.get('/profile/:userId', auth, async (req, res) => {
         }
 
         const user = await User.findById(userId)
-            .select('username firstName lastName avatar lastSeen isActive');
+            .select('username firstName lastName avatar lastSeen isActive blockedUsers');
 
         if (!user || !user.isActive) {
             return res.status(404).json({
@@ -309,12 +321,18 @@ router.get('/profile/:userId', auth, async (req, res) => {
                 message: 'User not found'
             });
         }
-        const isOnline = await isUserOnline(userId);
+        const hidesPresence = user.hasBlocked(req.user._id);
+        const isOnline = hidesPresence ? false : await isUserOnline(userId);
 
         let userObj = user.toObject();
+        delete userObj.blockedUsers;
         if (userObj.avatar) {
             userObj.avatar = fixBase64Format(userObj.avatar);
         }
+        if (hidesPresence) {
+            delete userObj.lastSeen;
+        }
+        userObj.isBlocked = req.user.hasBlocked(userId);
 
         res.json({
             success: true,
@@ -432,6 +450,17 @@ router.get('/profile/:userId', auth, async (req, res) => {
  *                     size: 11010048
  *                     maxSize: 5242880
  *                     mimeType: "image/jpeg"
+ *               avatarContentRejected:
+ *                 summary: Avatar content does not match its type
+ *                 value:
+ *                   success: false
+ *                   message: "Avatar error: File content does not match its declared type"
+ *                   code: "FILE_TYPE_MISMATCH"
+ *                   details:
+ *                     size: 48213
+ *                     maxSize: 5242880
+ *                     mimeType: "image/png"
+ *                     detectedType: "text/html"
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       429:
@@ -527,10 +556,12 @@ router.put('/profile', auth, profileUpdateRateLimit, [
                     return res.status(400).json({
                         success: false,
                         message: `Avatar error: ${processResult.error}`,
+                        code: processResult.code,
                         details: {
                             size: processResult.size,
                             maxSize: processResult.maxSize,
-                            mimeType: processResult.mimeType
+                            mimeType: processResult.mimeType,
+                            detectedType: processResult.detectedType
                         }
                     });
                 }
@@ -721,7 +752,7 @@ router.get('/search', auth, [
         const searchRegex = new RegExp(query.trim(), 'i');
         const searchQuery = {
             isActive: true,
-            _id: { $ne: req.user._id },
+            _id: { $ne: req.user._id, $nin: req.user.getBlockedUserIds() },
             $or: [
                 { username: searchRegex },
                 { firstName: searchRegex },
@@ -732,10 +763,13 @@ router.get('/search', auth, [
         const users = await User.find(searchQuery)
             .select('username firstName lastName avatar')
             .limit(parseInt(limit));
+        const blockedByUserIds = await User.getBlockedByUserIds(req.user._id);
 
         const usersWithStatus = await Promise.all(
             users.map(async (user) => {
-                const isOnline = await isUserOnline(user._id);
+                const isOnline = blockedByUserIds.includes(user._id.toString())
+                    ? false
+                    : await isUserOnline(user._id);
 
                 let userObj = user.toObject();
                 if (userObj.avatar) {
@@ -777,6 +811,12 @@ router.get('/search', auth, [
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
+ *       - name: excludeMuted
+ *         in: query
+ *         description: Leave out conversations the user has muted, e.g. for app badges
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: Total unread count retrieved successfully
@@ -804,6 +844,18 @@ router.get('/search', auth, [
  */
 router.get('/unread/total', auth, async (req, res) => {
     try {
+        const match = {
+            sender: { $ne: req.user._id },
+            'conversationData.participants': req.user._id,
+            'readBy.user': { $ne: req.user._id },
+            isDeleted: false,
+            ...await Conversation.getClearedHistoryFilter(req.user._id)
+        };
+
+        if (req.query.excludeMuted === 'true') {
+            match.conversation = { $nin: await Conversation.getMutedConversationIds(req.user._id) };
+        }
+
         const totalUnreadCount = await Message.aggregate([
             {
                 $lookup: {
@@ -814,12 +866,7 @@ router.get('/unread/total', auth, async (req, res) => {
                 }
             },
             {
-                $match: {
-                    sender: { $ne: req.user._id },
-                    'conversationData.participants': req.user._id,
-                    'readBy.user': { $ne: req.user._id },
-                    isDeleted: false
-                }
+                $match: match
             },
             {
                 $count: 'totalUnread'
@@ -913,6 +960,8 @@ router.get('/unread/total', auth, async (req, res) => {
  */
 router.get('/unread/by-conversation', auth, async (req, res) => {
     try {
+        const clearedHistory = await Conversation.getClearedHistoryFilter(req.user._id);
+
         const unreadByConversation = await Message.aggregate([
             {
                 $lookup: {
@@ -927,7 +976,8 @@ router.get('/unread/by-conversation', auth, async (req, res) => {
                     sender: { $ne: req.user._id },
                     'conversationData.participants': req.user._id,
                     'readBy.user': { $ne: req.user._id },
-                    isDeleted: false
+                    isDeleted: false,
+                    ...clearedHistory
                 }
             },
             {
@@ -987,29 +1037,294 @@ router.get('/unread/by-conversation', auth, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/user/auto-messages:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get automatic message preferences
+ *     description: Whether the current user takes part in automatic messages, and the locale their messages are picked in.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Preferences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         autoMessages:
+ *                           $ref: '#/components/schemas/AutoMessagePreferences'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/auto-messages', auth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                autoMessages: req.user.getAutoMessagePreferences()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get auto message preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/user/auto-messages:
+ *   put:
+ *     tags: [Users]
+ *     summary: Update automatic message preferences
+ *     description: |
+ *       Opt in to or out of automatic messages. Users are only paired by the planner after opting in, and messages
+ *       already planned are dropped if either user has opted out by the time they would be sent.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               locale:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Locale of the messages received, e.g. `tr` or `en-US`; null falls back to the default locale
+ *                 example: 'tr'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         autoMessages:
+ *                           $ref: '#/components/schemas/AutoMessagePreferences'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/auto-messages', auth, profileUpdateRateLimit, [
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('enabled must be a boolean'),
+    body('locale')
+        .optional({ values: 'null' })
+        .custom(value => AutoMessageTemplate.isValidLocale(value))
+        .withMessage('locale must be a language tag such as tr or en-US')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { enabled, locale } = req.body;
+        const $set = {};
+        const $unset = {};
+
+        if (enabled !== undefined) {
+            $set['autoMessages.enabled'] = enabled === true || enabled === 'true';
+        }
+        if (locale === null) {
+            $unset['autoMessages.locale'] = '';
+        } else if (locale !== undefined) {
+            $set['autoMessages.locale'] = locale;
+        }
+
+        if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No preferences to update'
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            {
+                ...(Object.keys($set).length > 0 && { $set }),
+                ...(Object.keys($unset).length > 0 && { $unset })
+            },
+            { new: true }
+        ).select('autoMessages');
+
+        logger.info(`User ${req.user.username} updated auto message preferences`);
+
+        res.json({
+            success: true,
+            message: 'Automatic message preferences updated',
+            data: {
+                autoMessages: user.getAutoMessagePreferences()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update auto message preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/user/blocked:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get blocked users
+ *     description: List the users the current user has blocked, most recently blocked first. Use POST /api/user/block/{userId} with action "unblock" to remove a block.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/User'
+ *                               - type: object
+ *                                 properties:
+ *                                   blockedAt:
+ *                                     type: string
+ *                                     format: date-time
+ *                         count:
+ *                           type: integer
+ *                           example: 1
+ *             example:
+ *               success: true
+ *               data:
+ *                 users:
+ *                   - _id: "507f1f77bcf86cd799439011"
+ *                     username: "john_doe"
+ *                     firstName: "John"
+ *                     lastName: "Doe"
+ *                     avatar: null
+ *                     blockedAt: "2025-01-15T10:30:00.000Z"
+ *                 count: 1
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/blocked', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .select('blockedUsers')
+            .populate('blockedUsers.user', 'username firstName lastName avatar');
+
+        const blockedUsers = (user.blockedUsers || [])
+            .filter(blocked => blocked.user)
+            .sort((a, b) => b.blockedAt - a.blockedAt)
+            .map(blocked => {
+                const userObj = blocked.user.toObject();
+                if (userObj.avatar) {
+                    userObj.avatar = fixBase64Format(userObj.avatar);
+                }
+                return {
+                    _id: userObj._id,
+                    username: userObj.username,
+                    firstName: userObj.firstName,
+                    lastName: userObj.lastName,
+                    avatar: userObj.avatar,
+                    blockedAt: blocked.blockedAt
+                };
+            });
+
+        res.json({
+            success: true,
+            data: {
+                users: blockedUsers,
+                count: blockedUsers.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get blocked users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/user/block/{userId}:
  *   post:
  *     tags: [Users]
  *     summary: Block or unblock user
- *     description: Block or unblock another user (placeholder implementation)
+ *     description: |
+ *       Block or unblock another user. A blocked user cannot start a private conversation with you or send
+ *       you private messages, does not see your online status, and is hidden from your user list and search.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/SessionId'
  *       - $ref: '#/components/parameters/UserId'
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [action]
  *             properties:
  *               action:
  *                 type: string
  *                 enum: [block, unblock]
+ *                 default: block
  *                 example: "block"
  *           example:
  *             action: "block"
@@ -1055,10 +1370,21 @@ router.get('/unread/by-conversation', auth, async (req, res) => {
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/block/:userId', auth, async (req, res) => {
+router.post('/block/:userId', auth, [
+    body('action').optional().isIn(['block', 'unblock']).withMessage('Action must be block or unblock')
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { userId } = req.params;
-        const { action } = req.body;
+        const { action = 'block' } = req.body;
 
         if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
             return res.status(400).json({
@@ -1082,9 +1408,42 @@ router.post('/block/:userId', auth, async (req, res) => {
             });
         }
 
+        const wasBlocked = req.user.hasBlocked(userId);
+
+        if (action === 'block') {
+            await req.user.blockUser(userId);
+        } else {
+            await req.user.unblockUser(userId);
+        }
+
+        if (global.io && wasBlocked !== (action === 'block')) {
+            const isOnline = await isUserOnline(req.user._id);
+
+            if (action === 'block') {
+                global.io.to(`user_${userId}`).emit('user_offline', {
+                    userId: req.user._id.toString(),
+                    username: req.user.username
+                });
+            } else if (isOnline) {
+                global.io.to(`user_${userId}`).emit('user_online', {
+                    userId: req.user._id.toString(),
+                    username: req.user.username
+                });
+            }
+
+            global.io.to(`user_${req.user._id}`).emit('block_list_updated', {
+                userId: userId,
+                isBlocked: action === 'block'
+            });
+        }
+
         res.json({
             success: true,
-            message: `User ${action === 'block' ? 'blocked' : 'unblocked'} successfully`
+            message: `User ${action === 'block' ? 'blocked' : 'unblocked'} successfully`,
+            data: {
+                userId: userId,
+                isBlocked: action === 'block'
+            }
         });
 
     } catch (error) {
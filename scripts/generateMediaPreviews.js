@@ -0,0 +1,68 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { processMessageMedia } = require('../services/mediaService');
+const logger = require('../utils/logger');
+
+// Builds thumbnails, dimensions and placeholders for image/video messages, and waveforms for audio
+// messages, that have none yet.
+// Run after migrate:files so legacy payloads are already in blob storage.
+// Usage: node scripts/generateMediaPreviews.js [--dry-run] [--limit=N] [--retry-failed]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const retryFailed = args.includes('--retry-failed');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) || 0 : 0;
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info(`Media preview generation started${dryRun ? ' (dry run)' : ''}`);
+
+    const query = {
+        type: { $in: ['image', 'video', 'audio'] },
+        isDeleted: false,
+        'fileData.storageKey': { $exists: true },
+        'fileData.scanStatus': { $in: [null, 'clean'] },
+        'fileData.previewStatus': { $nin: retryFailed ? ['ready'] : ['ready', 'failed'] }
+    };
+
+    const cursor = Message.find(query)
+        .select('_id')
+        .limit(limit)
+        .lean()
+        .cursor();
+
+    const stats = { generated: 0, skipped: 0, failed: 0 };
+
+    for await (const message of cursor) {
+        if (dryRun) {
+            stats.skipped++;
+            continue;
+        }
+
+        try {
+            if (await processMessageMedia(message._id)) {
+                stats.generated++;
+
+                if (stats.generated % 100 === 0) {
+                    logger.info(`Preview progress: ${stats.generated} generated, ${stats.failed} failed`);
+                }
+            } else {
+                stats.skipped++;
+            }
+        } catch (error) {
+            stats.failed++;
+            logger.error(`Failed to generate media preview of message ${message._id}:`, error);
+        }
+    }
+
+    logger.info(`Media preview generation finished: ${stats.generated} generated, ${stats.skipped} ${dryRun ? 'pending' : 'skipped'}, ${stats.failed} failed`);
+    await mongoose.disconnect();
+    process.exit(stats.failed > 0 ? 1 : 0);
+};
+
+run().catch(async (error) => {
+    logger.error('Media preview generation error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
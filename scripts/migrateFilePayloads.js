@@ -0,0 +1,108 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { putDataUrl, deleteObject, getMessageObjectPrefix } = require('../services/storageService');
+const logger = require('../utils/logger');
+
+// Moves inline base64 file payloads (fileData.data / fileData.thumbnail) into blob storage.
+// Usage: node scripts/migrateFilePayloads.js [--dry-run] [--limit=N]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) || 0 : 0;
+
+const migrateMessage = async (message) => {
+    const prefix = getMessageObjectPrefix(message.conversation);
+    const storedKeys = [];
+    const update = { $set: {}, $unset: {} };
+
+    try {
+        if (message.fileData.data) {
+            const storedFile = await putDataUrl(prefix, message.fileData.data);
+            storedKeys.push(storedFile.key);
+
+            update.$set['fileData.storageKey'] = storedFile.key;
+            update.$set['fileData.checksum'] = storedFile.checksum;
+            update.$set['fileData.size'] = storedFile.size;
+            update.$unset['fileData.data'] = '';
+        }
+
+        if (message.fileData.thumbnail) {
+            const storedThumbnail = await putDataUrl(prefix, message.fileData.thumbnail);
+            storedKeys.push(storedThumbnail.key);
+
+            update.$set['fileData.thumbnailKey'] = storedThumbnail.key;
+            update.$set['fileData.thumbnailType'] = storedThumbnail.contentType;
+            update.$unset['fileData.thumbnail'] = '';
+        }
+
+        // Guard against a concurrent run having migrated the message in the meantime
+        const result = await Message.updateOne(
+            { _id: message._id, 'fileData.storageKey': { $exists: false } },
+            update
+        );
+
+        if (result.modifiedCount === 0) {
+            await Promise.allSettled(storedKeys.map(key => deleteObject(key)));
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        await Promise.allSettled(storedKeys.map(key => deleteObject(key)));
+        throw error;
+    }
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info(`File payload migration started${dryRun ? ' (dry run)' : ''}`);
+
+    const query = {
+        'fileData.storageKey': { $exists: false },
+        $or: [
+            { 'fileData.data': { $exists: true } },
+            { 'fileData.thumbnail': { $exists: true } }
+        ]
+    };
+
+    const cursor = Message.find(query)
+        .select('conversation fileData +fileData.data +fileData.thumbnail')
+        .limit(limit)
+        .lean()
+        .cursor();
+
+    const stats = { migrated: 0, skipped: 0, failed: 0 };
+
+    for await (const message of cursor) {
+        if (dryRun) {
+            stats.skipped++;
+            continue;
+        }
+
+        try {
+            if (await migrateMessage(message)) {
+                stats.migrated++;
+
+                if (stats.migrated % 100 === 0) {
+                    logger.info(`Migration progress: ${stats.migrated} migrated, ${stats.failed} failed`);
+                }
+            } else {
+                stats.skipped++;
+            }
+        } catch (error) {
+            stats.failed++;
+            logger.error(`Failed to migrate file payload of message ${message._id}:`, error);
+        }
+    }
+
+    logger.info(`File payload migration finished: ${stats.migrated} migrated, ${stats.skipped} ${dryRun ? 'pending' : 'skipped'}, ${stats.failed} failed`);
+    await mongoose.disconnect();
+    process.exit(stats.failed > 0 ? 1 : 0);
+};
+
+run().catch(async (error) => {
+    logger.error('File payload migration error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
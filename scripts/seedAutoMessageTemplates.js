@@ -0,0 +1,48 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AutoMessageTemplate = require('../models/AutoMessageTemplate');
+const logger = require('../utils/logger');
+
+// Adds the original built-in Turkish automatic message templates. Templates whose content already
+// exists for the locale are left alone, so running it again is harmless.
+// Usage: node scripts/seedAutoMessageTemplates.js [--dry-run]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+const DEFAULT_LOCALE = 'tr';
+const DEFAULT_TEMPLATES = [
+    "Merhaba! Nasılsın?",
+    "Bugün nasıl geçiyor?",
+    "Seni merak ettim, ne yapıyorsun?",
+    "Umarım güzel bir gün geçiriyorsundur!",
+    "Selam! Keyifler nasıl?",
+    "Hey! Uzun zamandır konuşmuyoruz.",
+    "Nasıl gidiyor işler?",
+    "Bugün nerelerdeydin?",
+    "Hava çok güzel değil mi?",
+    "Yakında görüşelim mi?"
+];
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const existing = await AutoMessageTemplate.find({ locale: DEFAULT_LOCALE }).distinct('content');
+    const missing = DEFAULT_TEMPLATES.filter(content => !existing.includes(content));
+
+    if (!dryRun && missing.length > 0) {
+        await AutoMessageTemplate.insertMany(missing.map(content => ({
+            content,
+            locale: DEFAULT_LOCALE
+        })));
+    }
+
+    logger.info(`Auto message template seed finished: ${missing.length} ${dryRun ? 'missing' : 'added'}, ${DEFAULT_TEMPLATES.length - missing.length} already present`);
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(async (error) => {
+    logger.error('Auto message template seed error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,35 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Grants or removes admin access; there is no API for it on purpose.
+// Usage: node scripts/setUserRole.js <username> <user|admin>
+const [username, role] = process.argv.slice(2);
+const ROLES = ['user', 'admin'];
+
+const run = async () => {
+    if (!username || !ROLES.includes(role)) {
+        logger.error('Usage: node scripts/setUserRole.js <username> <user|admin>');
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await User.findOneAndUpdate({ username }, { $set: { role } }, { new: true });
+    if (!user) {
+        logger.error(`User ${username} not found`);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+
+    logger.info(`User ${user.username} is now ${user.role}`);
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(async (error) => {
+    logger.error('Set user role error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
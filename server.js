@@ -13,6 +13,8 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const messageRoutes = require('./routes/message');
 const conversationRoutes = require('./routes/conversation');
+const uploadRoutes = require('./routes/upload');
+const adminRoutes = require('./routes/admin');
 
 const socketHandler = require('./services/socketService');
 const { startCronJobs } = require('./services/cronService');
@@ -35,7 +37,7 @@ const io = socketIo(server, {
     },
     pingTimeout: 120000,
     pingInterval: 25000,
-    maxHttpBufferSize: 1e8,
+    maxHttpBufferSize: 2 * 1024 * 1024,
     connectTimeout: 60000,
     upgradeTimeout: 30000,
     allowEIO3: true
@@ -126,12 +128,12 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID'],
-    exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Per-Page']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', 'Upload-Offset'],
+    exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Per-Page', 'Upload-Offset']
 }));
 
 app.use(express.json({
-    limit: '100mb',
+    limit: '10mb',
     verify: (req, res, buf) => {
         try {
             JSON.parse(buf);
@@ -143,7 +145,7 @@ app.use(express.json({
 }));
 app.use(express.urlencoded({
     extended: true,
-    limit: '100mb'
+    limit: '10mb'
 }));
 
 
@@ -220,6 +222,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/message', messageRoutes);
 app.use('/api/conversation', conversationRoutes);
+app.use('/api/upload', uploadRoutes);
+app.use('/api/admin', adminRoutes);
 
 app.use('/api/*', (req, res) => {
     res.status(404).json({
@@ -0,0 +1,214 @@
+const User = require('../models/User');
+const AutoMessage = require('../models/AutoMessage');
+const AutoMessageTemplate = require('../models/AutoMessageTemplate');
+const Conversation = require('../models/Conversation');
+const logger = require('../utils/logger');
+
+// Unlike `parseInt(...) || default`, keeps an explicit 0 (e.g. no repeat-pair suppression)
+const parseIntSetting = (value, defaultValue) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const AUTO_MESSAGE_CRON = process.env.AUTO_MESSAGE_CRON || '0 2 * * *';
+const AUTO_MESSAGE_MAX_PER_RUN = parseIntSetting(process.env.AUTO_MESSAGE_MAX_PER_RUN, 500);
+const AUTO_MESSAGE_SEND_WINDOW_HOURS = parseIntSetting(process.env.AUTO_MESSAGE_SEND_WINDOW_HOURS, 24);
+const AUTO_MESSAGE_REPEAT_PAIR_DAYS = parseIntSetting(process.env.AUTO_MESSAGE_REPEAT_PAIR_DAYS, 7);
+const AUTO_MESSAGE_SHARED_CONVERSATION_ONLY = process.env.AUTO_MESSAGE_SHARED_CONVERSATION_ONLY === 'true';
+const AUTO_MESSAGE_DEFAULT_LOCALE = process.env.AUTO_MESSAGE_DEFAULT_LOCALE || 'tr';
+
+const getPlannerConfig = () => ({
+    cron: AUTO_MESSAGE_CRON,
+    maxMessages: AUTO_MESSAGE_MAX_PER_RUN,
+    sendWindowHours: AUTO_MESSAGE_SEND_WINDOW_HOURS,
+    repeatPairDays: AUTO_MESSAGE_REPEAT_PAIR_DAYS,
+    sharedConversationOnly: AUTO_MESSAGE_SHARED_CONVERSATION_ONLY,
+    defaultLocale: AUTO_MESSAGE_DEFAULT_LOCALE
+});
+
+const getPairKey = (userId, otherUserId) => [userId.toString(), otherUserId.toString()].sort().join(':');
+
+const shuffleArray = (array) => {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+const pickWeighted = (templates) => {
+    const totalWeight = templates.reduce((sum, template) => sum + template.weight, 0);
+    let remaining = Math.random() * totalWeight;
+
+    for (const template of templates) {
+        remaining -= template.weight;
+        if (remaining < 0) return template;
+    }
+    return templates[templates.length - 1];
+};
+
+// Templates in the recipient's locale, falling back to the default locale
+const pickTemplate = (templatesByLocale, locale, defaultLocale) => {
+    const templates = templatesByLocale.get(locale) || templatesByLocale.get(defaultLocale);
+    return templates ? pickWeighted(templates) : null;
+};
+
+// Pairs that must not be planned: recent pairs and pairs where either user blocked the other
+const getExcludedPairs = async (users, repeatPairDays, now) => {
+    const excluded = new Set();
+    const userIds = users.map(user => user._id);
+
+    const recentMessages = await AutoMessage.find({
+        origin: 'system',
+        createdAt: { $gte: new Date(now.getTime() - repeatPairDays * 24 * 60 * 60 * 1000) },
+        sender: { $in: userIds }
+    }).select('sender recipient').lean();
+
+    recentMessages.forEach(message => excluded.add(getPairKey(message.sender, message.recipient)));
+    users.forEach(user => {
+        (user.blockedUsers || []).forEach(blocked => excluded.add(getPairKey(user._id, blocked.user)));
+    });
+
+    return excluded;
+};
+
+const getSharedConversationPairs = async (users) => {
+    const eligibleIds = new Set(users.map(user => user._id.toString()));
+    const conversations = await Conversation.find({
+        participants: { $in: users.map(user => user._id) },
+        isActive: true
+    }).select('participants').lean();
+
+    const pairs = new Set();
+    conversations.forEach(conversation => {
+        const members = conversation.participants
+            .map(participant => participant.toString())
+            .filter(participantId => eligibleIds.has(participantId));
+
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                pairs.add(getPairKey(members[i], members[j]));
+            }
+        }
+    });
+
+    return pairs;
+};
+
+const toPlanUser = (user) => ({
+    _id: user._id,
+    username: user.username,
+    firstName: user.firstName,
+    lastName: user.lastName
+});
+
+// Works out what would be planned without writing anything; `options` overrides the configured rules
+const buildAutoMessagePlan = async (options = {}) => {
+    const config = { ...getPlannerConfig(), ...options };
+    const now = new Date();
+    const stats = {
+        eligibleUsers: 0,
+        activeTemplates: 0,
+        planned: 0,
+        unpairedUsers: 0,
+        skippedForTemplate: 0
+    };
+
+    const [users, templates] = await Promise.all([
+        User.find({ isActive: true, 'autoMessages.enabled': true })
+            .select('username firstName lastName autoMessages blockedUsers.user')
+            .lean(),
+        AutoMessageTemplate.find({ isActive: true }).select('content locale weight').lean()
+    ]);
+
+    stats.eligibleUsers = users.length;
+    stats.activeTemplates = templates.length;
+
+    if (users.length < 2 || templates.length === 0) {
+        stats.unpairedUsers = users.length;
+        return { config, stats, plan: [] };
+    }
+
+    const templatesByLocale = new Map();
+    templates.forEach(template => {
+        templatesByLocale.set(template.locale, [...(templatesByLocale.get(template.locale) || []), template]);
+    });
+
+    const excludedPairs = await getExcludedPairs(users, config.repeatPairDays, now);
+    const sharedPairs = config.sharedConversationOnly ? await getSharedConversationPairs(users) : null;
+
+    const canPair = (user, other) => {
+        const key = getPairKey(user._id, other._id);
+        return !excludedPairs.has(key) && (!sharedPairs || sharedPairs.has(key));
+    };
+
+    const shuffledUsers = shuffleArray(users);
+    const paired = new Set();
+    const plan = [];
+
+    for (let i = 0; i < shuffledUsers.length && plan.length < config.maxMessages; i++) {
+        const sender = shuffledUsers[i];
+        if (paired.has(sender._id.toString())) continue;
+
+        const recipient = shuffledUsers.slice(i + 1).find(candidate =>
+            !paired.has(candidate._id.toString()) && canPair(sender, candidate)
+        );
+        if (!recipient) continue;
+
+        const template = pickTemplate(
+            templatesByLocale,
+            (recipient.autoMessages && recipient.autoMessages.locale) || config.defaultLocale,
+            config.defaultLocale
+        );
+        if (!template) {
+            stats.skippedForTemplate++;
+            continue;
+        }
+
+        paired.add(sender._id.toString());
+        paired.add(recipient._id.toString());
+
+        plan.push({
+            sender: toPlanUser(sender),
+            recipient: toPlanUser(recipient),
+            template: template._id,
+            locale: template.locale,
+            content: template.content,
+            sendDate: new Date(now.getTime() + Math.random() * config.sendWindowHours * 60 * 60 * 1000)
+        });
+    }
+
+    stats.planned = plan.length;
+    stats.unpairedUsers = users.length - paired.size;
+
+    return { config, stats, plan };
+};
+
+const planAutomaticMessages = async () => {
+    const { stats, plan } = await buildAutoMessagePlan();
+
+    if (plan.length === 0) {
+        logger.info(`No automatic messages planned (${stats.eligibleUsers} opted-in users, ${stats.activeTemplates} active templates)`);
+        return stats;
+    }
+
+    await AutoMessage.insertMany(plan.map(entry => ({
+        sender: entry.sender._id,
+        recipient: entry.recipient._id,
+        content: entry.content,
+        template: entry.template,
+        sendDate: entry.sendDate,
+        isQueued: false,
+        isSent: false
+    })));
+
+    logger.info(`Planned ${plan.length} automatic messages for ${stats.eligibleUsers} opted-in users`);
+    return stats;
+};
+
+module.exports = {
+    getPlannerConfig,
+    buildAutoMessagePlan,
+    planAutomaticMessages
+};
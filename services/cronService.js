@@ -1,31 +1,31 @@
 const cron = require('node-cron');
-const User = require('../models/User');
 const AutoMessage = require('../models/AutoMessage');
-const { publishToQueue } = require('./queueService');
+const Message = require('../models/Message');
+const { publishToQueue, queueAttachmentScan } = require('./queueService');
+const { cleanupExpiredUploads } = require('./uploadService');
+const { findStaleScans } = require('./scanService');
+const { deleteExpiredMessages } = require('./messageExpiryService');
+const { getPlannerConfig, planAutomaticMessages } = require('./autoMessagePlannerService');
 const logger = require('../utils/logger');
 
-const messageTemplates = [
-    "Merhaba! Nasılsın?",
-    "Bugün nasıl geçiyor?",
-    "Seni merak ettim, ne yapıyorsun?",
-    "Umarım güzel bir gün geçiriyorsundur!",
-    "Selam! Keyifler nasıl?",
-    "Hey! Uzun zamandır konuşmuyoruz.",
-    "Nasıl gidiyor işler?",
-    "Bugün nerelerdeydin?",
-    "Hava çok güzel değil mi?",
-    "Yakında görüşelim mi?"
-];
-
 const startCronJobs = () => {
-    cron.schedule('0 2 * * *', async () => {
-        try {
-            logger.info('Starting automated message planning service...');
-            await planAutomaticMessages();
-        } catch (error) {
-            logger.error('Error in message planning cron job:', error);
-        }
-    });
+    const { cron: planningSchedule } = getPlannerConfig();
+
+    // AUTO_MESSAGE_CRON=off turns planning off; messages already planned are still delivered
+    if (planningSchedule === 'off') {
+        logger.info('Automatic message planning is turned off');
+    } else if (!cron.validate(planningSchedule)) {
+        logger.error(`Invalid AUTO_MESSAGE_CRON schedule "${planningSchedule}", automatic message planning is not scheduled`);
+    } else {
+        cron.schedule(planningSchedule, async () => {
+            try {
+                logger.info('Starting automated message planning service...');
+                await planAutomaticMessages();
+            } catch (error) {
+                logger.error('Error in message planning cron job:', error);
+            }
+        });
+    }
     cron.schedule('* * * * *', async () => {
         try {
             await processQueuedMessages();
@@ -33,49 +33,29 @@ const startCronJobs = () => {
             logger.error('Error in queue management cron job:', error);
         }
     });
-
-    logger.info('Cron jobs started successfully');
-};
-
-const planAutomaticMessages = async () => {
-    try {
-        const activeUsers = await User.find({ isActive: true }).select('_id username');
-        if (activeUsers.length < 2) {
-            logger.info('Not enough active users for message planning');
-            return;
+    cron.schedule('15 * * * *', async () => {
+        try {
+            await cleanupExpiredUploads();
+        } catch (error) {
+            logger.error('Error in upload cleanup cron job:', error);
         }
-
-        const shuffledUsers = shuffleArray([...activeUsers]);
-
-        const pairs = [];
-        for (let i = 0; i < shuffledUsers.length - 1; i += 2) {
-            if (shuffledUsers[i + 1]) {
-                pairs.push([shuffledUsers[i], shuffledUsers[i + 1]]);
-            }
+    });
+    cron.schedule('*/10 * * * *', async () => {
+        try {
+            await retryStaleScans();
+        } catch (error) {
+            logger.error('Error in attachment scan retry cron job:', error);
         }
-
-        const autoMessages = [];
-        for (const [sender, recipient] of pairs) {
-            const randomMessage = messageTemplates[Math.floor(Math.random() * messageTemplates.length)];
-            const sendDate = new Date(Date.now() + Math.random() * 24 * 60 * 60 * 1000); // 24 saat içinde rastgele
-
-            const autoMessage = new AutoMessage({
-                sender: sender._id,
-                recipient: recipient._id,
-                content: randomMessage,
-                sendDate: sendDate,
-                isQueued: false,
-                isSent: false
-            });
-
-            autoMessages.push(autoMessage);
+    });
+    cron.schedule('* * * * *', async () => {
+        try {
+            await deleteExpiredMessages();
+        } catch (error) {
+            logger.error('Error in expired message cleanup cron job:', error);
         }
+    });
 
-        await AutoMessage.insertMany(autoMessages);
-        logger.info(`Planned ${autoMessages.length} automatic messages`);
-    } catch (error) {
-        logger.error('Error planning automatic messages:', error);
-    }
+    logger.info('Cron jobs started successfully');
 };
 
 const processQueuedMessages = async () => {
@@ -83,7 +63,8 @@ const processQueuedMessages = async () => {
         const pendingMessages = await AutoMessage.find({
             sendDate: { $lte: new Date() },
             isQueued: false,
-            isSent: false
+            isSent: false,
+            cancelledAt: null
         });
 
         for (const message of pendingMessages) {
@@ -103,13 +84,23 @@ const processQueuedMessages = async () => {
     }
 };
 
-const shuffleArray = (array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+const retryStaleScans = async () => {
+    const staleMessages = await findStaleScans();
+    if (staleMessages.length === 0) return;
+
+    const messageIds = staleMessages.map(message => message._id);
+
+    // Back to pending also refreshes updatedAt, so the next run does not queue them twice
+    await Message.updateMany(
+        { _id: { $in: messageIds } },
+        { $set: { 'fileData.scanStatus': 'pending' } }
+    );
+
+    for (const messageId of messageIds) {
+        await queueAttachmentScan(messageId);
     }
-    return shuffled;
+
+    logger.info(`Re-queued ${messageIds.length} attachment scans`);
 };
 
 module.exports = {
@@ -0,0 +1,286 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const Message = require('../models/Message');
+const { cacheLinkPreview, getCachedLinkPreview } = require('./redisService');
+const { isPublicAddress } = require('../utils/urlHelper');
+const logger = require('../utils/logger');
+
+const LINK_PREVIEW_TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+const LINK_PREVIEW_MAX_BYTES = parseInt(process.env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024;
+const LINK_PREVIEW_MAX_REDIRECTS = parseInt(process.env.LINK_PREVIEW_MAX_REDIRECTS) || 3;
+const LINK_PREVIEW_CACHE_TTL = parseInt(process.env.LINK_PREVIEW_CACHE_TTL) || 24 * 60 * 60;
+const LINK_PREVIEW_FAILURE_TTL = 60 * 60;
+const USER_AGENT = 'AriesChatBot/1.0 (+link preview)';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_SITE_NAME_LENGTH = 100;
+
+const META_TAG_PATTERN = /<meta\b[^>]*>/gi;
+const TITLE_PATTERN = /<title\b[^>]*>([^<]*)<\/title>/i;
+const ATTRIBUTE_PATTERN = /([^\s"'=<>/]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+const blockedAddressError = (hostname) => {
+    const error = new Error(`Refusing to fetch link preview from non-public address: ${hostname}`);
+    error.code = 'LINK_PREVIEW_BLOCKED_ADDRESS';
+    return error;
+};
+
+// Resolves like dns.lookup but fails when any address is private, so the socket can only
+// ever connect to an address that was checked (no DNS rebinding between check and connect)
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+            return callback(blockedAddressError(hostname));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const assertFetchableUrl = (url) => {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Unsupported link preview protocol: ${url.protocol}`);
+    }
+    // Only the default web ports, so links cannot be used to probe other services
+    if (url.port || url.username || url.password) {
+        throw new Error('Link preview URLs cannot carry a port or credentials');
+    }
+
+    // Literal IPs skip the lookup entirely, so they are checked here
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+        throw blockedAddressError(hostname);
+    }
+};
+
+const requestPage = (url, signal) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+        lookup: publicLookup,
+        signal,
+        headers: {
+            'User-Agent': USER_AGENT,
+            Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1',
+            'Accept-Language': 'tr,en;q=0.8'
+        }
+    }, resolve);
+
+    request.on('error', reject);
+});
+
+const getCharset = (contentType) => {
+    const match = contentType.match(/charset=["']?([^"';\s]+)/i);
+    if (!match) return 'utf-8';
+
+    try {
+        return new TextDecoder(match[1]).encoding;
+    } catch (error) {
+        return 'utf-8';
+    }
+};
+
+// Reads at most LINK_PREVIEW_MAX_BYTES; the metadata sits in <head>, so a truncated page is fine
+const readHtml = async (response) => {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of response) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= LINK_PREVIEW_MAX_BYTES) break;
+    }
+    response.destroy();
+
+    const body = Buffer.concat(chunks).subarray(0, LINK_PREVIEW_MAX_BYTES);
+    return new TextDecoder(getCharset(response.headers['content-type'] || '')).decode(body);
+};
+
+const fetchPage = async (pageUrl) => {
+    const abortController = new AbortController();
+    const timer = setTimeout(() => abortController.abort(), LINK_PREVIEW_TIMEOUT_MS);
+
+    try {
+        let url = new URL(pageUrl);
+
+        for (let redirects = 0; ; redirects++) {
+            assertFetchableUrl(url);
+
+            const response = await requestPage(url, abortController.signal);
+
+            if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+                response.resume();
+                if (redirects >= LINK_PREVIEW_MAX_REDIRECTS) {
+                    throw new Error(`Too many redirects for ${pageUrl}`);
+                }
+                url = new URL(response.headers.location, url);
+                continue;
+            }
+
+            const contentType = response.headers['content-type'] || '';
+            if (response.statusCode !== 200 || !/^(text\/html|application\/xhtml\+xml)/i.test(contentType)) {
+                response.resume();
+                throw new Error(`Link preview target ${url.href} answered ${response.statusCode} ${contentType}`);
+            }
+
+            return { url, html: await readHtml(response) };
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+const decodeEntities = (text) => {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] || entity;
+    });
+};
+
+const cleanText = (text, maxLength) => {
+    if (!text) return undefined;
+
+    const cleaned = decodeEntities(text).replace(/\s+/g, ' ').trim();
+    if (!cleaned) return undefined;
+
+    return cleaned.length > maxLength ? `${cleaned.slice(0, maxLength - 1)}…` : cleaned;
+};
+
+const parseMetaTags = (html) => {
+    const tags = {};
+
+    for (const [tag] of html.matchAll(META_TAG_PATTERN)) {
+        const attributes = {};
+        for (const match of tag.matchAll(ATTRIBUTE_PATTERN)) {
+            attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+        }
+
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content && !(key in tags)) {
+            tags[key] = attributes.content;
+        }
+    }
+
+    return tags;
+};
+
+// The chat page only loads images over https (see the CSP in server.js)
+const resolveImageUrl = (image, pageUrl) => {
+    if (!image) return undefined;
+
+    try {
+        const url = new URL(decodeEntities(image.trim()), pageUrl);
+        return url.protocol === 'https:' ? url.href : undefined;
+    } catch (error) {
+        return undefined;
+    }
+};
+
+const parseLinkPreview = (html, pageUrl, requestedUrl) => {
+    const tags = parseMetaTags(html);
+    const titleTag = html.match(TITLE_PATTERN);
+
+    const title = cleanText(tags['og:title'] || tags['twitter:title'] || (titleTag && titleTag[1]), MAX_TITLE_LENGTH);
+    const description = cleanText(
+        tags['og:description'] || tags['twitter:description'] || tags.description,
+        MAX_DESCRIPTION_LENGTH
+    );
+
+    if (!title && !description) {
+        return null;
+    }
+
+    return {
+        url: requestedUrl,
+        title,
+        description,
+        image: resolveImageUrl(
+            tags['og:image:secure_url'] || tags['og:image'] || tags['og:image:url'] ||
+            tags['twitter:image'] || tags['twitter:image:src'],
+            pageUrl
+        ),
+        siteName: cleanText(tags['og:site_name'], MAX_SITE_NAME_LENGTH) || pageUrl.hostname.replace(/^www\./, ''),
+        fetchedAt: new Date()
+    };
+};
+
+const getLinkPreview = async (url) => {
+    const cached = await getCachedLinkPreview(url);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    let preview = null;
+    try {
+        const page = await fetchPage(url);
+        preview = parseLinkPreview(page.html, page.url, url);
+    } catch (error) {
+        logger.warn(`Link preview failed for ${url}: ${error.message}`);
+    }
+
+    await cacheLinkPreview(url, preview, preview ? LINK_PREVIEW_CACHE_TTL : LINK_PREVIEW_FAILURE_TTL);
+    return preview;
+};
+
+const emitLinkPreview = (message, linkPreview) => {
+    if (!global.io) return;
+
+    // Works whether or not the conversation is populated
+    const conversationId = message.conversation._id.toString();
+    global.io.to(`conversation_${conversationId}`).emit('message_updated', {
+        messageId: message._id,
+        conversationId: conversationId,
+        linkPreview
+    });
+};
+
+const processMessageLinkPreview = async (messageId) => {
+    const message = await Message.findById(messageId)
+        .select('conversation type content isDeleted linkPreview linkPreviewDisabled');
+
+    if (!message || !message.needsLinkPreview()) {
+        return null;
+    }
+
+    const linkPreview = await getLinkPreview(message.getLinkPreviewUrl());
+    if (!linkPreview) {
+        return null;
+    }
+
+    // The message may have been edited, deleted or had its preview removed while the page was fetched
+    const update = await Message.updateOne(
+        { _id: message._id, content: message.content, isDeleted: false, linkPreviewDisabled: { $ne: true } },
+        { $set: { linkPreview } }
+    );
+
+    if (update.modifiedCount === 0) {
+        return null;
+    }
+
+    emitLinkPreview(message, linkPreview);
+    return linkPreview;
+};
+
+const removeMessageLinkPreview = async (message) => {
+    message.linkPreviewDisabled = true;
+    message.linkPreview = undefined;
+    await message.save();
+
+    emitLinkPreview(message, null);
+};
+
+module.exports = {
+    getLinkPreview,
+    parseLinkPreview,
+    processMessageLinkPreview,
+    removeMessageLinkPreview
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const Message = require('../models/Message');
+const { putObject, getObjectStream, deleteObject, getMessageObjectPrefix } = require('./storageService');
+const logger = require('../utils/logger');
+
+const MEDIA_THUMBNAIL_SIZE = parseInt(process.env.MEDIA_THUMBNAIL_SIZE) || 320;
+const MEDIA_PROCESS_TIMEOUT_MS = 60 * 1000;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const THUMBNAIL_CONTENT_TYPE = 'image/webp';
+const POSTER_CONTENT_TYPE = 'image/jpeg';
+const BLURHASH_SAMPLE_SIZE = 32;
+const WAVEFORM_BARS = 64;
+// Decoding to 8kHz mono is plenty for an amplitude envelope and keeps long recordings cheap
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_BLOCK_SAMPLES = 80;
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// Resolves with stdout, unless onStdout is given to consume large outputs chunk by chunk instead
+const runProcess = (command, args, onStdout) => new Promise((resolve, reject) => {
+    const child = spawn(command, args, { timeout: MEDIA_PROCESS_TIMEOUT_MS });
+    const stdout = [];
+    let stderr = '';
+
+    child.stdout.on('data', chunk => onStdout ? onStdout(chunk) : stdout.push(chunk));
+    child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+        if (code === 0) return resolve(Buffer.concat(stdout));
+        reject(new Error(`${command} failed (${signal || `exit ${code}`}): ${stderr.trim()}`));
+    });
+});
+
+const createImagePreview = async (buffer) => {
+    const metadata = await sharp(buffer).metadata();
+    // EXIF orientations 5-8 are rotated by 90 degrees, so the displayed sides are swapped
+    const isTransposed = metadata.orientation >= 5;
+
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(MEDIA_THUMBNAIL_SIZE, MEDIA_THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        thumbnail,
+        width: isTransposed ? metadata.height : metadata.width,
+        height: isTransposed ? metadata.width : metadata.height,
+        blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3)
+    };
+};
+
+const probeDuration = async (filePath) => {
+    const output = await runProcess(FFPROBE_PATH, [
+        '-v', 'error',
+        '-show_entries', 'format=duration',
+        '-of', 'json',
+        filePath
+    ]);
+
+    const duration = parseFloat(JSON.parse(output.toString()).format?.duration);
+    return isNaN(duration) ? undefined : duration;
+};
+
+const extractPosterFrame = (filePath, seekSeconds) => runProcess(FFMPEG_PATH, [
+    '-v', 'error',
+    '-ss', String(seekSeconds),
+    '-i', filePath,
+    '-frames:v', '1',
+    '-f', 'image2',
+    '-c:v', 'mjpeg',
+    'pipe:1'
+]);
+
+const withTempFile = async (storageKey, callback) => {
+    // ffmpeg needs a seekable input; MP4s often keep their index at the end of the file
+    const tempPath = path.join(os.tmpdir(), `arieschat-media-${crypto.randomUUID()}`);
+
+    try {
+        await pipeline(await getObjectStream(storageKey), fs.createWriteStream(tempPath));
+        return await callback(tempPath);
+    } finally {
+        await fs.promises.rm(tempPath, { force: true });
+    }
+};
+
+const createVideoPreview = (storageKey) => withTempFile(storageKey, async (tempPath) => {
+    const duration = await probeDuration(tempPath);
+    const poster = await extractPosterFrame(tempPath, duration ? Math.min(1, duration / 2) : 0);
+
+    if (poster.length === 0) {
+        throw new Error('No video frame could be extracted');
+    }
+
+    return {
+        ...(await createImagePreview(poster)),
+        poster,
+        duration
+    };
+});
+
+const reduceToBars = (blockPeaks, barCount) => {
+    const bars = [];
+    const blocksPerBar = blockPeaks.length / barCount;
+
+    for (let bar = 0; bar < barCount; bar++) {
+        const start = Math.floor(bar * blocksPerBar);
+        const end = Math.max(start + 1, Math.floor((bar + 1) * blocksPerBar));
+        bars.push(Math.max(0, ...blockPeaks.slice(start, end)));
+    }
+
+    return bars;
+};
+
+// Recordings from MediaRecorder often carry no duration in the container, so it is counted from the decoded samples
+const createAudioPreview = (storageKey) => withTempFile(storageKey, async (tempPath) => {
+    const blockPeaks = [];
+    let blockPeak = 0;
+    let blockSamples = 0;
+    let totalSamples = 0;
+    let leftover = null;
+
+    await runProcess(FFMPEG_PATH, [
+        '-v', 'error',
+        '-i', tempPath,
+        '-vn',
+        '-ac', '1',
+        '-ar', String(WAVEFORM_SAMPLE_RATE),
+        '-f', 's16le',
+        'pipe:1'
+    ], (chunk) => {
+        const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+        const usableLength = data.length - (data.length % 2);
+        leftover = usableLength < data.length ? data.subarray(usableLength) : null;
+
+        for (let offset = 0; offset < usableLength; offset += 2) {
+            blockPeak = Math.max(blockPeak, Math.abs(data.readInt16LE(offset)));
+            if (++blockSamples === WAVEFORM_BLOCK_SAMPLES) {
+                blockPeaks.push(blockPeak);
+                blockPeak = 0;
+                blockSamples = 0;
+            }
+        }
+        totalSamples += usableLength / 2;
+    });
+
+    if (blockSamples > 0) {
+        blockPeaks.push(blockPeak);
+    }
+    if (totalSamples === 0) {
+        throw new Error('No audio samples could be decoded');
+    }
+
+    const bars = reduceToBars(blockPeaks, Math.min(WAVEFORM_BARS, blockPeaks.length));
+    const loudest = Math.max(...bars) || 1;
+
+    return {
+        waveform: bars.map(peak => Math.round((peak / loudest) * 100)),
+        duration: Math.round((totalSamples / WAVEFORM_SAMPLE_RATE) * 100) / 100
+    };
+});
+
+const createPreview = async (message) => {
+    const { storageKey } = message.fileData;
+
+    if (message.type === 'image') {
+        return createImagePreview(await readStream(await getObjectStream(storageKey)));
+    }
+    if (message.type === 'video') {
+        return createVideoPreview(storageKey);
+    }
+    return createAudioPreview(storageKey);
+};
+
+const processMessageMedia = async (messageId) => {
+    const message = await Message.findById(messageId).select('conversation type fileData');
+
+    if (!message || !message.needsMediaPreview() || !message.isAttachmentReleased() ||
+        message.fileData.previewStatus === 'ready') {
+        return null;
+    }
+
+    const { storageKey, thumbnailKey: previousThumbnailKey, posterKey: previousPosterKey } = message.fileData;
+    const objectPrefix = getMessageObjectPrefix(message.conversation);
+    const storedObjectKeys = [];
+
+    try {
+        const preview = await createPreview(message);
+        const update = { 'fileData.previewStatus': 'ready' };
+
+        if (preview.thumbnail) {
+            const storedThumbnail = await putObject(objectPrefix, preview.thumbnail, THUMBNAIL_CONTENT_TYPE);
+            storedObjectKeys.push(storedThumbnail.key);
+
+            Object.assign(update, {
+                'fileData.thumbnailKey': storedThumbnail.key,
+                'fileData.thumbnailType': THUMBNAIL_CONTENT_TYPE,
+                'fileData.width': preview.width,
+                'fileData.height': preview.height,
+                'fileData.blurhash': preview.blurhash
+            });
+        }
+
+        if (preview.poster) {
+            const storedPoster = await putObject(objectPrefix, preview.poster, POSTER_CONTENT_TYPE);
+            storedObjectKeys.push(storedPoster.key);
+            update['fileData.posterKey'] = storedPoster.key;
+        }
+
+        if (preview.duration !== undefined) {
+            update['fileData.duration'] = preview.duration;
+        }
+
+        if (preview.waveform) {
+            update['fileData.waveform'] = preview.waveform;
+        }
+
+        const result = await Message.updateOne(
+            { _id: message._id, 'fileData.storageKey': storageKey },
+            { $set: update }
+        );
+
+        if (result.modifiedCount === 0) {
+            await Promise.allSettled(storedObjectKeys.map(key => deleteObject(key)));
+            return null;
+        }
+
+        // Older thumbnails came from the sender's browser or the legacy migration
+        const replacedKeys = [previousThumbnailKey, previousPosterKey].filter(Boolean);
+        await Promise.allSettled(replacedKeys.map(key => deleteObject(key)));
+
+        const mediaInfo = {
+            messageId: message._id,
+            conversationId: message.conversation,
+            fileData: Object.fromEntries(
+                Object.entries(update).map(([field, value]) => [field.replace('fileData.', ''), value])
+            )
+        };
+
+        if (global.io) {
+            global.io.to(`conversation_${message.conversation}`).emit('message_media_ready', mediaInfo);
+        }
+
+        logger.info(`Generated media preview for message ${message._id}`);
+        return mediaInfo;
+    } catch (error) {
+        await Promise.allSettled(storedObjectKeys.map(key => deleteObject(key)));
+        await Message.updateOne({ _id: message._id }, { $set: { 'fileData.previewStatus': 'failed' } });
+        throw error;
+    }
+};
+
+module.exports = {
+    createImagePreview,
+    createVideoPreview,
+    createAudioPreview,
+    processMessageMedia
+};
@@ -0,0 +1,72 @@
+const User = require('../models/User');
+const { parseMentions, getMentionedUserIds } = require('../utils/mentionHelper');
+
+const MENTION_PREVIEW_LENGTH = 200;
+
+const getParticipantsWithUsernames = async (conversation) => {
+    const participants = conversation.participants;
+
+    if (participants.every(participant => participant.username)) {
+        return participants;
+    }
+
+    return User.find({ _id: { $in: participants.map(participant => participant._id) } })
+        .select('username')
+        .lean();
+};
+
+// Only group messages carry mentions; private chats have a single possible recipient anyway
+const resolveMentions = async (content, conversation) => {
+    if (conversation.type !== 'group' || !content || !content.includes('@')) {
+        return [];
+    }
+
+    const participants = await getParticipantsWithUsernames(conversation);
+    return parseMentions(content, participants, { allowAll: true });
+};
+
+// Sent straight to the user's own room, independently of message_received, so a mention
+// still gets through to someone who silenced the conversation. After an edit only users
+// that were not mentioned before are notified.
+const notifyMentions = async (message, conversation, author, previousMentions = []) => {
+    if (!global.io || !message.mentions || message.mentions.length === 0) return;
+
+    const participantIds = conversation.participants.map(participant => participant._id);
+    const alreadyNotified = new Set(getMentionedUserIds(previousMentions, participantIds, author._id));
+    let recipients = getMentionedUserIds(message.mentions, participantIds, author._id)
+        .filter(userId => !alreadyNotified.has(userId));
+
+    if (recipients.length === 0) return;
+
+    const blockedBy = new Set(await User.getBlockedByUserIds(author._id));
+    recipients = recipients.filter(userId => !blockedBy.has(userId));
+
+    const directlyMentioned = new Set(message.mentions
+        .filter(mention => mention.type === 'user')
+        .map(mention => mention.user.toString()));
+    const content = message.content.length > MENTION_PREVIEW_LENGTH
+        ? `${message.content.slice(0, MENTION_PREVIEW_LENGTH - 1)}…`
+        : message.content;
+
+    recipients.forEach(userId => {
+        global.io.to(`user_${userId}`).emit('mentioned', {
+            messageId: message._id,
+            conversationId: conversation._id,
+            conversationName: conversation.name,
+            mentionType: directlyMentioned.has(userId) ? 'user' : 'all',
+            sender: {
+                _id: author._id,
+                username: author.username,
+                firstName: author.firstName,
+                lastName: author.lastName
+            },
+            content,
+            createdAt: message.createdAt
+        });
+    });
+};
+
+module.exports = {
+    resolveMentions,
+    notifyMentions
+};
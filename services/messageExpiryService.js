@@ -0,0 +1,81 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { deleteObject } = require('./storageService');
+const { invalidateCachedConversation } = require('./redisService');
+const { releaseDeletedMessagePins } = require('./pinService');
+const logger = require('../utils/logger');
+
+const EXPIRED_MESSAGE_BATCH_SIZE = parseInt(process.env.EXPIRED_MESSAGE_BATCH_SIZE) || 500;
+
+const getStoredObjectKeys = (message) => {
+    const fileData = message.fileData || {};
+    return [fileData.storageKey, fileData.thumbnailKey, fileData.posterKey].filter(Boolean);
+};
+
+// Points lastMessage at the newest message left once the previous one expired
+const refreshLastMessage = async (conversationId, expiredIds) => {
+    const conversation = await Conversation.exists({ _id: conversationId, lastMessage: { $in: expiredIds } });
+    if (!conversation) return;
+
+    const latest = await Message.findOne({ conversation: conversationId })
+        .sort({ createdAt: -1 })
+        .select('_id createdAt')
+        .lean();
+
+    await Conversation.updateOne(
+        { _id: conversationId },
+        latest ? { $set: { lastMessage: latest._id } } : { $unset: { lastMessage: '' } }
+    );
+};
+
+// Removes messages whose disappearing timer ran out, together with their stored files.
+// Runs in batches; anything left over is picked up by the next run
+const deleteExpiredMessages = async () => {
+    const expiredMessages = await Message.find({ expiresAt: { $lte: new Date() } })
+        .select('conversation fileData.storageKey fileData.thumbnailKey fileData.posterKey')
+        .sort({ expiresAt: 1 })
+        .limit(EXPIRED_MESSAGE_BATCH_SIZE)
+        .lean();
+
+    if (expiredMessages.length === 0) {
+        return 0;
+    }
+
+    const messageIds = expiredMessages.map(message => message._id);
+    await Message.deleteMany({ _id: { $in: messageIds } });
+
+    // Files go after the documents so no remaining message points at a missing file
+    const objectKeys = expiredMessages.flatMap(getStoredObjectKeys);
+    const results = await Promise.allSettled(objectKeys.map(key => deleteObject(key)));
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+        logger.warn(`Could not delete ${failed.length} stored files of expired messages`, failed[0].reason);
+    }
+
+    const byConversation = new Map();
+    expiredMessages.forEach(message => {
+        const conversationId = message.conversation.toString();
+        byConversation.set(conversationId, [...(byConversation.get(conversationId) || []), message._id]);
+    });
+
+    for (const [conversationId, ids] of byConversation) {
+        await releaseDeletedMessagePins(conversationId, ids);
+        await refreshLastMessage(conversationId, ids);
+        await invalidateCachedConversation(conversationId);
+
+        if (global.io) {
+            global.io.to(`conversation_${conversationId}`).emit('message_expired', {
+                conversationId,
+                messageIds: ids
+            });
+        }
+    }
+
+    logger.info(`Deleted ${expiredMessages.length} expired messages from ${byConversation.size} conversations`);
+
+    return expiredMessages.length;
+};
+
+module.exports = {
+    deleteExpiredMessages
+};
@@ -0,0 +1,91 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { invalidateCachedConversation } = require('./redisService');
+const logger = require('../utils/logger');
+
+const PINNED_BY_FIELDS = 'username firstName lastName';
+
+const toPinData = (pin, message, pinnedBy) => {
+    return {
+        message: Message.toReplyPreview(message),
+        pinnedBy: {
+            _id: pinnedBy._id,
+            username: pinnedBy.username,
+            firstName: pinnedBy.firstName,
+            lastName: pinnedBy.lastName
+        },
+        pinnedAt: pin.pinnedAt
+    };
+};
+
+// Newest pin first; pins whose message the user can no longer see are left out
+const getPinnedMessages = async (conversationId, userId) => {
+    const conversation = await Conversation.findById(conversationId)
+        .select({ pinnedMessages: 1, participantSettings: { $elemMatch: { user: userId } } })
+        .populate([
+            { ...Message.getReplyPreviewPopulate(), path: 'pinnedMessages.message', select: 'sender content type fileData.name fileData.type isDeleted deletedFor createdAt' },
+            { path: 'pinnedMessages.pinnedBy', select: PINNED_BY_FIELDS }
+        ])
+        .lean();
+
+    if (!conversation) return [];
+
+    const { clearedAt } = Conversation.toParticipantSettings(conversation.participantSettings && conversation.participantSettings[0]);
+
+    return (conversation.pinnedMessages || [])
+        .filter(pin => pin.message && pin.pinnedBy && !pin.message.isDeleted &&
+            !(clearedAt && pin.message.createdAt <= clearedAt) &&
+            !(pin.message.deletedFor || []).some(deleted => deleted.user.toString() === userId.toString()))
+        .sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt))
+        .map(pin => {
+            const { deletedFor, ...message } = pin.message;
+            return toPinData(pin, message, pin.pinnedBy);
+        });
+};
+
+const emitMessagePinned = (conversationId, pin) => {
+    if (!global.io) return;
+
+    global.io.to(`conversation_${conversationId}`).emit('message_pinned', {
+        conversationId,
+        pin
+    });
+};
+
+const emitMessageUnpinned = (conversationId, messageId, unpinnedBy = null) => {
+    if (!global.io) return;
+
+    global.io.to(`conversation_${conversationId}`).emit('message_unpinned', {
+        conversationId,
+        messageId,
+        unpinnedBy
+    });
+};
+
+// Called when messages are deleted for everyone so their pins do not linger
+const releaseDeletedMessagePins = async (conversationId, messageIds) => {
+    try {
+        const ids = messageIds.map(id => id.toString());
+        const conversation = await Conversation.findOneAndUpdate(
+            { _id: conversationId, 'pinnedMessages.message': { $in: ids } },
+            { $pull: { pinnedMessages: { message: { $in: ids } } } }
+        ).select('+pinnedMessages');
+
+        if (!conversation) return;
+
+        await invalidateCachedConversation(conversationId);
+        conversation.pinnedMessages
+            .filter(pin => ids.includes(pin.message.toString()))
+            .forEach(pin => emitMessageUnpinned(conversationId, pin.message));
+    } catch (error) {
+        logger.error('Error releasing pins of deleted messages:', error);
+    }
+};
+
+module.exports = {
+    toPinData,
+    getPinnedMessages,
+    emitMessagePinned,
+    emitMessageUnpinned,
+    releaseDeletedMessagePins
+};
@@ -3,9 +3,25 @@ const logger = require('../utils/logger');
 const Message = require('../models/Message');
 const AutoMessage = require('../models/AutoMessage');
 const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { deleteObject } = require('./storageService');
+const { resolveMentions, notifyMentions } = require('./mentionService');
+const { processMessageMedia } = require('./mediaService');
+const { scanMessageAttachment } = require('./scanService');
+const { processMessageLinkPreview } = require('./linkPreviewService');
+
+const MEDIA_QUEUE = 'media_processing_queue';
+const MEDIA_PROCESSING_CONCURRENCY = parseInt(process.env.MEDIA_PROCESSING_CONCURRENCY) || 2;
+const SCAN_QUEUE = 'attachment_scan_queue';
+const ATTACHMENT_SCAN_CONCURRENCY = parseInt(process.env.ATTACHMENT_SCAN_CONCURRENCY) || 2;
+const LINK_PREVIEW_QUEUE = 'link_preview_queue';
+const LINK_PREVIEW_CONCURRENCY = parseInt(process.env.LINK_PREVIEW_CONCURRENCY) || 4;
 
 let connection;
 let channel;
+let mediaChannel;
+let scanChannel;
+let linkPreviewChannel;
 
 const connectRabbitMQ = async () => {
     try {
@@ -16,7 +32,29 @@ const connectRabbitMQ = async () => {
             durable: true
         });
 
+        // Media jobs get their own channel so the prefetch limit does not throttle message delivery
+        mediaChannel = await connection.createChannel();
+        await mediaChannel.assertQueue(MEDIA_QUEUE, {
+            durable: true
+        });
+        await mediaChannel.prefetch(MEDIA_PROCESSING_CONCURRENCY);
+
+        scanChannel = await connection.createChannel();
+        await scanChannel.assertQueue(SCAN_QUEUE, {
+            durable: true
+        });
+        await scanChannel.prefetch(ATTACHMENT_SCAN_CONCURRENCY);
+
+        linkPreviewChannel = await connection.createChannel();
+        await linkPreviewChannel.assertQueue(LINK_PREVIEW_QUEUE, {
+            durable: true
+        });
+        await linkPreviewChannel.prefetch(LINK_PREVIEW_CONCURRENCY);
+
         startConsumer();
+        startMediaConsumer();
+        startScanConsumer();
+        startLinkPreviewConsumer();
 
         logger.info('RabbitMQ connected successfully');
     } catch (error) {
@@ -55,13 +93,239 @@ const startConsumer = async () => {
     }
 };
 
+const startMediaConsumer = async () => {
+    try {
+        await mediaChannel.consume(MEDIA_QUEUE, async (msg) => {
+            if (msg) {
+                try {
+                    const { messageId } = JSON.parse(msg.content.toString());
+                    await processMessageMedia(messageId);
+                    mediaChannel.ack(msg);
+                } catch (error) {
+                    logger.error('Error processing media job:', error);
+                    mediaChannel.nack(msg, false, false);
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Error starting media consumer:', error);
+    }
+};
+
+const startScanConsumer = async () => {
+    try {
+        await scanChannel.consume(SCAN_QUEUE, async (msg) => {
+            if (msg) {
+                try {
+                    const { messageId } = JSON.parse(msg.content.toString());
+                    const scanInfo = await scanMessageAttachment(messageId);
+
+                    // Previews are only built from files the scanner has cleared
+                    if (scanInfo && scanInfo.scanStatus === 'clean') {
+                        await queueMediaProcessing(messageId);
+                    }
+                    scanChannel.ack(msg);
+                } catch (error) {
+                    logger.error('Error processing attachment scan:', error);
+                    scanChannel.nack(msg, false, false);
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Error starting scan consumer:', error);
+    }
+};
+
+const startLinkPreviewConsumer = async () => {
+    try {
+        await linkPreviewChannel.consume(LINK_PREVIEW_QUEUE, async (msg) => {
+            if (msg) {
+                try {
+                    const { messageId } = JSON.parse(msg.content.toString());
+                    await processMessageLinkPreview(messageId);
+                    linkPreviewChannel.ack(msg);
+                } catch (error) {
+                    logger.error('Error processing link preview job:', error);
+                    linkPreviewChannel.nack(msg, false, false);
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Error starting link preview consumer:', error);
+    }
+};
+
+const queueMediaProcessing = (messageId) => {
+    return publishToQueue(MEDIA_QUEUE, { messageId: messageId.toString() });
+};
+
+const queueAttachmentScan = (messageId) => {
+    return publishToQueue(SCAN_QUEUE, { messageId: messageId.toString() });
+};
+
+const queueLinkPreview = (messageId) => {
+    return publishToQueue(LINK_PREVIEW_QUEUE, { messageId: messageId.toString() });
+};
+
+// The author hears about the outcome on their own sessions, wherever they are in the app
+const emitScheduledMessageEvent = (autoMessage, event, payload = {}) => {
+    if (!global.io) return;
+
+    global.io.to(`user_${autoMessage.sender._id}`).emit(event, {
+        scheduledMessageId: autoMessage._id,
+        conversationId: autoMessage.conversation,
+        ...payload
+    });
+};
+
+const failScheduledMessage = async (autoMessage, reason) => {
+    autoMessage.failedAt = new Date();
+    autoMessage.failureReason = reason;
+    await autoMessage.save();
+
+    if (autoMessage.fileData && autoMessage.fileData.storageKey) {
+        await deleteObject(autoMessage.fileData.storageKey).catch(error => {
+            logger.warn(`Could not delete attachment of failed scheduled message ${autoMessage._id}:`, error);
+        });
+    }
+
+    emitScheduledMessageEvent(autoMessage, 'scheduled_message_failed', { reason });
+    logger.info(`Scheduled message ${autoMessage._id} was not sent: ${reason}`);
+};
+
+// Membership and blocks are checked again here since they may have changed after scheduling
+const processScheduledMessage = async (autoMessage) => {
+    const sender = autoMessage.sender;
+    const conversation = await Conversation.findOne({
+        _id: autoMessage.conversation,
+        isActive: true
+    }).populate('participants', '_id username firstName lastName avatar');
+
+    if (!conversation) {
+        return failScheduledMessage(autoMessage, 'CONVERSATION_NOT_FOUND');
+    }
+
+    if (!conversation.participants.some(participant => participant._id.equals(sender._id))) {
+        return failScheduledMessage(autoMessage, 'NOT_A_PARTICIPANT');
+    }
+
+    if (conversation.type === 'private') {
+        const otherParticipant = conversation.participants.find(participant => !participant._id.equals(sender._id));
+
+        if (otherParticipant && await User.isBlockedBetween(sender._id, otherParticipant._id)) {
+            return failScheduledMessage(autoMessage, 'BLOCKED');
+        }
+    }
+
+    const hasAttachment = Boolean(autoMessage.fileData && autoMessage.fileData.storageKey);
+    const newMessage = new Message({
+        sender: sender._id,
+        conversation: conversation._id,
+        content: autoMessage.content,
+        type: autoMessage.type,
+        messageId: require('crypto').randomUUID(),
+        fileData: hasAttachment ? autoMessage.fileData.toObject() : undefined,
+        mentions: autoMessage.type === 'text' ? await resolveMentions(autoMessage.content, conversation) : [],
+        linkPreviewDisabled: autoMessage.type === 'text' && autoMessage.disableLinkPreview === true ? true : undefined,
+        expiresAt: conversation.getMessageExpiry(),
+        metadata: {
+            deliveryStatus: 'sent',
+            sentAt: new Date()
+        }
+    });
+
+    if (newMessage.needsAttachmentScan()) {
+        newMessage.fileData.scanStatus = 'pending';
+    }
+    if (newMessage.needsMediaPreview()) {
+        newMessage.fileData.previewStatus = 'pending';
+    }
+
+    await newMessage.save();
+
+    // Marked sent as soon as the message exists, so a later error cannot leave it queued forever
+    autoMessage.isSent = true;
+    autoMessage.sentAt = new Date();
+    autoMessage.message = newMessage._id;
+    await autoMessage.save();
+
+    if (newMessage.needsAttachmentScan()) {
+        queueAttachmentScan(newMessage._id);
+    }
+    if (newMessage.needsLinkPreview()) {
+        queueLinkPreview(newMessage._id);
+    }
+
+    conversation.lastMessage = newMessage._id;
+    conversation.lastActivity = new Date();
+    await conversation.save();
+    await Conversation.restoreForNewMessage(conversation._id, sender._id);
+
+    await newMessage.populate('sender', 'username firstName lastName avatar');
+
+    if (global.io) {
+        global.io.to(`conversation_${conversation._id}`).emit('message_received', {
+            message: { ...newMessage.toObject(), replyCount: 0 },
+            conversation: {
+                _id: conversation._id,
+                type: conversation.type,
+                name: conversation.name
+            }
+        });
+    }
+
+    emitScheduledMessageEvent(autoMessage, 'scheduled_message_sent', {
+        messageId: newMessage._id,
+        sentAt: autoMessage.sentAt
+    });
+
+    await notifyMentions(newMessage, conversation, sender);
+
+    logger.info(`Scheduled message ${autoMessage._id} sent by ${sender.username} to conversation ${conversation._id}`);
+};
+
+// Either user may have opted out or blocked the other since the message was planned
+const getAutoMessageSkipReason = async (sender, recipient) => {
+    if (!sender || !recipient || !sender.isActive || !recipient.isActive) {
+        return 'USER_INACTIVE';
+    }
+    if (!sender.getAutoMessagePreferences().enabled || !recipient.getAutoMessagePreferences().enabled) {
+        return 'OPTED_OUT';
+    }
+    if (await User.isBlockedBetween(sender._id, recipient._id)) {
+        return 'BLOCKED';
+    }
+    return null;
+};
+
 const processAutoMessage = async (data) => {
     try {
         const { autoMessageId } = data;
         const autoMessage = await AutoMessage.findById(autoMessageId)
             .populate('sender recipient');
 
-        if (!autoMessage || autoMessage.isSent) {
+        if (!autoMessage || autoMessage.isSent || autoMessage.cancelledAt || autoMessage.failedAt) {
+            return;
+        }
+
+        if (autoMessage.origin === 'user') {
+            try {
+                return await processScheduledMessage(autoMessage);
+            } catch (error) {
+                logger.error(`Error delivering scheduled message ${autoMessage._id}:`, error);
+                if (!autoMessage.message) {
+                    await failScheduledMessage(autoMessage, 'DELIVERY_ERROR');
+                }
+                return;
+            }
+        }
+
+        const skipReason = await getAutoMessageSkipReason(autoMessage.sender, autoMessage.recipient);
+        if (skipReason) {
+            autoMessage.failedAt = new Date();
+            autoMessage.failureReason = skipReason;
+            await autoMessage.save();
+            logger.info(`Auto message ${autoMessage._id} skipped: ${skipReason}`);
             return;
         }
 
@@ -82,14 +346,20 @@ const processAutoMessage = async (data) => {
             sender: autoMessage.sender._id,
             conversation: conversation._id,
             content: autoMessage.content,
-            type: 'text'
+            type: 'text',
+            expiresAt: conversation.getMessageExpiry()
         });
 
         await newMessage.save();
 
+        if (newMessage.needsLinkPreview()) {
+            queueLinkPreview(newMessage._id);
+        }
+
         conversation.lastMessage = newMessage._id;
         conversation.lastActivity = new Date();
         await conversation.save();
+        await Conversation.restoreForNewMessage(conversation._id, autoMessage.sender._id);
 
         autoMessage.isSent = true;
         autoMessage.sentAt = new Date();
@@ -113,5 +383,8 @@ const processAutoMessage = async (data) => {
 module.exports = {
     connectRabbitMQ,
     publishToQueue,
+    queueMediaProcessing,
+    queueAttachmentScan,
+    queueLinkPreview,
     getChannel: () => channel
 };
\ No newline at end of file
@@ -1,8 +1,27 @@
+const crypto = require('crypto');
 const redis = require('redis');
 const logger = require('../utils/logger');
 
 let redisClient;
 
+const ROTATE_REFRESH_TOKEN_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'tokenHash')
+if not current then
+    return 0
+end
+if current ~= ARGV[1] then
+    return -1
+end
+redis.call('HSET', KEYS[1], 'tokenHash', ARGV[2], 'lastRefreshedAt', ARGV[3])
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[4]))
+redis.call('SADD', KEYS[2], ARGV[5])
+redis.call('EXPIRE', KEYS[2], tonumber(ARGV[4]))
+return 1
+`;
+
+// URLs can be long and contain arbitrary characters, so cache keys use their digest
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
 const connectRedis = async () => {
     try {
         redisClient = redis.createClient({
@@ -78,6 +97,110 @@ const getCachedConversation = async (conversationId) => {
     }
 };
 
+const invalidateCachedConversation = async (conversationId) => {
+    try {
+        await redisClient.del(`conversation:${conversationId}`);
+    } catch (error) {
+        logger.error('Error invalidating cached conversation:', error);
+    }
+};
+
+// Failed lookups are cached as null so a broken link is not refetched on every message;
+// a cache miss is reported as undefined
+const cacheLinkPreview = async (url, preview, ttlSeconds) => {
+    try {
+        await redisClient.setEx(`link_preview:${hashKey(url)}`, ttlSeconds, JSON.stringify(preview));
+    } catch (error) {
+        logger.error('Error caching link preview:', error);
+    }
+};
+
+const getCachedLinkPreview = async (url) => {
+    try {
+        const data = await redisClient.get(`link_preview:${hashKey(url)}`);
+        return data ? JSON.parse(data) : undefined;
+    } catch (error) {
+        logger.error('Error getting cached link preview:', error);
+        return undefined;
+    }
+};
+
+const createAuthSession = async (sessionId, userId, tokenHash, ttlSeconds) => {
+    try {
+        const sessionKey = `auth_session:${sessionId}`;
+        await redisClient.hSet(sessionKey, {
+            userId: userId.toString(),
+            tokenHash: tokenHash,
+            createdAt: Date.now().toString(),
+            lastRefreshedAt: Date.now().toString()
+        });
+        await redisClient.expire(sessionKey, ttlSeconds);
+        await redisClient.sAdd(`user_auth_sessions:${userId}`, sessionId);
+        await redisClient.expire(`user_auth_sessions:${userId}`, ttlSeconds);
+        return true;
+    } catch (error) {
+        logger.error('Error creating auth session:', error);
+        return false;
+    }
+};
+
+// The user's session index is kept alive together with the session, otherwise a session that keeps
+// refreshing would drop out of it and survive revokeAllAuthSessions
+const rotateRefreshToken = async (sessionId, userId, currentTokenHash, newTokenHash, ttlSeconds) => {
+    try {
+        const result = await redisClient.eval(ROTATE_REFRESH_TOKEN_SCRIPT, {
+            keys: [`auth_session:${sessionId}`, `user_auth_sessions:${userId}`],
+            arguments: [currentTokenHash, newTokenHash, Date.now().toString(), ttlSeconds.toString(), sessionId]
+        });
+
+        if (result === 1) return 'rotated';
+        if (result === -1) return 'reused';
+        return 'missing';
+    } catch (error) {
+        logger.error('Error rotating refresh token:', error);
+        return 'missing';
+    }
+};
+
+const isAuthSessionActive = async (sessionId) => {
+    try {
+        return (await redisClient.exists(`auth_session:${sessionId}`)) === 1;
+    } catch (error) {
+        logger.error('Error checking auth session:', error);
+        return false;
+    }
+};
+
+const revokeAuthSession = async (sessionId) => {
+    try {
+        const sessionKey = `auth_session:${sessionId}`;
+        const userId = await redisClient.hGet(sessionKey, 'userId');
+        await redisClient.del(sessionKey);
+        if (userId) {
+            await redisClient.sRem(`user_auth_sessions:${userId}`, sessionId);
+        }
+        return true;
+    } catch (error) {
+        logger.error('Error revoking auth session:', error);
+        return false;
+    }
+};
+
+const revokeAllAuthSessions = async (userId) => {
+    try {
+        const userSessionsKey = `user_auth_sessions:${userId}`;
+        const sessionIds = await redisClient.sMembers(userSessionsKey);
+        if (sessionIds.length > 0) {
+            await redisClient.del(sessionIds.map(sessionId => `auth_session:${sessionId}`));
+        }
+        await redisClient.del(userSessionsKey);
+        return sessionIds;
+    } catch (error) {
+        logger.error('Error revoking all auth sessions:', error);
+        return [];
+    }
+};
+
 module.exports = {
     connectRedis,
     setUserOnline,
@@ -86,5 +209,13 @@ module.exports = {
     isUserOnline,
     cacheConversation,
     getCachedConversation,
+    invalidateCachedConversation,
+    cacheLinkPreview,
+    getCachedLinkPreview,
+    createAuthSession,
+    rotateRefreshToken,
+    isAuthSessionActive,
+    revokeAuthSession,
+    revokeAllAuthSessions,
     getClient: () => redisClient
 };
\ No newline at end of file
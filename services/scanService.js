@@ -0,0 +1,150 @@
+const Message = require('../models/Message');
+const { createClamdDriver } = require('./scanner/clamdDriver');
+const { createNoopDriver } = require('./scanner/noopDriver');
+const { putObject, getObjectStream, deleteObject } = require('./storageService');
+const logger = require('../utils/logger');
+
+const SCAN_DRIVER = process.env.SCAN_DRIVER || 'noop';
+const SCAN_MAX_ATTEMPTS = parseInt(process.env.SCAN_MAX_ATTEMPTS) || 5;
+const SCAN_RETRY_AFTER_MS = 10 * 60 * 1000;
+const QUARANTINE_PREFIX = 'quarantine';
+
+let driver;
+
+const getDriver = () => {
+    if (driver) return driver;
+
+    if (SCAN_DRIVER === 'clamd') {
+        driver = createClamdDriver({
+            host: process.env.CLAMD_HOST || '127.0.0.1',
+            port: parseInt(process.env.CLAMD_PORT) || 3310,
+            socketPath: process.env.CLAMD_SOCKET || undefined,
+            timeoutMs: parseInt(process.env.CLAMD_TIMEOUT_MS) || 60 * 1000
+        });
+    } else if (SCAN_DRIVER === 'noop') {
+        driver = createNoopDriver();
+    } else {
+        throw new Error(`Unknown scan driver: ${SCAN_DRIVER}`);
+    }
+
+    logger.info(`Attachment scanning initialized with ${driver.name} driver`);
+    return driver;
+};
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// Keeps the infected bytes for review under a prefix no download route ever points at
+const quarantineObject = async (message) => {
+    const { storageKey, type } = message.fileData;
+    const buffer = await readStream(await getObjectStream(storageKey));
+    const quarantined = await putObject(`${QUARANTINE_PREFIX}/${message.conversation}`, buffer, type || 'application/octet-stream');
+
+    return quarantined.key;
+};
+
+const emitScanResult = (message, fileData) => {
+    if (!global.io) return;
+
+    global.io.to(`conversation_${message.conversation}`).emit('message_scan_completed', {
+        messageId: message._id,
+        conversationId: message.conversation,
+        fileData
+    });
+};
+
+const scanMessageAttachment = async (messageId) => {
+    const message = await Message.findById(messageId).select('sender conversation type fileData');
+
+    if (!message || !message.needsAttachmentScan() || message.isAttachmentReleased() ||
+        message.fileData.scanStatus === 'infected') {
+        return null;
+    }
+
+    const { storageKey } = message.fileData;
+    let result;
+
+    try {
+        result = await getDriver().scan(await getObjectStream(storageKey));
+    } catch (error) {
+        await Message.updateOne(
+            { _id: message._id, 'fileData.storageKey': storageKey },
+            { $set: { 'fileData.scanStatus': 'failed' }, $inc: { 'fileData.scanAttempts': 1 } }
+        );
+        throw error;
+    }
+
+    if (!result.isInfected) {
+        await Message.updateOne(
+            { _id: message._id, 'fileData.storageKey': storageKey },
+            { $set: { 'fileData.scanStatus': 'clean', 'fileData.scannedAt': new Date() } }
+        );
+
+        const scanInfo = { scanStatus: 'clean' };
+        emitScanResult(message, scanInfo);
+        return scanInfo;
+    }
+
+    const quarantineKey = await quarantineObject(message);
+    const previewKeys = [message.fileData.thumbnailKey, message.fileData.posterKey].filter(Boolean);
+
+    const update = await Message.updateOne(
+        { _id: message._id, 'fileData.storageKey': storageKey },
+        {
+            $set: {
+                'fileData.storageKey': quarantineKey,
+                'fileData.scanStatus': 'infected',
+                'fileData.scanSignature': result.signature,
+                'fileData.scannedAt': new Date()
+            },
+            $unset: { 'fileData.thumbnailKey': '', 'fileData.posterKey': '' }
+        }
+    );
+
+    if (update.modifiedCount === 0) {
+        await deleteObject(quarantineKey);
+        return null;
+    }
+
+    await Promise.allSettled([storageKey, ...previewKeys].map(key => deleteObject(key)));
+
+    const scanInfo = { scanStatus: 'infected' };
+    emitScanResult(message, scanInfo);
+
+    if (global.io) {
+        global.io.to(`user_${message.sender}`).emit('message_quarantined', {
+            messageId: message._id,
+            conversationId: message.conversation,
+            fileName: message.fileData.name,
+            signature: result.signature
+        });
+    }
+
+    logger.warn(`Quarantined attachment of message ${message._id}: ${result.signature}`);
+    return scanInfo;
+};
+
+// Picks up scans that failed or whose queue job never ran, e.g. while RabbitMQ was unavailable
+const findStaleScans = () => {
+    return Message.find({
+        'fileData.storageKey': { $exists: true },
+        $or: [
+            { 'fileData.scanStatus': 'pending' },
+            { 'fileData.scanStatus': 'failed', 'fileData.scanAttempts': { $lt: SCAN_MAX_ATTEMPTS } }
+        ],
+        updatedAt: { $lte: new Date(Date.now() - SCAN_RETRY_AFTER_MS) }
+    })
+        .select('_id')
+        .limit(100)
+        .lean();
+};
+
+module.exports = {
+    scanMessageAttachment,
+    findStaleScans
+};
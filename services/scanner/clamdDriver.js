@@ -0,0 +1,93 @@
+const net = require('net');
+const { once } = require('events');
+
+// clamd reads INSTREAM data as length-prefixed chunks terminated by a zero-length chunk
+const CHUNK_SIZE = 64 * 1024;
+
+const parseResponse = (response) => {
+    const reply = response.replace(/\0/g, '').trim();
+    const found = reply.match(/^stream: (.+) FOUND$/);
+
+    if (found) {
+        return { isInfected: true, signature: found[1] };
+    }
+    if (reply === 'stream: OK') {
+        return { isInfected: false, signature: null };
+    }
+    throw new Error(`Unexpected clamd reply: ${reply || '(empty)'}`);
+};
+
+const createClamdDriver = ({ host, port, socketPath, timeoutMs }) => {
+    const scan = (stream) => new Promise((resolve, reject) => {
+        const socket = socketPath
+            ? net.createConnection({ path: socketPath })
+            : net.createConnection({ host, port });
+        const abortController = new AbortController();
+        let response = '';
+        let settled = false;
+
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            abortController.abort();
+            socket.destroy();
+            if (error) {
+                stream.destroy();
+                return reject(error);
+            }
+            resolve(result);
+        };
+
+        const settleFromResponse = () => {
+            try {
+                finish(null, parseResponse(response));
+            } catch (error) {
+                finish(error);
+            }
+        };
+
+        socket.setTimeout(timeoutMs, () => {
+            finish(new Error(`clamd did not answer within ${timeoutMs}ms`));
+        });
+        socket.on('error', error => finish(error));
+        socket.on('data', chunk => {
+            response += chunk.toString();
+            // clamd may answer before the upload ends, e.g. when StreamMaxLength is exceeded
+            if (response.includes('\0')) settleFromResponse();
+        });
+        socket.on('close', () => {
+            if (!settled) settleFromResponse();
+        });
+
+        socket.on('connect', async () => {
+            try {
+                socket.write('zINSTREAM\0');
+
+                for await (const data of stream) {
+                    for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+                        if (settled) return;
+
+                        const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+                        const header = Buffer.alloc(4);
+                        header.writeUInt32BE(chunk.length);
+
+                        if (!socket.write(Buffer.concat([header, chunk]))) {
+                            await once(socket, 'drain', { signal: abortController.signal });
+                        }
+                    }
+                }
+
+                socket.write(Buffer.alloc(4));
+            } catch (error) {
+                finish(error);
+            }
+        });
+    });
+
+    return {
+        name: 'clamd',
+        scan
+    };
+};
+
+module.exports = { createClamdDriver };
@@ -0,0 +1,14 @@
+// Accepts every file; used when no scanner is deployed
+const createNoopDriver = () => {
+    const scan = async (stream) => {
+        stream.destroy();
+        return { isInfected: false, signature: null };
+    };
+
+    return {
+        name: 'noop',
+        scan
+    };
+};
+
+module.exports = { createNoopDriver };
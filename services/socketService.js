@@ -1,9 +1,17 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
-const { setUserOnline, setUserOffline, getOnlineUsers } = require('./redisService');
+const Session = require('../models/Session');
+const Upload = require('../models/Upload');
+const { setUserOnline, setUserOffline, getOnlineUsers, isAuthSessionActive } = require('./redisService');
 const { fixBase64Format, processBase64File } = require('../utils/base64Helper');
+const { inspectFile } = require('../utils/fileTypeHelper');
+const { putObject, deleteObject, getMessageObjectPrefix } = require('./storageService');
+const { queueAttachmentScan, queueLinkPreview } = require('./queueService');
+const { resolveMentions, notifyMentions } = require('./mentionService');
+const { releaseDeletedMessagePins } = require('./pinService');
 const logger = require('../utils/logger');
 
 const socketAuth = async (socket, next) => {
@@ -20,6 +28,11 @@ const socketAuth = async (socket, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (!decoded.sid || !(await isAuthSessionActive(decoded.sid))) {
+            return next(new Error('Authentication error: Session revoked'));
+        }
+
         const user = await User.findById(decoded.id).select('-password');
 
         if (!user || !user.isActive) {
@@ -29,6 +42,7 @@ const socketAuth = async (socket, next) => {
         socket.userId = user._id.toString();
         socket.user = user;
         socket.sessionId = sessionId;
+        socket.authSessionId = decoded.sid;
         next();
     } catch (error) {
         next(new Error('Authentication error: Invalid token'));
@@ -47,6 +61,27 @@ const prepareUserData = (user) => {
     return userData;
 };
 
+const disconnectAuthSessions = (authSessionIds) => {
+    if (!global.io) return;
+
+    authSessionIds.forEach(authSessionId => {
+        const room = `auth_session_${authSessionId}`;
+        global.io.to(room).emit('session_revoked', { sessionId: authSessionId });
+        // Closing the transport outright can drop the event above; a plain disconnect is queued behind it
+        global.io.in(room).disconnectSockets(false);
+    });
+};
+
+const getBlockedUserRooms = (user) => {
+    return user.getBlockedUserIds().map(userId => `user_${userId}`);
+};
+
+// socket.user is loaded once at connect, so blocks made later in the session are read fresh here
+const getCurrentBlockedUserRooms = async (userId) => {
+    const user = await User.findById(userId).select('blockedUsers');
+    return user ? getBlockedUserRooms(user) : [];
+};
+
 const handleConnection = (io) => {
     io.use(socketAuth);
 
@@ -54,15 +89,20 @@ const handleConnection = (io) => {
         try {
             await setUserOnline(socket.userId);
             socket.join(`user_${socket.userId}`);
+            socket.join(`auth_session_${socket.authSessionId}`);
+            await Session.addSocket(socket.authSessionId, socket.id);
 
             const onlineUsers = await getOnlineUsers();
-            socket.broadcast.emit('user_online', {
+            const blockedUserRooms = await getCurrentBlockedUserRooms(socket.userId);
+            const blockedByUserRooms = (await User.getBlockedByUserIds(socket.userId)).map(userId => `user_${userId}`);
+
+            socket.broadcast.except(blockedUserRooms).emit('user_online', {
                 userId: socket.userId,
                 username: socket.user.username,
                 onlineCount: onlineUsers.length
             });
 
-            socket.broadcast.emit('new_user_joined', {
+            socket.broadcast.except([...blockedUserRooms, ...blockedByUserRooms]).emit('new_user_joined', {
                 user: prepareUserData(socket.user)
             });
 
@@ -112,7 +152,7 @@ const handleConnection = (io) => {
 
             socket.on('send_message', async (data) => {
                 try {
-                    const { conversationId, content, type = 'text', messageId, sessionId, fileData } = data;
+                    const { conversationId, content, type = 'text', messageId, sessionId, fileData, replyTo, uploadId, disableLinkPreview } = data;
 
                     if (!sessionId) {
                         socket.emit('error', { message: 'Session ID required' });
@@ -129,11 +169,79 @@ const handleConnection = (io) => {
                         return;
                     }
 
+                    if (conversation.type === 'private') {
+                        const otherParticipant = conversation.participants.find(p =>
+                            p._id.toString() !== socket.userId
+                        );
+
+                        if (otherParticipant && await User.isBlockedBetween(socket.userId, otherParticipant._id)) {
+                            socket.emit('error', { message: 'You cannot send messages to this user' });
+                            return;
+                        }
+                    }
+
+                    let replyToMessage = null;
+                    if (replyTo) {
+                        if (!mongoose.Types.ObjectId.isValid(replyTo)) {
+                            socket.emit('error', { message: 'Invalid reply message ID' });
+                            return;
+                        }
+
+                        replyToMessage = await Message.findOne({
+                            _id: replyTo,
+                            conversation: conversationId,
+                            isDeleted: false,
+                            'deletedFor.user': { $ne: socket.userId }
+                        }).select('_id');
+
+                        if (!replyToMessage) {
+                            socket.emit('error', { message: 'Reply target not found in this conversation' });
+                            return;
+                        }
+                    }
+
                     let messageContent = content || '';
                     let messageType = type;
                     let processedFileData = null;
+                    const storedObjectKeys = [];
+                    let claimedUpload = null;
+
+                    if (uploadId) {
+                        claimedUpload = await Upload.findOneAndUpdate(
+                            {
+                                uploadId: String(uploadId),
+                                user: socket.userId,
+                                conversation: conversationId,
+                                status: 'completed',
+                                expiresAt: { $gt: new Date() }
+                            },
+                            { $set: { status: 'attached' } },
+                            { new: true }
+                        );
+
+                        if (!claimedUpload) {
+                            socket.emit('error', { message: 'Upload not found or not completed' });
+                            return;
+                        }
+
+                        messageContent = content || claimedUpload.fileName;
+                        messageType = claimedUpload.category;
+                        processedFileData = {
+                            name: claimedUpload.fileName,
+                            type: claimedUpload.mimeType,
+                            size: claimedUpload.size,
+                            storageKey: claimedUpload.storageKey,
+                            checksum: claimedUpload.checksum
+                        };
+
+                        if (fileData && fileData.duration != null && !isNaN(Number(fileData.duration))) {
+                            processedFileData.duration = Number(fileData.duration);
+                        }
 
-                    if (fileData && fileData.data) {
+                        if (messageType === 'audio' && fileData && fileData.isVoice === true) {
+                            processedFileData.isVoice = true;
+                        }
+                    } else if (fileData && fileData.data) {
                         messageContent = fileData.name || content || 'File';
 
                         if (fileData.type) {
@@ -148,14 +256,7 @@ const handleConnection = (io) => {
                             }
                         }
 
-                        const maxSizes = {
-                            'image': 10 * 1024 * 1024,
-                            'video': 50 * 1024 * 1024,
-                            'audio': 20 * 1024 * 1024,
-                            'file': 20 * 1024 * 1024
-                        };
-
-                        const maxSize = maxSizes[messageType] || maxSizes.file;
+                        const maxSize = Upload.getMaxSize(messageType);
 
                         let fixedFileData = fileData.data;
                         if (fixedFileData && !fixedFileData.includes(';base64,') && fixedFileData.includes('base64,')) {
@@ -183,6 +284,21 @@ const handleConnection = (io) => {
                             return;
                         }
 
+                        const fileBuffer = Buffer.from(base64Data, 'base64');
+                        const inspection = inspectFile(fileBuffer, fileData.type, fileData.name);
+
+                        if (!inspection.isValid) {
+                            socket.emit('error', {
+                                message: inspection.error,
+                                code: inspection.code,
+                                details: {
+                                    declaredType: inspection.declaredType,
+                                    detectedType: inspection.detectedType
+                                }
+                            });
+                            return;
+                        }
+
                         processedFileData = {};
 
                         if (fileData.name != null) {
@@ -193,16 +309,19 @@ const handleConnection = (io) => {
                             processedFileData.type = String(fileData.type);
                         }
 
-                        if (fixedFileData != null) {
-                            processedFileData.data = String(fixedFileData);
-                        }
-
-                        if (actualFileSize != null && !isNaN(actualFileSize)) {
-                            processedFileData.size = Number(actualFileSize);
-                        }
-
-                        if (fileData.thumbnail != null && typeof fileData.thumbnail === 'string') {
-                            processedFileData.thumbnail = String(fixBase64Format(fileData.thumbnail));
+                        try {
+                            const objectPrefix = getMessageObjectPrefix(conversationId);
+                            const storedFile = await putObject(objectPrefix, fileBuffer, fileData.type || 'application/octet-stream');
+                            storedObjectKeys.push(storedFile.key);
+
+                            processedFileData.storageKey = storedFile.key;
+                            processedFileData.checksum = storedFile.checksum;
+                            processedFileData.size = storedFile.size;
+                        } catch (storageError) {
+                            logger.error('File storage error:', storageError);
+                            await Promise.allSettled(storedObjectKeys.map(key => deleteObject(key)));
+                            socket.emit('error', { message: 'File upload failed' });
+                            return;
                         }
 
                         if (fileData.duration != null && !isNaN(Number(fileData.duration))) {
@@ -219,6 +338,10 @@ const handleConnection = (io) => {
                         return;
                     }
 
+                    const mentions = messageType === 'text'
+                        ? await resolveMentions(messageContent.trim(), conversation)
+                        : [];
+
                     const messageData = {
                         sender: socket.userId,
                         conversation: conversationId,
@@ -227,6 +350,10 @@ const handleConnection = (io) => {
                         messageId: messageId || require('crypto').randomUUID(),
                         sessionId: sessionId,
                         fileData: processedFileData,
+                        replyTo: replyToMessage ? replyToMessage._id : undefined,
+                        mentions: mentions,
+                        linkPreviewDisabled: messageType === 'text' && disableLinkPreview === true ? true : undefined,
+                        expiresAt: conversation.getMessageExpiry(),
                         metadata: {
                             encrypted: false,
                             encryptionVersion: '1.0',
@@ -240,20 +367,45 @@ const handleConnection = (io) => {
                     };
 
                     const newMessage = new Message(messageData);
+                    if (newMessage.needsAttachmentScan()) {
+                        newMessage.fileData.scanStatus = 'pending';
+                    }
+                    if (newMessage.needsMediaPreview()) {
+                        newMessage.fileData.previewStatus = 'pending';
+                    }
 
-                    const savedMessage = await newMessage.save();
+                    let savedMessage;
+                    try {
+                        savedMessage = await newMessage.save();
+                    } catch (saveError) {
+                        await Promise.allSettled(storedObjectKeys.map(key => deleteObject(key)));
+                        if (claimedUpload) {
+                            // Hand the upload back so the client can retry the send
+                            await Upload.updateOne({ _id: claimedUpload._id }, { $set: { status: 'completed' } });
+                        }
+                        throw saveError;
+                    }
 
-                    await savedMessage.populate('sender', 'username firstName lastName avatar');
+                    if (savedMessage.needsAttachmentScan()) {
+                        queueAttachmentScan(savedMessage._id);
+                    }
 
+                    await savedMessage.populate('sender', 'username firstName lastName avatar');
+                    if (replyToMessage) {
+                        await savedMessage.populate(Message.getReplyPreviewPopulate());
+                    }
 
                     conversation.lastMessage = savedMessage._id;
                     conversation.lastActivity = new Date();
                     await conversation.save();
+                    await Conversation.restoreForNewMessage(conversation._id, socket.userId);
 
                     let messageResponse = savedMessage.toObject();
                     if (messageResponse.sender && messageResponse.sender.avatar) {
                         messageResponse.sender.avatar = fixBase64Format(messageResponse.sender.avatar);
                     }
+                    messageResponse.replyTo = Message.toReplyPreview(messageResponse.replyTo);
+                    messageResponse.replyCount = 0;
 
                     const conversationResponse = {
                         _id: conversation._id,
@@ -272,6 +424,15 @@ const handleConnection = (io) => {
                         conversation: conversationResponse
                     });
 
+                    if (replyToMessage) {
+                        const replyCounts = await Message.getReplyCounts([replyToMessage._id]);
+                        io.to(`conversation_${conversationId}`).emit('reply_count_updated', {
+                            messageId: replyToMessage._id,
+                            conversationId: conversationId,
+                            replyCount: replyCounts[replyToMessage._id.toString()] || 0
+                        });
+                    }
+
                     socket.emit('message_sent', {
                         messageId: messageId || savedMessage._id,
                         success: true,
@@ -279,6 +440,12 @@ const handleConnection = (io) => {
                         deliveryStatus: 'sent'
                     });
 
+                    if (savedMessage.needsLinkPreview()) {
+                        queueLinkPreview(savedMessage._id);
+                    }
+
+                    await notifyMentions(savedMessage, conversation, socket.user);
+
                     logger.info(`Message sent from ${socket.userId} to conversation ${conversationId}. Type: ${messageType}, FileSize: ${processedFileData?.size || 0}`);
 
                     setTimeout(async () => {
@@ -302,7 +469,8 @@ const handleConnection = (io) => {
                                     conversation: conversationId,
                                     'readBy.user': { $ne: participant._id },
                                     isDeleted: false,
-                                    'deletedFor.user': { $ne: participant._id }
+                                    'deletedFor.user': { $ne: participant._id },
+                                    ...await Conversation.getClearedHistoryFilter(participant._id, conversationId)
                                 });
                                 io.to(`user_${participant._id}`).emit('unread_count_updated', {
                                     senderId: socket.userId,
@@ -366,6 +534,7 @@ const handleConnection = (io) => {
                             deletedBy: socket.userId,
                             deletedAt: new Date()
                         });
+                        await releaseDeletedMessagePins(message.conversation._id, [message._id]);
 
                     } else {
                         await message.deleteForUser(socket.userId, 'forMe');
@@ -383,7 +552,124 @@ const handleConnection = (io) => {
                 }
             });
 
-            socket.on('typing_start', (data) => {
+            socket.on('edit_message', async (data) => {
+                try {
+                    const { messageId, content } = data;
+
+                    if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+                        socket.emit('error', { message: 'Invalid message ID' });
+                        return;
+                    }
+
+                    const newContent = typeof content === 'string' ? content.trim() : '';
+                    if (!newContent || newContent.length > 2000) {
+                        socket.emit('error', { message: 'Content must be between 1 and 2000 characters' });
+                        return;
+                    }
+
+                    const message = await Message.findById(messageId)
+                        .populate('conversation');
+
+                    if (!message || !message.conversation) {
+                        socket.emit('error', { message: 'Message not found' });
+                        return;
+                    }
+
+                    const hasAccess = message.conversation.participants.includes(socket.userId);
+                    if (!hasAccess) {
+                        socket.emit('error', { message: 'Access denied' });
+                        return;
+                    }
+
+                    const editError = message.getEditError(socket.userId);
+                    if (editError) {
+                        socket.emit('error', { message: editError });
+                        return;
+                    }
+
+                    if (message.content === newContent) {
+                        return;
+                    }
+
+                    const previousMentions = message.toObject().mentions;
+                    message.mentions = await resolveMentions(newContent, message.conversation);
+
+                    await message.editContent(socket.userId, newContent);
+
+                    const conversationId = message.conversation._id.toString();
+                    io.to(`conversation_${conversationId}`).emit('message_edited', {
+                        messageId: message._id,
+                        conversationId: conversationId,
+                        content: message.content,
+                        editedAt: message.editedAt,
+                        editCount: message.editHistory.length,
+                        editHistory: message.toObject().editHistory,
+                        editedBy: socket.userId,
+                        linkPreview: message.getLinkPreview(),
+                        mentions: message.toObject().mentions
+                    });
+
+                    await notifyMentions(message, message.conversation, socket.user, previousMentions);
+
+                    if (message.needsLinkPreview()) {
+                        queueLinkPreview(message._id);
+                    }
+
+                    logger.info(`Message ${messageId} edited by ${socket.userId}`);
+
+                } catch (error) {
+                    logger.error('Edit message error:', error);
+                    socket.emit('error', { message: 'Error editing message' });
+                }
+            });
+
+            socket.on('react_message', async (data) => {
+                try {
+                    const { messageId, emoji } = data;
+
+                    if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+                        socket.emit('error', { message: 'Invalid message ID' });
+                        return;
+                    }
+
+                    if (!Message.isValidReactionEmoji(emoji)) {
+                        socket.emit('error', { message: 'Invalid emoji' });
+                        return;
+                    }
+
+                    const message = await Message.findById(messageId)
+                        .populate('conversation');
+
+                    if (!message || !message.conversation || message.isDeletedForUser(socket.userId)) {
+                        socket.emit('error', { message: 'Message not found' });
+                        return;
+                    }
+
+                    const hasAccess = message.conversation.participants.includes(socket.userId);
+                    if (!hasAccess) {
+                        socket.emit('error', { message: 'Access denied' });
+                        return;
+                    }
+
+                    const action = await message.toggleReaction(socket.userId, emoji);
+
+                    const conversationId = message.conversation._id.toString();
+                    io.to(`conversation_${conversationId}`).emit('message_reaction_updated', {
+                        messageId: message._id,
+                        conversationId: conversationId,
+                        emoji: emoji,
+                        userId: socket.userId,
+                        action: action,
+                        reactions: message.getReactionSummary()
+                    });
+
+                } catch (error) {
+                    logger.error('React message error:', error);
+                    socket.emit('error', { message: 'Error updating reaction' });
+                }
+            });
+
+            socket.on('typing_start', async (data) => {
                 try {
                     const { conversationId, sessionId } = data;
 
@@ -391,7 +677,8 @@ const handleConnection = (io) => {
                         return;
                     }
 
-                    socket.to(`conversation_${conversationId}`).emit('user_typing', {
+                    const blockedUserRooms = await getCurrentBlockedUserRooms(socket.userId);
+                    socket.to(`conversation_${conversationId}`).except(blockedUserRooms).emit('user_typing', {
                         userId: socket.userId,
                         username: socket.user.username,
                         isTyping: true,
@@ -401,14 +688,16 @@ const handleConnection = (io) => {
                 }
             });
 
-            socket.on('typing_stop', (data) => {
+            socket.on('typing_stop', async (data) => {
                 try {
                     const { conversationId, sessionId } = data;
 
                     if (!sessionId) {
                         return;
                     }
-                    socket.to(`conversation_${conversationId}`).emit('user_stop_typing', {
+
+                    const blockedUserRooms = await getCurrentBlockedUserRooms(socket.userId);
+                    socket.to(`conversation_${conversationId}`).except(blockedUserRooms).emit('user_stop_typing', {
                         userId: socket.userId,
                         username: socket.user.username,
                         isTyping: false,
@@ -489,7 +778,8 @@ const handleConnection = (io) => {
                                     conversation: conversationId,
                                     'readBy.user': { $ne: socket.userId },
                                     isDeleted: false,
-                                    'deletedFor.user': { $ne: socket.userId }
+                                    'deletedFor.user': { $ne: socket.userId },
+                                    ...await Conversation.getClearedHistoryFilter(socket.userId, conversationId)
                                 });
 
                                 let senderInfo = conversation.participants.find(p =>
@@ -515,6 +805,14 @@ const handleConnection = (io) => {
                         logger.info(`User ${socket.userId} marked ${result.modifiedCount} messages as read`);
                     }
 
+                    const settings = await Conversation.clearMarkedUnread(conversation._id, socket.userId);
+                    if (settings) {
+                        io.to(`user_${socket.userId}`).emit('conversation_settings_updated', {
+                            conversationId: conversation._id,
+                            settings
+                        });
+                    }
+
                 } catch (error) {
                     logger.error('Mark messages read error:', error);
                 }
@@ -568,6 +866,7 @@ const handleConnection = (io) => {
 
             socket.on('disconnect', async (reason) => {
                 try {
+                    await Session.removeSocket(socket.authSessionId, socket.id);
                     await setUserOffline(socket.userId);
 
                     await User.findByIdAndUpdate(socket.userId, {
@@ -575,7 +874,7 @@ const handleConnection = (io) => {
                     });
 
                     const onlineUsers = await getOnlineUsers();
-                    socket.broadcast.emit('user_offline', {
+                    socket.broadcast.except(await getCurrentBlockedUserRooms(socket.userId)).emit('user_offline', {
                         userId: socket.userId,
                         username: socket.user.username,
                         lastSeen: new Date(),
@@ -608,4 +907,5 @@ const handleConnection = (io) => {
     });
 };
 
-module.exports = handleConnection;
\ No newline at end of file
+module.exports = handleConnection;
+module.exports.disconnectAuthSessions = disconnectAuthSessions;
\ No newline at end of file
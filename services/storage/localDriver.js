@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const createLocalDriver = ({ rootPath }) => {
+    const root = path.resolve(rootPath);
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const put = async (key, body) => {
+        const filePath = resolveKey(key);
+        const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, body);
+        await fs.promises.rename(tempPath, filePath);
+    };
+
+    const getStream = async (key, range = {}) => {
+        return fs.createReadStream(resolveKey(key), {
+            start: range.start,
+            end: range.end
+        });
+    };
+
+    const stat = async (key) => {
+        try {
+            const stats = await fs.promises.stat(resolveKey(key));
+            return { size: stats.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    const remove = async (key) => {
+        try {
+            await fs.promises.unlink(resolveKey(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    };
+
+    return {
+        name: 'local',
+        put,
+        getStream,
+        stat,
+        remove
+    };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,68 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404);
+};
+
+const createS3Driver = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const put = async (key, body, options = {}) => {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: options.contentType,
+            ContentLength: body.length
+        }));
+    };
+
+    const getStream = async (key, range = {}) => {
+        const response = await client.send(new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Range: range.start !== undefined ? `bytes=${range.start}-${range.end !== undefined ? range.end : ''}` : undefined
+        }));
+        return response.Body;
+    };
+
+    const stat = async (key) => {
+        try {
+            const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            return { size: response.ContentLength };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    };
+
+    const remove = async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    };
+
+    return {
+        name: 's3',
+        put,
+        getStream,
+        stat,
+        remove
+    };
+};
+
+module.exports = { createS3Driver };
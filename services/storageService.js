@@ -0,0 +1,82 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createLocalDriver } = require('./storage/localDriver');
+const { createS3Driver } = require('./storage/s3Driver');
+const { extractBase64Data, extractMimeType, fixBase64Format } = require('../utils/base64Helper');
+const logger = require('../utils/logger');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+let driver;
+
+const getDriver = () => {
+    if (driver) return driver;
+
+    if (STORAGE_DRIVER === 's3') {
+        driver = createS3Driver({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        });
+    } else if (STORAGE_DRIVER === 'local') {
+        driver = createLocalDriver({
+            rootPath: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '..', 'storage')
+        });
+    } else {
+        throw new Error(`Unknown storage driver: ${STORAGE_DRIVER}`);
+    }
+
+    logger.info(`Blob storage initialized with ${driver.name} driver`);
+    return driver;
+};
+
+const createChecksum = (buffer) => {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+const putObject = async (prefix, buffer, contentType) => {
+    const key = `${prefix}/${crypto.randomUUID()}`;
+
+    await getDriver().put(key, buffer, { contentType });
+
+    return {
+        key,
+        size: buffer.length,
+        checksum: createChecksum(buffer)
+    };
+};
+
+const putDataUrl = async (prefix, dataUrl) => {
+    const fixedDataUrl = fixBase64Format(dataUrl);
+    const base64Data = extractBase64Data(fixedDataUrl);
+
+    if (!base64Data) {
+        throw new Error('Invalid base64 data format');
+    }
+
+    const contentType = extractMimeType(fixedDataUrl) || 'application/octet-stream';
+    const stored = await putObject(prefix, Buffer.from(base64Data, 'base64'), contentType);
+
+    return { ...stored, contentType };
+};
+
+const getObjectStream = (key, range) => getDriver().getStream(key, range);
+
+const statObject = (key) => getDriver().stat(key);
+
+const deleteObject = (key) => getDriver().remove(key);
+
+const getMessageObjectPrefix = (conversationId) => `messages/${conversationId}`;
+
+module.exports = {
+    putObject,
+    putDataUrl,
+    getObjectStream,
+    statObject,
+    deleteObject,
+    createChecksum,
+    getMessageObjectPrefix
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Upload = require('../models/Upload');
+const { putObject, deleteObject, getMessageObjectPrefix } = require('./storageService');
+const { inspectFile } = require('../utils/fileTypeHelper');
+const logger = require('../utils/logger');
+
+const UPLOAD_TMP_PATH = process.env.UPLOAD_TMP_PATH || path.join(os.tmpdir(), 'arieschat-uploads');
+
+// Chunks land in a node-local temp file; run behind sticky sessions or point UPLOAD_TMP_PATH at shared storage
+const getTempPath = (uploadId) => path.join(UPLOAD_TMP_PATH, uploadId);
+
+const writeChunk = async (uploadId, offset, chunk) => {
+    await fs.promises.mkdir(UPLOAD_TMP_PATH, { recursive: true });
+
+    const handle = await fs.promises.open(getTempPath(uploadId), offset === 0 ? 'w' : 'r+');
+    try {
+        await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+        await handle.close();
+    }
+};
+
+const finalizeUpload = async (upload) => {
+    const tempPath = getTempPath(upload.uploadId);
+    const buffer = await fs.promises.readFile(tempPath);
+
+    if (buffer.length !== upload.size) {
+        throw new Error(`Upload ${upload.uploadId} is ${buffer.length} bytes, expected ${upload.size}`);
+    }
+
+    // Rejected files are dropped right away; the client has to start a new upload with a different file
+    const inspection = inspectFile(buffer, upload.mimeType, upload.fileName);
+    if (!inspection.isValid) {
+        await fs.promises.rm(tempPath, { force: true });
+        return { inspection, stored: null };
+    }
+
+    const stored = await putObject(getMessageObjectPrefix(upload.conversation), buffer, upload.mimeType);
+    await fs.promises.rm(tempPath, { force: true });
+
+    return { inspection, stored };
+};
+
+const discardUpload = async (upload) => {
+    await fs.promises.rm(getTempPath(upload.uploadId), { force: true });
+
+    if (upload.storageKey && upload.status !== 'attached') {
+        await deleteObject(upload.storageKey);
+    }
+};
+
+const cleanupExpiredUploads = async () => {
+    const expiredUploads = await Upload.find({
+        expiresAt: { $lte: new Date() },
+        status: { $ne: 'attached' }
+    }).limit(500);
+
+    for (const upload of expiredUploads) {
+        try {
+            await discardUpload(upload);
+            await Upload.deleteOne({ _id: upload._id, status: upload.status });
+        } catch (error) {
+            logger.error(`Failed to clean up upload ${upload.uploadId}:`, error);
+        }
+    }
+
+    const { deletedCount } = await Upload.deleteMany({
+        expiresAt: { $lte: new Date() },
+        status: 'attached'
+    });
+
+    if (expiredUploads.length > 0 || deletedCount > 0) {
+        logger.info(`Cleaned up ${expiredUploads.length} expired uploads and ${deletedCount} attached upload records`);
+    }
+};
+
+module.exports = {
+    writeChunk,
+    finalizeUpload,
+    discardUpload,
+    cleanupExpiredUploads
+};
@@ -61,6 +61,16 @@ const options = {
                         pattern: '^[0-9a-fA-F]{24}$'
                     }
                 },
+                InviteCode: {
+                    name: 'code',
+                    in: 'path',
+                    required: true,
+                    description: 'Group invite code',
+                    schema: {
+                        type: 'string',
+                        pattern: '^[A-Za-z0-9_-]{16}$'
+                    }
+                },
                 MessageId: {
                     name: 'messageId',
                     in: 'path',
@@ -71,6 +81,26 @@ const options = {
                         pattern: '^[0-9a-fA-F]{24}$'
                     }
                 },
+                UploadId: {
+                    name: 'uploadId',
+                    in: 'path',
+                    required: true,
+                    description: 'Upload unique identifier',
+                    schema: {
+                        type: 'string',
+                        format: 'uuid'
+                    }
+                },
+                ScheduledMessageId: {
+                    name: 'scheduledMessageId',
+                    in: 'path',
+                    required: true,
+                    description: 'Scheduled message unique identifier',
+                    schema: {
+                        type: 'string',
+                        pattern: '^[0-9a-fA-F]{24}$'
+                    }
+                },
                 UserId: {
                     name: 'userId',
                     in: 'path',
@@ -313,24 +343,170 @@ const options = {
                                     type: 'integer',
                                     example: 1024000
                                 },
-                                data: {
+                                storageKey: {
                                     type: 'string',
-                                    description: 'Base64 encoded file data',
-                                    example: 'data:application/pdf;base64,JVBERi0xLjQKJcOkw7zDssOk...'
+                                    description: 'Blob storage key of the file; fetch the bytes from /api/message/file/{messageId}',
+                                    example: 'messages/507f1f77bcf86cd799439012/0b7d5f0e-3f7a-4a4f-9d55-2a4c1f0b8c11'
+                                },
+                                checksum: {
+                                    type: 'string',
+                                    description: 'SHA-256 of the stored file (hex)',
+                                    example: 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9'
                                 },
                                 url: {
                                     type: 'string',
                                     example: '/api/message/file/507f1f77bcf86cd799439011'
                                 },
-                                thumbnail: {
+                                thumbnailKey: {
+                                    type: 'string',
+                                    description: 'Blob storage key of the thumbnail; fetch it from /api/message/thumbnail/{messageId}',
+                                    example: 'messages/507f1f77bcf86cd799439012/6c1e9a52-5d0b-4f0e-8b8e-3c9f6d2a7e40'
+                                },
+                                thumbnailType: {
+                                    type: 'string',
+                                    example: 'image/webp'
+                                },
+                                posterKey: {
+                                    type: 'string',
+                                    description: 'Blob storage key of the video poster frame; fetch it with `variant=poster`'
+                                },
+                                width: {
+                                    type: 'integer',
+                                    description: 'Image or video width in pixels',
+                                    example: 1920
+                                },
+                                height: {
+                                    type: 'integer',
+                                    description: 'Image or video height in pixels',
+                                    example: 1080
+                                },
+                                blurhash: {
+                                    type: 'string',
+                                    description: 'Compact placeholder to show while the thumbnail loads',
+                                    example: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj'
+                                },
+                                previewStatus: {
+                                    type: 'string',
+                                    enum: ['pending', 'ready', 'failed'],
+                                    description: 'State of background preview generation (thumbnails for images and videos, waveform for audio)'
+                                },
+                                scanStatus: {
+                                    type: 'string',
+                                    enum: ['pending', 'clean', 'infected', 'failed'],
+                                    description: 'Malware scan state; the file can only be downloaded once it is clean. Absent on files sent before scanning was introduced'
+                                },
+                                scanSignature: {
                                     type: 'string',
-                                    description: 'Thumbnail for images/videos',
-                                    example: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD...'
+                                    description: 'Name of the detected threat when scanStatus is infected'
                                 },
                                 duration: {
                                     type: 'number',
-                                    description: 'Duration for audio/video files in seconds',
+                                    description: 'Duration for audio/video files in seconds; computed by the server once the preview is ready',
                                     example: 120.5
+                                },
+                                isVoice: {
+                                    type: 'boolean',
+                                    description: 'Set on voice notes recorded in the browser'
+                                },
+                                waveform: {
+                                    type: 'array',
+                                    description: 'Peak amplitude per bar (0-100) for audio messages',
+                                    items: {
+                                        type: 'integer',
+                                        minimum: 0,
+                                        maximum: 100
+                                    },
+                                    example: [12, 40, 85, 100, 63, 20]
+                                }
+                            }
+                        },
+                        mentions: {
+                            type: 'array',
+                            description: 'Mentions parsed from the content of a group message',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    type: {
+                                        type: 'string',
+                                        enum: ['user', 'all'],
+                                        example: 'user'
+                                    },
+                                    user: {
+                                        type: 'string',
+                                        description: 'Mentioned user (only for `user` mentions)',
+                                        example: '507f1f77bcf86cd799439013'
+                                    },
+                                    offset: {
+                                        type: 'integer',
+                                        description: 'Index of the "@" mark in `content`',
+                                        example: 6
+                                    },
+                                    length: {
+                                        type: 'integer',
+                                        description: 'Length of the mention including the "@" mark',
+                                        example: 9
+                                    }
+                                }
+                            }
+                        },
+                        linkPreview: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'Open Graph card for the first link of a text message, filled in asynchronously and announced with `message_updated`',
+                            properties: {
+                                url: {
+                                    type: 'string',
+                                    example: 'https://example.com/blog/release'
+                                },
+                                title: {
+                                    type: 'string',
+                                    example: 'Release notes'
+                                },
+                                description: {
+                                    type: 'string',
+                                    example: 'Everything that changed in this release.'
+                                },
+                                image: {
+                                    type: 'string',
+                                    description: 'Always an https URL',
+                                    example: 'https://example.com/og/release.png'
+                                },
+                                siteName: {
+                                    type: 'string',
+                                    example: 'Example Blog'
+                                },
+                                fetchedAt: {
+                                    type: 'string',
+                                    format: 'date-time',
+                                    example: '2025-01-15T10:30:02.000Z'
+                                }
+                            }
+                        },
+                        linkPreviewDisabled: {
+                            type: 'boolean',
+                            description: 'Set when the sender removed the link preview or sent the message without one'
+                        },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: 'When the message disappears (only when disappearing messages were on as it was sent)',
+                            example: '2025-01-16T10:30:00.000Z'
+                        },
+                        playedBy: {
+                            type: 'array',
+                            description: 'Recipients who have listened to an audio message',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    user: {
+                                        type: 'string',
+                                        example: '507f1f77bcf86cd799439013'
+                                    },
+                                    playedAt: {
+                                        type: 'string',
+                                        format: 'date-time',
+                                        example: '2025-01-15T10:31:00.000Z'
+                                    }
                                 }
                             }
                         },
@@ -355,6 +531,90 @@ const options = {
                                 }
                             }
                         },
+                        replyTo: {
+                            type: 'object',
+                            description: 'Preview of the message this one replies to',
+                            properties: {
+                                _id: {
+                                    type: 'string',
+                                    example: '507f1f77bcf86cd799439010'
+                                },
+                                sender: {
+                                    $ref: '#/components/schemas/User'
+                                },
+                                content: {
+                                    type: 'string',
+                                    example: 'Are you coming tonight?'
+                                },
+                                type: {
+                                    type: 'string',
+                                    example: 'text'
+                                },
+                                isDeleted: {
+                                    type: 'boolean',
+                                    example: false
+                                }
+                            }
+                        },
+                        replyCount: {
+                            type: 'integer',
+                            description: 'Number of visible replies to this message',
+                            example: 2
+                        },
+                        systemEvent: {
+                            type: 'object',
+                            description: 'Group event described by a system message (only for type system)',
+                            properties: {
+                                action: {
+                                    type: 'string',
+                                    enum: ['group_created', 'group_updated', 'members_added', 'member_removed', 'member_left', 'member_joined', 'admin_promoted', 'admin_demoted', 'ownership_transferred', 'message_pinned', 'disappearing_messages_updated'],
+                                    example: 'members_added'
+                                },
+                                targets: {
+                                    type: 'array',
+                                    description: 'Users the action was applied to',
+                                    items: {
+                                        $ref: '#/components/schemas/User'
+                                    }
+                                },
+                                message: {
+                                    type: 'string',
+                                    description: 'ID of the message the action was applied to (message_pinned)',
+                                    example: '507f1f77bcf86cd799439011'
+                                }
+                            }
+                        },
+                        reactions: {
+                            type: 'array',
+                            description: 'Reactions grouped by emoji',
+                            items: {
+                                $ref: '#/components/schemas/ReactionSummary'
+                            }
+                        },
+                        editedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: 'Last edit time (absent if never edited)',
+                            example: '2025-01-15T10:35:00.000Z'
+                        },
+                        editHistory: {
+                            type: 'array',
+                            description: 'Previous versions of the message content, oldest first',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    content: {
+                                        type: 'string',
+                                        example: 'Hello, how are you?'
+                                    },
+                                    editedAt: {
+                                        type: 'string',
+                                        format: 'date-time',
+                                        example: '2025-01-15T10:35:00.000Z'
+                                    }
+                                }
+                            }
+                        },
                         metadata: {
                             type: 'object',
                             properties: {
@@ -417,6 +677,16 @@ const options = {
                             default: 'text',
                             example: 'text'
                         },
+                        replyTo: {
+                            type: 'string',
+                            description: 'ID of a message in the same conversation to reply to',
+                            example: '507f1f77bcf86cd799439010'
+                        },
+                        disableLinkPreview: {
+                            type: 'boolean',
+                            description: 'Send a text message without generating a link preview',
+                            example: false
+                        },
                         fileData: {
                             type: 'object',
                             description: 'File data for media messages',
@@ -442,6 +712,52 @@ const options = {
                         }
                     }
                 },
+                MessageReaction: {
+                    type: 'object',
+                    required: ['emoji'],
+                    properties: {
+                        emoji: {
+                            type: 'string',
+                            maxLength: 16,
+                            description: 'A single emoji (skin tone and ZWJ sequences allowed)',
+                            example: '👍'
+                        }
+                    }
+                },
+                ReactionSummary: {
+                    type: 'object',
+                    properties: {
+                        emoji: {
+                            type: 'string',
+                            example: '👍'
+                        },
+                        count: {
+                            type: 'integer',
+                            example: 2
+                        },
+                        users: {
+                            type: 'array',
+                            description: 'User IDs, or user objects in message details',
+                            items: {
+                                type: 'string'
+                            },
+                            example: ['507f1f77bcf86cd799439013', '507f1f77bcf86cd799439014']
+                        }
+                    }
+                },
+                MessageEdit: {
+                    type: 'object',
+                    required: ['content'],
+                    properties: {
+                        content: {
+                            type: 'string',
+                            minLength: 1,
+                            maxLength: 2000,
+                            description: 'New message content',
+                            example: 'Hello, how are you doing?'
+                        }
+                    }
+                },
                 Conversation: {
                     type: 'object',
                     required: ['_id', 'participants', 'type'],
@@ -479,6 +795,37 @@ const options = {
                             description: 'Group conversation avatar',
                             example: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD...'
                         },
+                        owner: {
+                            type: 'string',
+                            description: 'Group owner user ID (only for groups)',
+                            example: '507f1f77bcf86cd799439011'
+                        },
+                        admins: {
+                            type: 'array',
+                            description: 'Group admin user IDs, excluding the owner',
+                            items: {
+                                type: 'string'
+                            }
+                        },
+                        roles: {
+                            type: 'array',
+                            description: 'Role of every group member (only for groups)',
+                            items: {
+                                $ref: '#/components/schemas/ConversationRole'
+                            }
+                        },
+                        myRole: {
+                            type: 'string',
+                            enum: ['owner', 'admin', 'member'],
+                            nullable: true,
+                            description: 'Role of the current user (null for private conversations)'
+                        },
+                        disappearingMessages: {
+                            type: 'string',
+                            enum: ['off', '1h', '1d', '7d', '90d'],
+                            default: 'off',
+                            description: 'How long new messages are kept before they disappear'
+                        },
                         lastMessage: {
                             $ref: '#/components/schemas/Message'
                         },
@@ -501,6 +848,9 @@ const options = {
                             description: 'Total number of messages in conversation',
                             example: 150
                         },
+                        settings: {
+                            $ref: '#/components/schemas/ConversationSettings'
+                        },
                         createdAt: {
                             type: 'string',
                             format: 'date-time',
@@ -513,77 +863,267 @@ const options = {
                         }
                     }
                 },
-                ConversationCreate: {
+                ConversationSettings: {
                     type: 'object',
-                    required: ['participantId'],
+                    description: 'The current user\'s own settings for a conversation',
                     properties: {
-                        participantId: {
-                            type: 'string',
-                            description: 'ID of the user to start conversation with',
-                            example: '507f1f77bcf86cd799439013'
+                        isMuted: {
+                            type: 'boolean',
+                            example: true
                         },
-                        type: {
+                        mutedUntil: {
                             type: 'string',
-                            enum: ['private', 'group'],
-                            default: 'private',
-                            example: 'private'
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'End of the mute; null when muted forever or not muted',
+                            example: '2025-01-15T18:30:00.000Z'
                         },
-                        name: {
-                            type: 'string',
-                            description: 'Group name (required for group type)',
-                            example: 'Project Team'
+                        isArchived: {
+                            type: 'boolean',
+                            example: false
                         },
-                        description: {
-                            type: 'string',
-                            description: 'Group description',
-                            example: 'Discussion about the new project'
-                        }
-                    }
-                },
-                ConversationUpdate: {
-                    type: 'object',
-                    properties: {
-                        name: {
-                            type: 'string',
-                            minLength: 1,
-                            maxLength: 100,
-                            example: 'Updated Project Team'
+                        isPinned: {
+                            type: 'boolean',
+                            description: 'Pinned to the top of the conversation list',
+                            example: false
                         },
-                        description: {
+                        pinnedAt: {
                             type: 'string',
-                            maxLength: 500,
-                            example: 'Updated description for the project team'
+                            format: 'date-time',
+                            nullable: true
                         },
-                        avatar: {
+                        isMarkedUnread: {
+                            type: 'boolean',
+                            example: false
+                        },
+                        isHidden: {
+                            type: 'boolean',
+                            description: 'Deleted by the user; comes back with the next message',
+                            example: false
+                        },
+                        clearedAt: {
                             type: 'string',
-                            description: 'Base64 image data for group avatar',
-                            example: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD...'
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Messages up to this time are cleared from the user\'s history'
                         }
                     }
                 },
-                AuthTokens: {
+                ConversationRole: {
                     type: 'object',
                     properties: {
-                        accessToken: {
+                        user: {
                             type: 'string',
-                            description: 'JWT access token (expires in 1 hour)',
-                            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+                            example: '507f1f77bcf86cd799439011'
                         },
-                        refreshToken: {
+                        role: {
                             type: 'string',
-                            description: 'JWT refresh token (expires in 7 days)',
-                            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+                            enum: ['owner', 'admin', 'member'],
+                            example: 'admin'
                         }
                     }
                 },
-                RefreshToken: {
+                GroupInvite: {
                     type: 'object',
-                    required: ['refreshToken'],
                     properties: {
-                        refreshToken: {
+                        code: {
                             type: 'string',
-                            description: 'Valid refresh token',
-                            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+                            example: 'Xk3p9QmZ2aLr7TwB'
+                        },
+                        createdBy: {
+                            type: 'string',
+                            example: '507f1f77bcf86cd799439011'
+                        },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        maxUses: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Join limit (null means unlimited)',
+                            example: 10
+                        },
+                        uses: {
+                            type: 'integer',
+                            example: 3
+                        },
+                        requiresApproval: {
+                            type: 'boolean',
+                            example: false
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                GroupInvitePreview: {
+                    type: 'object',
+                    properties: {
+                        conversation: {
+                            type: 'object',
+                            properties: {
+                                _id: {
+                                    type: 'string'
+                                },
+                                name: {
+                                    type: 'string',
+                                    example: 'Project Team'
+                                },
+                                description: {
+                                    type: 'string'
+                                },
+                                avatar: {
+                                    type: 'string',
+                                    nullable: true
+                                },
+                                participantCount: {
+                                    type: 'integer',
+                                    example: 12
+                                }
+                            }
+                        },
+                        requiresApproval: {
+                            type: 'boolean'
+                        },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        isMember: {
+                            type: 'boolean',
+                            description: 'Whether the current user is already in the group'
+                        },
+                        hasPendingRequest: {
+                            type: 'boolean',
+                            description: 'Whether the current user already has a join request waiting for approval'
+                        }
+                    }
+                },
+                ConversationCreate: {
+                    type: 'object',
+                    properties: {
+                        participantId: {
+                            type: 'string',
+                            description: 'ID of the user to start conversation with (required for private type)',
+                            example: '507f1f77bcf86cd799439013'
+                        },
+                        participantIds: {
+                            type: 'array',
+                            description: 'Members to add to a new group (the creator is added automatically)',
+                            items: {
+                                type: 'string'
+                            },
+                            example: ['507f1f77bcf86cd799439013', '507f1f77bcf86cd799439014']
+                        },
+                        type: {
+                            type: 'string',
+                            enum: ['private', 'group'],
+                            default: 'private',
+                            example: 'private'
+                        },
+                        name: {
+                            type: 'string',
+                            description: 'Group name (required for group type)',
+                            example: 'Project Team'
+                        },
+                        description: {
+                            type: 'string',
+                            description: 'Group description',
+                            example: 'Discussion about the new project'
+                        },
+                        avatar: {
+                            type: 'string',
+                            description: 'Base64 image data for group avatar',
+                            example: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD...'
+                        }
+                    }
+                },
+                ConversationUpdate: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            minLength: 1,
+                            maxLength: 100,
+                            example: 'Updated Project Team'
+                        },
+                        description: {
+                            type: 'string',
+                            maxLength: 500,
+                            example: 'Updated description for the project team'
+                        },
+                        avatar: {
+                            type: 'string',
+                            description: 'Base64 image data for group avatar',
+                            example: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD...'
+                        }
+                    }
+                },
+                AuthTokens: {
+                    type: 'object',
+                    properties: {
+                        accessToken: {
+                            type: 'string',
+                            description: 'JWT access token (expires in 1 hour)',
+                            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+                        },
+                        refreshToken: {
+                            type: 'string',
+                            description: 'JWT refresh token (expires in 7 days)',
+                            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+                        }
+                    }
+                },
+                AuthSession: {
+                    type: 'object',
+                    properties: {
+                        sessionId: {
+                            type: 'string',
+                            format: 'uuid',
+                            description: 'Login session identifier (shared by the session\'s access and refresh tokens)'
+                        },
+                        deviceName: {
+                            type: 'string',
+                            example: 'Chrome on Windows'
+                        },
+                        userAgent: {
+                            type: 'string',
+                            nullable: true
+                        },
+                        ipAddress: {
+                            type: 'string',
+                            nullable: true,
+                            example: '203.0.113.10'
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        lastActiveAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        activeConnections: {
+                            type: 'integer',
+                            description: 'Number of open socket connections of this session',
+                            example: 1
+                        },
+                        isCurrent: {
+                            type: 'boolean',
+                            description: 'Whether this is the session making the request'
+                        }
+                    }
+                },
+                RefreshToken: {
+                    type: 'object',
+                    required: ['refreshToken'],
+                    properties: {
+                        refreshToken: {
+                            type: 'string',
+                            description: 'Valid refresh token',
+                            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
                         }
                     }
                 },
@@ -682,6 +1222,456 @@ const options = {
                         }
                     }
                 },
+                CursorPagination: {
+                    type: 'object',
+                    properties: {
+                        limit: {
+                            type: 'integer',
+                            description: 'Items per page',
+                            example: 20
+                        },
+                        hasMore: {
+                            type: 'boolean',
+                            description: 'Whether another page exists',
+                            example: true
+                        },
+                        nextCursor: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Opaque cursor to pass back for the next page',
+                            example: 'eyJ0IjoxNzM2OTM3MDAwMDAwLCJpZCI6IjUwN2YxZjc3YmNmODZjZDc5OTQzOTAxNSJ9'
+                        }
+                    }
+                },
+                MessageWindowPagination: {
+                    type: 'object',
+                    properties: {
+                        limit: {
+                            type: 'integer',
+                            description: 'Maximum messages per window',
+                            example: 50
+                        },
+                        hasOlder: {
+                            type: 'boolean',
+                            description: 'Whether older messages exist before this window',
+                            example: true
+                        },
+                        hasNewer: {
+                            type: 'boolean',
+                            description: 'Whether newer messages exist after this window',
+                            example: false
+                        },
+                        olderCursor: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Pass as `before` to load the previous window'
+                        },
+                        newerCursor: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Pass as `after` to load the next window'
+                        },
+                        around: {
+                            type: 'string',
+                            description: 'Message ID the window is centred on (only with `around`)'
+                        }
+                    }
+                },
+                Upload: {
+                    type: 'object',
+                    properties: {
+                        uploadId: {
+                            type: 'string',
+                            format: 'uuid',
+                            example: '3b241101-e2bb-4255-8caf-4136c566a962'
+                        },
+                        conversationId: {
+                            type: 'string',
+                            example: '507f1f77bcf86cd799439012'
+                        },
+                        fileName: {
+                            type: 'string',
+                            example: 'holiday.mp4'
+                        },
+                        mimeType: {
+                            type: 'string',
+                            example: 'video/mp4'
+                        },
+                        category: {
+                            type: 'string',
+                            enum: ['image', 'video', 'audio', 'file'],
+                            example: 'video'
+                        },
+                        size: {
+                            type: 'integer',
+                            description: 'Declared file size in bytes',
+                            example: 7340032
+                        },
+                        offset: {
+                            type: 'integer',
+                            description: 'Bytes received so far; the next chunk starts here',
+                            example: 1048576
+                        },
+                        chunkSize: {
+                            type: 'integer',
+                            description: 'Maximum bytes accepted per chunk',
+                            example: 1048576
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['uploading', 'completing', 'completed', 'attached', 'aborted'],
+                            example: 'uploading'
+                        },
+                        checksum: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'SHA-256 of the stored file, set once completed'
+                        },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                PinnedMessage: {
+                    type: 'object',
+                    properties: {
+                        message: {
+                            type: 'object',
+                            description: 'Preview of the pinned message',
+                            properties: {
+                                _id: {
+                                    type: 'string',
+                                    example: '507f1f77bcf86cd799439011'
+                                },
+                                sender: {
+                                    $ref: '#/components/schemas/User'
+                                },
+                                content: {
+                                    type: 'string',
+                                    example: 'Toplantı yarın saat 10:00'
+                                },
+                                type: {
+                                    type: 'string',
+                                    example: 'text'
+                                },
+                                createdAt: {
+                                    type: 'string',
+                                    format: 'date-time'
+                                }
+                            }
+                        },
+                        pinnedBy: {
+                            $ref: '#/components/schemas/User'
+                        },
+                        pinnedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            example: '2025-01-15T10:40:00.000Z'
+                        }
+                    }
+                },
+                AutoMessagePreferences: {
+                    type: 'object',
+                    properties: {
+                        enabled: {
+                            type: 'boolean',
+                            description: 'Whether the user takes part in automatic messages',
+                            example: true
+                        },
+                        locale: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Locale of the messages received; null uses the default locale',
+                            example: 'tr'
+                        }
+                    }
+                },
+                AutoMessageTemplate: {
+                    type: 'object',
+                    properties: {
+                        _id: {
+                            type: 'string',
+                            example: '507f1f77bcf86cd799439011'
+                        },
+                        content: {
+                            type: 'string',
+                            example: 'Merhaba! Nasılsın?'
+                        },
+                        locale: {
+                            type: 'string',
+                            example: 'tr'
+                        },
+                        weight: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 100,
+                            description: 'Relative chance of being picked among the active templates of the same locale',
+                            example: 1
+                        },
+                        isActive: {
+                            type: 'boolean',
+                            example: true
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                AutoMessagePlan: {
+                    type: 'object',
+                    properties: {
+                        config: {
+                            type: 'object',
+                            description: 'Planner settings the preview was built with',
+                            properties: {
+                                cron: {
+                                    type: 'string',
+                                    example: '0 2 * * *'
+                                },
+                                maxMessages: {
+                                    type: 'integer',
+                                    example: 500
+                                },
+                                sendWindowHours: {
+                                    type: 'integer',
+                                    example: 24
+                                },
+                                repeatPairDays: {
+                                    type: 'integer',
+                                    example: 7
+                                },
+                                sharedConversationOnly: {
+                                    type: 'boolean',
+                                    example: false
+                                },
+                                defaultLocale: {
+                                    type: 'string',
+                                    example: 'tr'
+                                }
+                            }
+                        },
+                        stats: {
+                            type: 'object',
+                            properties: {
+                                eligibleUsers: {
+                                    type: 'integer',
+                                    description: 'Active users who opted in'
+                                },
+                                activeTemplates: {
+                                    type: 'integer'
+                                },
+                                planned: {
+                                    type: 'integer'
+                                },
+                                unpairedUsers: {
+                                    type: 'integer',
+                                    description: 'Opted-in users left without a partner by the pairing rules'
+                                },
+                                skippedForTemplate: {
+                                    type: 'integer',
+                                    description: 'Pairs dropped because no template matched the locale'
+                                }
+                            }
+                        },
+                        plan: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    sender: {
+                                        $ref: '#/components/schemas/User'
+                                    },
+                                    recipient: {
+                                        $ref: '#/components/schemas/User'
+                                    },
+                                    template: {
+                                        type: 'string',
+                                        description: 'ID of the template picked'
+                                    },
+                                    locale: {
+                                        type: 'string'
+                                    },
+                                    content: {
+                                        type: 'string'
+                                    },
+                                    sendDate: {
+                                        type: 'string',
+                                        format: 'date-time'
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                ScheduledMessage: {
+                    type: 'object',
+                    properties: {
+                        _id: {
+                            type: 'string',
+                            example: '507f1f77bcf86cd799439011'
+                        },
+                        conversation: {
+                            type: 'string',
+                            example: '507f1f77bcf86cd799439012'
+                        },
+                        content: {
+                            type: 'string',
+                            example: 'Doğum günün kutlu olsun!'
+                        },
+                        type: {
+                            type: 'string',
+                            enum: ['text', 'image', 'file', 'video', 'audio']
+                        },
+                        fileData: {
+                            type: 'object',
+                            description: 'Attachment sent with the message, if any',
+                            properties: {
+                                name: {
+                                    type: 'string'
+                                },
+                                type: {
+                                    type: 'string'
+                                },
+                                size: {
+                                    type: 'integer'
+                                }
+                            }
+                        },
+                        disableLinkPreview: {
+                            type: 'boolean'
+                        },
+                        sendDate: {
+                            type: 'string',
+                            format: 'date-time',
+                            example: '2025-01-16T09:00:00.000Z'
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['scheduled', 'sending', 'sent', 'failed', 'cancelled'],
+                            description: 'Only `scheduled` messages can still be edited or cancelled'
+                        },
+                        message: {
+                            type: 'string',
+                            description: 'ID of the delivered message (once sent)'
+                        },
+                        sentAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        failureReason: {
+                            type: 'string',
+                            enum: ['CONVERSATION_NOT_FOUND', 'NOT_A_PARTICIPANT', 'BLOCKED', 'DELIVERY_ERROR']
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                MentionResult: {
+                    type: 'object',
+                    properties: {
+                        message: {
+                            $ref: '#/components/schemas/Message'
+                        },
+                        conversation: {
+                            type: 'object',
+                            properties: {
+                                _id: {
+                                    type: 'string',
+                                    example: '507f1f77bcf86cd799439012'
+                                },
+                                type: {
+                                    type: 'string',
+                                    enum: ['group'],
+                                    example: 'group'
+                                },
+                                name: {
+                                    type: 'string',
+                                    example: 'Proje Ekibi'
+                                },
+                                avatar: {
+                                    type: 'string',
+                                    nullable: true
+                                }
+                            }
+                        },
+                        mentionType: {
+                            type: 'string',
+                            enum: ['user', 'all'],
+                            description: '`user` when mentioned by username, `all` when only reached through @all',
+                            example: 'user'
+                        }
+                    }
+                },
+                MessageSearchResult: {
+                    type: 'object',
+                    properties: {
+                        message: {
+                            $ref: '#/components/schemas/Message'
+                        },
+                        conversation: {
+                            type: 'object',
+                            properties: {
+                                _id: {
+                                    type: 'string',
+                                    example: '507f1f77bcf86cd799439012'
+                                },
+                                type: {
+                                    type: 'string',
+                                    enum: ['private', 'group'],
+                                    example: 'private'
+                                },
+                                name: {
+                                    type: 'string',
+                                    nullable: true,
+                                    example: null
+                                },
+                                otherParticipant: {
+                                    type: 'object',
+                                    nullable: true,
+                                    description: 'The other user of a private conversation',
+                                    properties: {
+                                        _id: { type: 'string' },
+                                        username: { type: 'string' },
+                                        firstName: { type: 'string' },
+                                        lastName: { type: 'string' }
+                                    }
+                                }
+                            }
+                        },
+                        snippet: {
+                            type: 'object',
+                            properties: {
+                                text: {
+                                    type: 'string',
+                                    example: '…see you at the meeting tomorrow…'
+                                },
+                                highlights: {
+                                    type: 'array',
+                                    description: 'Character ranges of snippet.text that matched the query',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            start: { type: 'integer', example: 15 },
+                                            length: { type: 'integer', example: 7 }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
                 FileUpload: {
                     type: 'object',
                     properties: {
@@ -812,6 +1802,80 @@ const options = {
                         }
                     }
                 },
+                AttachmentScanPending: {
+                    description: 'The attachment has not been cleared by the malware scanner yet',
+                    content: {
+                        'application/json': {
+                            schema: {
+                                $ref: '#/components/schemas/ErrorResponse'
+                            },
+                            example: {
+                                success: false,
+                                message: 'File is still being scanned',
+                                code: 'FILE_SCAN_PENDING'
+                            }
+                        }
+                    }
+                },
+                AttachmentQuarantined: {
+                    description: 'The attachment was found to be infected and has been quarantined',
+                    content: {
+                        'application/json': {
+                            schema: {
+                                $ref: '#/components/schemas/ErrorResponse'
+                            },
+                            example: {
+                                success: false,
+                                message: 'File has been quarantined',
+                                code: 'FILE_QUARANTINED'
+                            }
+                        }
+                    }
+                },
+                FilePolicyError: {
+                    description: 'File rejected by the content type policy',
+                    content: {
+                        'application/json': {
+                            schema: {
+                                allOf: [
+                                    { $ref: '#/components/schemas/ErrorResponse' },
+                                    {
+                                        type: 'object',
+                                        properties: {
+                                            code: {
+                                                type: 'string',
+                                                enum: [
+                                                    'FILE_TYPE_MISMATCH',
+                                                    'FILE_TYPE_BLOCKED',
+                                                    'FILE_TYPE_NOT_ALLOWED',
+                                                    'FILE_TYPE_UNKNOWN',
+                                                    'FILE_EXTENSION_BLOCKED',
+                                                    'FILE_SCRIPT_CONTENT'
+                                                ]
+                                            },
+                                            details: {
+                                                type: 'object',
+                                                properties: {
+                                                    declaredType: { type: 'string' },
+                                                    detectedType: { type: 'string', nullable: true }
+                                                }
+                                            }
+                                        }
+                                    }
+                                ]
+                            },
+                            example: {
+                                success: false,
+                                message: 'File content does not match its declared type',
+                                code: 'FILE_TYPE_MISMATCH',
+                                details: {
+                                    declaredType: 'image/png',
+                                    detectedType: 'application/x-msdownload'
+                                }
+                            }
+                        }
+                    }
+                },
                 ServerError: {
                     description: 'Internal server error',
                     content: {
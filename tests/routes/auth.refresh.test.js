@@ -0,0 +1,137 @@
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../models/Session', () => ({ revoke: jest.fn(), touch: jest.fn(), createForRequest: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({
+    auth: (req, res, next) => next(),
+    decryptMiddleware: (req, res, next) => next()
+}));
+jest.mock('../../services/redisService', () => ({
+    createAuthSession: jest.fn(),
+    rotateRefreshToken: jest.fn(),
+    isAuthSessionActive: jest.fn(),
+    revokeAuthSession: jest.fn(),
+    revokeAllAuthSessions: jest.fn()
+}));
+jest.mock('../../services/socketService', () => ({ disconnectAuthSessions: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const { rotateRefreshToken, revokeAuthSession } = require('../../services/redisService');
+const { disconnectAuthSessions } = require('../../services/socketService');
+const authRoutes = require('../../routes/auth');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const AUTH_SESSION_ID = 'auth-session-1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signRefreshToken = (payload = { id: USER_ID, sid: AUTH_SESSION_ID }) =>
+    jwt.sign({ ...payload, jti: crypto.randomUUID() }, process.env.JWT_REFRESH_SECRET, { expiresIn: '1h' });
+
+const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .set('X-Session-ID', 'client-session')
+    .send({ refreshToken });
+
+const mockUser = (user) => {
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+describe('POST /api/auth/refresh', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockUser({ _id: USER_ID, isActive: true });
+    });
+
+    it('returns a new token pair when the presented token is the current one', async () => {
+        rotateRefreshToken.mockResolvedValue('rotated');
+        const refreshToken = signRefreshToken();
+
+        const res = await refresh(refreshToken);
+
+        expect(res.status).toBe(200);
+        const { accessToken, refreshToken: newRefreshToken } = res.body.data.tokens;
+        expect(newRefreshToken).not.toBe(refreshToken);
+        expect(jwt.verify(accessToken, process.env.JWT_SECRET)).toMatchObject({ id: USER_ID, sid: AUTH_SESSION_ID });
+        expect(jwt.verify(newRefreshToken, process.env.JWT_REFRESH_SECRET)).toMatchObject({ id: USER_ID, sid: AUTH_SESSION_ID });
+
+        expect(rotateRefreshToken).toHaveBeenCalledWith(
+            AUTH_SESSION_ID,
+            USER_ID,
+            hashToken(refreshToken),
+            hashToken(newRefreshToken),
+            7 * 24 * 60 * 60
+        );
+        expect(Session.touch).toHaveBeenCalledWith(AUTH_SESSION_ID);
+        expect(revokeAuthSession).not.toHaveBeenCalled();
+    });
+
+    it('revokes the whole session when an already rotated token is reused', async () => {
+        rotateRefreshToken.mockResolvedValue('reused');
+
+        const res = await refresh(signRefreshToken());
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Refresh token reuse detected');
+        expect(revokeAuthSession).toHaveBeenCalledWith(AUTH_SESSION_ID);
+        expect(Session.revoke).toHaveBeenCalledWith(AUTH_SESSION_ID);
+        expect(disconnectAuthSessions).toHaveBeenCalledWith([AUTH_SESSION_ID]);
+        expect(Session.touch).not.toHaveBeenCalled();
+    });
+
+    it('rejects tokens of sessions that expired or were logged out', async () => {
+        rotateRefreshToken.mockResolvedValue('missing');
+
+        const res = await refresh(signRefreshToken());
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Session expired or revoked');
+        expect(Session.revoke).toHaveBeenCalledWith(AUTH_SESSION_ID);
+        expect(Session.touch).not.toHaveBeenCalled();
+    });
+
+    it('ends the session of a deactivated user without rotating', async () => {
+        mockUser({ _id: USER_ID, isActive: false });
+
+        const res = await refresh(signRefreshToken());
+
+        expect(res.status).toBe(401);
+        expect(rotateRefreshToken).not.toHaveBeenCalled();
+        expect(revokeAuthSession).toHaveBeenCalledWith(AUTH_SESSION_ID);
+    });
+
+    it('rejects tokens issued before sessions existed', async () => {
+        const res = await refresh(jwt.sign({ id: USER_ID }, process.env.JWT_REFRESH_SECRET));
+
+        expect(res.status).toBe(401);
+        expect(rotateRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it('rejects tokens with a bad signature', async () => {
+        const forged = jwt.sign({ id: USER_ID, sid: AUTH_SESSION_ID }, 'some-other-secret');
+
+        const res = await refresh(forged);
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Invalid refresh token');
+        expect(rotateRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it('requires the session ID header', async () => {
+        const res = await request(app).post('/api/auth/refresh').send({ refreshToken: signRefreshToken() });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,196 @@
+jest.mock('../../models/User', () => ({ find: jest.fn() }));
+jest.mock('../../models/AutoMessage', () => ({ find: jest.fn(), insertMany: jest.fn() }));
+jest.mock('../../models/AutoMessageTemplate', () => ({ find: jest.fn() }));
+jest.mock('../../models/Conversation', () => ({ find: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const User = require('../../models/User');
+const AutoMessage = require('../../models/AutoMessage');
+const AutoMessageTemplate = require('../../models/AutoMessageTemplate');
+const Conversation = require('../../models/Conversation');
+const { buildAutoMessagePlan, planAutomaticMessages } = require('../../services/autoMessagePlannerService');
+
+const queryResult = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+});
+
+const createUser = (id, { locale, blocked = [] } = {}) => ({
+    _id: id,
+    username: `user_${id}`,
+    firstName: 'Test',
+    lastName: id,
+    autoMessages: { enabled: true, locale },
+    blockedUsers: blocked.map(user => ({ user }))
+});
+
+const template = (id, locale, weight = 1) => ({ _id: id, content: `content ${id}`, locale, weight });
+
+const setup = ({ users, templates, recentMessages = [], conversations = [] }) => {
+    User.find.mockReturnValue(queryResult(users));
+    AutoMessageTemplate.find.mockReturnValue(queryResult(templates));
+    AutoMessage.find.mockReturnValue(queryResult(recentMessages));
+    Conversation.find.mockReturnValue(queryResult(conversations));
+};
+
+const pairKeys = (plan) => plan.map(entry => [entry.sender._id, entry.recipient._id].sort().join(':'));
+
+describe('autoMessagePlannerService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+        Math.random.mockRestore();
+    });
+
+    it('only asks for active users who opted in', async () => {
+        setup({ users: [], templates: [template('t1', 'tr')] });
+
+        await buildAutoMessagePlan();
+
+        expect(User.find).toHaveBeenCalledWith({ isActive: true, 'autoMessages.enabled': true });
+        expect(AutoMessageTemplate.find).toHaveBeenCalledWith({ isActive: true });
+    });
+
+    it('plans nothing without two users or without templates', async () => {
+        setup({ users: [createUser('a')], templates: [template('t1', 'tr')] });
+        expect((await buildAutoMessagePlan()).plan).toEqual([]);
+
+        setup({ users: [createUser('a'), createUser('b')], templates: [] });
+        const { plan, stats } = await buildAutoMessagePlan();
+        expect(plan).toEqual([]);
+        expect(stats.unpairedUsers).toBe(2);
+    });
+
+    it('pairs every user at most once and stops at maxMessages', async () => {
+        setup({
+            users: ['a', 'b', 'c', 'd', 'e'].map(id => createUser(id)),
+            templates: [template('t1', 'tr')]
+        });
+
+        const { plan, stats } = await buildAutoMessagePlan();
+        const pairedIds = plan.flatMap(entry => [entry.sender._id, entry.recipient._id]);
+
+        expect(plan).toHaveLength(2);
+        expect(new Set(pairedIds).size).toBe(4);
+        expect(stats).toMatchObject({ eligibleUsers: 5, planned: 2, unpairedUsers: 1 });
+
+        const limited = await buildAutoMessagePlan({ maxMessages: 1 });
+        expect(limited.plan).toHaveLength(1);
+    });
+
+    it('skips pairs messaged recently and pairs where either side blocked the other', async () => {
+        setup({
+            users: [createUser('a', { blocked: ['b'] }), createUser('b'), createUser('c'), createUser('d')],
+            templates: [template('t1', 'tr')],
+            recentMessages: [{ sender: 'c', recipient: 'a' }]
+        });
+
+        const { plan } = await buildAutoMessagePlan();
+
+        expect(plan).toHaveLength(2);
+        expect(pairKeys(plan)).not.toContain('a:b');
+        expect(pairKeys(plan)).not.toContain('a:c');
+        expect(pairKeys(plan).sort()).toEqual(['a:d', 'b:c']);
+    });
+
+    it('looks back repeatPairDays for recent pairs', async () => {
+        setup({ users: [createUser('a'), createUser('b')], templates: [template('t1', 'tr')] });
+        const before = Date.now();
+
+        await buildAutoMessagePlan({ repeatPairDays: 0 });
+
+        const [filter] = AutoMessage.find.mock.calls[0];
+        expect(filter.origin).toBe('system');
+        expect(filter.createdAt.$gte.getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    it('only pairs users who share a conversation when asked to', async () => {
+        setup({
+            users: [createUser('a'), createUser('b'), createUser('c')],
+            templates: [template('t1', 'tr')],
+            conversations: [{ participants: ['a', 'c', 'outsider'] }]
+        });
+
+        const open = await buildAutoMessagePlan();
+        expect(Conversation.find).not.toHaveBeenCalled();
+        expect(open.plan).toHaveLength(1);
+
+        const { plan } = await buildAutoMessagePlan({ sharedConversationOnly: true });
+        expect(pairKeys(plan)).toEqual(['a:c']);
+    });
+
+    it('writes in the recipient locale and falls back to the default locale', async () => {
+        setup({
+            users: [createUser('a'), createUser('b', { locale: 'en' })],
+            templates: [template('tr1', 'tr'), template('en1', 'en')]
+        });
+        const [entry] = (await buildAutoMessagePlan()).plan;
+        expect(entry.locale).toBe(entry.recipient._id === 'b' ? 'en' : 'tr');
+
+        setup({
+            users: [createUser('a', { locale: 'de' }), createUser('b', { locale: 'de' })],
+            templates: [template('tr1', 'tr')]
+        });
+        const fallback = await buildAutoMessagePlan();
+        expect(fallback.plan[0]).toMatchObject({ locale: 'tr', template: 'tr1', content: 'content tr1' });
+    });
+
+    it('counts pairs left out for lack of a template', async () => {
+        setup({
+            users: [createUser('a', { locale: 'de' }), createUser('b', { locale: 'de' })],
+            templates: [template('en1', 'en')]
+        });
+
+        const { plan, stats } = await buildAutoMessagePlan();
+
+        expect(plan).toEqual([]);
+        expect(stats.skippedForTemplate).toBe(1);
+    });
+
+    it('picks templates in proportion to their weight', async () => {
+        setup({
+            users: [createUser('a'), createUser('b')],
+            templates: [template('light', 'tr', 1), template('heavy', 'tr', 3)]
+        });
+
+        Math.random.mockReturnValue(0.2);
+        expect((await buildAutoMessagePlan()).plan[0].template).toBe('light');
+
+        Math.random.mockReturnValue(0.3);
+        expect((await buildAutoMessagePlan()).plan[0].template).toBe('heavy');
+    });
+
+    it('spreads send dates over the send window', async () => {
+        setup({ users: [createUser('a'), createUser('b')], templates: [template('t1', 'tr')] });
+        Math.random.mockReturnValue(0.5);
+        const before = Date.now();
+
+        const [entry] = (await buildAutoMessagePlan({ sendWindowHours: 2 })).plan;
+        const offset = entry.sendDate.getTime() - before;
+
+        expect(offset).toBeGreaterThanOrEqual(60 * 60 * 1000 - 1000);
+        expect(offset).toBeLessThanOrEqual(60 * 60 * 1000 + 1000);
+    });
+
+    it('stores the plan as system auto messages', async () => {
+        setup({ users: [createUser('a'), createUser('b')], templates: [template('t1', 'tr')] });
+
+        const stats = await planAutomaticMessages();
+
+        expect(stats.planned).toBe(1);
+        const [[documents]] = AutoMessage.insertMany.mock.calls;
+        expect(documents).toHaveLength(1);
+        expect(documents[0]).toMatchObject({ template: 't1', content: 'content t1', isQueued: false, isSent: false });
+    });
+
+    it('does not write anything when nothing was planned', async () => {
+        setup({ users: [createUser('a')], templates: [template('t1', 'tr')] });
+
+        await planAutomaticMessages();
+
+        expect(AutoMessage.insertMany).not.toHaveBeenCalled();
+    });
+});
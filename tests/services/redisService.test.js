@@ -0,0 +1,126 @@
+// ioredis-mock runs the Lua scripts for real; this maps the node-redis v4 calls the service makes onto it
+jest.mock('redis', () => ({
+    createClient: () => {
+        const RedisMock = require('ioredis-mock');
+        const redis = new RedisMock();
+
+        return {
+            on: jest.fn(),
+            connect: jest.fn().mockResolvedValue(),
+            hSet: (key, fields) => redis.hset(key, fields),
+            hGet: (key, field) => redis.hget(key, field),
+            expire: (key, seconds) => redis.expire(key, seconds),
+            ttl: (key) => redis.ttl(key),
+            exists: (key) => redis.exists(key),
+            del: (keys) => redis.del(...[].concat(keys)),
+            sAdd: (key, member) => redis.sadd(key, member),
+            sRem: (key, member) => redis.srem(key, member),
+            sMembers: (key) => redis.smembers(key),
+            flushAll: () => redis.flushall(),
+            eval: (script, { keys, arguments: args }) => redis.eval(script, keys.length, ...keys, ...args)
+        };
+    }
+}));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const {
+    connectRedis,
+    createAuthSession,
+    rotateRefreshToken,
+    isAuthSessionActive,
+    revokeAuthSession,
+    revokeAllAuthSessions,
+    getClient
+} = require('../../services/redisService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const OTHER_USER_ID = '507f1f77bcf86cd799439012';
+const TTL_SECONDS = 100;
+
+describe('auth sessions', () => {
+    let now;
+
+    const advanceSeconds = (seconds) => {
+        now += seconds * 1000;
+    };
+
+    beforeAll(() => connectRedis());
+
+    beforeEach(async () => {
+        await getClient().flushAll();
+        now = Date.parse('2025-01-15T10:30:00.000Z');
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('rotates the refresh token of a new session again and again', async () => {
+        await expect(createAuthSession('sid-1', USER_ID, 'hash-1', TTL_SECONDS)).resolves.toBe(true);
+
+        await expect(rotateRefreshToken('sid-1', USER_ID, 'hash-1', 'hash-2', TTL_SECONDS)).resolves.toBe('rotated');
+        await expect(rotateRefreshToken('sid-1', USER_ID, 'hash-2', 'hash-3', TTL_SECONDS)).resolves.toBe('rotated');
+
+        expect(await getClient().hGet('auth_session:sid-1', 'tokenHash')).toBe('hash-3');
+        await expect(isAuthSessionActive('sid-1')).resolves.toBe(true);
+    });
+
+    it('reports reuse of an already rotated token and leaves the current one alone', async () => {
+        await createAuthSession('sid-1', USER_ID, 'hash-1', TTL_SECONDS);
+        await rotateRefreshToken('sid-1', USER_ID, 'hash-1', 'hash-2', TTL_SECONDS);
+
+        await expect(rotateRefreshToken('sid-1', USER_ID, 'hash-1', 'stolen-hash', TTL_SECONDS)).resolves.toBe('reused');
+
+        expect(await getClient().hGet('auth_session:sid-1', 'tokenHash')).toBe('hash-2');
+    });
+
+    it('reports a missing session once it was revoked or expired', async () => {
+        await createAuthSession('sid-1', USER_ID, 'hash-1', TTL_SECONDS);
+        await createAuthSession('sid-2', USER_ID, 'hash-1', TTL_SECONDS);
+
+        await revokeAuthSession('sid-1');
+        advanceSeconds(TTL_SECONDS + 1);
+
+        await expect(rotateRefreshToken('sid-1', USER_ID, 'hash-1', 'hash-2', TTL_SECONDS)).resolves.toBe('missing');
+        await expect(rotateRefreshToken('sid-2', USER_ID, 'hash-1', 'hash-2', TTL_SECONDS)).resolves.toBe('missing');
+        await expect(isAuthSessionActive('sid-1')).resolves.toBe(false);
+    });
+
+    it('logs out everywhere, including a session that kept refreshing past its first lifetime', async () => {
+        await createAuthSession('sid-1', USER_ID, 'hash-1', TTL_SECONDS);
+        await createAuthSession('sid-2', USER_ID, 'hash-1', TTL_SECONDS);
+        await createAuthSession('sid-3', OTHER_USER_ID, 'hash-1', TTL_SECONDS);
+
+        advanceSeconds(TTL_SECONDS - 10);
+        await rotateRefreshToken('sid-1', USER_ID, 'hash-1', 'hash-2', TTL_SECONDS);
+        await rotateRefreshToken('sid-3', OTHER_USER_ID, 'hash-1', 'hash-2', TTL_SECONDS);
+        advanceSeconds(TTL_SECONDS - 10);
+        await rotateRefreshToken('sid-1', USER_ID, 'hash-2', 'hash-3', TTL_SECONDS);
+
+        const revoked = await revokeAllAuthSessions(USER_ID);
+
+        expect(revoked).toContain('sid-1');
+        expect(revoked).not.toContain('sid-3');
+        await expect(isAuthSessionActive('sid-1')).resolves.toBe(false);
+        await expect(rotateRefreshToken('sid-1', USER_ID, 'hash-3', 'hash-4', TTL_SECONDS)).resolves.toBe('missing');
+        await expect(isAuthSessionActive('sid-3')).resolves.toBe(true);
+    });
+
+    it('re-registers sessions missing from the index when they refresh', async () => {
+        await createAuthSession('sid-1', USER_ID, 'hash-1', TTL_SECONDS);
+        await getClient().del(`user_auth_sessions:${USER_ID}`);
+
+        await rotateRefreshToken('sid-1', USER_ID, 'hash-1', 'hash-2', TTL_SECONDS);
+
+        await expect(revokeAllAuthSessions(USER_ID)).resolves.toEqual(['sid-1']);
+        await expect(isAuthSessionActive('sid-1')).resolves.toBe(false);
+    });
+
+    it('treats Redis errors as a missing session instead of letting the token through', async () => {
+        await createAuthSession('sid-1', USER_ID, 'hash-1', TTL_SECONDS);
+        jest.spyOn(getClient(), 'eval').mockRejectedValue(new Error('connection lost'));
+
+        await expect(rotateRefreshToken('sid-1', USER_ID, 'hash-1', 'hash-2', TTL_SECONDS)).resolves.toBe('missing');
+    });
+});
@@ -0,0 +1,120 @@
+const net = require('net');
+const { Readable } = require('stream');
+const { createClamdDriver } = require('../../../services/scanner/clamdDriver');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// A clamd stand-in that decodes the INSTREAM framing and answers with `reply`, either once the
+// terminating zero-length chunk arrives or, with `replyAfterBytes`, as soon as that much data came in
+const startClamd = ({ reply = null, replyAfterBytes = Infinity } = {}) => new Promise((resolve) => {
+    const received = { command: null, chunkSizes: [], data: Buffer.alloc(0), terminated: false };
+
+    const server = net.createServer((socket) => {
+        let buffer = Buffer.alloc(0);
+        let answered = false;
+
+        const answer = () => {
+            if (answered || reply === null) return;
+            answered = true;
+            socket.end(reply);
+        };
+
+        socket.on('error', () => {});
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+
+            if (received.command === null) {
+                const end = buffer.indexOf(0);
+                if (end === -1) return;
+                received.command = buffer.subarray(0, end).toString();
+                buffer = buffer.subarray(end + 1);
+            }
+
+            while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUInt32BE(0)) {
+                const length = buffer.readUInt32BE(0);
+                const chunk = buffer.subarray(4, 4 + length);
+                buffer = buffer.subarray(4 + length);
+
+                if (length === 0) {
+                    received.terminated = true;
+                    return answer();
+                }
+
+                received.chunkSizes.push(length);
+                received.data = Buffer.concat([received.data, chunk]);
+                if (received.data.length >= replyAfterBytes) answer();
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+});
+
+const streamOf = (...buffers) => Readable.from(buffers);
+
+describe('clamdDriver', () => {
+    let clamd;
+
+    const createDriver = (options = {}) => createClamdDriver({
+        host: '127.0.0.1',
+        port: clamd.port,
+        timeoutMs: 1000,
+        ...options
+    });
+
+    afterEach(() => new Promise(resolve => clamd.server.close(resolve)));
+
+    it('streams the file in framed chunks and reports a clean result', async () => {
+        clamd = await startClamd({ reply: 'stream: OK\0' });
+        const content = Buffer.alloc(CHUNK_SIZE * 2 + 100, 7);
+
+        const result = await createDriver().scan(streamOf(content.subarray(0, 1000), content.subarray(1000)));
+
+        expect(result).toEqual({ isInfected: false, signature: null });
+        expect(clamd.received.command).toBe('zINSTREAM');
+        expect(clamd.received.terminated).toBe(true);
+        expect(clamd.received.data.equals(content)).toBe(true);
+        expect(Math.max(...clamd.received.chunkSizes)).toBeLessThanOrEqual(CHUNK_SIZE);
+    });
+
+    it('reports the signature of an infected file', async () => {
+        clamd = await startClamd({ reply: 'stream: Eicar-Test-Signature FOUND\0' });
+
+        await expect(createDriver().scan(streamOf(Buffer.from('X5O!P%@AP')))).resolves.toEqual({
+            isInfected: true,
+            signature: 'Eicar-Test-Signature'
+        });
+    });
+
+    it('rejects on an error reply', async () => {
+        clamd = await startClamd({ reply: "stream: Can't allocate memory ERROR\0" });
+
+        await expect(createDriver().scan(streamOf(Buffer.from('data'))))
+            .rejects.toThrow("Unexpected clamd reply: stream: Can't allocate memory ERROR");
+    });
+
+    it('stops uploading when clamd rejects the stream as too large', async () => {
+        clamd = await startClamd({ reply: 'INSTREAM size limit exceeded. ERROR\0', replyAfterBytes: 1 });
+        const stream = Readable.from((function* () {
+            for (let i = 0; i < 1000; i++) yield Buffer.alloc(CHUNK_SIZE, i % 256);
+        })());
+
+        await expect(createDriver().scan(stream)).rejects.toThrow('INSTREAM size limit exceeded. ERROR');
+
+        expect(stream.destroyed).toBe(true);
+        expect(clamd.received.terminated).toBe(false);
+    });
+
+    it('gives up when clamd does not answer in time', async () => {
+        clamd = await startClamd();
+
+        await expect(createDriver({ timeoutMs: 100 }).scan(streamOf(Buffer.from('data'))))
+            .rejects.toThrow('clamd did not answer within 100ms');
+    });
+
+    it('rejects when the connection closes without a reply', async () => {
+        clamd = await startClamd({ reply: '' });
+
+        await expect(createDriver().scan(streamOf(Buffer.from('data')))).rejects.toThrow('Unexpected clamd reply: (empty)');
+    });
+});
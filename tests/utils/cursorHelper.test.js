@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, getCursorQuery, getCursorSort } = require('../../utils/cursorHelper');
+
+describe('cursorHelper', () => {
+    const doc = {
+        _id: new mongoose.Types.ObjectId('507f1f77bcf86cd799439015'),
+        createdAt: new Date('2025-01-15T10:30:00.000Z')
+    };
+
+    it('round-trips a message position through a cursor', () => {
+        const position = decodeCursor(encodeCursor(doc));
+
+        expect(position.createdAt).toEqual(doc.createdAt);
+        expect(position.id.equals(doc._id)).toBe(true);
+    });
+
+    it('produces URL-safe cursors', () => {
+        expect(encodeCursor(doc)).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it.each([
+        undefined,
+        null,
+        '',
+        42,
+        'not-base64-json',
+        Buffer.from('{"t":"yesterday","id":"507f1f77bcf86cd799439015"}').toString('base64url'),
+        Buffer.from('{"t":1736937000000,"id":"nope"}').toString('base64url')
+    ])('rejects the malformed cursor %p', (cursor) => {
+        expect(decodeCursor(cursor)).toBeNull();
+    });
+
+    it('pages older messages with the id as tie-breaker', () => {
+        const position = decodeCursor(encodeCursor(doc));
+
+        expect(getCursorQuery(position, 'older')).toEqual({
+            $or: [
+                { createdAt: { $lt: position.createdAt } },
+                { createdAt: position.createdAt, _id: { $lt: position.id } }
+            ]
+        });
+        expect(getCursorSort('older')).toEqual({ createdAt: -1, _id: -1 });
+    });
+
+    it('pages newer messages and can include the cursor message itself', () => {
+        const position = decodeCursor(encodeCursor(doc));
+
+        expect(getCursorQuery(position, 'newer', true)).toEqual({
+            $or: [
+                { createdAt: { $gt: position.createdAt } },
+                { createdAt: position.createdAt, _id: { $gte: position.id } }
+            ]
+        });
+        expect(getCursorSort('newer')).toEqual({ createdAt: 1, _id: 1 });
+    });
+});
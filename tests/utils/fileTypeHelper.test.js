@@ -0,0 +1,102 @@
+const { detectFileType, checkDeclaredFile, inspectFile } = require('../../utils/fileTypeHelper');
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+const JPEG_HEADER = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+const PDF_HEADER = Buffer.from('%PDF-1.7\n');
+const EXE_HEADER = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62)]);
+
+const zipWithEntries = (...names) => Buffer.concat([
+    Buffer.from([0x50, 0x4B, 0x03, 0x04]),
+    Buffer.alloc(26),
+    Buffer.from(names.join(''))
+]);
+
+describe('detectFileType', () => {
+    it.each([
+        ['PNG', PNG_HEADER, 'image/png'],
+        ['JPEG', JPEG_HEADER, 'image/jpeg'],
+        ['GIF', Buffer.from('GIF89a......'), 'image/gif'],
+        ['PDF', PDF_HEADER, 'application/pdf'],
+        ['Windows executable', EXE_HEADER, 'application/x-msdownload'],
+        ['ELF binary', Buffer.from([0x7F, 0x45, 0x4C, 0x46, 0x02, 0x01]), 'application/x-executable'],
+        ['shell script', Buffer.from('#!/bin/sh\nrm -rf /\n'), 'application/x-sh'],
+        ['plain text', Buffer.from('just some notes\n'), 'text/plain']
+    ])('recognises %s content', (label, buffer, mimeType) => {
+        expect(detectFileType(buffer).mimeType).toBe(mimeType);
+    });
+
+    it('tells Office documents and Java archives apart from plain zips', () => {
+        expect(detectFileType(zipWithEntries('[Content_Types].xml', 'word/document.xml')).mimeType)
+            .toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+        expect(detectFileType(zipWithEntries('META-INF/MANIFEST.MF')).mimeType).toBe('application/java-archive');
+        expect(detectFileType(zipWithEntries('notes.txt')).mimeType).toBe('application/zip');
+    });
+
+    it('recognises HTML and SVG markup behind a prolog or comments', () => {
+        expect(detectFileType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>')).mimeType)
+            .toBe('image/svg+xml');
+        expect(detectFileType(Buffer.from('<!-- saved page -->\n<!DOCTYPE html><html></html>')).mimeType).toBe('text/html');
+    });
+
+    it('returns null for empty input and unrecognised binary data', () => {
+        expect(detectFileType(Buffer.alloc(0))).toBeNull();
+        expect(detectFileType('not a buffer')).toBeNull();
+        expect(detectFileType(Buffer.from([0x00, 0x01, 0x02, 0x03, 0x04]))).toBeNull();
+    });
+});
+
+describe('checkDeclaredFile', () => {
+    it('blocks dangerous extensions regardless of the declared type', () => {
+        expect(checkDeclaredFile('invoice.pdf.exe', 'application/pdf').code).toBe('FILE_EXTENSION_BLOCKED');
+        expect(checkDeclaredFile('SETUP.BAT', 'text/plain').code).toBe('FILE_EXTENSION_BLOCKED');
+    });
+
+    it('blocks denied MIME types and ignores MIME parameters', () => {
+        expect(checkDeclaredFile('run', 'application/x-sh; charset=utf-8').code).toBe('FILE_TYPE_BLOCKED');
+    });
+
+    it('accepts ordinary files', () => {
+        expect(checkDeclaredFile('photo.png', 'image/png')).toEqual({
+            isValid: true,
+            code: null,
+            error: null,
+            declaredType: 'image/png',
+            detectedType: null
+        });
+    });
+});
+
+describe('inspectFile', () => {
+    it('accepts content that matches its declared type', () => {
+        const result = inspectFile(PNG_HEADER, 'image/png', 'photo.png');
+
+        expect(result.isValid).toBe(true);
+        expect(result.detectedType).toBe('image/png');
+    });
+
+    it('rejects content that contradicts its declared type', () => {
+        expect(inspectFile(EXE_HEADER, 'image/png', 'photo.png').code).toBe('FILE_TYPE_MISMATCH');
+        expect(inspectFile(PDF_HEADER, 'image/jpeg', 'photo.jpg').code).toBe('FILE_TYPE_MISMATCH');
+    });
+
+    it('rejects unrecognisable bytes claimed to be media', () => {
+        expect(inspectFile(Buffer.from([0x00, 0x01, 0x02]), 'video/mp4', 'clip.mp4').code).toBe('FILE_TYPE_MISMATCH');
+    });
+
+    it('applies the deny list to the detected type when the browser gave no type', () => {
+        expect(inspectFile(EXE_HEADER, 'application/octet-stream', 'tool').code).toBe('FILE_TYPE_BLOCKED');
+    });
+
+    it('rejects HTML and SVG files that carry scripts', () => {
+        const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"></svg>');
+        const html = Buffer.from('<html><body><script>alert(1)</script></body></html>');
+
+        expect(inspectFile(svg, 'image/svg+xml', 'logo.svg').code).toBe('FILE_SCRIPT_CONTENT');
+        expect(inspectFile(html, 'text/html', 'page.html').code).toBe('FILE_SCRIPT_CONTENT');
+        expect(inspectFile(Buffer.from('<svg><rect/></svg>'), 'image/svg+xml', 'logo.svg').isValid).toBe(true);
+    });
+
+    it('lets the declared check fail first', () => {
+        expect(inspectFile(PNG_HEADER, 'image/png', 'photo.js').code).toBe('FILE_EXTENSION_BLOCKED');
+    });
+});
@@ -0,0 +1,62 @@
+const { parseMentions, getMentionedUserIds } = require('../../utils/mentionHelper');
+
+describe('parseMentions', () => {
+    const participants = [
+        { _id: 'u1', username: 'alice' },
+        { _id: 'u2', username: 'Bob_99' },
+        { _id: 'u3', username: 'bob_99' }
+    ];
+
+    it('resolves mentions to participants with the position of the mark', () => {
+        expect(parseMentions('hi @alice!', participants)).toEqual([
+            { type: 'user', user: 'u1', offset: 3, length: 6 }
+        ]);
+    });
+
+    it('prefers an exact username match and falls back to a case-insensitive one', () => {
+        expect(parseMentions('@bob_99 @BOB_99', participants).map(mention => mention.user)).toEqual(['u3', 'u2']);
+        expect(parseMentions('@ALICE', participants).map(mention => mention.user)).toEqual(['u1']);
+    });
+
+    it('ignores names that are not participants', () => {
+        expect(parseMentions('@carol @alice', participants)).toHaveLength(1);
+    });
+
+    it('does not read e-mail addresses or doubled marks as mentions', () => {
+        expect(parseMentions('mail alice@alice.com or @@alice', participants)).toEqual([]);
+    });
+
+    it('only understands @all when it is allowed', () => {
+        expect(parseMentions('@all look', participants)).toEqual([]);
+        expect(parseMentions('@All look', participants, { allowAll: true })).toEqual([
+            { type: 'all', offset: 0, length: 4 }
+        ]);
+    });
+
+    it('caps the number of mentions in one message', () => {
+        expect(parseMentions('@alice '.repeat(60), participants)).toHaveLength(50);
+    });
+
+    it('returns nothing for empty or non-string content', () => {
+        expect(parseMentions('', participants)).toEqual([]);
+        expect(parseMentions(undefined, participants)).toEqual([]);
+    });
+});
+
+describe('getMentionedUserIds', () => {
+    it('returns each mentioned user once, without the author', () => {
+        const mentions = [
+            { type: 'user', user: 'u1' },
+            { type: 'user', user: 'u2' },
+            { type: 'user', user: 'u1' }
+        ];
+
+        expect(getMentionedUserIds(mentions, ['u1', 'u2', 'u3'], 'u2')).toEqual(['u1']);
+    });
+
+    it('expands @all to every participant but the author', () => {
+        const mentions = [{ type: 'all' }];
+
+        expect(getMentionedUserIds(mentions, ['u1', 'u2', 'u3'], 'u1')).toEqual(['u2', 'u3']);
+    });
+});
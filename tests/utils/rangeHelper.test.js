@@ -0,0 +1,164 @@
+const express = require('express');
+const request = require('supertest');
+const { Readable } = require('stream');
+const { sendRangedContent } = require('../../utils/rangeHelper');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const ETAG = '"content-v1"';
+const LAST_MODIFIED = new Date('2025-01-15T10:30:00.000Z');
+
+const createApp = () => {
+    const openStream = jest.fn((range) => Readable.from([
+        range ? CONTENT.subarray(range.start, range.end + 1) : CONTENT
+    ]));
+    const app = express();
+
+    app.get('/media', (req, res) => sendRangedContent(req, res, {
+        key: 'media/test',
+        size: CONTENT.length,
+        contentType: 'video/mp4',
+        etag: ETAG,
+        lastModified: LAST_MODIFIED,
+        openStream
+    }));
+
+    return { app, openStream };
+};
+
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('sendRangedContent', () => {
+    it('sends the whole object with validators when no range is asked for', async () => {
+        const { app } = createApp();
+        const res = await request(app).get('/media').buffer(true).parse(binaryParser);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['accept-ranges']).toBe('bytes');
+        expect(res.headers.etag).toBe(ETAG);
+        expect(res.headers['last-modified']).toBe(LAST_MODIFIED.toUTCString());
+        expect(res.body.equals(CONTENT)).toBe(true);
+    });
+
+    it('answers 304 when the client copy is still fresh', async () => {
+        const { app, openStream } = createApp();
+        const res = await request(app).get('/media').set('If-None-Match', ETAG);
+
+        expect(res.status).toBe(304);
+        expect(openStream).not.toHaveBeenCalled();
+    });
+
+    it('reads only the requested bytes for a single range', async () => {
+        const { app, openStream } = createApp();
+        const res = await request(app).get('/media').set('Range', 'bytes=10-15').buffer(true).parse(binaryParser);
+
+        expect(res.status).toBe(206);
+        expect(res.headers['content-range']).toBe(`bytes 10-15/${CONTENT.length}`);
+        expect(res.headers['content-length']).toBe('6');
+        expect(res.body.toString()).toBe('abcdef');
+        expect(openStream).toHaveBeenCalledWith({ start: 10, end: 15 });
+    });
+
+    it('supports suffix and open-ended ranges', async () => {
+        const { app } = createApp();
+
+        const suffix = await request(app).get('/media').set('Range', 'bytes=-4').buffer(true).parse(binaryParser);
+        expect(suffix.headers['content-range']).toBe(`bytes 32-35/${CONTENT.length}`);
+        expect(suffix.body.toString()).toBe('wxyz');
+
+        const openEnded = await request(app).get('/media').set('Range', 'bytes=30-').buffer(true).parse(binaryParser);
+        expect(openEnded.body.toString()).toBe('uvwxyz');
+    });
+
+    it('answers 416 with the object size for an unsatisfiable range', async () => {
+        const { app, openStream } = createApp();
+        const res = await request(app).get('/media').set('Range', 'bytes=100-200');
+
+        expect(res.status).toBe(416);
+        expect(res.headers['content-range']).toBe(`bytes */${CONTENT.length}`);
+        expect(openStream).not.toHaveBeenCalled();
+    });
+
+    it('sends several ranges as multipart/byteranges with a matching length', async () => {
+        const { app } = createApp();
+        const res = await request(app).get('/media').set('Range', 'bytes=0-1,10-11').buffer(true).parse(binaryParser);
+
+        expect(res.status).toBe(206);
+
+        const boundary = res.headers['content-type'].match(/^multipart\/byteranges; boundary=(\w+)$/)[1];
+        const body = res.body.toString();
+
+        expect(Number(res.headers['content-length'])).toBe(res.body.length);
+        expect(body).toContain(`--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-1/${CONTENT.length}\r\n\r\n01`);
+        expect(body).toContain(`Content-Range: bytes 10-11/${CONTENT.length}\r\n\r\nab`);
+        expect(body.endsWith(`\r\n--${boundary}--\r\n`)).toBe(true);
+    });
+
+    it('merges overlapping ranges', async () => {
+        const { app } = createApp();
+        const res = await request(app).get('/media').set('Range', 'bytes=0-5,3-9').buffer(true).parse(binaryParser);
+
+        expect(res.status).toBe(206);
+        expect(res.headers['content-range']).toBe(`bytes 0-9/${CONTENT.length}`);
+    });
+
+    it.each([
+        ['other units', 'items=0-5'],
+        ['headers without a range set', 'bytes 0-5'],
+        ['too many ranges', 'bytes=0-0,2-2,4-4,6-6,8-8,10-10,12-12,14-14,16-16']
+    ])('falls back to the full body for %s', async (label, range) => {
+        const { app } = createApp();
+        const res = await request(app).get('/media').set('Range', range).buffer(true).parse(binaryParser);
+
+        expect(res.status).toBe(200);
+        expect(res.body.equals(CONTENT)).toBe(true);
+    });
+
+    describe('If-Range', () => {
+        it('honours the range when the ETag matches', async () => {
+            const { app } = createApp();
+            const res = await request(app).get('/media').set('Range', 'bytes=0-3').set('If-Range', ETAG);
+
+            expect(res.status).toBe(206);
+        });
+
+        it('sends the full body when the ETag changed', async () => {
+            const { app } = createApp();
+            const res = await request(app).get('/media').set('Range', 'bytes=0-3').set('If-Range', '"content-v0"');
+
+            expect(res.status).toBe(200);
+        });
+
+        it('never matches a weak validator', async () => {
+            const { app } = createApp();
+            const res = await request(app).get('/media').set('Range', 'bytes=0-3').set('If-Range', `W/${ETAG}`);
+
+            expect(res.status).toBe(200);
+        });
+
+        it('compares dates to the second', async () => {
+            const { app } = createApp();
+
+            const same = await request(app).get('/media').set('Range', 'bytes=0-3').set('If-Range', LAST_MODIFIED.toUTCString());
+            expect(same.status).toBe(206);
+
+            const older = await request(app).get('/media').set('Range', 'bytes=0-3')
+                .set('If-Range', new Date(LAST_MODIFIED.getTime() - 60000).toUTCString());
+            expect(older.status).toBe(200);
+        });
+    });
+
+    it('sends headers only for HEAD requests', async () => {
+        const { app, openStream } = createApp();
+        const res = await request(app).head('/media').set('Range', 'bytes=0-3');
+
+        expect(res.status).toBe(206);
+        expect(res.headers['content-length']).toBe('4');
+        expect(openStream).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,68 @@
+const { escapeRegex, parseSearchTerms, buildSnippet } = require('../../utils/searchHelper');
+
+describe('escapeRegex', () => {
+    it('escapes every regex metacharacter', () => {
+        const special = '.*+?^${}()|[]\\';
+        expect(new RegExp(escapeRegex(special)).test(`a${special}b`)).toBe(true);
+    });
+});
+
+describe('parseSearchTerms', () => {
+    it('splits words and keeps quoted phrases together', () => {
+        expect(parseSearchTerms('hello "good morning" world')).toEqual(['hello', 'good morning', 'world']);
+    });
+
+    it('skips excluded words but not quoted phrases starting with a dash', () => {
+        expect(parseSearchTerms('cat -dog "-fish"')).toEqual(['cat', '-fish']);
+    });
+
+    it('lowercases with Turkish rules and removes duplicates', () => {
+        expect(parseSearchTerms('İstanbul istanbul IŞIK')).toEqual(['istanbul', 'ışık']);
+    });
+
+    it('returns nothing for empty or non-string queries', () => {
+        expect(parseSearchTerms('')).toEqual([]);
+        expect(parseSearchTerms(null)).toEqual([]);
+        expect(parseSearchTerms(['hello'])).toEqual([]);
+    });
+});
+
+describe('buildSnippet', () => {
+    it('highlights every match in a short text', () => {
+        expect(buildSnippet('Hello world, hello again', ['hello'])).toEqual({
+            text: 'Hello world, hello again',
+            highlights: [
+                { start: 0, length: 5 },
+                { start: 13, length: 5 }
+            ]
+        });
+    });
+
+    it('cuts a window around the first match in a long text', () => {
+        const text = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`;
+        const snippet = buildSnippet(text, ['needle']);
+
+        expect(snippet.text.startsWith('…')).toBe(true);
+        expect(snippet.text.endsWith('…')).toBe(true);
+        expect(snippet.highlights).toHaveLength(1);
+
+        const [highlight] = snippet.highlights;
+        expect(snippet.text.substr(highlight.start, highlight.length)).toBe('needle');
+    });
+
+    it('does not treat search terms as regular expressions', () => {
+        expect(buildSnippet('price is 5.00 (net)', ['(net)']).highlights).toEqual([{ start: 14, length: 5 }]);
+        expect(buildSnippet('abc', ['.*']).highlights).toEqual([]);
+    });
+
+    it('falls back to a truncated text when nothing matches', () => {
+        const snippet = buildSnippet('x'.repeat(200), ['needle']);
+
+        expect(snippet.text).toBe(`${'x'.repeat(120)}…`);
+        expect(snippet.highlights).toEqual([]);
+    });
+
+    it('handles empty text', () => {
+        expect(buildSnippet('', ['hello'])).toEqual({ text: '', highlights: [] });
+    });
+});
@@ -0,0 +1,92 @@
+const { isPublicAddress, extractFirstUrl } = require('../../utils/urlHelper');
+
+describe('isPublicAddress', () => {
+    it.each([
+        '0.0.0.0',
+        '10.1.2.3',
+        '100.64.0.1',
+        '127.0.0.1',
+        '169.254.169.254',
+        '172.16.0.1',
+        '172.31.255.255',
+        '192.168.1.1',
+        '198.18.0.1',
+        '224.0.0.1',
+        '255.255.255.255'
+    ])('rejects the private or reserved IPv4 address %s', (address) => {
+        expect(isPublicAddress(address)).toBe(false);
+    });
+
+    it.each([
+        '::',
+        '::1',
+        'fc00::1',
+        'fd12:3456::1',
+        'fe80::1',
+        'ff02::1',
+        '2001:db8::1',
+        '64:ff9b::7f00:1',
+        '2002:7f00:1::'
+    ])('rejects the private or reserved IPv6 address %s', (address) => {
+        expect(isPublicAddress(address)).toBe(false);
+    });
+
+    it('applies the IPv4 rules to IPv4-mapped IPv6 addresses', () => {
+        expect(isPublicAddress('::ffff:127.0.0.1')).toBe(false);
+        expect(isPublicAddress('::ffff:10.0.0.1')).toBe(false);
+        expect(isPublicAddress('::ffff:8.8.8.8')).toBe(true);
+    });
+
+    it.each([
+        '8.8.8.8',
+        '1.1.1.1',
+        '172.32.0.1',
+        '2606:4700:4700::1111'
+    ])('accepts the public address %s', (address) => {
+        expect(isPublicAddress(address)).toBe(true);
+    });
+
+    it.each([
+        'localhost',
+        'example.com',
+        '',
+        '127.1',
+        '0x7f000001'
+    ])('rejects %p since it is not an IP literal', (address) => {
+        expect(isPublicAddress(address)).toBe(false);
+    });
+});
+
+describe('extractFirstUrl', () => {
+    it('returns the first http(s) link in the text', () => {
+        expect(extractFirstUrl('see https://example.com/a and http://example.org/b')).toBe('https://example.com/a');
+    });
+
+    it('returns null when there is no link', () => {
+        expect(extractFirstUrl('no links here')).toBeNull();
+        expect(extractFirstUrl('')).toBeNull();
+        expect(extractFirstUrl(null)).toBeNull();
+        expect(extractFirstUrl(42)).toBeNull();
+    });
+
+    it('ignores non-http schemes', () => {
+        expect(extractFirstUrl('ftp://example.com/file javascript:alert(1)')).toBeNull();
+    });
+
+    it('drops trailing punctuation and the fragment', () => {
+        expect(extractFirstUrl('Look: https://example.com/page#section!')).toBe('https://example.com/page');
+        expect(extractFirstUrl('Is it https://example.com/path?')).toBe('https://example.com/path');
+    });
+
+    it('drops a closing bracket that belongs to the sentence', () => {
+        expect(extractFirstUrl('(see https://example.com/docs)')).toBe('https://example.com/docs');
+    });
+
+    it('keeps balanced brackets that are part of the link', () => {
+        expect(extractFirstUrl('https://en.wikipedia.org/wiki/Node_(software)')).toBe('https://en.wikipedia.org/wiki/Node_(software)');
+    });
+
+    it('normalises the host', () => {
+        expect(extractFirstUrl('HTTPS://Example.COM')).toBe('https://example.com/');
+    });
+});
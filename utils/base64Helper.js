@@ -1,3 +1,5 @@
+const { inspectFile } = require('./fileTypeHelper');
+
 const fixBase64Format = (base64String) => {
     if (!base64String || typeof base64String !== 'string') {
         return base64String;
@@ -201,9 +203,11 @@ const processBase64File = (base64Data, options = {}) => {
         isValid: false,
         data: null,
         error: null,
+        code: null,
         size: 0,
         sizeFormatted: '0 Bytes',
         mimeType: null,
+        detectedType: null,
         maxSize: options.maxSize || 25 * 1024 * 1024,
         allowedTypes: options.allowedTypes || ['image', 'video', 'audio', 'file'],
         fixFormat: options.fixFormat !== false
@@ -272,6 +276,14 @@ const processBase64File = (base64Data, options = {}) => {
             return result;
         }
 
+        const inspection = inspectFile(Buffer.from(base64DataPart, 'base64'), result.mimeType, options.fileName);
+        result.detectedType = inspection.detectedType;
+        if (!inspection.isValid) {
+            result.error = inspection.error;
+            result.code = inspection.code;
+            return result;
+        }
+
         result.isValid = true;
         result.data = processedData;
         result.error = null;
@@ -399,7 +411,8 @@ const validateFileData = (fileData, expectedType = 'file') => {
                 expectedType === 'audio' ? ['audio'] :
                     ['image', 'video', 'audio', 'application', 'text'],
         fixFormat: true,
-        strictValidation: true
+        strictValidation: true,
+        fileName: fileData.name
     });
 
     if (!processResult.isValid) {
@@ -407,6 +420,7 @@ const validateFileData = (fileData, expectedType = 'file') => {
         return {
             isValid: false,
             errors,
+            code: processResult.code,
             size: processResult.size,
             maxSize: processResult.maxSize
         };
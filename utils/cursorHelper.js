@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const encodeCursor = (doc) => {
+    const payload = {
+        t: new Date(doc.createdAt).getTime(),
+        id: doc._id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    if (!cursor || typeof cursor !== 'string') {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        if (!Number.isFinite(payload.t) || !mongoose.Types.ObjectId.isValid(payload.id)) {
+            return null;
+        }
+
+        return {
+            createdAt: new Date(payload.t),
+            id: new mongoose.Types.ObjectId(payload.id)
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+const getCursorQuery = (position, direction, inclusive = false) => {
+    const operator = direction === 'older' ? '$lt' : '$gt';
+    const idOperator = inclusive ? `${operator}e` : operator;
+
+    return {
+        $or: [
+            { createdAt: { [operator]: position.createdAt } },
+            { createdAt: position.createdAt, _id: { [idOperator]: position.id } }
+        ]
+    };
+};
+
+const getCursorSort = (direction) => {
+    const order = direction === 'older' ? -1 : 1;
+    return { createdAt: order, _id: order };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    getCursorQuery,
+    getCursorSort
+};
\ No newline at end of file
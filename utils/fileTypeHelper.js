@@ -0,0 +1,303 @@
+const parseListEnv = (value) => (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+const DEFAULT_DENIED_TYPES = [
+    'application/x-msdownload',
+    'application/x-executable',
+    'application/x-mach-binary',
+    'application/x-sh',
+    'application/java-archive',
+    'application/vnd.android.package-archive'
+];
+
+const DEFAULT_DENIED_EXTENSIONS = [
+    'exe', 'dll', 'com', 'scr', 'pif', 'cpl', 'msi', 'msp', 'bat', 'cmd', 'ps1', 'psm1',
+    'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh', 'hta', 'lnk', 'reg', 'sh', 'jar', 'apk', 'app'
+];
+
+// Comma separated MIME types; entries may end in /* to match a whole category
+const FILE_DENIED_TYPES = process.env.FILE_DENIED_TYPES !== undefined
+    ? parseListEnv(process.env.FILE_DENIED_TYPES)
+    : DEFAULT_DENIED_TYPES;
+const FILE_ALLOWED_TYPES = parseListEnv(process.env.FILE_ALLOWED_TYPES);
+const FILE_DENIED_EXTENSIONS = process.env.FILE_DENIED_EXTENSIONS !== undefined
+    ? parseListEnv(process.env.FILE_DENIED_EXTENSIONS)
+    : DEFAULT_DENIED_EXTENSIONS;
+const FILE_ALLOW_UNKNOWN_TYPES = process.env.FILE_ALLOW_UNKNOWN_TYPES !== 'false';
+const FILE_BLOCK_SCRIPTED_MARKUP = process.env.FILE_BLOCK_SCRIPTED_MARKUP !== 'false';
+
+const FILE_POLICY_ERRORS = {
+    FILE_TYPE_MISMATCH: 'File content does not match its declared type',
+    FILE_TYPE_BLOCKED: 'This file type is not allowed',
+    FILE_TYPE_NOT_ALLOWED: 'This file type is not on the allowed list',
+    FILE_TYPE_UNKNOWN: 'File type could not be recognised',
+    FILE_EXTENSION_BLOCKED: 'Files with this extension are not allowed',
+    FILE_SCRIPT_CONTENT: 'HTML and SVG files containing scripts are not allowed'
+};
+
+const SNIFF_WINDOW = 64 * 1024;
+const TEXT_SAMPLE_SIZE = 8 * 1024;
+const SCRIPT_PATTERN = /<script[\s>/]|\bon[a-z]+\s*=|javascript\s*:|<foreignObject[\s>/]|<iframe[\s>/]|<embed[\s>/]|<object[\s>/]/i;
+
+const JPEG_TYPES = ['image/jpeg', 'image/jpg', 'image/pjpeg'];
+const MP4_TYPES = [
+    'video/mp4', 'video/x-m4v', 'video/quicktime', 'video/mov', 'video/3gpp', 'video/3gp', 'video/3gpp2',
+    'audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/3gpp'
+];
+const MATROSKA_TYPES = ['video/webm', 'audio/webm', 'video/x-matroska', 'video/mkv', 'audio/x-matroska'];
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+const TEXT_TYPES = ['text/*', 'application/json', 'application/xml', 'application/x-yaml'];
+
+const matchesBytes = (buffer, bytes, offset = 0) => {
+    if (buffer.length < offset + bytes.length) return false;
+    return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const readAscii = (buffer, start, end) => buffer.toString('latin1', start, Math.min(end, buffer.length));
+
+const createType = (mimeType, accepts = [mimeType]) => ({ mimeType, accepts });
+
+const detectFtypType = (buffer) => {
+    const brand = readAscii(buffer, 8, 12);
+
+    if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) {
+        return createType('image/heic', ['image/heic', 'image/heif']);
+    }
+    if (['avif', 'avis'].includes(brand)) {
+        return createType('image/avif');
+    }
+    if (brand === 'qt  ') {
+        return createType('video/quicktime', MP4_TYPES);
+    }
+    if (brand.startsWith('M4A') || brand.startsWith('M4B')) {
+        return createType('audio/mp4', MP4_TYPES);
+    }
+    if (brand.startsWith('3g')) {
+        return createType('video/3gpp', MP4_TYPES);
+    }
+    return createType('video/mp4', MP4_TYPES);
+};
+
+const detectZipType = (buffer) => {
+    // Entry names live in the local headers up front and in the central directory at the end
+    const names = readAscii(buffer, 0, SNIFF_WINDOW) + readAscii(buffer, Math.max(0, buffer.length - SNIFF_WINDOW), buffer.length);
+
+    const openDocument = names.match(/mimetype(application\/(?:vnd\.oasis\.opendocument\.[a-z.-]+|epub\+zip))/);
+    if (openDocument) {
+        return createType(openDocument[1], [openDocument[1], ...ZIP_TYPES]);
+    }
+    if (names.includes('AndroidManifest.xml') && names.includes('classes.dex')) {
+        return createType('application/vnd.android.package-archive', [
+            'application/vnd.android.package-archive', 'application/java-archive', ...ZIP_TYPES
+        ]);
+    }
+    if (names.includes('META-INF/MANIFEST.MF')) {
+        return createType('application/java-archive', ['application/java-archive', 'application/x-java-archive', ...ZIP_TYPES]);
+    }
+    if (names.includes('[Content_Types].xml')) {
+        if (names.includes('word/')) {
+            const type = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+            return createType(type, [type, ...ZIP_TYPES]);
+        }
+        if (names.includes('xl/')) {
+            const type = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+            return createType(type, [type, ...ZIP_TYPES]);
+        }
+        if (names.includes('ppt/')) {
+            const type = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+            return createType(type, [type, ...ZIP_TYPES]);
+        }
+    }
+    return createType('application/zip', ZIP_TYPES);
+};
+
+const looksLikeText = (buffer) => {
+    const sample = buffer.subarray(0, TEXT_SAMPLE_SIZE);
+    let controlBytes = 0;
+
+    for (const byte of sample) {
+        if (byte === 0x00) return false;
+        if (byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)) {
+            controlBytes++;
+        }
+    }
+
+    return controlBytes <= sample.length * 0.05;
+};
+
+const detectTextType = (buffer) => {
+    const head = buffer.toString('utf8', 0, Math.min(buffer.length, TEXT_SAMPLE_SIZE))
+        .replace(/^﻿/, '')
+        .trimStart();
+
+    const withoutProlog = head
+        .replace(/^<\?xml[^>]*>\s*/i, '')
+        .replace(/^(<!--[\s\S]*?-->\s*)+/, '');
+
+    if (/^(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(withoutProlog)) {
+        return createType('image/svg+xml');
+    }
+    if (/^<(!doctype html|html|head|body|script|iframe)[\s>]/i.test(withoutProlog)) {
+        return createType('text/html', ['text/html', 'application/xhtml+xml']);
+    }
+    return createType('text/plain', TEXT_TYPES);
+};
+
+/**
+ * Identifies a file from its leading bytes. Returns `{ mimeType, accepts }` where `accepts` lists the
+ * declared MIME types that are consistent with the content, or null when the format is not recognised.
+ */
+const detectFileType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+
+    if (matchesBytes(buffer, [0xFF, 0xD8, 0xFF])) return createType('image/jpeg', JPEG_TYPES);
+    if (matchesBytes(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return createType('image/png', ['image/png', 'image/apng']);
+    if (readAscii(buffer, 0, 6) === 'GIF87a' || readAscii(buffer, 0, 6) === 'GIF89a') return createType('image/gif');
+    if (readAscii(buffer, 0, 4) === 'RIFF') {
+        const format = readAscii(buffer, 8, 12);
+        if (format === 'WEBP') return createType('image/webp');
+        if (format === 'WAVE') return createType('audio/wav', ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave']);
+        if (format === 'AVI ') return createType('video/x-msvideo', ['video/x-msvideo', 'video/avi', 'video/msvideo']);
+    }
+    if (readAscii(buffer, 0, 2) === 'BM' && buffer.length >= 14 && buffer.readUInt32LE(6) === 0) {
+        return createType('image/bmp', ['image/bmp', 'image/x-ms-bmp']);
+    }
+    if (matchesBytes(buffer, [0x49, 0x49, 0x2A, 0x00]) || matchesBytes(buffer, [0x4D, 0x4D, 0x00, 0x2A])) return createType('image/tiff');
+    if (matchesBytes(buffer, [0x00, 0x00, 0x01, 0x00])) return createType('image/x-icon', ['image/x-icon', 'image/vnd.microsoft.icon']);
+    if (readAscii(buffer, 4, 8) === 'ftyp') return detectFtypType(buffer);
+    if (matchesBytes(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+        return createType(readAscii(buffer, 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska', MATROSKA_TYPES);
+    }
+    if (matchesBytes(buffer, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11])) {
+        return createType('video/x-ms-wmv', ['video/x-ms-wmv', 'video/wmv', 'video/x-ms-asf', 'audio/x-ms-wma']);
+    }
+    if (readAscii(buffer, 0, 3) === 'FLV') return createType('video/x-flv');
+    if (readAscii(buffer, 0, 4) === 'OggS') return createType('audio/ogg', ['audio/ogg', 'video/ogg', 'application/ogg', 'audio/opus']);
+    if (readAscii(buffer, 0, 4) === 'fLaC') return createType('audio/flac', ['audio/flac', 'audio/x-flac']);
+    if (readAscii(buffer, 0, 5) === '#!AMR') return createType('audio/amr');
+    if (readAscii(buffer, 0, 4) === 'MThd') return createType('audio/midi', ['audio/midi', 'audio/x-midi']);
+    if (readAscii(buffer, 0, 3) === 'ID3') return createType('audio/mpeg', ['audio/mpeg', 'audio/mp3', 'audio/mpeg3', 'audio/x-mpeg-3']);
+    if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) {
+        // Frame sync: layer bits of 00 mean an ADTS AAC stream, anything else is MPEG audio
+        return (buffer[1] & 0x06) === 0
+            ? createType('audio/aac', ['audio/aac', 'audio/x-aac', 'audio/aacp'])
+            : createType('audio/mpeg', ['audio/mpeg', 'audio/mp3', 'audio/mpeg3', 'audio/x-mpeg-3']);
+    }
+    if (readAscii(buffer, 0, 5) === '%PDF-') return createType('application/pdf');
+    if (matchesBytes(buffer, [0x50, 0x4B, 0x03, 0x04]) || matchesBytes(buffer, [0x50, 0x4B, 0x05, 0x06])) return detectZipType(buffer);
+    if (matchesBytes(buffer, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07])) {
+        return createType('application/x-rar-compressed', ['application/x-rar-compressed', 'application/vnd.rar', 'application/x-rar']);
+    }
+    if (matchesBytes(buffer, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return createType('application/x-7z-compressed');
+    if (matchesBytes(buffer, [0x1F, 0x8B])) return createType('application/gzip', ['application/gzip', 'application/x-gzip']);
+    if (readAscii(buffer, 0, 3) === 'BZh') return createType('application/x-bzip2');
+    if (matchesBytes(buffer, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00])) return createType('application/x-xz');
+    if (readAscii(buffer, 257, 262) === 'ustar') return createType('application/x-tar');
+    if (matchesBytes(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+        // Legacy Office documents share the OLE compound file container
+        return createType('application/x-cfb', [
+            'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint',
+            'application/vnd.ms-outlook', 'application/x-cfb'
+        ]);
+    }
+    if (readAscii(buffer, 0, 5) === '{\\rtf') return createType('application/rtf', ['application/rtf', 'text/rtf']);
+    if (readAscii(buffer, 0, 2) === 'MZ') {
+        return createType('application/x-msdownload', ['application/x-msdownload', 'application/x-dosexec', 'application/vnd.microsoft.portable-executable']);
+    }
+    if (matchesBytes(buffer, [0x7F, 0x45, 0x4C, 0x46])) return createType('application/x-executable', ['application/x-executable', 'application/x-elf']);
+    if ([[0xFE, 0xED, 0xFA, 0xCE], [0xFE, 0xED, 0xFA, 0xCF], [0xCE, 0xFA, 0xED, 0xFE], [0xCF, 0xFA, 0xED, 0xFE], [0xCA, 0xFE, 0xBA, 0xBE]]
+        .some(bytes => matchesBytes(buffer, bytes))) {
+        return createType('application/x-mach-binary', ['application/x-mach-binary', 'application/java-vm']);
+    }
+    if (readAscii(buffer, 0, 2) === '#!') return createType('application/x-sh', ['application/x-sh', 'text/x-shellscript']);
+    if (looksLikeText(buffer)) return detectTextType(buffer);
+
+    return null;
+};
+
+const normalizeMimeType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+const matchesTypeList = (mimeType, list) => list.some(entry =>
+    entry.endsWith('/*') ? mimeType.startsWith(entry.slice(0, -1)) : entry === mimeType
+);
+
+const getFileExtension = (fileName) => {
+    const match = String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)\s*$/);
+    return match ? match[1] : null;
+};
+
+const createPolicyResult = (code, declaredType, detectedType) => ({
+    isValid: !code,
+    code: code || null,
+    error: code ? FILE_POLICY_ERRORS[code] : null,
+    declaredType,
+    detectedType
+});
+
+/**
+ * Checks what the client claims about a file before any bytes arrive: the name extension and the
+ * declared MIME type against the deny/allow lists.
+ */
+const checkDeclaredFile = (fileName, declaredMimeType) => {
+    const declaredType = normalizeMimeType(declaredMimeType);
+    const extension = getFileExtension(fileName);
+
+    if (extension && FILE_DENIED_EXTENSIONS.includes(extension)) {
+        return createPolicyResult('FILE_EXTENSION_BLOCKED', declaredType, null);
+    }
+    if (matchesTypeList(declaredType, FILE_DENIED_TYPES)) {
+        return createPolicyResult('FILE_TYPE_BLOCKED', declaredType, null);
+    }
+    return createPolicyResult(null, declaredType, null);
+};
+
+/**
+ * Full content check: detects the real type, rejects mismatches with the declared type and applies
+ * the deny/allow lists and the scripted HTML/SVG rule to whichever type the bytes turned out to be.
+ */
+const inspectFile = (buffer, declaredMimeType, fileName) => {
+    const declaredResult = checkDeclaredFile(fileName, declaredMimeType);
+    if (!declaredResult.isValid) return declaredResult;
+
+    const { declaredType } = declaredResult;
+    const detected = detectFileType(buffer);
+    const detectedType = detected ? detected.mimeType : null;
+    // application/octet-stream means the browser had no idea either, so there is nothing to contradict
+    const hasClaim = declaredType && declaredType !== 'application/octet-stream';
+
+    if (!detected) {
+        const isMediaClaim = /^(image|video|audio)\//.test(declaredType);
+        if (isMediaClaim) {
+            return createPolicyResult('FILE_TYPE_MISMATCH', declaredType, null);
+        }
+        if (!FILE_ALLOW_UNKNOWN_TYPES) {
+            return createPolicyResult('FILE_TYPE_UNKNOWN', declaredType, null);
+        }
+    } else if (hasClaim && !matchesTypeList(declaredType, detected.accepts)) {
+        return createPolicyResult('FILE_TYPE_MISMATCH', declaredType, detectedType);
+    }
+
+    const effectiveType = detectedType || declaredType;
+
+    if (matchesTypeList(effectiveType, FILE_DENIED_TYPES)) {
+        return createPolicyResult('FILE_TYPE_BLOCKED', declaredType, detectedType);
+    }
+    if (FILE_ALLOWED_TYPES.length > 0 && !matchesTypeList(effectiveType, FILE_ALLOWED_TYPES)) {
+        return createPolicyResult('FILE_TYPE_NOT_ALLOWED', declaredType, detectedType);
+    }
+    if (FILE_BLOCK_SCRIPTED_MARKUP && ['text/html', 'image/svg+xml'].includes(detectedType) &&
+        SCRIPT_PATTERN.test(buffer.toString('utf8'))) {
+        return createPolicyResult('FILE_SCRIPT_CONTENT', declaredType, detectedType);
+    }
+
+    return createPolicyResult(null, declaredType, detectedType);
+};
+
+module.exports = {
+    FILE_POLICY_ERRORS,
+    detectFileType,
+    checkDeclaredFile,
+    inspectFile
+};
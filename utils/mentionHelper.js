@@ -0,0 +1,58 @@
+const MENTION_ALL_KEYWORD = 'all';
+const MAX_MENTIONS = 50;
+
+// Usernames are 3-30 letters, digits or underscores (see routes/auth.js); the mark must not follow
+// a word character so e-mail addresses are not read as mentions
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_]{3,30})(?![\w@])/g;
+
+const findUsername = (participants, candidate) => {
+    const lower = candidate.toLowerCase();
+    return participants.find(participant => participant.username === candidate) ||
+        participants.find(participant => participant.username && participant.username.toLowerCase() === lower);
+};
+
+// Returns one entry per mention in the text, with the position of the "@" mark so clients can highlight it.
+// `participants` must carry usernames; `allowAll` enables the @all keyword
+const parseMentions = (content, participants, { allowAll = false } = {}) => {
+    if (!content || typeof content !== 'string') {
+        return [];
+    }
+
+    const mentions = [];
+
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+        if (mentions.length >= MAX_MENTIONS) break;
+
+        const name = match[2];
+        const offset = match.index + match[1].length;
+        const length = name.length + 1;
+
+        if (allowAll && name.toLowerCase() === MENTION_ALL_KEYWORD) {
+            mentions.push({ type: 'all', offset, length });
+            continue;
+        }
+
+        const participant = findUsername(participants, name);
+        if (participant) {
+            mentions.push({ type: 'user', user: participant._id, offset, length });
+        }
+    }
+
+    return mentions;
+};
+
+// Expands mentions to the user IDs that should be notified, without the author
+const getMentionedUserIds = (mentions, participantIds, authorId) => {
+    const author = authorId.toString();
+    const ids = mentions.some(mention => mention.type === 'all')
+        ? participantIds.map(id => id.toString())
+        : mentions.filter(mention => mention.type === 'user').map(mention => mention.user.toString());
+
+    return [...new Set(ids)].filter(id => id !== author);
+};
+
+module.exports = {
+    MENTION_ALL_KEYWORD,
+    parseMentions,
+    getMentionedUserIds
+};
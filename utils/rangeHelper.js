@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const logger = require('./logger');
+
+const MAX_BYTE_RANGES = 8;
+
+const pipeObjectStream = (stream, res, key) => {
+    // pipeline also tears down the storage stream when the client aborts, e.g. when a player seeks
+    pipeline(stream, res).catch((error) => {
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.error(`Storage stream error for ${key}:`, error);
+        }
+    });
+};
+
+const isIfRangeSatisfied = (req, etag, lastModified) => {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+
+    // If-Range uses strong comparison, so weak validators never match
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange === etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return !isNaN(date) && Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+};
+
+/**
+ * Sends a stored object honouring Range, If-Range, If-None-Match and If-Modified-Since.
+ * `source.openStream({ start, end })` is called once per byte range, so only the requested bytes are read.
+ */
+const sendRangedContent = async (req, res, source) => {
+    const { key, size, contentType, etag, lastModified } = source;
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    let ranges = req.headers.range && isIfRangeSatisfied(req, etag, lastModified)
+        ? req.range(size, { combine: true })
+        : undefined;
+
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).json({
+            success: false,
+            message: 'Requested range not satisfiable'
+        });
+    }
+
+    // Headers without a byte-range set, other units and overly long range lists get the full body instead
+    if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length > MAX_BYTE_RANGES) {
+        ranges = null;
+    }
+
+    if (!ranges) {
+        res.writeHead(200, {
+            'Content-Type': contentType,
+            'Content-Length': size
+        });
+        if (req.method === 'HEAD') return res.end();
+        return pipeObjectStream(await source.openStream(), res, key);
+    }
+
+    if (ranges.length === 1) {
+        const [{ start, end }] = ranges;
+
+        res.writeHead(206, {
+            'Content-Type': contentType,
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': end - start + 1
+        });
+        if (req.method === 'HEAD') return res.end();
+        return pipeObjectStream(await source.openStream({ start, end }), res, key);
+    }
+
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const partHeaders = ranges.map(({ start, end }, index) =>
+        `${index > 0 ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    );
+    const closingBoundary = `\r\n--${boundary}--\r\n`;
+    const contentLength = ranges.reduce((total, { start, end }, index) =>
+        total + Buffer.byteLength(partHeaders[index]) + (end - start + 1), Buffer.byteLength(closingBoundary));
+
+    res.writeHead(206, {
+        'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+        'Content-Length': contentLength
+    });
+    if (req.method === 'HEAD') return res.end();
+
+    try {
+        for (let i = 0; i < ranges.length; i++) {
+            res.write(partHeaders[i]);
+            await pipeline(await source.openStream(ranges[i]), res, { end: false });
+        }
+        res.end(closingBoundary);
+    } catch (error) {
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.error(`Storage stream error for ${key}:`, error);
+        }
+        res.destroy();
+    }
+};
+
+module.exports = {
+    isIfRangeSatisfied,
+    pipeObjectStream,
+    sendRangedContent
+};
@@ -0,0 +1,71 @@
+const SNIPPET_RADIUS = 60;
+const MAX_SNIPPET_LENGTH = SNIPPET_RADIUS * 2;
+
+const escapeRegex = (text) => {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+const parseSearchTerms = (query) => {
+    if (!query || typeof query !== 'string') {
+        return [];
+    }
+
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const term = (match[1] || match[2]).trim();
+
+        if (!term || (!match[1] && term.startsWith('-'))) {
+            continue;
+        }
+
+        if (!terms.includes(term.toLocaleLowerCase('tr-TR'))) {
+            terms.push(term.toLocaleLowerCase('tr-TR'));
+        }
+    }
+
+    return terms;
+};
+
+const buildSnippet = (text, terms) => {
+    if (!text) {
+        return { text: '', highlights: [] };
+    }
+
+    const matches = terms.length > 0
+        ? [...text.matchAll(new RegExp(terms.map(escapeRegex).join('|'), 'giu'))]
+        : [];
+
+    if (matches.length === 0) {
+        return {
+            text: text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH)}…` : text,
+            highlights: []
+        };
+    }
+
+    const firstMatch = matches[0];
+    const start = Math.max(0, firstMatch.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstMatch.index + firstMatch[0].length + SNIPPET_RADIUS);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    const highlights = matches
+        .filter(match => match.index >= start && match.index + match[0].length <= end)
+        .map(match => ({
+            start: match.index - start + prefix.length,
+            length: match[0].length
+        }));
+
+    return {
+        text: `${prefix}${text.slice(start, end)}${suffix}`,
+        highlights
+    };
+};
+
+module.exports = {
+    escapeRegex,
+    parseSearchTerms,
+    buildSnippet
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+const net = require('net');
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/i;
+const TRAILING_PUNCTUATION = /[.,;:!?'"*_~]+$/;
+
+// Ranges a server-side fetch must never reach: private networks, loopback,
+// link-local, carrier-grade NAT, documentation, multicast and reserved blocks
+const BLOCKED_IPV4_SUBNETS = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.88.99.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+
+// BlockList already checks IPv4-mapped addresses against the IPv4 rules; NAT64, Teredo
+// and 6to4 ranges are blocked outright since they can embed any IPv4 address
+const BLOCKED_IPV6_SUBNETS = [
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['64:ff9b:1::', 48],
+    ['100::', 64],
+    ['2001::', 23],
+    ['2001:db8::', 32],
+    ['2002::', 16],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['fec0::', 10],
+    ['ff00::', 8]
+];
+
+const blockList = new net.BlockList();
+BLOCKED_IPV4_SUBNETS.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+BLOCKED_IPV6_SUBNETS.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+
+    if (family === 4) {
+        return !blockList.check(address, 'ipv4');
+    }
+    if (family === 6) {
+        return !blockList.check(address, 'ipv6');
+    }
+    return false;
+};
+
+// Returns the first http(s) link in a chat message, normalised, or null
+const extractFirstUrl = (text) => {
+    if (!text || typeof text !== 'string') {
+        return null;
+    }
+
+    const match = text.match(URL_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    let candidate = match[0].replace(TRAILING_PUNCTUATION, '');
+
+    // Drop a closing bracket that belongs to the surrounding sentence, e.g. "(see https://example.com)"
+    while (/[)\]}]$/.test(candidate)) {
+        const closing = candidate.slice(-1);
+        const opening = { ')': '(', ']': '[', '}': '{' }[closing];
+        if (candidate.split(opening).length >= candidate.split(closing).length) {
+            break;
+        }
+        candidate = candidate.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+    }
+
+    try {
+        const url = new URL(candidate);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return null;
+        }
+        url.hash = '';
+        return url.href;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    isPublicAddress,
+    extractFirstUrl
+};